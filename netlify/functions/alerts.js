@@ -0,0 +1,99 @@
+// netlify/functions/alerts.js
+// A member's price / move alerts (lib/alerts.js); evaluate-alerts.js checks them nightly and
+// emails a digest of what fired.
+//
+// Auth: "Authorization: Bearer <session>" from the emailed sign-in link (member-login.js).
+//
+// Usage:
+//  GET  /.netlify/functions/alerts
+//    -> { uid, alerts: [{ id, asset, code, type, threshold, cooldownDays, status,
+//                         createdAt, updatedAt, lastTriggeredDate, lastValue }] }
+//
+//  POST /.netlify/functions/alerts   (same response, after the change)
+//    { "action": "create", "code": "CBA", "type": "price-above", "threshold": 160 }
+//    { "action": "create", "code": "XAU", "type": "move", "threshold": 3, "cooldownDays": 2 }
+//    { "action": "create", "code": "BHP", "type": "volume-spike" }        threshold defaults to 3×
+//    { "action": "pause",  "alertId": "a1b2c3d4" }
+//    { "action": "resume", "alertId": "a1b2c3d4" }
+//    { "action": "delete", "alertId": "a1b2c3d4" }
+//  types: price-above, price-below, move, 52w-high, 52w-low, volume-spike (ASX codes only);
+//  codes: any ASX code, or a metal (XAU, XAG, IRON, LITH-CAR, NI, URANIUM).
+
+const upstash = require("./lib/upstash");
+const memberAuth = require("./lib/member-auth");
+const alerts = require("./lib/alerts");
+
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+};
+
+function json(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+async function applyAction(uid, body) {
+  const alertId = body.alertId ? String(body.alertId) : null;
+
+  switch (body.action) {
+    case "create":
+      return alerts.createAlert(uid, body);
+    case "pause":
+      return alerts.setStatus(uid, alertId, "paused");
+    case "resume":
+      return alerts.setStatus(uid, alertId, "active");
+    case "delete":
+      return alerts.deleteAlert(uid, alertId);
+    default: {
+      const err = new Error("action must be one of create, pause, resume, delete");
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "GET" && event.httpMethod !== "POST") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const uid = memberAuth.memberFromEvent(event);
+  if (!uid) return json(401, { error: "Sign in to manage alerts" });
+
+  try {
+    let list;
+    if (event.httpMethod === "POST") {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return json(400, { error: "Invalid JSON" });
+      }
+      list = await applyAction(uid, body || {});
+    } else {
+      list = await alerts.listAlerts(uid);
+    }
+    return json(200, { uid, alerts: list });
+  } catch (err) {
+    if (err.status && err.status < 500) return json(err.status, { error: err.message });
+    console.error("alerts error", err && err.message);
+    return json(500, { error: "Couldn't load alerts right now" });
+  }
+};
@@ -0,0 +1,51 @@
+// netlify/functions/analytics-range.js
+// Admin-only: site analytics over a date range (lib/site-analytics.js), for the admin
+// dashboard (analytics-dashboard.html). get-analytics-day.js is the raw single-day view.
+//
+// Usage:
+//  GET /.netlify/functions/analytics-range
+//    -> last 30 days up to today (Sydney), by day
+//  GET /.netlify/functions/analytics-range?from=2026-01-01&to=2026-03-31&granularity=week&limit=50
+//    granularity: day | week (Monday start) | month; limit: top pages (default 20, max 100)
+//    range up to 400 days
+//
+// Response: { from, to, granularity, days,
+//             totals: { visits, unique_users, new_users, returning_users, session_count,
+//                       session_seconds_total, engaged_sessions, returningPct, avgSessionSeconds, engagedRate },
+//             series: [{ period, start, end, days, ...same fields }],
+//             topPages: [{ path, ...same fields }] }
+
+const upstash = require("./lib/upstash");
+const siteAnalytics = require("./lib/site-analytics");
+const { requireAdmin } = require("./lib/admin-auth");
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+exports.handler = async function (event) {
+  const denied = await requireAdmin(event, "analytics-range");
+  if (denied) return denied;
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  let range;
+  try {
+    range = siteAnalytics.parseRange(event.queryStringParameters || {});
+  } catch (err) {
+    return json(err.status || 400, { error: err.message });
+  }
+
+  try {
+    return json(200, await siteAnalytics.getRange(range));
+  } catch (err) {
+    console.error("analytics-range error", err && err.message);
+    return json(500, { error: "Internal error" });
+  }
+};
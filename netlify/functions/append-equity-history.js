@@ -0,0 +1,89 @@
+// netlify/functions/append-equity-history.js
+//
+// Nightly: appends each new asx:universe:eod:YYYY-MM-DD snapshot to the per-code equity
+// history (lib/equity-history.js), so charts never need EODHD on a page view.
+//
+// Runs after the snapshot window / merge (see netlify.toml). Walks every snapshot date
+// after history:equity:appendedThrough up to asx:universe:eod:latestDate (max 14 days back);
+// codes already holding a date are skipped, so reruns and overlap with seeding are safe.
+//
+// Manual: GET /.netlify/functions/append-equity-history?date=YYYY-MM-DD (admin) appends one date.
+
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const equityHistory = require("./lib/equity-history");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const EOD_PREFIX = "asx:universe:eod:";
+const MAX_LOOKBACK_DAYS = 14;
+
+function toYmd(v) {
+  const s = String(upstash.decodeJson(v) ?? v ?? "");
+  return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : null;
+}
+
+// Snapshot value is an array of rows, or { rows } / { items } in older writers.
+async function loadSnapshotRows(date) {
+  const obj = await upstash.getJson(`${EOD_PREFIX}${date}`);
+  if (Array.isArray(obj)) return obj;
+  if (obj && Array.isArray(obj.rows)) return obj.rows;
+  if (obj && Array.isArray(obj.items)) return obj.items;
+  return null;
+}
+
+async function appendDate(date, allMeta) {
+  const rows = await loadSnapshotRows(date);
+  if (!rows) return null;
+
+  const byCode = new Map();
+  for (const r of rows) {
+    const code = r && r.code ? String(r.code).toUpperCase() : null;
+    if (!code) continue;
+    const bar = equityHistory.toBar({ ...r, date: r.date || date });
+    if (bar && bar[0] === date) byCode.set(code, bar);
+  }
+  return equityHistory.appendDay(date, byCode, allMeta);
+}
+
+exports.handler = async function (event) {
+  const qs = (event && event.queryStringParameters) || {};
+
+  if (qs.date) {
+    const denied = await requireAdmin(event, "append-equity-history");
+    if (denied) return denied;
+  }
+
+  if (!upstash.isConfigured()) {
+    return { statusCode: 500, body: JSON.stringify({ error: "Upstash not configured" }) };
+  }
+
+  try {
+    const latestDate = qs.date || toYmd(await upstash.get(`${EOD_PREFIX}latestDate`));
+    if (!latestDate) {
+      return { statusCode: 200, body: JSON.stringify({ ok: true, skipped: "no latestDate" }) };
+    }
+
+    const through = qs.date ? null : await equityHistory.getAppendedThrough();
+    const floor = calendar.addDays(latestDate, -MAX_LOOKBACK_DAYS);
+    let d = through && through > floor ? calendar.addDays(through, 1) : qs.date ? latestDate : floor;
+
+    const allMeta = await equityHistory.getAllMeta();
+    const results = [];
+    for (; d <= latestDate; d = calendar.addDays(d, 1)) {
+      if (calendar.isWeekend(d)) continue;
+      const appended = await appendDate(d, allMeta);
+      if (appended === null) continue;
+      results.push({ date: d, appended });
+      if (!qs.date) await equityHistory.setAppendedThrough(d);
+    }
+
+    console.log("append-equity-history", JSON.stringify(results));
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ok: true, latestDate, results }),
+    };
+  } catch (err) {
+    console.error("append-equity-history error", err && err.message);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: err.message }) };
+  }
+};
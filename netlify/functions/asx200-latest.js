@@ -1,13 +1,10 @@
 // netlify/functions/asx200-latest.js
 // Returns latest ASX200 snapshot from Upstash (key: "asx200:latest")
 
-const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
 
 exports.handler = async function () {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     console.error("Upstash not configured");
     return { statusCode: 500, body: "Upstash not configured" };
   }
@@ -15,25 +12,7 @@ exports.handler = async function () {
   const key = "asx200:latest";
 
   try {
-    const res = await fetch(
-      `${UPSTASH_URL}/get/${encodeURIComponent(key)}`,
-      {
-        headers: {
-          Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        },
-      }
-    );
-
-    if (!res.ok) {
-      const text = await res.text();
-      console.error("Upstash GET failed", res.status, text);
-      return { statusCode: 500, body: "Failed to fetch asx200:latest" };
-    }
-
-    const data = await res.json();
-    const raw = data.result ?? data; // Upstash REST returns { result: "json-string" }
-
-    const items = typeof raw === "string" ? JSON.parse(raw) : raw;
+    const items = await upstash.getJson(key);
 
     return {
       statusCode: 200,
@@ -42,6 +21,6 @@ exports.handler = async function () {
     };
   } catch (err) {
     console.error("asx200-latest error", err);
-    return { statusCode: 500, body: "Internal error" };
+    return { statusCode: 500, body: "Failed to fetch asx200:latest" };
   }
 };
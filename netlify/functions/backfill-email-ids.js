@@ -7,8 +7,10 @@
 //   user:id:counter -> last number assigned
 //
 // Safe to re-run: will skip emails that already have an ID.
+// Admin-only: Authorization: Bearer <ADMIN_API_TOKEN> (see lib/admin-auth.js).
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
 
 const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
 const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
@@ -50,16 +52,13 @@ async function pipeline(cmds) {
 }
 
 exports.handler = async (event) => {
+  const denied = await requireAdmin(event, "backfill-email-ids");
+  if (denied) return denied;
+
   if (!UPSTASH_URL || !UPSTASH_TOKEN) {
     return { statusCode: 500, body: "Upstash not configured" };
   }
 
-  // Optional safety gate
-  const key = event.queryStringParameters?.key;
-  if (process.env.BACKFILL_KEY && key !== process.env.BACKFILL_KEY) {
-    return { statusCode: 403, body: "Forbidden" };
-  }
-
   const setKey = event.queryStringParameters?.set || "email:subscribers";
 
   // 1) Load emails from set
@@ -16,8 +16,10 @@
 //  /.netlify/functions/backfill-market-pulse?start=2025-09-30&end=2025-12-29
 //  /.netlify/functions/backfill-market-pulse?days=60
 //  /.netlify/functions/backfill-market-pulse?days=60&dryrun=1
+//  (admin-only: Authorization: Bearer <ADMIN_API_TOKEN>, see lib/admin-auth.js)
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
 
 const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
 const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
@@ -238,6 +240,9 @@ async function loadFundamentalsMap() {
 }
 
 exports.handler = async function (event) {
+  const denied = await requireAdmin(event, "backfill-market-pulse");
+  if (denied) return denied;
+
   if (!UPSTASH_URL || !UPSTASH_TOKEN) {
     return { statusCode: 500, body: "Upstash not configured" };
   }
@@ -0,0 +1,36 @@
+// netlify/functions/backfill-morning-notes.js
+// One-time backfill: morning notes written before the permanent archive had a 72h TTL
+// and no date index. This persists whichever matesMorningNote:{region}:YYYY-MM-DD keys
+// still exist and adds them to matesMorningNote:index:{region} (lib/morning-notes.js).
+//
+// Safe to re-run.
+// Admin-only: Authorization: Bearer <ADMIN_API_TOKEN> (see lib/admin-auth.js).
+//
+// Usage: GET /.netlify/functions/backfill-morning-notes?region=au
+
+const upstash = require("./lib/upstash");
+const morningNotes = require("./lib/morning-notes");
+const { requireAdmin } = require("./lib/admin-auth");
+
+exports.handler = async (event) => {
+  const denied = await requireAdmin(event, "backfill-morning-notes");
+  if (denied) return denied;
+
+  if (!upstash.isConfigured()) {
+    return { statusCode: 500, body: "Upstash not configured" };
+  }
+
+  const region = event.queryStringParameters?.region || "au";
+
+  try {
+    const dates = await morningNotes.backfillIndex(region);
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ok: true, region, indexed: dates.length, dates }),
+    };
+  } catch (err) {
+    console.error("backfill-morning-notes error", err && err.message);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: err.message }) };
+  }
+};
@@ -10,6 +10,7 @@
 //
 // Run manually:
 //  /.netlify/functions/backfill-sector-snapshots
+//  (admin-only: Authorization: Bearer <ADMIN_API_TOKEN>, see lib/admin-auth.js)
 //
 // Optional query params:
 //  ?from=2025-12-04
@@ -18,6 +19,7 @@
 //  ?force=1        (recompute even if sector day exists)
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
 
 const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
 const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
@@ -239,6 +241,9 @@ function buildSectorSnapshot({
 }
 
 exports.handler = async function (event) {
+  const denied = await requireAdmin(event, "backfill-sector-snapshot");
+  if (denied) return denied;
+
   try {
     assertEnv();
 
@@ -11,25 +11,12 @@
 //   asx:sectors:latest                  (string YYYY-MM-DD)
 //   asx:sectors:dates                   (SET of YYYY-MM-DD)
 
-const fetch = (...args) => global.fetch(...args);
-
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+const upstash = require("./lib/upstash");
 
 const SECTOR_DATES_SET = "asx:sectors:dates";
 
 function assertEnv() {
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) throw new Error("Upstash env missing");
-}
-
-async function redis(cmdArr) {
-  const res = await fetch(`${UPSTASH_URL}/${cmdArr.map(encodeURIComponent).join("/")}`, {
-    headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-  });
-  const json = await res.json().catch(() => ({}));
-  if (!res.ok) throw new Error(`Upstash HTTP ${res.status}`);
-  if (json.error) throw new Error(json.error);
-  return json.result;
+  if (!upstash.isConfigured()) throw new Error("Upstash env missing");
 }
 
 function ymd(d) {
@@ -47,13 +34,7 @@ function safeNum(x) {
 }
 
 async function loadJson(key) {
-  const v = await redis(["GET", key]);
-  if (!v) return null;
-  try {
-    return JSON.parse(v);
-  } catch {
-    return null;
-  }
+  return upstash.getJson(key);
 }
 
 function extractYmdFromUnknown(v) {
@@ -88,17 +69,17 @@ function extractYmdFromUnknown(v) {
 
 async function getLatestEodDate() {
   // Prefer explicit latestDate pointer
-  const v1 = await redis(["GET", "asx:universe:eod:latestDate"]);
+  const v1 = await upstash.get("asx:universe:eod:latestDate");
   const d1 = extractYmdFromUnknown(v1);
   if (d1) return d1;
 
   // Fallback to whatever is in latest
-  const v2 = await redis(["GET", "asx:universe:eod:latest"]);
+  const v2 = await upstash.get("asx:universe:eod:latest");
   return extractYmdFromUnknown(v2);
 }
 
 async function existsKey(key) {
-  const ex = await redis(["EXISTS", key]);
+  const ex = await upstash.command(["EXISTS", key]);
   return ex === 1;
 }
 
@@ -177,7 +158,8 @@ exports.handler = async function (event) {
     const [todayArr, prevArr, fundamentalsData] = await Promise.all([
       loadJson(`asx:universe:eod:${asOfDate}`),
       loadJson(`asx:universe:eod:${prevDate}`),
-      loadJson(`asx:universe:fundamentals:latest`),
+      // getLargeJson assembles the partitioned manifest form transparently
+      upstash.getLargeJson(`asx:universe:fundamentals:latest`),
     ]);
 
     const todayCount = Array.isArray(todayArr) ? todayArr.length : 0;
@@ -191,31 +173,6 @@ exports.handler = async function (event) {
       fundamentalsArr = fundamentalsData;
     } else if (fundamentalsData && Array.isArray(fundamentalsData.items)) {
       fundamentalsArr = fundamentalsData.items;
-    } else {
-      // Support partitioned manifest: { fallback: true, parts: [ "key1", ... ] }
-      const partKeys = Array.isArray(fundamentalsData?.parts)
-        ? fundamentalsData.parts
-        : Array.isArray(fundamentalsData?.partKeys)
-        ? fundamentalsData.partKeys
-        : null;
-
-      if (partKeys && partKeys.length > 0) {
-        // Load fundamentals from parts
-        console.log(`build-sectors-day: Loading fundamentals from ${partKeys.length} parts`);
-        for (const pk of partKeys) {
-          try {
-            const partData = await loadJson(pk);
-            if (partData && Array.isArray(partData.items)) {
-              fundamentalsArr.push(...partData.items);
-            } else if (Array.isArray(partData)) {
-              fundamentalsArr.push(...partData);
-            }
-          } catch (e) {
-            console.warn(`build-sectors-day: failed to fetch part ${pk}:`, e?.message || e);
-          }
-        }
-        console.log(`build-sectors-day: Loaded ${fundamentalsArr.length} fundamentals from parts`);
-      }
     }
 
     if (!Array.isArray(todayArr) || !Array.isArray(prevArr) || !Array.isArray(fundamentalsArr) || fundamentalsArr.length === 0) {
@@ -318,9 +275,9 @@ exports.handler = async function (event) {
     };
 
     await Promise.all([
-      redis(["SET", `asx:sectors:day:${asOfDate}`, JSON.stringify(out)]),
-      redis(["SET", `asx:sectors:latest`, asOfDate]),
-      redis(["SADD", SECTOR_DATES_SET, asOfDate]),
+      upstash.setJson(`asx:sectors:day:${asOfDate}`, out),
+      upstash.set(`asx:sectors:latest`, asOfDate),
+      upstash.sadd(SECTOR_DATES_SET, asOfDate),
     ]);
 
     console.log('build-sectors-day SUCCESS: Written sector data for', asOfDate, 'with', sectorsOut.length, 'sectors');
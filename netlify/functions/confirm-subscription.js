@@ -0,0 +1,164 @@
+// netlify/functions/confirm-subscription.js
+// Double opt-in confirmation (see lib/email-optin.js).
+//
+// Usage (link from the confirmation email):
+//  GET  /.netlify/functions/confirm-subscription?e=<b64url email>&exp=<unix>&sig=<hmac>
+//    -> page with a "Confirm" button (GET never changes anything, so mail scanners
+//       that pre-fetch links can't confirm on someone's behalf)
+//  POST same URL
+//    -> promotes the pending signup to the live lists (and counts its referral, if any),
+//       shows the result
+
+const upstash = require("./lib/upstash");
+const emailOptIn = require("./lib/email-optin");
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+function renderPage(statusCode, title, inner) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "text/html", "Cache-Control": "no-store" },
+    body: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta name="robots" content="noindex">
+        <title>${escapeHtml(title)} - MatesInvest</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 600px;
+            margin: 50px auto;
+            padding: 20px;
+            background-color: #f5f7fb;
+          }
+          .container {
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+            text-align: center;
+          }
+          h1 { color: #002040; margin-top: 0; font-size: 26px; }
+          p { color: #64748b; line-height: 1.6; }
+          .error { color: #dc2626; }
+          .success { color: #16a34a; font-size: 48px; margin-bottom: 20px; }
+          .email {
+            background: #f5f7fb;
+            padding: 4px 10px;
+            border-radius: 6px;
+            font-family: monospace;
+            color: #002040;
+          }
+          button {
+            background: #00BFFF;
+            color: white;
+            border: 0;
+            border-radius: 999px;
+            padding: 12px 22px;
+            font-size: 16px;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          a { color: #3b82f6; text-decoration: none; }
+          a:hover { text-decoration: underline; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          ${inner}
+        </div>
+      </body>
+      </html>
+    `,
+  };
+}
+
+const RESUBSCRIBE_LINK = `<a href="https://matesinvest.com/mates-summaries.html#subscribe">sign up again</a>`;
+
+exports.handler = async function (event) {
+  if (!upstash.isConfigured()) {
+    return renderPage(
+      500,
+      "Configuration Error",
+      `<h1>Configuration Error</h1><p class="error">Unable to confirm right now. Please contact support.</p>`
+    );
+  }
+
+  const qs = event.queryStringParameters || {};
+  const link = emailOptIn.verifyConfirmLink(qs);
+
+  if (!link.ok) {
+    return link.reason === "expired"
+      ? renderPage(
+          410,
+          "Link Expired",
+          `<h1>This link has expired</h1><p>Confirmation links only last a few days. Please ${RESUBSCRIBE_LINK} and we'll send a fresh one.</p>`
+        )
+      : renderPage(
+          400,
+          "Invalid Link",
+          `<h1>Invalid link</h1><p class="error">This confirmation link is invalid. Please use the link from your email.</p>`
+        );
+  }
+
+  if (event.httpMethod !== "POST") {
+    const action = `?${new URLSearchParams({ e: qs.e, exp: qs.exp, sig: qs.sig }).toString()}`;
+    return renderPage(
+      200,
+      "Confirm your subscription",
+      `
+        <h1>Confirm your subscription</h1>
+        <p><span class="email">${escapeHtml(link.email)}</span></p>
+        <form method="POST" action="${escapeHtml(action)}">
+          <button type="submit">Yes, sign me up</button>
+        </form>
+      `
+    );
+  }
+
+  try {
+    const result = await emailOptIn.confirm(link.email);
+
+    if (result.status === "expired") {
+      return renderPage(
+        410,
+        "Link Expired",
+        `<h1>This signup has expired</h1><p>Please ${RESUBSCRIBE_LINK} and we'll send a fresh confirmation email.</p>`
+      );
+    }
+
+    console.log("confirm-subscription:", result.status, result.id || "");
+    return renderPage(
+      200,
+      "Subscription confirmed",
+      `
+        <div class="success">✓</div>
+        <h1>You're in!</h1>
+        <p><span class="email">${escapeHtml(link.email)}</span></p>
+        <p>${result.status === "already-confirmed" ? "This email was already confirmed." : result.referral ? "Thanks for confirming. Your mate gets the credit for inviting you." : "Thanks for confirming. Your first email is on its way soon."}</p>
+        <p style="margin-top: 30px; font-size: 14px;">
+          <a href="https://matesinvest.com/mates-summaries">Head to MatesFeed</a>
+        </p>
+      `
+    );
+  } catch (err) {
+    console.error("confirm-subscription error", err && err.message);
+    return renderPage(
+      500,
+      "Error",
+      `<h1>Error</h1><p class="error">An unexpected error occurred. Please try again later.</p>`
+    );
+  }
+};
@@ -0,0 +1,115 @@
+// netlify/functions/corporate-actions.js
+//
+// Splits, consolidations and code changes recorded in lib/corporate-actions.js.
+//
+// Read (public):
+//   GET /.netlify/functions/corporate-actions?code=XYZ                 -> events for one code
+//   GET /.netlify/functions/corporate-actions?from=YYYY-MM-DD&to=...   -> events effective in range
+//                                                                         (default: last 30 days)
+// Record (admin), for events the fundamentals / bulk splits feeds miss:
+//   POST /.netlify/functions/corporate-actions
+//     { "type": "consolidation", "code": "XYZ", "date": "2026-10-20", "factor": "1:10" }
+//     { "type": "split", "code": "XYZ", "date": "2026-10-20", "ratio": 2 }
+//     { "type": "code-change", "fromCode": "OLD", "toCode": "NEW", "date": "2026-10-20" }
+//   date = first trading day on the new basis / under the new code.
+
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const corporateActions = require("./lib/corporate-actions");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+const CODE_RE = /^[A-Z0-9]{1,6}$/;
+
+function json(statusCode, body, cacheControl = "no-store") {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": cacheControl },
+    body: JSON.stringify(body),
+  };
+}
+
+function cleanCode(v) {
+  return String(v || "")
+    .replace(/\.[A-Z0-9]{1,6}$/i, "")
+    .toUpperCase();
+}
+
+// Admin body -> event, or { error }.
+function eventFromBody(body) {
+  const type = String(body.type || "");
+  const date = String(body.date || "");
+  if (!corporateActions.TYPES.includes(type)) {
+    return { error: `type must be one of ${corporateActions.TYPES.join(", ")}` };
+  }
+  if (!YMD_RE.test(date)) return { error: "date must be YYYY-MM-DD" };
+
+  if (type === "code-change") {
+    const fromCode = cleanCode(body.fromCode);
+    const toCode = cleanCode(body.toCode || body.code);
+    if (!CODE_RE.test(fromCode) || !CODE_RE.test(toCode) || fromCode === toCode) {
+      return { error: "code-change needs distinct fromCode and toCode" };
+    }
+    return { event: corporateActions.codeChangeEvent(fromCode, toCode, date, "admin") };
+  }
+
+  const code = cleanCode(body.code);
+  if (!CODE_RE.test(code)) return { error: "code is required" };
+  const ratio = body.ratio !== undefined ? Number(body.ratio) : corporateActions.parseSplitFactor(body.factor);
+  if (!(ratio > 0) || ratio === 1) return { error: "ratio (new shares per old) or factor (e.g. \"1:10\") is required" };
+  if ((type === "split") !== ratio > 1) {
+    return { error: `a ${type} needs a ratio ${type === "split" ? "above" : "below"} 1` };
+  }
+  const event = corporateActions.splitEvent(code, date, body.factor !== undefined ? String(body.factor) : ratio, "admin");
+  return { event: { ...event, ratio: Number(ratio.toPrecision(10)) } };
+}
+
+exports.handler = async function (event) {
+  const method = event.httpMethod || "GET";
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  try {
+    if (method === "POST") {
+      const denied = await requireAdmin(event, "corporate-actions");
+      if (denied) return denied;
+
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return json(400, { error: "Invalid JSON body" });
+      }
+      const { event: ev, error } = eventFromBody(body || {});
+      if (error) return json(400, { error });
+
+      const added = await corporateActions.recordEvents([ev]);
+      return json(200, { ok: true, recorded: added, duplicate: added.length === 0 });
+    }
+
+    if (method !== "GET") return json(405, { error: "Method not allowed" });
+
+    const qs = event.queryStringParameters || {};
+    if (qs.code) {
+      const code = cleanCode(qs.code);
+      if (!CODE_RE.test(code)) return json(400, { error: "Invalid ?code=" });
+      return json(200, { code, events: await corporateActions.getEvents(code) }, "public, max-age=600");
+    }
+
+    for (const param of ["from", "to"]) {
+      if (qs[param] && !YMD_RE.test(qs[param])) {
+        return json(400, { error: `Invalid ?${param}= (expected YYYY-MM-DD)` });
+      }
+    }
+    const to = qs.to || calendar.sydneyDateString();
+    const from = qs.from || calendar.addDays(to, -30);
+    // listBetween excludes its lower bound
+    const events = await corporateActions.listBetween(calendar.addDays(from, -1), to);
+    return json(200, { from, to, count: events.length, events }, "public, max-age=600");
+  } catch (err) {
+    console.error("corporate-actions error", err && err.message);
+    return json(500, { error: err.message });
+  }
+};
@@ -8,8 +8,20 @@
 //
 // Also includes "Top pages (Yesterday)" with both visit and session metrics using:
 //   mates:analytics:day:YYYY-MM-DD:pathstats
+//
+// Double opt-in confirm rate (lib/email-optin.js): email:optin:day:YYYY-MM-DD
+//
+// Email engagement (lib/email-engagement.js): opens / clicks by link / unsubscribes per
+// recent issue against the send ledger, and signup-month cohort retention.
+//
+// Deliverability (resend-webhook.js, lib/email-suppression.js): email:events:day:YYYY-MM-DD
+// delivered / bounced / complained / delayed, plus the suppression list size.
 
 const fetch = (...args) => global.fetch(...args);
+const calendar = require("./lib/market-calendar");
+const emailOptIn = require("./lib/email-optin");
+const engagement = require("./lib/email-engagement");
+const suppression = require("./lib/email-suppression");
 
 const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
 const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
@@ -33,18 +45,8 @@ function assertEnv() {
   if (missing.length) throw new Error("Missing env vars: " + missing.join(", "));
 }
 
-// AEST = UTC+10 (no DST handling). Matches your tracking function approach.
-function toAESTDate(ts = Date.now()) {
-  const d = new Date(ts + 10 * 60 * 60 * 1000);
-  return d.toISOString().slice(0, 10); // YYYY-MM-DD
-}
-
-function addDaysYYYYMMDD(day, delta) {
-  const [y, m, d] = day.split("-").map(Number);
-  const utc = Date.UTC(y, m - 1, d);
-  const next = new Date(utc + delta * 24 * 60 * 60 * 1000);
-  return next.toISOString().slice(0, 10);
-}
+// Day keys are Australia/Sydney calendar dates, same as the tracking functions.
+const addDaysYYYYMMDD = calendar.addDays;
 
 function startOfMonth(day) {
   return day.slice(0, 8) + "01";
@@ -157,8 +159,8 @@ exports.handler = async function () {
   try {
     assertEnv();
 
-    const todayAEST = toAESTDate(Date.now());
-    const yesterday = addDaysYYYYMMDD(todayAEST, -1);
+    const todaySydney = calendar.sydneyDateString();
+    const yesterday = addDaysYYYYMMDD(todaySydney, -1);
 
     const mtdStart = startOfMonth(yesterday);
     const ytdStart = startOfYear(yesterday);
@@ -182,12 +184,13 @@ exports.handler = async function () {
     const pathsKey = (day) => `mates:analytics:day:${day}:paths`;
     const pathStatsKey = (day) => `mates:analytics:day:${day}:pathstats`;
     const emailClicksKey = (day) => `email:clicks:day:${day}`;
+    const emailOpensKey = (day) => `email:opens:day:${day}`;
 
     // Fetch:
     // - yesterday totals
     // - yesterday per-path stats
     // - subscriber counts (current)
-    // - email clicks (yesterday)
+    // - email clicks + opens (yesterday)
     // - MTD totals
     // - YTD totals
     // - unique subscribers across both lists (SUNIONSTORE → returns count)
@@ -200,15 +203,30 @@ exports.handler = async function () {
       ["HGETALL", emailClicksKey(yesterday)],
       ["SUNIONSTORE", "tmp:union:subscribers", SUBSCRIBERS_KEY, SUBSCRIBERS_APP_KEY],
       ["DEL", "tmp:union:subscribers"],
+      ["HGETALL", emailOpensKey(yesterday)],
     ];
 
     const mCmd = mtdDays.map((d) => ["HGETALL", dayKey(d)]);
     const ytdCmd = ytdDays.map((d) => ["HGETALL", dayKey(d)]);
 
-    const [yRes, mRes, ytdRes] = await Promise.all([
+    // Engagement is best-effort: the rest of the summary still goes out without it
+    const [yRes, mRes, ytdRes, yOptIn, mOptIn, issueReports, retention, yEvents, mEvents, suppressedTotal] = await Promise.all([
       upstashPipeline(yCmd),
       upstashPipeline(mCmd),
       upstashPipeline(ytdCmd),
+      emailOptIn.getOptInStats([yesterday]),
+      emailOptIn.getOptInStats(mtdDays),
+      engagement.recentReports({ limit: 10 }).catch((err) => {
+        console.warn("engagement reports failed", err && err.message);
+        return [];
+      }),
+      engagement.cohortRetention().catch((err) => {
+        console.warn("cohort retention failed", err && err.message);
+        return null;
+      }),
+      suppression.getEventStats([yesterday]),
+      suppression.getEventStats(mtdDays),
+      suppression.suppressedCount(),
     ]);
 
     const yObj = hgetallArrayToObject(yRes?.[0]?.result);
@@ -220,6 +238,7 @@ exports.handler = async function () {
     const subscribersAppCount = Number(yRes?.[4]?.result || 0);
     
     const emailClicksObj = hgetallArrayToObject(yRes?.[5]?.result); // email click tracking
+    const emailOpensObj = hgetallArrayToObject(yRes?.[8]?.result); // email open pixel
 
     const uniqueSubscribersCount = Number(yRes?.[6]?.result || 0);
 
@@ -289,13 +308,119 @@ exports.handler = async function () {
           </tr>
         `;
 
+    // Confirm rate = confirmations / confirmation emails sent in the same period
+    // (a signup late in the period may confirm in the next one, so MTD is the steadier number)
+    const optInRow = (label, stats, last) => `
+          <tr>
+            <td style="padding:8px;${last ? "" : "border-bottom:1px solid #f5f5f5;"}"><b>${label}</b></td>
+            <td style="text-align:right;padding:8px;${last ? "" : "border-bottom:1px solid #f5f5f5;"}">${stats.requested}</td>
+            <td style="text-align:right;padding:8px;${last ? "" : "border-bottom:1px solid #f5f5f5;"}">${stats.confirmed}</td>
+            <td style="text-align:right;padding:8px;${last ? "" : "border-bottom:1px solid #f5f5f5;"}">${pct(stats.confirmed, stats.requested)}</td>
+          </tr>`;
+
+    const optInHtml =
+      emailOptIn.isDoubleOptInEnabled() || mOptIn.requested > 0
+        ? `
+        <h3 style="margin:18px 0 8px;">Double Opt-in</h3>
+        <table style="border-collapse:collapse;width:100%;max-width:640px;">
+          <tr>
+            <th style="text-align:left;padding:8px;border-bottom:1px solid #eee;">Period</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Confirmations Sent</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Confirmed</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Confirm Rate</th>
+          </tr>
+          ${optInRow("Yesterday", yOptIn, false)}
+          ${optInRow("Month-to-date", mOptIn, true)}
+        </table>
+        <p style="margin:6px 0 0;color:#6b7280;font-size:12px;">Pending (unconfirmed, not yet expired): <b>${mOptIn.pending}</b></p>
+      `
+        : "";
+
+    // Per-issue engagement (newest first) + top links of the latest issue
+    const cell = "padding:8px;border-bottom:1px solid #f5f5f5;";
+    const numCell = `text-align:right;${cell}`;
+    const issueRowsHtml = issueReports.length
+      ? issueReports
+          .map(
+            (r) => `
+              <tr>
+                <td style="${cell}"><b>${r.issueId}</b></td>
+                <td style="${numCell}">${r.sent}</td>
+                <td style="${numCell}">${r.uniqueOpens} (${r.openRate}%)</td>
+                <td style="${numCell}">${r.uniqueClicks} (${r.clickRate}%)</td>
+                <td style="${numCell}">${r.clickToOpenRate}%</td>
+                <td style="${numCell}">${r.unsubscribes} (${r.unsubscribeRate}%)</td>
+              </tr>`
+          )
+          .join("")
+      : `
+          <tr>
+            <td colspan="6" style="padding:8px;color:#666;">No issues in the send ledger yet.</td>
+          </tr>`;
+
+    const latestIssue = issueReports[0];
+    const topLinksHtml =
+      latestIssue && latestIssue.links.length
+        ? `
+        <p style="margin:10px 0 4px;color:#444;font-size:13px;">Top links — <b>${latestIssue.issueId}</b></p>
+        <table style="border-collapse:collapse;width:100%;max-width:640px;">
+          ${latestIssue.links
+            .slice(0, 5)
+            .map((l) => `<tr><td style="${cell}">${l.link}</td><td style="${numCell}">${l.clicks}</td></tr>`)
+            .join("")}
+        </table>`
+        : "";
+
+    // Cohort retention: % of each signup month's recipients who opened / clicked that week
+    const retentionHtml =
+      retention && retention.cohorts.length
+        ? `
+        <h3 style="margin:18px 0 8px;">Email Retention by Signup Month</h3>
+        <table style="border-collapse:collapse;width:100%;max-width:800px;">
+          <tr>
+            <th style="text-align:left;padding:8px;border-bottom:1px solid #eee;">Cohort</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Recipients</th>
+            ${retention.weeks
+              .map((w) => `<th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">wk ${w.slice(5)}</th>`)
+              .join("")}
+          </tr>
+          ${retention.cohorts
+            .map(
+              (c) => `
+          <tr>
+            <td style="${cell}"><b>${c.cohort}</b></td>
+            <td style="${numCell}">${c.members}</td>
+            ${c.cells.map((x) => `<td style="${numCell}">${x ? `${x.pct}%` : "—"}</td>`).join("")}
+          </tr>`
+            )
+            .join("")}
+        </table>
+        <p style="margin:6px 0 0;color:#6b7280;font-size:12px;">Share of each cohort's recipients that week who opened or clicked anything (weeks start Monday, Sydney time).</p>`
+        : "";
+
+    // Deliverability from Resend webhooks (bounced = hard bounces, which are suppressed)
+    const eventsRow = (label, ev, last) => {
+      const c = last ? "padding:8px;" : cell;
+      const n = `text-align:right;${c}`;
+      return `
+          <tr>
+            <td style="${c}"><b>${label}</b></td>
+            <td style="${n}">${ev.delivered}</td>
+            <td style="${n}">${ev.bounced} (${pct(ev.bounced, ev.delivered + ev.bounced)})</td>
+            <td style="${n}">${ev.soft_bounced}</td>
+            <td style="${n}">${ev.complained} (${pct(ev.complained, ev.delivered)})</td>
+            <td style="${n}">${ev.delayed}</td>
+            <td style="${n}">${ev.suppressed}</td>
+          </tr>`;
+    };
+
     const to = ANALYTICS_EMAIL_TO.split(",").map((s) => s.trim()).filter(Boolean);
-    const subject = `MatesInvest Daily Analytics — ${yesterday} (AEST)`;
+    const subject = `MatesInvest Daily Analytics — ${yesterday} (Sydney time)`;
 
     const html = `
       <div style="font-family: -apple-system, Segoe UI, Roboto, Arial, sans-serif; line-height:1.4;">
         <h2 style="margin:0 0 12px;">MatesInvest Daily Analytics</h2>
-        <p style="margin:0 0 10px;color:#444;">Date: <b>${yesterday}</b> (AEST)</p>
+        <p style="margin:0 0 10px;color:#444;">Date: <b>${yesterday}</b> (Sydney time)</p>
 
         <div style="margin:0 0 20px;padding:12px 16px;border:2px solid #6366f1;border-radius:10px;max-width:640px;background:#f5f3ff;">
           <div style="color:#4f46e5;font-weight:700;font-size:13px;">Total Unique Subscribers (Combined Lists)</div>
@@ -403,12 +528,18 @@ exports.handler = async function () {
           ${pagesRowsHtml}
         </table>
 
+        ${optInHtml}
+
         <h3 style="margin:18px 0 8px;">Email Click Tracking (Yesterday)</h3>
         <table style="border-collapse:collapse;width:100%;max-width:640px;">
           <tr>
             <th style="text-align:left;padding:8px;border-bottom:1px solid #eee;">Metric</th>
             <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Count</th>
           </tr>
+          <tr>
+            <td style="padding:8px;border-bottom:1px solid #f5f5f5;">Total Opens</td>
+            <td style="text-align:right;padding:8px;border-bottom:1px solid #f5f5f5;">${emailOpensObj.total_opens || 0}</td>
+          </tr>
           <tr>
             <td style="padding:8px;border-bottom:1px solid #f5f5f5;">Total Clicks</td>
             <td style="text-align:right;padding:8px;border-bottom:1px solid #f5f5f5;">${emailClicksObj.total_clicks || 0}</td>
@@ -431,8 +562,42 @@ exports.handler = async function () {
           </tr>
         </table>
 
+        <h3 style="margin:18px 0 8px;">Email Deliverability</h3>
+        <table style="border-collapse:collapse;width:100%;max-width:800px;">
+          <tr>
+            <th style="text-align:left;padding:8px;border-bottom:1px solid #eee;">Period</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Delivered</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Hard Bounces</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Soft Bounces</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Complaints</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Delayed</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Suppressed</th>
+          </tr>
+          ${eventsRow("Yesterday", yEvents, false)}
+          ${eventsRow("Month-to-date", mEvents, true)}
+        </table>
+        <p style="margin:6px 0 0;color:#6b7280;font-size:12px;">Suppression list (never emailed again): <b>${suppressedTotal}</b> addresses (<code>${suppression.SUPPRESSED_KEY}</code>)</p>
+
+        <h3 style="margin:18px 0 8px;">Email Engagement (Recent Issues)</h3>
+        <table style="border-collapse:collapse;width:100%;max-width:800px;">
+          <tr>
+            <th style="text-align:left;padding:8px;border-bottom:1px solid #eee;">Issue</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Sent</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Opened</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Clicked</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Click-to-open</th>
+            <th style="text-align:right;padding:8px;border-bottom:1px solid #eee;">Unsubscribed</th>
+          </tr>
+          ${issueRowsHtml}
+        </table>
+        <p style="margin:6px 0 0;color:#6b7280;font-size:12px;">Opened includes recipients who clicked with images off. Scanners and prefetches are excluded.</p>
+        ${topLinksHtml}
+
+        ${retentionHtml}
+
         <p style="margin:16px 0 0;color:#666;font-size:12px;">
-          Source: Upstash keys mates:analytics:day:YYYY-MM-DD (AEST day boundary).
+          Source: Upstash keys mates:analytics:day:YYYY-MM-DD (Australia/Sydney day boundary).
+          Any date range, live: <a href="https://matesinvest.com/analytics-dashboard.html">analytics dashboard</a> (admin token required).
         </p>
       </div>
     `;
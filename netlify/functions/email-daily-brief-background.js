@@ -3,18 +3,28 @@
 // Triggered by email-daily-brief "kicker" scheduled function.
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const emailLists = require("./lib/email-lists");
+const emailPrefs = require("./lib/email-preferences");
+const sendLedger = require("./lib/send-ledger");
+const tpl = require("./lib/email-template");
+const emailSections = require("./lib/email-sections");
 
 // Import existing functions so we reuse their logic
 const morningBriefFn = require("./morning-brief");
 const matesMorningNoteFn = require("./matesMorningNote");
 
 exports.handler = async function (event) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+  // Only the scheduled kicker (signed request) or an admin bearer token may trigger a send.
+  const denied = await requireAdmin(event, "email-daily-brief-background");
+  if (denied) return denied;
+
   const RESEND_API_KEY = process.env.RESEND_API_KEY;
   const EMAIL_FROM = process.env.EMAIL_FROM || "hello@matesinvest.com";
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     console.error("Upstash not configured");
     return { statusCode: 500, body: "Upstash not configured" };
   }
@@ -28,24 +38,10 @@ exports.handler = async function (event) {
   }
 
   // --- Helpers ---
-  async function fetchWithTimeout(url, opts = {}, timeout = 9000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(id);
-      return res;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
-    }
-  }
-
   function getAestDate(baseDate = new Date()) {
-    // Australia/Brisbane: UTC+10, no DST
-    const AEST_OFFSET_MINUTES = 10 * 60;
-    const aest = new Date(baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-    return aest;
+    // Australia/Sydney wall clock (AEST/AEDT) expressed as a shifted UTC Date
+    const offsetMinutes = calendar.sydneyOffsetMinutes(baseDate);
+    return new Date(baseDate.getTime() + offsetMinutes * 60 * 1000);
   }
 
   function formatAestForSubject(date) {
@@ -59,81 +55,25 @@ exports.handler = async function (event) {
   }
 
   async function getSubscribers() {
-    const key = "email:subscribers";
-    const url = `${UPSTASH_URL}/smembers/` + encodeURIComponent(key);
-
-    const res = await fetchWithTimeout(
-      url,
-      {
-        headers: {
-          Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        },
-      },
-      8000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("smembers subscribers failed", res.status, txt);
+    const members = await upstash.smembers("email:subscribers").catch((err) => {
+      console.warn("smembers subscribers failed", err && err.message);
       return [];
-    }
-
-    const j = await res.json().catch(() => null);
-    if (!j || !Array.isArray(j.result)) return [];
-    return j.result.filter((e) => typeof e === "string" && e.includes("@"));
+    });
+    return members.filter((e) => typeof e === "string" && e.includes("@"));
   }
 
   async function redisGet(key) {
-    const url = `${UPSTASH_URL}/get/` + encodeURIComponent(key);
-    const res = await fetchWithTimeout(
-      url,
-      {
-        headers: {
-          Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        },
-      },
-      5000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisGet failed", key, res.status, txt);
+    try {
+      return await upstash.get(key);
+    } catch (err) {
+      console.warn("redisGet failed", key, err && err.message);
       return null;
     }
-
-    const j = await res.json().catch(() => null);
-    return j ? j.result : null;
   }
 
-  async function redisSet(key, value, ttlSeconds) {
-    let url =
-      `${UPSTASH_URL}/set/` +
-      encodeURIComponent(key) +
-      "/" +
-      encodeURIComponent(value);
-    if (ttlSeconds && Number.isFinite(ttlSeconds)) {
-      url += `?EX=${ttlSeconds}`;
-    }
-
-    const res = await fetchWithTimeout(
-      url,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        },
-      },
-      5000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisSet failed", key, res.status, txt);
-    }
-  }
-
-  // Send email to one or multiple recipients
-  async function sendEmail(to, subject, html, email) {
+  // Send email to one or multiple recipients.
+  // Returns the Resend message id. idempotencyKey makes a retried send a no-op at Resend.
+  async function sendEmail(to, subject, { html, text }, userId, idempotencyKey, issueId = null) {
     const toList = Array.isArray(to) ? to : [to];
 
     const res = await fetch("https://api.resend.com/emails", {
@@ -141,36 +81,27 @@ exports.handler = async function (event) {
       headers: {
         Authorization: `Bearer ${RESEND_API_KEY}`,
         "Content-Type": "application/json",
+        ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
       },
       body: JSON.stringify({
         from: `MatesInvest <${EMAIL_FROM}>`,
         to: toList,
         subject,
         html,
+        text,
         reply_to: EMAIL_FROM,
-        headers: {
-          "List-Unsubscribe": `<https://matesinvest.com/.netlify/functions/unsubscribe?email=${encodeURIComponent(email)}>`,
-        },
+        headers: emailLists.listUnsubscribeHeaders(userId, "daily", issueId),
       }),
     });
 
     if (!res.ok) {
       const txt = await res.text().catch(() => "");
       console.error("Resend send failed", res.status, txt);
-      throw new Error("Failed to send email");
+      throw new Error(`Resend ${res.status}: ${txt.slice(0, 200)}`);
     }
-  }
 
-  function formatMoney(n) {
-    if (typeof n !== "number" || !Number.isFinite(n)) return null;
-    try {
-      return n.toLocaleString("en-AU", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-    } catch {
-      return n.toFixed(2);
-    }
+    const data = await res.json().catch(() => ({}));
+    return (data && data.id) || null;
   }
 
   // Get user ID from email
@@ -181,19 +112,6 @@ exports.handler = async function (event) {
     return userId;
   }
 
-  // Create tracking link for email clicks
-  function makeTrackingLink(url, userId, emailType) {
-    if (!userId) return url;
-    const siteUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || process.env.DEPLOY_URL || 'https://matesinvest.com';
-    const trackUrl = `${siteUrl}/.netlify/functions/track-email-click`;
-    const params = new URLSearchParams({
-      uid: userId,
-      type: emailType,
-      url: url,
-    });
-    return `${trackUrl}?${params.toString()}`;
-  }
-
   // Fetch the Mates Morning Note via the existing function
   async function getMorningNote() {
     try {
@@ -210,9 +128,10 @@ exports.handler = async function (event) {
     }
   }
 
-  // Build HTML email from morning-brief payload + morning note
-  function buildEmailHtml(payload, morningNote, userId = null, email = null) {
+  // Build the email ({ html, text }) from morning-brief payload + morning note
+  function buildEmail(payload, morningNote, userId = null, email = null, issueId = null) {
     const aestNow = getAestDate(new Date());
+
     const niceDate = aestNow.toLocaleDateString("en-AU", {
       weekday: "long",
       day: "numeric",
@@ -220,376 +139,40 @@ exports.handler = async function (event) {
       year: "numeric",
     });
 
-    const socialInvestingUrl = 'https://matesinvest.com/social-investing.html';
-    const top = Array.isArray(payload.topPerformers) ? payload.topPerformers : [];
-
-    const metalsObj = payload.metals || payload.symbols || {};
-    const friendlyMetals = {
-      XAU: "Gold",
-      XAG: "Silver",
-      IRON: "Iron Ore 62% Fe",
-      "LITH-CAR": "Lithium Carbonate",
-      NI: "Nickel",
-      URANIUM: "Uranium",
-    };
-
-    // Crypto snapshot (BTC / ETH / SOL / ADA)
-    const cryptoObj =
-      payload.crypto && typeof payload.crypto === "object" ? payload.crypto : {};
-    const cryptoOrder = ["BTC", "ETH", "SOL", "ADA"];
-    const friendlyCrypto = {
-      BTC: "Bitcoin",
-      ETH: "Ethereum",
-      SOL: "Solana",
-      ADA: "Cardano",
-    };
-
-    const topRows = top
-      .map((tp) => {
-        const sym = tp.symbol || tp.code || "";
-        const name = tp.name || "";
-        const last =
-          typeof tp.lastClose === "number" ? "$" + formatMoney(tp.lastClose) : "—";
-        const pct =
-          typeof tp.pctGain === "number"
-            ? tp.pctGain.toFixed(2) + "%"
-            : tp.pctGain
-            ? String(tp.pctGain)
-            : "—";
-        const isUp = typeof tp.pctGain === "number" && tp.pctGain > 0;
-        const isDown = typeof tp.pctGain === "number" && tp.pctGain < 0;
-        const color = isUp ? "#16a34a" : isDown ? "#dc2626" : "#64748b";
-        const arrow = isUp ? "▲" : isDown ? "▼" : "";
-        return `
-        <tr>
-          <td style="padding:8px 6px;font-weight:600;font-size:13px;color:#0b1220;">${sym}</td>
-          <td style="padding:8px 6px;font-size:13px;color:#64748b;">${name}</td>
-          <td style="padding:8px 6px;font-size:13px;text-align:right;color:#0b1220;">${last}</td>
-          <td style="padding:8px 6px;font-size:13px;text-align:right;color:${color};white-space:nowrap;">
-            ${pct !== "—" ? `${arrow} ${pct}` : pct}
-          </td>
-        </tr>
-      `;
-      })
-      .join("");
-
-    const metalsRows = Object.keys(metalsObj)
-      .map((sym) => {
-        const m = metalsObj[sym] || {};
-        const label = friendlyMetals[sym] || sym;
-        const unit = m.unit || (sym === "IRON" ? "tonne" : "unit");
-        const price =
-          typeof m.priceAUD === "number"
-            ? "$" + formatMoney(m.priceAUD) + ` / ${unit}`
-            : "Unavailable";
-        const pct = typeof m.pctChange === "number" ? m.pctChange.toFixed(2) + "%" : "—";
-        const isUp = typeof m.pctChange === "number" && m.pctChange > 0;
-        const isDown = typeof m.pctChange === "number" && m.pctChange < 0;
-        const color = isUp ? "#16a34a" : isDown ? "#dc2626" : "#64748b";
-        const arrow = isUp ? "▲" : isDown ? "▼" : "";
-        return `
-        <tr>
-          <td style="padding:8px 6px;font-size:13px;color:#0b1220;">
-            ${label}
-            <span style="color:#94a3b8;">(${sym})</span>
-          </td>
-          <td style="padding:8px 6px;font-size:13px;text-align:right;color:#0b1220;">${price}</td>
-          <td style="padding:8px 6px;font-size:13px;text-align:right;color:${color};white-space:nowrap;">
-            ${pct !== "—" ? `${arrow} ${pct}` : pct}
-          </td>
-        </tr>
-      `;
-      })
-      .join("");
-
-    const cryptoRows = cryptoOrder
-      .filter((sym) => cryptoObj[sym])
-      .map((sym) => {
-        const c = cryptoObj[sym] || {};
-        const label = friendlyCrypto[sym] || sym;
-        const unit = (c.unit || "coin").toString().trim() || "coin";
-
-        const price =
-          typeof c.priceAUD === "number"
-            ? "$" + formatMoney(c.priceAUD) + ` / ${unit}`
-            : "Unavailable";
-
-        const pctVal =
-          typeof c.pctChange === "number" && Number.isFinite(c.pctChange)
-            ? c.pctChange
-            : null;
-        const pct = pctVal !== null ? pctVal.toFixed(2) + "%" : "—";
-
-        const isUp = pctVal !== null && pctVal > 0;
-        const isDown = pctVal !== null && pctVal < 0;
-
-        const color = isUp ? "#16a34a" : isDown ? "#dc2626" : "#64748b";
-        const arrow = isUp ? "▲" : isDown ? "▼" : "";
-
-        return `
-        <tr>
-          <td style="padding:8px 6px;font-size:13px;color:#0b1220;">
-            ${label}
-            <span style="color:#94a3b8;">(${sym})</span>
-          </td>
-          <td style="padding:8px 6px;font-size:13px;text-align:right;color:#0b1220;">${price}</td>
-          <td style="padding:8px 6px;font-size:13px;text-align:right;color:${color};white-space:nowrap;">
-            ${pct !== "—" ? `${arrow} ${pct}` : pct}
-          </td>
-        </tr>
-      `;
-      })
-      .join("");
-
-    const sourceNote =
-      payload._debug && payload._debug.metalsDataSource
-        ? `Metals source: ${payload._debug.metalsDataSource}`
-        : "Metals snapshot – not live prices";
-
-    return `
-<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <title>MatesMorning – ASX Briefing</title>
-</head>
-<body style="margin:0;padding:0;background-color:#f5f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background-color:#f5f7fb;padding:24px 0;">
-    <tr>
-      <td align="center">
-        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;background-color:#ffffff;border-radius:18px;overflow:hidden;border:1px solid #e2e8f0;box-shadow:0 10px 30px rgba(15,23,42,0.10);">
-
-          <!-- Header -->
-          <tr>
-            <td style="padding:18px 20px 10px 20px;border-bottom:1px solid #e2e8f0;background:radial-gradient(circle at top left,#e2ebff 0,#f5f7fb 60%);">
-              <div style="display:flex;justify-content:space-between;align-items:flex-start;gap:10px;">
-                <div>
-                  <div style="font-size:12px;color:#64748b;margin-bottom:4px;">
-                    <span style="
-                      display:inline-block;
-                      padding:2px 9px;
-                      border-radius:999px;
-                      background:#e7f7ff;
-                      border:1px solid #c5e5ff;
-                      color:#083a59;
-                      font-size:11px;
-                      font-weight:600;
-                    ">
-                      MatesInvest · MatesMorning
-                    </span>
-                  </div>
-                  <h1 style="margin:2px 0 2px 0;font-size:19px;color:#002040;">
-                    ASX Morning Briefing
-                  </h1>
-                  <div style="font-size:13px;color:#64748b;">
-                    ${niceDate}
-                  </div>
-                </div>
-                <div style="text-align:right;font-size:11px;color:#94a3b8;line-height:1.4;max-width:160px;">
-                  Built for Australian retail investors.<br/>
-                  Short, plain-English, not financial advice.
-                </div>
-              </div>
-            </td>
-          </tr>
-
-          <!-- Founding 500 CTA -->
-          <tr>
-            <td style="padding:16px 20px 16px 20px;border-bottom:1px solid #e2e8f0;">
-              <div style="
-                background:#f0f9ff;
-                border:1px solid #bae6fd;
-                padding:16px 18px;
-                border-radius:12px;
-              ">
-                <h2 style="margin:0 0 10px 0;font-size:15px;font-weight:700;color:#002040;">
-                  A quick note before today's markets
-                </h2>
-                <p style="margin:0 0 10px 0;font-size:13px;color:#0b1220;line-height:1.5;">
-                  We're close to establishing the Founding 500 — early users who'll have access to all premium features from the start.
-                </p>
-                <p style="margin:0 0 12px 0;font-size:13px;color:#0b1220;line-height:1.5;">
-                  Because MatesInvest is built for people who invest together, we're prioritising access for those who join with someone else.
-                </p>
-                <p style="margin:0 0 14px 0;font-size:13px;color:#0b1220;line-height:1.5;">
-                  If you're planning to use this with a partner, friend, or family member, now's a good time to loop them in.
-                </p>
-                <a href="${userId ? makeTrackingLink(socialInvestingUrl, userId, 'daily-brief') : socialInvestingUrl}"
-                   style="
-                     display:inline-block;
-                     padding:10px 18px;
-                     background:linear-gradient(180deg, #3b82f6, #2563eb);
-                     color:#ffffff;
-                     text-decoration:none;
-                     border-radius:999px;
-                     font-size:14px;
-                     font-weight:600;
-                     box-shadow:0 4px 12px rgba(37, 99, 235, 0.25);
-                   ">
-                  👉 Invite someone you invest with
-                </a>
-              </div>
-            </td>
-          </tr>
-
-          ${
-            morningNote
-              ? `
-          <tr>
-            <td style="padding:14px 20px 4px 20px;">
-              <h2 style="margin:0 0 4px 0;font-size:14px;color:#002040;">Mates Morning Note</h2>
-              <div style="
-                background:#f9fbff;
-                border:1px solid #dbeafe;
-                padding:10px 14px;
-                border-radius:12px;
-                font-size:13px;
-                line-height:1.45;
-                color:#0b1220;
-              ">
-                ${morningNote.replace(/\n/g, "<br/>")}
-              </div>
-              <div style="margin-top:6px;font-size:11px;color:#94a3b8;">
-                Updated 6:00am AEST · Not financial advice
-              </div>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          ${
-            top.length
-              ? `
-          <tr>
-            <td style="padding:14px 20px 6px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Yesterday's Top Performers</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Code</th>
-                    <th align="left" style="padding:6px 6px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Name</th>
-                    <th align="right" style="padding:6px 6px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Close</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Move</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${topRows}
-                </tbody>
-              </table>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          ${
-            metalsRows
-              ? `
-          <tr>
-            <td style="padding:10px 20px 8px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Key Commodities</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Commodity</th>
-                    <th align="right" style="padding:6px 6px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Price (AUD)</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">1D</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${metalsRows}
-                </tbody>
-              </table>
-              <div style="margin-top:6px;font-size:11px;color:#94a3b8;">
-                ${sourceNote}. Not financial advice.
-              </div>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          ${
-            cryptoRows
-              ? `
-          <tr>
-            <td style="padding:4px 20px 14px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Crypto snapshot</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Asset</th>
-                    <th align="right" style="padding:6px 6px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Price (AUD)</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">1D</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${cryptoRows}
-                </tbody>
-              </table>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          <tr>
-            <td style="padding:18px 20px 8px 20px;">
-              <div style="background:#f9fbff;border:1px solid #dbeafe;padding:14px;border-radius:12px;">
-                <h3 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Invite a mate</h3>
-                <p style="margin:0 0 10px 0;font-size:12px;color:#64748b;line-height:1.4;">
-                  Know someone who would enjoy the MatesMorning Daily Briefing?
-                  Send them this link to subscribe:
-                </p>
-
-                <a href="${userId ? makeTrackingLink('https://matesinvest.com/mates-summaries#subscribe', userId, 'daily-brief') : 'https://matesinvest.com/mates-summaries#subscribe'}"
-                   style="
-                     display:inline-block;
-                     padding:8px 14px;
-                     background:#00BFFF;
-                     color:#ffffff;
-                     text-decoration:none;
-                     border-radius:999px;
-                     font-size:13px;
-                     font-weight:600;
-                   ">
-                  Subscribe to MatesMorning
-                </a>
-              </div>
-            </td>
-          </tr>
-
-          <tr>
-            <td style="padding:12px 20px 18px 20px;border-top:1px solid #e2e8f0;background-color:#ffffff;">
-              <p style="margin:0 0 6px 0;font-size:12px;color:#64748b;">
-                View the live version and full AI summaries on
-                <a href="${userId ? makeTrackingLink('https://matesinvest.com/mates-summaries', userId, 'daily-brief') : 'https://matesinvest.com/mates-summaries'}" style="color:#00BFFF;text-decoration:none;font-weight:600;">
-                  MatesFeed
-                </a>.
-              </p>
-              <p style="margin:0;font-size:11px;color:#94a3b8;">
-                This email is general information only and is not financial advice.
-              </p>
-              ${userId ? `<p style="margin:8px 0 0 0;font-size:10px;color:#cbd5e1;">Subscriber ID: ${userId}</p>` : ''}
-            </td>
-          </tr>
-        </table>
-
-        <div style="max-width:640px;margin-top:8px;font-size:10px;color:#94a3b8;text-align:center;">
-          <p style="margin:0 0 4px 0;">You're receiving this because you subscribed to the MatesInvest daily briefing.</p>
-          ${email ? `<p style="margin:0;">
-            <a href="https://matesinvest.com/.netlify/functions/unsubscribe?email=${encodeURIComponent(email)}" style="color:#94a3b8;text-decoration:underline;">
-              Unsubscribe
-            </a>
-          </p>` : ''}
-        </div>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
+    return tpl.render({
+      title: "MatesMorning – ASX Briefing",
+      userId,
+      emailType: "daily-brief",
+      issueId,
+      list: "daily",
+      reason: "You're receiving this because you subscribed to the MatesInvest daily briefing.",
+      showUnsubscribe: !!email,
+      rows: [
+        tpl.header({ heading: "ASX Morning Briefing", subheading: niceDate }),
+        // Founding 500 CTA
+        tpl.ctaBlock({
+          tone: "sky",
+          padding: "16px 20px 16px 20px",
+          title: "A quick note before today's markets",
+          body: [
+            "We're close to establishing the Founding 500 — early users who'll have access to all premium features from the start.",
+            "Because MatesInvest is built for people who invest together, we're prioritising access for those who join with someone else.",
+            "If you're planning to use this with a partner, friend, or family member, now's a good time to loop them in.",
+          ],
+          href: "https://matesinvest.com/social-investing.html",
+          label: "👉 Invite someone you invest with",
+        }),
+        tpl.noteSection({
+          title: "Mates Morning Note",
+          body: morningNote,
+          captionText: "Updated 6:00am AEST · Not financial advice",
+        }),
+        ...emailSections.morningMarketSections(payload),
+        tpl.inviteBlock({
+          body: "Know someone who would enjoy the MatesMorning Daily Briefing? Send them this link to subscribe:",
+        }),
+      ],
+    });
   }
 
   try {
@@ -603,14 +186,14 @@ exports.handler = async function (event) {
     } catch (_) {}
 
     // -----------------------------------------
-    // Date-based key prefix for per-recipient locks
+    // Issue id for the send ledger (lib/send-ledger.js)
     // -----------------------------------------
     const aestNowForKey = getAestDate(new Date());
     const yyyy = aestNowForKey.getFullYear();
     const mm = String(aestNowForKey.getMonth() + 1).padStart(2, "0");
     const dd = String(aestNowForKey.getDate()).padStart(2, "0");
-    const sendKeyPrefix = `email:daily:${yyyy}-${mm}-${dd}`;
-    const perRecipientTtlSeconds = 60 * 60 * 72; // 72h
+    // Shared with the other daily sender, so the two never double up on one morning.
+    const issueId = `daily:${yyyy}-${mm}-${dd}`;
 
     // 1) Get the morning brief payload by calling the existing handler
     const mbResponse = await morningBriefFn.handler(
@@ -647,40 +230,58 @@ exports.handler = async function (event) {
     const subjectDate = formatAestForSubject(new Date());
     const subject = `MatesMorning – ASX Briefing for ${subjectDate}`;
 
-    // 5) Send one email per recipient, with per-recipient idempotency keys
+    // 5) Send one email per recipient; the ledger lets a rerun resume where this one stopped
+    const ledger = await sendLedger.openIssue(issueId, {
+      kind: "daily",
+      subject,
+      totalRecipients: subscribers.length,
+    });
+
     let sentCount = 0;
     let skippedCount = 0;
+    let filteredCount = 0;
+    let failedCount = 0;
 
     for (const email of subscribers) {
-      const personKey = `${sendKeyPrefix}:${email}`;
-      const already = await redisGet(personKey);
-      if (already) {
+      if (!sendLedger.shouldSend(ledger, email)) {
         skippedCount++;
         continue;
       }
 
+      let userId = null;
       try {
         // Get userId for this subscriber
-        const userId = await getUserId(email);
-        
-        // Build HTML with userId for tracking
-        const html = buildEmailHtml(payload, morningNote, userId, email);
-        
-        await sendEmail(email, subject, html, email);
+        userId = await getUserId(email);
+        // Respect the subscriber's preferences (daily switched off / weekly cap reached)
+        const prefs = await emailPrefs.getPreferences(userId);
+        if (!emailPrefs.canSend(prefs, "daily")) {
+          filteredCount++;
+          await sendLedger.record(issueId, ledger, [{ email, userId, status: "filtered" }]);
+          continue;
+        }
+
+        // Build HTML + text with userId for tracking
+        const { html, text } = buildEmail(payload, morningNote, userId, email, issueId);
+
+        const messageId = await sendEmail(email, subject, { html, text }, userId, sendLedger.issueKey(issueId, email), issueId);
         sentCount += 1;
-
-        await redisSet(personKey, "sent", perRecipientTtlSeconds);
+        await sendLedger.record(issueId, ledger, [{ email, userId, status: "sent", messageId }]);
+        await emailPrefs.recordSends([userId]);
 
         // Keep this — background function can afford it, and it helps avoid 429s.
         await sleep(300);
       } catch (err) {
+        failedCount++;
         console.error("Failed sending to", email, err && err.message);
+        await sendLedger.record(issueId, ledger, [{ email, userId, status: "failed", error: err && err.message }]);
       }
     }
 
-    console.log(`Daily brief ${sendKeyPrefix} – sent to ${sentCount} subscribers (skipped ${skippedCount} already sent, total retrieved: ${subscribers.length})`);
-
-    return { statusCode: 200, body: `Sent to ${sentCount} subscribers (skipped ${skippedCount}, total: ${subscribers.length})` };
+    await sendLedger.closeIssue(issueId, ledger);
+    console.log(
+      `Daily brief ${issueId} – sent to ${sentCount} subscribers (skipped ${skippedCount} already sent, ${filteredCount} filtered by preferences, ${failedCount} failed, total retrieved: ${subscribers.length})`
+    );
+    return { statusCode: 200, body: `Sent to ${sentCount} subscribers (skipped ${skippedCount}, failed ${failedCount}, total: ${subscribers.length})` };
   } catch (err) {
     console.error(
       "email-daily-brief-background error",
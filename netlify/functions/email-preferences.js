@@ -0,0 +1,96 @@
+// netlify/functions/email-preferences.js
+// Read / update a subscriber's email preferences (lib/email-preferences.js).
+//
+// Auth: the signed link from our emails (?uid=MI...&token=...), or an admin
+// request (see lib/admin-auth.js) with just ?uid=MI...
+//
+// Usage:
+//  GET  /.netlify/functions/email-preferences?uid=MI0000001&token=...
+//    -> { uid, preferences: { daily, quiz, weekly, weekAhead, maxPerWeek, sentThisWeek, ... }, lists }
+//
+//  POST /.netlify/functions/email-preferences?uid=MI0000001&token=...
+//    { "weekly": false, "quiz": false, "maxPerWeek": 3 }
+//    -> same shape as GET, after the update. Only the fields supplied are changed.
+
+const upstash = require("./lib/upstash");
+const emailLists = require("./lib/email-lists");
+const emailPrefs = require("./lib/email-preferences");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+};
+
+function json(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "GET" && event.httpMethod !== "POST") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const qs = event.queryStringParameters || {};
+  const uid = String(qs.uid || "").trim().toUpperCase();
+  const token = String(qs.token || "").trim();
+
+  if (!/^MI\d{7}$/.test(uid)) {
+    return json(400, { error: "Missing or invalid ?uid=MI0000000" });
+  }
+
+  if (token) {
+    if (!emailLists.verifyUnsubscribeToken(uid, token)) {
+      return json(403, { error: "Invalid link" });
+    }
+  } else {
+    const denied = await requireAdmin(event, "email-preferences");
+    if (denied) return denied;
+  }
+
+  try {
+    const email = await upstash.get(`id:email:${uid}`);
+    if (!email) return json(404, { error: "Unknown subscriber" });
+
+    let preferences;
+    if (event.httpMethod === "POST") {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return json(400, { error: "Invalid JSON" });
+      }
+
+      const { updates, errors } = emailPrefs.validateUpdate(body);
+      if (errors.length) return json(400, { error: "Invalid preferences", details: errors });
+
+      preferences = await emailPrefs.updatePreferences(uid, updates);
+      console.log("email-preferences: updated", uid, Object.keys(updates).join(","));
+    } else {
+      preferences = await emailPrefs.getPreferences(uid);
+    }
+
+    const lists = await emailLists.getListStatus(uid, email);
+    return json(200, { uid, preferences, lists });
+  } catch (err) {
+    console.error("email-preferences error", err && err.message);
+    return json(500, { error: "Internal error" });
+  }
+};
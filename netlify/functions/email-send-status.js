@@ -0,0 +1,64 @@
+// netlify/functions/email-send-status.js
+// Admin-only: progress + failures for a newsletter send, from the send ledger
+// (lib/send-ledger.js), plus its opens / clicks / unsubscribes (lib/email-engagement.js).
+//
+// Usage:
+//  GET /.netlify/functions/email-send-status
+//    -> latest issue of any kind, plus the most recent issue ids
+//  GET /.netlify/functions/email-send-status?kind=daily|weekly|week-ahead
+//    -> latest issue of that kind
+//  GET /.netlify/functions/email-send-status?issue=weekly:2026-03-13
+//    -> that issue
+//
+// Response: { issue: { issueId, state, runs, totalRecipients, counts: { sent, failed, filtered },
+//             remaining, progressPct, failures: [{ email, userId, error, attempts, at }], ... },
+//             engagement: { sent, uniqueOpens, openRate, uniqueClicks, clickRate, clickToOpenRate,
+//                           unsubscribes, unsubscribeRate, links: [{ link, clicks }], ... },
+//             recent: [issueId, ...] }
+
+const upstash = require("./lib/upstash");
+const sendLedger = require("./lib/send-ledger");
+const engagement = require("./lib/email-engagement");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const KINDS = new Set(["daily", "weekly", "week-ahead"]);
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+exports.handler = async function (event) {
+  const denied = await requireAdmin(event, "email-send-status");
+  if (denied) return denied;
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const qs = event.queryStringParameters || {};
+  const kind = String(qs.kind || "").trim();
+  if (kind && !KINDS.has(kind)) {
+    return json(400, { error: "Invalid ?kind= (daily, weekly, week-ahead)" });
+  }
+
+  try {
+    const recent = await sendLedger.listIssues({ kind: kind || undefined, limit: 20 });
+    const issueId = String(qs.issue || "").trim() || recent[0];
+    if (!issueId) return json(404, { error: "No sends recorded yet", recent });
+
+    const [issue, report] = await Promise.all([
+      sendLedger.getIssueStatus(issueId),
+      engagement.issueReport(issueId),
+    ]);
+    if (!issue) return json(404, { error: `Unknown issue ${issueId}`, recent });
+
+    return json(200, { issue, engagement: report, recent });
+  } catch (err) {
+    console.error("email-send-status error", err && err.message);
+    return json(500, { error: "Internal error" });
+  }
+};
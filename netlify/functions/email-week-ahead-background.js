@@ -2,26 +2,24 @@
 // Background function: sends the Monday "Week Ahead" email to all subscribers.
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const emailLists = require("./lib/email-lists");
+const emailPrefs = require("./lib/email-preferences");
+const sendLedger = require("./lib/send-ledger");
+const tpl = require("./lib/email-template");
 const weekAheadFn = require("./week-ahead");
 
 exports.handler = async function (event) {
-  const SECRET = String(process.env.INTERNAL_CRON_SECRET || "").trim();
-  const gotSecret = String(
-    event?.headers?.["x-internal-cron-secret"] ||
-      event?.headers?.["X-Internal-Cron-Secret"] ||
-      ""
-  ).trim();
-
-  if (!SECRET || gotSecret !== SECRET) {
-    return { statusCode: 401, body: "Unauthorized" };
-  }
+  // Only the scheduled kicker (signed request) or an admin bearer token may trigger a send.
+  const denied = await requireAdmin(event, "email-week-ahead-background");
+  if (denied) return denied;
 
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
   const RESEND_API_KEY = process.env.RESEND_API_KEY;
   const EMAIL_FROM = process.env.EMAIL_FROM || "hello@matesinvest.com";
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     console.error("Upstash not configured");
     return { statusCode: 500, body: "Upstash not configured" };
   }
@@ -34,23 +32,11 @@ exports.handler = async function (event) {
     return new Promise((r) => setTimeout(r, ms));
   }
 
-  async function fetchWithTimeout(url, opts = {}, timeout = 15000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(id);
-      return res;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
-    }
-  }
-
-  const AEST_OFFSET_MINUTES = 10 * 60;
 
   function getAestDate(baseDate = new Date()) {
-    return new Date(baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
+    // Australia/Sydney wall clock (AEST/AEDT) expressed as a shifted UTC Date
+    const offsetMinutes = calendar.sydneyOffsetMinutes(baseDate);
+    return new Date(baseDate.getTime() + offsetMinutes * 60 * 1000);
   }
 
   function formatAestForSubject(date) {
@@ -64,67 +50,24 @@ exports.handler = async function (event) {
   }
 
   async function getSubscribers() {
-    // ✅ FIX: should be "email:subscribers" (not email:subscribers0)
-    const key = "email:subscribers";
-    const url = `${UPSTASH_URL}/smembers/` + encodeURIComponent(key);
-
-    const res = await fetchWithTimeout(
-      url,
-      { headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` } },
-      12000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("smembers subscribers failed", res.status, txt);
+    const members = await upstash.smembers("email:subscribers").catch((err) => {
+      console.warn("smembers subscribers failed", err && err.message);
       return [];
-    }
-
-    const j = await res.json().catch(() => null);
-    if (!j || !Array.isArray(j.result)) return [];
-    return j.result.filter((e) => typeof e === "string" && e.includes("@"));
+    });
+    return members.filter((e) => typeof e === "string" && e.includes("@"));
   }
 
   async function redisGet(key) {
-    const url = `${UPSTASH_URL}/get/` + encodeURIComponent(key);
-    const res = await fetchWithTimeout(
-      url,
-      { headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` } },
-      8000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisGet failed", key, res.status, txt);
+    try {
+      return await upstash.get(key);
+    } catch (err) {
+      console.warn("redisGet failed", key, err && err.message);
       return null;
     }
-
-    const j = await res.json().catch(() => null);
-    return j ? j.result : null;
   }
 
-  async function redisSet(key, value, ttlSeconds) {
-    let url =
-      `${UPSTASH_URL}/set/` +
-      encodeURIComponent(key) +
-      "/" +
-      encodeURIComponent(value);
-
-    if (ttlSeconds && Number.isFinite(ttlSeconds)) url += `?EX=${ttlSeconds}`;
-
-    const res = await fetchWithTimeout(
-      url,
-      { method: "POST", headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` } },
-      8000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisSet failed", key, res.status, txt);
-    }
-  }
-
-  async function sendEmail(to, subject, html, email) {
+  // Returns the Resend message id. idempotencyKey makes a retried send a no-op at Resend.
+  async function sendEmail(to, subject, { html, text }, userId, idempotencyKey, issueId = null) {
     const toList = Array.isArray(to) ? to : [to];
 
     // small retry/backoff for 429s + transient errors
@@ -139,20 +82,23 @@ exports.handler = async function (event) {
         headers: {
           Authorization: `Bearer ${RESEND_API_KEY}`,
           "Content-Type": "application/json",
+          ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
         },
         body: JSON.stringify({
           from: `MatesInvest <${EMAIL_FROM}>`,
           to: toList,
           subject,
           html,
+          text,
           reply_to: EMAIL_FROM,
-          headers: {
-            "List-Unsubscribe": `<https://matesinvest.com/.netlify/functions/unsubscribe?email=${encodeURIComponent(email)}>`,
-          },
+          headers: emailLists.listUnsubscribeHeaders(userId, "week-ahead", issueId),
         }),
       });
 
-      if (res.ok) return;
+      if (res.ok) {
+        const data = await res.json().catch(() => ({}));
+        return (data && data.id) || null;
+      }
 
       const txt = await res.text().catch(() => "");
       const retryAfter = Number(res.headers.get("retry-after") || "0");
@@ -167,29 +113,12 @@ exports.handler = async function (event) {
       }
 
       console.error("Resend send failed", res.status, txt);
-      throw new Error("Failed to send email");
+      throw new Error(`Resend ${res.status}: ${txt.slice(0, 200)}`);
     }
 
     throw new Error("Resend send failed after retries");
   }
 
-  function formatPct(n) {
-    if (typeof n !== "number" || !Number.isFinite(n)) return "—";
-    return `${n.toFixed(2)}%`;
-  }
-
-  function formatMoney(n) {
-    if (typeof n !== "number" || !Number.isFinite(n)) return "—";
-    try {
-      return n.toLocaleString("en-AU", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-    } catch {
-      return n.toFixed(2);
-    }
-  }
-
   // Get user ID from email
   async function getUserId(email) {
     if (!email) return null;
@@ -198,64 +127,8 @@ exports.handler = async function (event) {
     return userId;
   }
 
-  // Create tracking link for email clicks
-  function makeTrackingLink(url, userId, emailType) {
-    if (!userId) return url;
-    const siteUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || process.env.DEPLOY_URL || 'https://matesinvest.com';
-    const trackUrl = `${siteUrl}/.netlify/functions/track-email-click`;
-    const params = new URLSearchParams({
-      uid: userId,
-      type: emailType,
-      url: url,
-    });
-    return `${trackUrl}?${params.toString()}`;
-  }
-
-  function escapeHtml(s) {
-    return String(s || "")
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
-  }
-
-  function pctColor(v) {
-    if (typeof v !== "number" || !Number.isFinite(v)) return "#64748b";
-    if (v > 0) return "#16a34a";
-    if (v < 0) return "#dc2626";
-    return "#64748b";
-  }
-
-  function renderChartCard({ title, url, alt }) {
-    if (!url) return "";
-
-    const safeTitle = escapeHtml(title || "Chart");
-    const safeAlt = escapeHtml(alt || title || "Chart");
-
-    return `
-      <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
-        style="border-collapse:separate;border-spacing:0;background:#ffffff;border:1px solid #e2e8f0;border-radius:12px;">
-        <tr>
-          <td style="padding:10px 12px;background:#f8fafc;border-bottom:1px solid #e2e8f0;font-size:12px;color:#334155;font-weight:700;border-top-left-radius:12px;border-top-right-radius:12px;">
-            ${safeTitle}
-          </td>
-        </tr>
-        <tr>
-          <td style="padding:0;">
-            <img
-              src="${url}"
-              alt="${safeAlt}"
-              width="640"
-              style="display:block;width:100%;max-width:640px;height:auto;border:0;outline:none;text-decoration:none;-ms-interpolation-mode:bicubic;"
-            />
-          </td>
-        </tr>
-      </table>
-    `;
-  }
-
-  function buildEmailHtml(payload, userId = null, email = null) {
+  // Build the email ({ html, text }) from the week-ahead payload (lib/email-template.js)
+  function buildEmail(payload, userId = null, email = null, issueId = null) {
     const week = payload.week || {};
     const macro = payload.macro || { bullets: [] };
     const sectors = payload.sectors || { results: [] };
@@ -265,251 +138,96 @@ exports.handler = async function (event) {
     const specialTitle = String(process.env.WEEK_AHEAD_SPECIAL_NOTE_TITLE || "").trim() || "⚠ Geopolitical watch (US/Iran)";
     const specialText = String(process.env.WEEK_AHEAD_SPECIAL_NOTE_TEXT || "").trim();
     const specialBody = specialText || "With elevated geopolitical risk, keep an eye on early moves in Defence, Gold, and Oil. We'll highlight any major overnight moves in tomorrow morning's email.";
-    const specialNoteHtml = specialEnabled ? `
-      <div style="background:#fffbeb;border:1px solid #fde68a;padding:12px 14px;border-radius:12px;">
-        <div style="font-size:12px;font-weight:700;color:#92400e;margin-bottom:4px;">${escapeHtml(specialTitle)}</div>
-        <div style="font-size:13px;color:#0b1220;line-height:1.5;">${escapeHtml(specialBody)}</div>
-      </div>
-    ` : "";
-
-    const memoHtml = `
-      <div style="background:#f9fbff;border:1px solid #dbeafe;padding:12px 14px;border-radius:12px;">
-        <div style="font-size:13px;color:#0b1220;line-height:1.5;">
-          Good morning — welcome to a new week.<br/>
-          Let’s check in on where the market is sitting and what’s on the calendar.
-        </div>
-      </div>
-    `;
-
-    const macroBullets = Array.isArray(macro.bullets) ? macro.bullets : [];
-    const macroHtml =
-      macroBullets.length > 0
-        ? `<ul style="margin:8px 0 0 18px;padding:0;color:#0b1220;font-size:13px;line-height:1.5;">
-            ${macroBullets
-              .map((b) => `<li style="margin:6px 0;">${escapeHtml(b)}</li>`)
-              .join("")}
-          </ul>`
-        : `<div style="margin-top:8px;font-size:13px;color:#64748b;line-height:1.45;">
-            No major Australian macro releases scheduled.
-          </div>`;
 
     const rows = Array.isArray(sectors.results) ? sectors.results : [];
-    const sectorRowsHtml = rows
-      .map((r) => {
-        const m6 = r?.returnsPct?.m6;
-        const m3 = r?.returnsPct?.m3;
-        const m1 = r?.returnsPct?.m1;
-
-        // ✅ display-only ticker cleanup (.AU removed)
-        const tickerRaw = String(r.ticker || "");
-        const tickerDisplay = tickerRaw.replace(/\.AU$/i, "");
-
-        return `
-          <tr>
-            <td style="padding:8px 10px;font-size:13px;color:#0b1220;font-weight:600;">
-              ${escapeHtml(r.label || r.key || "")}
-              ${
-                tickerDisplay
-                  ? `<span style="color:#94a3b8;font-weight:500;">(${escapeHtml(
-                      tickerDisplay
-                    )})</span>`
-                  : ""
-              }
-            </td>
-            <td style="padding:8px 10px;font-size:13px;text-align:right;color:#0b1220;">
-              ${typeof r.close === "number" ? "$" + formatMoney(r.close) : "—"}
-            </td>
-            <td style="padding:8px 10px;font-size:13px;text-align:right;color:${pctColor(
-              m6
-            )};white-space:nowrap;font-weight:600;">
-              ${formatPct(m6)}
-            </td>
-            <td style="padding:8px 10px;font-size:13px;text-align:right;color:${pctColor(
-              m3
-            )};white-space:nowrap;font-weight:600;">
-              ${formatPct(m3)}
-            </td>
-            <td style="padding:8px 10px;font-size:13px;text-align:right;color:${pctColor(
-              m1
-            )};white-space:nowrap;">
-              ${formatPct(m1)}
-            </td>
-          </tr>
-        `;
-      })
-      .join("");
-
-    const indicesUrl = charts?.markets10y?.url || null;
-    const indicesTitle = charts?.markets10y?.title || "Major markets (10y)";
-    const indicesAlt = "Major markets chart (rebased)";
-
-    const etfChartUrl = charts?.etfMonthly?.url || null;
-    const etfTitle = charts?.etfMonthly?.title || "Sector ETFs (5y)";
-    const etfAlt = "Sector ETFs chart (rebased)";
-
-    // ✅ NEW: commodities chart from week-ahead payload
-    const commoditiesUrl = charts?.commodities?.url || null;
-    const commoditiesTitle = charts?.commodities?.title || "Key commodities (6m)";
-    const commoditiesAlt = "Key commodities chart (rebased)";
+    const sectorRows = rows.map((r) => {
+      // ✅ display-only ticker cleanup (.AU removed)
+      const tickerDisplay = String(r.ticker || "").replace(/\.AU$/i, "");
+      return [
+        { ...tpl.labelCell(r.label || r.key || "", tickerDisplay), bold: true },
+        tpl.numberCell(tpl.formatPrice(r.close)),
+        tpl.moveCell(r?.returnsPct?.m6, { arrow: false, bold: true }),
+        tpl.moveCell(r?.returnsPct?.m3, { arrow: false, bold: true }),
+        tpl.moveCell(r?.returnsPct?.m1, { arrow: false }),
+      ];
+    });
 
     const macroDisabled = charts?.macroAnnual?.disabled === true;
-    const macroChartUrl = !macroDisabled ? charts?.macroAnnual?.url || null : null;
-    const macroTitle = charts?.macroAnnual?.title || "Where is Australia now? (annual macro)";
-    const macroAlt = "Australia macro chart";
-
-    return `
-<!doctype html>
-<html>
-<head><meta charset="utf-8" /><title>MatesMorning – Week Ahead</title></head>
-<body style="margin:0;padding:0;background-color:#f5f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background-color:#f5f7fb;padding:24px 0;">
-    <tr><td align="center">
-      <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;background-color:#ffffff;border-radius:18px;overflow:hidden;border:1px solid #e2e8f0;box-shadow:0 10px 30px rgba(15,23,42,0.10);">
-
-        <tr>
-          <td style="padding:18px 20px 10px 20px;border-bottom:1px solid #e2e8f0;background:radial-gradient(circle at top left,#e2ebff 0,#f5f7fb 60%);">
-            <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
-              <tr>
-                <td align="left" valign="top">
-                  <div style="font-size:12px;color:#64748b;margin-bottom:4px;">
-<a href="https://matesinvest.com"
-   style="text-decoration:none;">
-  <span style="display:inline-block;padding:2px 9px;border-radius:999px;background:#e7f7ff;border:1px solid #c5e5ff;color:#083a59;font-size:11px;font-weight:600;">
-    MatesInvest · MatesMorning
-  </span>
-</a>
-                  </div>
-                  <h1 style="margin:2px 0 2px 0;font-size:19px;color:#002040;">Week Ahead</h1>
-                  <div style="font-size:13px;color:#64748b;">${escapeHtml(week.label || "")}</div>
-                </td>
-                <td align="right" valign="top" style="font-size:11px;color:#94a3b8;line-height:1.4;">
-                  Built for Australian retail investors.<br/>
-                  Short, plain-English, not financial advice.
-                </td>
-              </tr>
-            </table>
-          </td>
-        </tr>
-
-        <tr><td style="padding:14px 20px 6px 20px;">${memoHtml}</td></tr>
-
-        ${specialNoteHtml ? `<tr><td style="padding:0 20px 6px 20px;">${specialNoteHtml}</td></tr>` : ""}
-
-        <tr>
-          <td style="padding:10px 20px 10px 20px;">
-            <h2 style="margin:0 0 4px 0;font-size:14px;color:#002040;">
-              ${escapeHtml(macro.title || "Important AU macro this week")}
-            </h2>
-            <div style="background:#f9fbff;border:1px solid #dbeafe;padding:12px 14px;border-radius:12px;">
-              ${macroHtml}
-            </div>
-          </td>
-        </tr>
-
-        <tr>
-          <td style="padding:6px 20px 12px 20px;">
-            <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">
-              ${escapeHtml(sectors.title || "Sector trends (6M / 3M / 1M)")}
-            </h2>
-
-            <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
-              style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-              <thead>
-                <tr style="background:#edf2ff;">
-                  <th align="left" style="padding:6px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Sector proxy</th>
-                  <th align="right" style="padding:6px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Close</th>
-                  <th align="right" style="padding:6px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">6M</th>
-                  <th align="right" style="padding:6px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">3M</th>
-                  <th align="right" style="padding:6px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">1M</th>
-                </tr>
-              </thead>
-              <tbody>${sectorRowsHtml || ""}</tbody>
-            </table>
-
-            <div style="margin-top:6px;font-size:11px;color:#94a3b8;">
-              Proxies are ETFs. Returns are approximate and based on end-of-day pricing.
-            </div>
-          </td>
-        </tr>
-
-        <tr>
-          <td style="padding:6px 20px 16px 20px;">
-<h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">
-  Big Picture <span style="font-size:11px;color:#64748b;font-weight:600;">(rebased to 100)</span>
-</h2>
-            ${renderChartCard({ title: indicesTitle, url: indicesUrl, alt: indicesAlt })}
-            <div style="height:10px;line-height:10px;font-size:10px;">&nbsp;</div>
-
-            ${renderChartCard({ title: etfTitle, url: etfChartUrl, alt: etfAlt })}
-
-            ${
-              commoditiesUrl
-                ? `<div style="height:10px;line-height:10px;font-size:10px;">&nbsp;</div>
-                   ${renderChartCard({ title: commoditiesTitle, url: commoditiesUrl, alt: commoditiesAlt })}`
-                : ""
-            }
-
-            ${
-              macroChartUrl
-                ? `<div style="height:10px;line-height:10px;font-size:10px;">&nbsp;</div>
-                   ${renderChartCard({ title: macroTitle, url: macroChartUrl, alt: macroAlt })}`
-                : ""
-            }
-
-            <div style="margin-top:8px;font-size:11px;color:#94a3b8;">
-              Charts are rebased for comparison and use end-of-day pricing. Not financial advice.
-            </div>
-          </td>
-        </tr>
-
-        <tr>
-          <td style="padding:18px 20px 8px 20px;">
-            <div style="background:#f9fbff;border:1px solid #dbeafe;padding:14px;border-radius:12px;">
-              <h3 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Invite a mate</h3>
-              <p style="margin:0 0 10px 0;font-size:12px;color:#64748b;line-height:1.4;">
-                Know someone who’d enjoy the Week Ahead? Send them this link:
-              </p>
-              <a href="https://matesinvest.com/mates-summaries#subscribe"
-                 style="display:inline-block;padding:8px 14px;background:#00BFFF;color:#ffffff;text-decoration:none;border-radius:999px;font-size:13px;font-weight:600;">
-                Subscribe to MatesMorning
-              </a>
-            </div>
-          </td>
-        </tr>
-        <tr>
-  <td style="padding:6px 20px 6px 20px;">
-    <div style="font-size:11px;color:#94a3b8;">
-      <a href="https://matesinvest.com"
-         style="color:#00BFFF;text-decoration:none;font-weight:600;">
-        matesinvest.com
-      </a>
-      · Home · Markets · Learn with mates
-    </div>
-  </td>
-</tr>
-        <tr>
-          <td style="padding:12px 20px 18px 20px;border-top:1px solid #e2e8f0;background-color:#ffffff;">
-            <p style="margin:0;font-size:11px;color:#94a3b8;">
-              This email is general information only and is not financial advice.
-            </p>
-            ${userId ? `<p style="margin:8px 0 0 0;font-size:10px;color:#cbd5e1;">Subscriber ID: ${userId}</p>` : ''}
-          </td>
-        </tr>
-
-      </table>
-      <div style="max-width:640px;margin-top:8px;font-size:10px;color:#94a3b8;text-align:center;">
-        <p style="margin:0 0 4px 0;">You're receiving this because you subscribed to the MatesInvest emails.</p>
-        ${email ? `<p style="margin:0;">
-          <a href="https://matesinvest.com/.netlify/functions/unsubscribe?email=${encodeURIComponent(email)}" style="color:#94a3b8;text-decoration:underline;">
-            Unsubscribe
-          </a>
-        </p>` : ''}
-      </div>
-    </td></tr>
-  </table>
-</body>
-</html>
-    `;
+    const chartCards = [
+      tpl.chartCard({
+        title: charts?.markets10y?.title || "Major markets (10y)",
+        url: charts?.markets10y?.url || null,
+        alt: "Major markets chart (rebased)",
+      }),
+      tpl.chartCard({
+        title: charts?.etfMonthly?.title || "Sector ETFs (5y)",
+        url: charts?.etfMonthly?.url || null,
+        alt: "Sector ETFs chart (rebased)",
+      }),
+      // ✅ NEW: commodities chart from week-ahead payload
+      tpl.chartCard({
+        title: charts?.commodities?.title || "Key commodities (6m)",
+        url: charts?.commodities?.url || null,
+        alt: "Key commodities chart (rebased)",
+      }),
+      tpl.chartCard({
+        title: charts?.macroAnnual?.title || "Where is Australia now? (annual macro)",
+        url: !macroDisabled ? charts?.macroAnnual?.url || null : null,
+        alt: "Australia macro chart",
+      }),
+    ].join("");
+
+    return tpl.render({
+      title: "MatesMorning – Week Ahead",
+      userId,
+      emailType: "week-ahead",
+      issueId,
+      list: "week-ahead",
+      feedLink: false,
+      showUnsubscribe: !!email,
+      rows: [
+        tpl.header({ heading: "Week Ahead", subheading: week.label || "" }),
+        tpl.banner({
+          body: "Good morning — welcome to a new week.\nLet’s check in on where the market is sitting and what’s on the calendar.",
+          padding: "14px 20px 6px 20px",
+        }),
+        specialEnabled &&
+          tpl.banner({ tone: "warning", title: specialTitle, body: specialBody, padding: "0 20px 6px 20px" }),
+        tpl.bulletSection({
+          title: macro.title || "Important AU macro this week",
+          bullets: macro.bullets,
+          emptyText: "No major Australian macro releases scheduled.",
+        }),
+        tpl.marketTable({
+          title: sectors.title || "Sector trends (6M / 3M / 1M)",
+          padding: "6px 20px 12px 20px",
+          columns: [
+            { label: "Sector proxy" },
+            { label: "Close", align: "right" },
+            { label: "6M", align: "right" },
+            { label: "3M", align: "right" },
+            { label: "1M", align: "right" },
+          ],
+          rows: sectorRows,
+          captionText: "Proxies are ETFs. Returns are approximate and based on end-of-day pricing.",
+        }),
+        chartCards &&
+          tpl.row(
+            `${tpl.sectionTitle("Big Picture", ' <span style="font-size:11px;color:#64748b;font-weight:600;">(rebased to 100)</span>')}
+              ${chartCards}
+              ${tpl.caption("Charts are rebased for comparison and use end-of-day pricing. Not financial advice.")}`,
+            "6px 20px 16px 20px"
+          ),
+        tpl.inviteBlock({ body: "Know someone who’d enjoy the Week Ahead? Send them this link:" }),
+        tpl.row(
+          `<div style="font-size:11px;color:#94a3b8;">
+                <a href="${tpl.SITE_URL}" style="color:#00BFFF;text-decoration:none;font-weight:600;">matesinvest.com</a>
+                · Home · Markets · Learn with mates
+              </div>`,
+          "6px 20px 6px 20px"
+        ),
+      ],
+    });
   }
 
   try {
@@ -562,9 +280,9 @@ exports.handler = async function (event) {
         };
       }
 
-      // Build preview HTML without userId
-      const previewHtml = buildEmailHtml(payload, null, previewTo[0]);
-      await sendEmail(previewTo, subject, previewHtml, previewTo[0]);
+      // Build preview without userId
+      const preview = buildEmail(payload, null, previewTo[0]);
+      await sendEmail(previewTo, subject, preview, null);
       return {
         statusCode: 200,
         headers: { "content-type": "application/json" },
@@ -580,53 +298,73 @@ exports.handler = async function (event) {
     const subscribers = await getSubscribers();
     if (!subscribers.length) return { statusCode: 200, body: "No subscribers" };
 
-    const sendKeyPrefix = `email:weekAhead:${weekStart}`;
-    const perRecipientTtlSeconds = 60 * 60 * 24 * 14;
+    const issueId = `week-ahead:${weekStart}`;
+    // A dry run (WEEK_AHEAD_EMAIL_DISABLE_SEND) reads the ledger but doesn't open a run.
+    const ledger = disableSend
+      ? await sendLedger.getLedger(issueId)
+      : await sendLedger.openIssue(issueId, {
+          kind: "week-ahead",
+          subject,
+          totalRecipients: subscribers.length,
+        });
 
     let sentCount = 0;
     let skippedAlready = 0;
+    let skippedByPreferences = 0;
     let failedCount = 0;
 
     // ✅ Throttle to stay under default Resend limits + be deliverability-friendly
     const SEND_DELAY_MS = Number(process.env.WEEK_AHEAD_SEND_DELAY_MS || "650");
 
     for (const email of subscribers) {
-      const personKey = `${sendKeyPrefix}:${email}`;
-      const already = await redisGet(personKey);
-      if (already) {
+      if (!sendLedger.shouldSend(ledger, email)) {
         skippedAlready += 1;
         continue;
       }
 
       if (disableSend) continue;
 
+      let userId = null;
       try {
         // Get userId for this subscriber
-        const userId = await getUserId(email);
-        
-        // Build HTML with userId for tracking
-        const html = buildEmailHtml(payload, userId, email);
-        
-        await sendEmail(email, subject, html, email);
+        userId = await getUserId(email);
+        // Respect the subscriber's preferences (week ahead switched off / weekly cap reached)
+        const prefs = await emailPrefs.getPreferences(userId);
+        if (!emailPrefs.canSend(prefs, "week-ahead")) {
+          skippedByPreferences += 1;
+          await sendLedger.record(issueId, ledger, [{ email, userId, status: "filtered" }]);
+          continue;
+        }
+
+        // Build HTML + text with userId for tracking
+        const { html, text } = buildEmail(payload, userId, email, issueId);
+
+        const messageId = await sendEmail(email, subject, { html, text }, userId, sendLedger.issueKey(issueId, email), issueId);
         sentCount += 1;
-        await redisSet(personKey, "sent", perRecipientTtlSeconds);
+        await sendLedger.record(issueId, ledger, [{ email, userId, status: "sent", messageId }]);
+        await emailPrefs.recordSends([userId]);
       } catch (err) {
         failedCount += 1;
         console.error("Failed sending to", email, err && err.message);
+        await sendLedger.record(issueId, ledger, [{ email, userId, status: "failed", error: err && err.message }]);
       }
 
       await sleep(SEND_DELAY_MS);
     }
 
+    if (!disableSend) await sendLedger.closeIssue(issueId, ledger);
+
     return {
       statusCode: 200,
       headers: { "content-type": "application/json" },
       body: JSON.stringify({
         mode: "blast",
         weekStart,
+        issueId,
         totalSubscribers: subscribers.length,
         sentCount,
         skippedAlready,
+        skippedByPreferences,
         failedCount,
         delayMs: SEND_DELAY_MS,
       }),
@@ -2,6 +2,7 @@
 // Scheduled "kicker": triggers the long-running background sender.
 
 const fetchFn = (...args) => global.fetch(...args);
+const { signedHeaders } = require("./lib/admin-auth");
 
 exports.handler = async function () {
   try {
@@ -10,15 +11,13 @@ exports.handler = async function () {
       process.env.DEPLOY_PRIME_URL ||
       process.env.DEPLOY_URL;
 
-    const SECRET = String(process.env.INTERNAL_CRON_SECRET || "").trim();
-
     if (!SITE_URL) {
       console.error("Missing Netlify URL env (URL/DEPLOY_PRIME_URL/DEPLOY_URL)");
       return { statusCode: 500, body: "Missing site URL env" };
     }
-    if (!SECRET) {
-      console.error("Missing INTERNAL_CRON_SECRET env");
-      return { statusCode: 500, body: "Missing INTERNAL_CRON_SECRET" };
+    if (!process.env.ADMIN_SIGNING_SECRET && !process.env.INTERNAL_CRON_SECRET) {
+      console.error("Missing ADMIN_SIGNING_SECRET env");
+      return { statusCode: 500, body: "Missing ADMIN_SIGNING_SECRET" };
     }
 
     const endpoint = `${SITE_URL.replace(/\/$/, "")}/.netlify/functions/email-week-ahead-background`;
@@ -27,7 +26,7 @@ exports.handler = async function () {
       method: "POST",
       headers: {
         "content-type": "application/json",
-        "x-internal-cron-secret": SECRET,
+        ...signedHeaders("email-week-ahead-background", { method: "POST" }),
       },
       body: JSON.stringify({ trigger: "scheduled-kicker" }),
     });
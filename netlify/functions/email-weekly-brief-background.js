@@ -2,6 +2,15 @@
 // Background function: sends "The Week That Was" email to all subscribers.
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const emailLists = require("./lib/email-lists");
+const emailPrefs = require("./lib/email-preferences");
+const sendLedger = require("./lib/send-ledger");
+const tpl = require("./lib/email-template");
+const emailSections = require("./lib/email-sections");
+const referrals = require("./lib/referrals");
 
 // Optional AI weekly note function (safe if missing)
 let matesWeeklyNoteFn = null;
@@ -11,13 +20,15 @@ try {
   console.warn("matesWeeklyNote function not found; weekly note will be empty");
 }
 
-exports.handler = async function () {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+exports.handler = async function (event) {
+  // Only the scheduled kicker (signed request) or an admin bearer token may trigger a send.
+  const denied = await requireAdmin(event, "email-weekly-brief-background");
+  if (denied) return denied;
+
   const RESEND_API_KEY = process.env.RESEND_API_KEY;
   const EMAIL_FROM = process.env.EMAIL_FROM || "hello@matesinvest.com";
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     console.error("Upstash not configured");
     return { statusCode: 500, body: "Upstash not configured" };
   }
@@ -43,22 +54,9 @@ exports.handler = async function () {
   }
 
   function getAestDate(baseDate = new Date()) {
-    // Australia/Brisbane: UTC+10, no DST
-    const AEST_OFFSET_MINUTES = 10 * 60;
-    const aest = new Date(baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-    return aest;
-  }
-
-  function formatMoney(n) {
-    if (typeof n !== "number" || !Number.isFinite(n)) return null;
-    try {
-      return n.toLocaleString("en-AU", {
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2,
-      });
-    } catch {
-      return n.toFixed(2);
-    }
+    // Australia/Sydney wall clock (AEST/AEDT) expressed as a shifted UTC Date
+    const offsetMinutes = calendar.sydneyOffsetMinutes(baseDate);
+    return new Date(baseDate.getTime() + offsetMinutes * 60 * 1000);
   }
 
   // Get user ID from email
@@ -69,44 +67,16 @@ exports.handler = async function () {
     return userId;
   }
 
-  // Create tracking link for email clicks
-  function makeTrackingLink(url, userId, emailType) {
-    if (!userId) return url;
-    const siteUrl = process.env.URL || process.env.DEPLOY_PRIME_URL || process.env.DEPLOY_URL || 'https://matesinvest.com';
-    const trackUrl = `${siteUrl}/.netlify/functions/track-email-click`;
-    const params = new URLSearchParams({
-      uid: userId,
-      type: emailType,
-      url: url,
-    });
-    return `${trackUrl}?${params.toString()}`;
-  }
-
   function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
   async function getSubscribers() {
-    const key = "email:subscribers";
-    const url = `${UPSTASH_URL}/smembers/` + encodeURIComponent(key);
-
-    const res = await fetchWithTimeout(
-      url,
-      {
-        headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-      },
-      8000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("smembers subscribers failed", res.status, txt);
+    const members = await upstash.smembers("email:subscribers").catch((err) => {
+      console.warn("smembers subscribers failed", err && err.message);
       return [];
-    }
-
-    const j = await res.json().catch(() => null);
-    if (!j || !Array.isArray(j.result)) return [];
-    return j.result.filter((e) => typeof e === "string" && e.includes("@"));
+    });
+    return members.filter((e) => typeof e === "string" && e.includes("@"));
   }
 
   // ✅ Send MANY individual emails in one HTTP request (each item has its own `to`)
@@ -125,7 +95,7 @@ exports.handler = async function () {
     if (!res.ok) {
       const txt = await res.text().catch(() => "");
       console.error("Resend batch send failed", res.status, txt);
-      throw new Error("Failed to send weekly email batch");
+      throw new Error(`Resend batch ${res.status}: ${txt.slice(0, 200)}`);
     }
 
     const j = await res.json().catch(() => null);
@@ -133,74 +103,24 @@ exports.handler = async function () {
   }
 
   async function redisGet(key) {
-    const url = `${UPSTASH_URL}/get/` + encodeURIComponent(key);
-    const res = await fetchWithTimeout(
-      url,
-      {
-        headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-      },
-      5000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisGet failed", key, res.status, txt);
+    try {
+      return await upstash.get(key);
+    } catch (err) {
+      console.warn("redisGet failed", key, err && err.message);
       return null;
     }
-
-    const j = await res.json().catch(() => null);
-    return j ? j.result : null;
-  }
-
-  async function redisSet(key, value, ttlSeconds) {
-    let url =
-      `${UPSTASH_URL}/set/` +
-      encodeURIComponent(key) +
-      "/" +
-      encodeURIComponent(value);
-    if (ttlSeconds && Number.isFinite(ttlSeconds)) {
-      url += `?EX=${ttlSeconds}`;
-    }
-
-    const res = await fetchWithTimeout(
-      url,
-      {
-        method: "POST",
-        headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-      },
-      5000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisSet failed", key, res.status, txt);
-    }
   }
 
   // Execute multiple Redis commands in a single HTTP round-trip via Upstash pipeline.
   // Returns an array of result values in the same order as commands.
   async function redisPipeline(commands) {
-    const url = `${UPSTASH_URL}/pipeline`;
-    const res = await fetchWithTimeout(
-      url,
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${UPSTASH_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(commands),
-      },
-      10000
-    );
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn("redisPipeline failed", res.status, txt);
+    try {
+      const j = await upstash.pipeline(commands, { timeout: 10000 });
+      return j.map((item) => (item && item.result !== undefined ? item.result : null));
+    } catch (err) {
+      console.warn("redisPipeline failed", err && err.message);
       return commands.map(() => null);
     }
-    const j = await res.json().catch(() => null);
-    if (!Array.isArray(j)) return commands.map(() => null);
-    return j.map((item) => (item && item.result !== undefined ? item.result : null));
   }
 
   function chunkArray(arr, size) {
@@ -211,24 +131,10 @@ exports.handler = async function () {
     return chunks;
   }
 
-  // Last N *market* days in AEST (skip Sat/Sun).
+  // Last N *market* days, oldest -> newest.
   function getLastNMarketDaysAest(n = 5) {
-    const todayAest = getAestDate();
-    const dates = [];
-    const d = new Date(todayAest);
-
-    // Expected to run Saturday AEST: step back until we have 5 weekdays
-    while (dates.length < n) {
-      d.setDate(d.getDate() - 1);
-      const day = d.getDay(); // 0=Sun, 6=Sat
-      if (day === 0 || day === 6) continue;
-
-      const iso = d.toISOString().slice(0, 10); // YYYY-MM-DD
-      dates.push(iso);
-    }
-
-    // Currently newest -> oldest; flip to oldest -> newest
-    return dates.reverse();
+    // Completed ASX sessions before today (Sydney), skipping weekends + ASX holidays
+    return calendar.lastNTradingDays(n);
   }
 
   function formatWeekRangeForSubject(datesAsc) {
@@ -256,31 +162,14 @@ exports.handler = async function () {
 
     for (const date of datesAsc) {
       const key = `asx200:daily:${date}`;
-      const url = `${UPSTASH_URL}/get/${encodeURIComponent(key)}`;
-
-      const res = await fetchWithTimeout(
-        url,
-        {
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        8000
-      );
-
-      if (!res.ok) {
-        console.warn("asx200 daily fetch failed", date, res.status);
-        continue;
-      }
-
-      const j = await res.json().catch(() => null);
-      if (!j || !j.result) continue;
 
       try {
-        const rows = JSON.parse(j.result);
+        const rows = await upstash.getJson(key);
         if (Array.isArray(rows)) {
           snapshots.push({ date, rows });
         }
       } catch (e) {
-        console.warn("Failed to parse asx200 daily", date, e.message);
+        console.warn("asx200 daily fetch failed", date, e && e.message);
       }
     }
 
@@ -292,29 +181,12 @@ exports.handler = async function () {
 
     for (const date of datesAsc) {
       const key = `metals:${date}`;
-      const url = `${UPSTASH_URL}/get/${encodeURIComponent(key)}`;
-
-      const res = await fetchWithTimeout(
-        url,
-        {
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        8000
-      );
-
-      if (!res.ok) {
-        console.warn("metals daily fetch failed", date, res.status);
-        continue;
-      }
-
-      const j = await res.json().catch(() => null);
-      if (!j || !j.result) continue;
 
       try {
-        const payload = JSON.parse(j.result);
-        snapshots.push({ date, payload });
+        const payload = await upstash.getJson(key);
+        if (payload) snapshots.push({ date, payload });
       } catch (e) {
-        console.warn("Failed to parse metals daily", date, e.message);
+        console.warn("metals daily fetch failed", date, e && e.message);
       }
     }
 
@@ -326,29 +198,12 @@ exports.handler = async function () {
 
     for (const date of datesAsc) {
       const key = `crypto:${date}`;
-      const url = `${UPSTASH_URL}/get/${encodeURIComponent(key)}`;
-
-      const res = await fetchWithTimeout(
-        url,
-        {
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        8000
-      );
-
-      if (!res.ok) {
-        console.warn("crypto daily fetch failed", date, res.status);
-        continue;
-      }
-
-      const j = await res.json().catch(() => null);
-      if (!j || !j.result) continue;
 
       try {
-        const payload = JSON.parse(j.result);
-        snapshots.push({ date, payload });
+        const payload = await upstash.getJson(key);
+        if (payload) snapshots.push({ date, payload });
       } catch (e) {
-        console.warn("Failed to parse crypto daily", date, e.message);
+        console.warn("crypto daily fetch failed", date, e && e.message);
       }
     }
 
@@ -583,9 +438,10 @@ exports.handler = async function () {
   }
 
   // -------------------------------
-  // HTML builder
+  // Email builder (lib/email-template.js)
   // -------------------------------
-  function buildWeeklyEmailHtml(aggregates, weeklyNote, datesAsc, userId = null, email = null) {
+  // referral = lib/referrals.js stats for the recipient (personal invite link + tier), or null
+  function buildWeeklyEmail(aggregates, weeklyNote, datesAsc, userId = null, email = null, referral = null, issueId = null) {
     const { weeklyTopSectors, weeklyBottomSectors, metalsWeekly, cryptoWeekly } =
       aggregates;
 
@@ -599,343 +455,60 @@ exports.handler = async function () {
 
     const rangeStr = formatWeekRangeForSubject(datesAsc);
 
-    const friendlyCommodity = {
-      XAU: "Gold",
-      XAG: "Silver",
-      IRON: "Iron Ore 62% Fe",
-      "LITH-CAR": "Lithium Carbonate",
-      NI: "Nickel",
-      URANIUM: "Uranium",
-    };
-
-    const friendlyCrypto = {
-      BTC: "Bitcoin",
-      ETH: "Ethereum",
-      SOL: "Solana",
-      ADA: "Cardano",
-    };
-
-    const sectorRows = (list) =>
-      list
-        .map((s) => {
-          const pct = s.avgPct;
-          const pctStr = typeof pct === "number" ? pct.toFixed(2) + "%" : "—";
-          const isUp = typeof pct === "number" && pct > 0;
-          const isDown = typeof pct === "number" && pct < 0;
-          const color = isUp ? "#16a34a" : isDown ? "#dc2626" : "#64748b";
-          const arrow = isUp ? "▲" : isDown ? "▼" : "";
-          return `
-            <tr>
-              <td style="padding:8px 6px;font-weight:600;font-size:13px;color:#0b1220;">${s.sector}</td>
-              <td style="padding:8px 6px;font-size:13px;text-align:right;color:${color};white-space:nowrap;">
-                ${pctStr !== "—" ? `${arrow} ${pctStr}` : pctStr}
-              </td>
-            </tr>
-          `;
-        })
-        .join("");
-
-    const topRowsHtml =
-      weeklyTopSectors && weeklyTopSectors.length ? sectorRows(weeklyTopSectors) : "";
-    const bottomRowsHtml =
-      weeklyBottomSectors && weeklyBottomSectors.length
-        ? sectorRows(weeklyBottomSectors)
-        : "";
-
-    const metalsRows = Object.keys(metalsWeekly || {})
-      .map((sym) => {
-        const m = metalsWeekly[sym];
-        const label = friendlyCommodity[sym] || sym;
-
-        const lastPrice =
-          typeof m.lastPriceAUD === "number" ? "$" + formatMoney(m.lastPriceAUD) : "—";
-        const weeklyPct =
-          typeof m.weeklyPct === "number" ? m.weeklyPct.toFixed(2) + "%" : "—";
-        const isUp = typeof m.weeklyPct === "number" && m.weeklyPct > 0;
-        const isDown = typeof m.weeklyPct === "number" && m.weeklyPct < 0;
-        const color = isUp ? "#16a34a" : isDown ? "#dc2626" : "#64748b";
-        const arrow = isUp ? "▲" : isDown ? "▼" : "";
-
-        return `
-          <tr>
-            <td style="padding:8px 6px;font-size:13px;color:#0b1220;">
-              ${label}
-              <span style="color:#94a3b8;">(${sym})</span>
-            </td>
-            <td style="padding:8px 6px;font-size:13px;text-align:right;color:#0b1220;">${lastPrice}</td>
-            <td style="padding:8px 6px;font-size:13px;text-align:right;color:${color};white-space:nowrap;">
-              ${weeklyPct !== "—" ? `${arrow} ${weeklyPct}` : weeklyPct}
-            </td>
-          </tr>
-        `;
-      })
-      .join("");
-
-    const cryptoRows = Object.keys(cryptoWeekly || {})
-      .map((sym) => {
-        const c = cryptoWeekly[sym];
-        const label = friendlyCrypto[sym] || sym;
-
-        const lastPrice =
-          typeof c.lastPriceAUD === "number" ? "$" + formatMoney(c.lastPriceAUD) : "—";
-        const weeklyPct =
-          typeof c.weeklyPct === "number" ? c.weeklyPct.toFixed(2) + "%" : "—";
-        const isUp = typeof c.weeklyPct === "number" && c.weeklyPct > 0;
-        const isDown = typeof c.weeklyPct === "number" && c.weeklyPct < 0;
-        const color = isUp ? "#16a34a" : isDown ? "#dc2626" : "#64748b";
-        const arrow = isUp ? "▲" : isDown ? "▼" : "";
-
-        return `
-          <tr>
-            <td style="padding:8px 6px;font-size:13px;color:#0b1220;">
-              ${label}
-              <span style="color:#94a3b8;">(${sym})</span>
-            </td>
-            <td style="padding:8px 6px;font-size:13px;text-align:right;color:#0b1220;">${lastPrice}</td>
-            <td style="padding:8px 6px;font-size:13px;text-align:right;color:${color};white-space:nowrap;">
-              ${weeklyPct !== "—" ? `${arrow} ${weeklyPct}` : weeklyPct}
-            </td>
-          </tr>
-        `;
-      })
-      .join("");
-
-    return `
-<!doctype html>
-<html>
-<head>
-  <meta charset="utf-8" />
-  <title>MatesMorning – The Week That Was</title>
-</head>
-<body style="margin:0;padding:0;background-color:#f5f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background-color:#f5f7fb;padding:24px 0;">
-    <tr>
-      <td align="center">
-        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;background-color:#ffffff;border-radius:18px;overflow:hidden;border:1px solid #e2e8f0;box-shadow:0 10px 30px rgba(15,23,42,0.10);">
-
-          <!-- Header -->
-          <tr>
-            <td style="padding:18px 20px 10px 20px;border-bottom:1px solid #e2e8f0;background:radial-gradient(circle at top left,#e2ebff 0,#f5f7fb 60%);">
-              <div style="display:flex;justify-content:space-between;align-items:flex-start;gap:10px;">
-                <div>
-                  <div style="font-size:12px;color:#64748b;margin-bottom:4px;">
-                    <span style="
-                      display:inline-block;
-                      padding:2px 9px;
-                      border-radius:999px;
-                      background:#e7f7ff;
-                      border:1px solid #c5e5ff;
-                      color:#083a59;
-                      font-size:11px;
-                      font-weight:600;
-                    ">
-                      MatesInvest · MatesMorning
-                    </span>
-                  </div>
-                  <h1 style="margin:2px 0 2px 0;font-size:19px;color:#002040;">
-                    The Week That Was – ASX
-                  </h1>
-                  <div style="font-size:13px;color:#64748b;">
-                    ${rangeStr} · Sent ${niceDate}
-                  </div>
-                </div>
-                <div style="text-align:right;font-size:11px;color:#94a3b8;line-height:1.4;max-width:160px;">
-                  Built for Australian retail investors.<br/>
-                  Weekly snapshot, not financial advice.
-                </div>
-              </div>
-            </td>
-          </tr>
-
-          <!-- Weekly note -->
-          ${
-            weeklyNote
-              ? `
-          <tr>
-            <td style="padding:14px 20px 4px 20px;">
-              <h2 style="margin:0 0 4px 0;font-size:14px;color:#002040;">Weekly Wrap</h2>
-              <div style="
-                background:#f9fbff;
-                border:1px solid #dbeafe;
-                padding:10px 14px;
-                border-radius:12px;
-                font-size:13px;
-                line-height:1.45;
-                color:#0b1220;
-              ">
-                ${weeklyNote.replace(/\n/g, "<br/>")}
-              </div>
-              <div style="margin-top:6px;font-size:11px;color:#94a3b8;">
-                Based on the last 5 trading days · Not financial advice
-              </div>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          <!-- Top sectors -->
-          ${
-            topRowsHtml
-              ? `
-          <tr>
-            <td style="padding:14px 20px 6px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Top sectors – week up</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Sector</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Avg week move</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${topRowsHtml}
-                </tbody>
-              </table>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          <!-- Weakest sectors -->
-          ${
-            bottomRowsHtml
-              ? `
-          <tr>
-            <td style="padding:10px 20px 6px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Weakest sectors – week down</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Sector</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Avg week move</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${bottomRowsHtml}
-                </tbody>
-              </table>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          <!-- Commodities -->
-          ${
-            metalsRows
-              ? `
-          <tr>
-            <td style="padding:10px 20px 6px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Key Commodities – week move</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Commodity</th>
-                    <th align="right" style="padding:6px 6px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Last price (AUD)</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Week</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${metalsRows}
-                </tbody>
-              </table>
-              <div style="margin-top:6px;font-size:11px;color:#94a3b8;">
-                Weekly moves based on daily closing snapshots · Not live prices · Not financial advice.
-              </div>
-            </td>
-          </tr>
-          `
-              : ""
-          }
-
-          <!-- Crypto -->
-          ${
-            cryptoRows
-              ? `
-          <tr>
-            <td style="padding:10px 20px 14px 20px;">
-              <h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Crypto – week move</h2>
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
-                <thead>
-                  <tr style="background:#edf2ff;">
-                    <th align="left" style="padding:6px 6px 4px 10px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Asset</th>
-                    <th align="right" style="padding:6px 6px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Last price (approx AUD)</th>
-                    <th align="right" style="padding:6px 10px 4px 6px;font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">Week</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  ${cryptoRows}
-                </tbody>
-              </table>
-              <div style="margin-top:6px;font-size:11px;color:#94a3b8;">
-                Weekly crypto moves based on daily closing snapshots · FX uses latest AUD/USD where needed · Not financial advice.
-              </div>
-            </td>
-          </tr>
-          `
-              : ""
-          }
+    const sectorTable = (title, list, padding) =>
+      tpl.marketTable({
+        title,
+        padding,
+        columns: [{ label: "Sector" }, { label: "Avg week move", align: "right" }],
+        rows: (list || []).map((s) => [tpl.textCell(s.sector, { bold: true }), tpl.moveCell(s.avgPct)]),
+      });
 
-          <!-- Invite a mate -->
-          <tr>
-            <td style="padding:18px 20px 8px 20px;">
-              <div style="background:#f9fbff;border:1px solid #dbeafe;padding:14px;border-radius:12px;">
-                <h3 style="margin:0 0 6px 0;font-size:14px;color:#002040;">Send to a mate</h3>
-                <p style="margin:0 0 10px 0;font-size:12px;color:#64748b;line-height:1.4;">
-                  Know someone who'd enjoy a weekly ASX recap?
-                  Forward this email or send them this link to subscribe:
-                </p>
-                <a href="https://matesinvest.com/mates-summaries#subscribe"
-                   style="
-                     display:inline-block;
-                     padding:8px 14px;
-                     background:#00BFFF;
-                     color:#ffffff;
-                     text-decoration:none;
-                     border-radius:999px;
-                     font-size:13px;
-                     font-weight:600;
-                   ">
-                  Subscribe to MatesMorning
-                </a>
-              </div>
-            </td>
-          </tr>
-
-          <!-- Footer -->
-          <tr>
-            <td style="padding:12px 20px 18px 20px;border-top:1px solid #e2e8f0;background-color:#ffffff;">
-              <p style="margin:0 0 6px 0;font-size:12px;color:#64748b;">
-                View the live version and full AI summaries on
-                <a href="${userId ? makeTrackingLink('https://matesinvest.com/mates-summaries', userId, 'weekly-brief') : 'https://matesinvest.com/mates-summaries'}" style="color:#00BFFF;text-decoration:none;font-weight:600;">
-                  MatesFeed
-                </a>.
-              </p>
-              <p style="margin:0;font-size:11px;color:#94a3b8;">
-                This email is general information only and is not financial advice.
-              </p>
-              ${userId ? `<p style="margin:8px 0 0 0;font-size:10px;color:#cbd5e1;">Subscriber ID: ${userId}</p>` : ''}
-            </td>
-          </tr>
-
-        </table>
-
-        <div style="max-width:640px;margin-top:8px;font-size:10px;color:#94a3b8;text-align:center;">
-          <p style="margin:0 0 4px 0;">You're receiving this because you subscribed to the MatesInvest daily / weekly briefing.</p>
-          ${email ? `<p style="margin:0;">
-            <a href="https://matesinvest.com/.netlify/functions/unsubscribe?email=${encodeURIComponent(email)}" style="color:#94a3b8;text-decoration:underline;">
-              Unsubscribe
-            </a>
-          </p>` : ''}
-        </div>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-    `;
+    return tpl.render({
+      title: "MatesMorning – The Week That Was",
+      userId,
+      emailType: "weekly-brief",
+      issueId,
+      list: "weekly",
+      reason: "You're receiving this because you subscribed to the MatesInvest daily / weekly briefing.",
+      showUnsubscribe: !!email,
+      rows: [
+        tpl.header({
+          heading: "The Week That Was – ASX",
+          subheading: `${rangeStr} · Sent ${niceDate}`,
+          tagline: "Weekly snapshot, not financial advice.",
+        }),
+        tpl.noteSection({
+          title: "Weekly Wrap",
+          body: weeklyNote,
+          captionText: "Based on the last 5 trading days · Not financial advice",
+        }),
+        sectorTable("Top sectors – week up", weeklyTopSectors, "14px 20px 6px 20px"),
+        sectorTable("Weakest sectors – week down", weeklyBottomSectors, "10px 20px 6px 20px"),
+        emailSections.weeklyMoveTable({
+          title: "Key Commodities – week move",
+          items: metalsWeekly,
+          labels: emailSections.FRIENDLY_COMMODITIES,
+          labelHeader: "Commodity",
+          priceHeader: "Last price (AUD)",
+          captionText: "Weekly moves based on daily closing snapshots · Not live prices · Not financial advice.",
+          padding: "10px 20px 6px 20px",
+        }),
+        emailSections.weeklyMoveTable({
+          title: "Crypto – week move",
+          items: cryptoWeekly,
+          labels: emailSections.FRIENDLY_CRYPTO,
+          labelHeader: "Asset",
+          priceHeader: "Last price (approx AUD)",
+          captionText:
+            "Weekly crypto moves based on daily closing snapshots · FX uses latest AUD/USD where needed · Not financial advice.",
+          padding: "10px 20px 14px 20px",
+        }),
+        emailSections.referralSection(referral, {
+          title: "Send to a mate",
+          body: "Know someone who'd enjoy a weekly ASX recap? Forward this email or send them this link to subscribe:",
+        }),
+      ],
+    });
   }
 
   // -------------------------------
@@ -970,18 +543,23 @@ exports.handler = async function () {
     const subject = `MatesMorning – The Week That Was (${rangeStr})`;
 
     // ---------------------------
-    // Per-recipient idempotency + Resend Batch sending
+    // Send ledger (lib/send-ledger.js) + Resend Batch sending
     // ---------------------------
     const aestNow = getAestDate();
     const yyyy = aestNow.getFullYear();
     const mm = String(aestNow.getMonth() + 1).padStart(2, "0");
     const dd = String(aestNow.getDate()).padStart(2, "0");
 
-    const sendKeyPrefix = `email:weekly:${yyyy}-${mm}-${dd}`;
-    const perRecipientTtlSeconds = 60 * 60 * 24 * 21; // 21 days
+    const issueId = `weekly:${yyyy}-${mm}-${dd}`;
+    const ledger = await sendLedger.openIssue(issueId, {
+      kind: "weekly",
+      subject,
+      totalRecipients: subscribers.length,
+    });
 
     let sentCount = 0;
     let skippedCount = 0;
+    let filteredCount = 0;
     let failedBatchCount = 0;
     let failedRecipientCount = 0;
 
@@ -994,24 +572,14 @@ exports.handler = async function () {
     for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
 
-      // Batch-check already-sent status in a single pipeline call
-      const sentCheckCommands = chunk.map((email) => [
-        "GET",
-        `${sendKeyPrefix}:${email}`,
-      ]);
-      const sentCheckResults = await redisPipeline(sentCheckCommands);
-
-      // Filter out recipients already sent this week's brief
+      // Filter out recipients the ledger says already have this week's brief
       const pending = [];
-      for (let idx = 0; idx < chunk.length; idx++) {
-        const email = chunk[idx];
-        const personKey = `${sendKeyPrefix}:${email}`;
-        if (sentCheckResults[idx]) {
-          console.log("Already sent weekly brief to", email, "- skipping");
+      for (const email of chunk) {
+        if (!sendLedger.shouldSend(ledger, email)) {
           skippedCount++;
           continue;
         }
-        pending.push({ email, personKey });
+        pending.push({ email });
       }
 
       if (!pending.length) {
@@ -1028,25 +596,50 @@ exports.handler = async function () {
       ]);
       const idResults = await redisPipeline(idCommands);
 
+      // Respect preferences (weekly switched off / weekly cap reached)
+      const userIds = pending.map((p, idx) => idResults[idx] || null);
+      const prefsList = await emailPrefs.getPreferencesMany(userIds);
+      const recipients = [];
+      const filtered = [];
+      pending.forEach((p, idx) => {
+        if (!emailPrefs.canSend(prefsList[idx], "weekly")) {
+          filteredCount++;
+          filtered.push({ email: p.email, userId: userIds[idx], status: "filtered" });
+          return;
+        }
+        recipients.push({ ...p, userId: userIds[idx] });
+      });
+      await sendLedger.record(issueId, ledger, filtered);
+
+      if (!recipients.length) {
+        console.log(`Batch ${i}: all pending recipients filtered by preferences - skipping batch`);
+        continue;
+      }
+
+      // Referral link + tier progress per recipient (best-effort: generic invite without it)
+      const referralStats = await referrals.getStatsMany(recipients.map((p) => p.userId)).catch((err) => {
+        console.warn("referral stats failed", err && err.message);
+        return recipients.map(() => null);
+      });
+
       // One email per subscriber (privacy-safe)
       // Build HTML for each user with their userId for tracking
-      const emailItems = pending.map((p, idx) => {
-        const userId = idResults[idx] || null;
-        const userHtml = buildWeeklyEmailHtml(aggregates, weeklyNote, datesAsc, userId, p.email);
+      const emailItems = recipients.map((p, idx) => {
+        const { html, text } = buildWeeklyEmail(aggregates, weeklyNote, datesAsc, p.userId, p.email, referralStats[idx], issueId);
         return {
           from: `MatesInvest <${EMAIL_FROM}>`,
           to: [p.email],
           subject,
-          html: userHtml,
+          html,
+          text,
           reply_to: EMAIL_FROM,
-          headers: {
-            "List-Unsubscribe": `<https://matesinvest.com/.netlify/functions/unsubscribe?email=${encodeURIComponent(p.email)}>`,
-          },
+          headers: emailLists.listUnsubscribeHeaders(p.userId, "weekly", issueId),
         };
       });
 
-      // Idempotency key per batch request (protects against Netlify retries)
-      const batchIdempotencyKey = `${sendKeyPrefix}:batch:${i}`;
+      // Idempotency key per exact batch of recipients (protects against Netlify retries
+      // and reruns; a resumed run that regroups recipients gets a fresh key)
+      const batchIdempotencyKey = sendLedger.issueKey(issueId, recipients.map((p) => p.email));
 
       // Retry logic: attempt up to 3 times with exponential backoff
       // attempt 0: initial try (no backoff)
@@ -1065,17 +658,26 @@ exports.handler = async function () {
             await sleep(backoffMs);
           }
 
-          await sendBatchEmails(emailItems, batchIdempotencyKey);
-
-          // Mark as sent ONLY after Resend accepted the batch
-          await Promise.all(
-            pending.map((p) => redisSet(p.personKey, "sent", perRecipientTtlSeconds))
+          const result = await sendBatchEmails(emailItems, batchIdempotencyKey);
+
+          // Mark as sent ONLY after Resend accepted the batch (ids come back in request order)
+          const ids = (result && Array.isArray(result.data) && result.data) || [];
+          await sendLedger.record(
+            issueId,
+            ledger,
+            recipients.map((p, idx) => ({
+              email: p.email,
+              userId: p.userId,
+              status: "sent",
+              messageId: ids[idx] && ids[idx].id,
+            }))
           );
+          await emailPrefs.recordSends(recipients.map((p) => p.userId));
 
-          sentCount += pending.length;
+          sentCount += recipients.length;
           success = true;
           
-          console.log(`Batch ${i}: successfully sent to ${pending.length} recipients`);
+          console.log(`Batch ${i}: successfully sent to ${recipients.length} recipients`);
 
           // Light pause between batches to avoid rate limits
           await sleep(400);
@@ -1084,20 +686,30 @@ exports.handler = async function () {
           
           if (attempt >= maxAttempts) {
             failedBatchCount++;
-            failedRecipientCount += pending.length;
+            failedRecipientCount += recipients.length;
             console.error(
               "Failed sending weekly batch index",
               i,
               "after",
               maxAttempts,
               "attempts, size",
-              pending.length,
+              recipients.length,
               "error:",
               err && err.message,
               "stack:",
               err && err.stack
             );
-            // Do NOT mark as sent; next run can retry safely
+            // Recorded as failed (not sent); next run retries them
+            await sendLedger.record(
+              issueId,
+              ledger,
+              recipients.map((p) => ({
+                email: p.email,
+                userId: p.userId,
+                status: "failed",
+                error: err && err.message,
+              }))
+            );
           } else {
             console.warn(
               `Batch ${i}: initial attempt failed, will retry. Error:`,
@@ -1108,7 +720,8 @@ exports.handler = async function () {
       }
     }
 
-    console.log(`Weekly brief ${sendKeyPrefix} – sent to ${sentCount} subscribers (skipped ${skippedCount} already sent, failed: ${failedRecipientCount}, total retrieved: ${subscribers.length})`);
+    await sendLedger.closeIssue(issueId, ledger);
+    console.log(`Weekly brief ${issueId} – sent to ${sentCount} subscribers (skipped ${skippedCount} already sent, ${filteredCount} filtered by preferences, failed: ${failedRecipientCount}, total retrieved: ${subscribers.length})`);
     
     if (failedRecipientCount > 0) {
       console.warn(`WARNING: ${failedRecipientCount} subscribers were not processed due to ${failedBatchCount} failed batch(es). Check failed batch logs above for details.`);
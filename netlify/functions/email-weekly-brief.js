@@ -3,6 +3,8 @@
 // This should stay scheduled in netlify.toml.
 
 const fetch = (...args) => global.fetch(...args);
+const { signedHeaders } = require("./lib/admin-auth");
+const calendar = require("./lib/market-calendar");
 
 exports.handler = async function () {
   const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
@@ -12,6 +14,10 @@ exports.handler = async function () {
     console.error("Upstash not configured");
     return { statusCode: 500, body: "Upstash not configured" };
   }
+  if (!process.env.ADMIN_SIGNING_SECRET && !process.env.INTERNAL_CRON_SECRET) {
+    console.error("Missing ADMIN_SIGNING_SECRET env");
+    return { statusCode: 500, body: "Missing ADMIN_SIGNING_SECRET" };
+  }
 
   // --- Helpers ---
   async function fetchWithTimeout(url, opts = {}, timeout = 8000) {
@@ -27,12 +33,6 @@ exports.handler = async function () {
     }
   }
 
-  function getAestDate(baseDate = new Date()) {
-    // Australia/Brisbane: UTC+10, no DST
-    const AEST_OFFSET_MINUTES = 10 * 60;
-    return new Date(baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-  }
-
   async function redisGet(key) {
     const url = `${UPSTASH_URL}/get/` + encodeURIComponent(key);
     const res = await fetchWithTimeout(
@@ -65,17 +65,15 @@ exports.handler = async function () {
     return res.ok;
   }
 
-  // Build a "today" lock (AEST) to prevent duplicate kicks if Netlify retries
-  const aestNow = getAestDate(new Date());
-  const yyyy = aestNow.getFullYear();
-  const mm = String(aestNow.getMonth() + 1).padStart(2, "0");
-  const dd = String(aestNow.getDate()).padStart(2, "0");
-  const kickKey = `email:kick:weekly:${yyyy}-${mm}-${dd}`;
+  // Build a "today" lock (Sydney date, same day as the sender's issue id) to prevent
+  // duplicate kicks if Netlify retries
+  const today = calendar.sydneyDateString();
+  const kickKey = `email:kick:weekly:${today}`;
 
   try {
     const alreadyKicked = await redisGet(kickKey);
     if (alreadyKicked) {
-      console.log("Weekly brief kicker already ran for", `${yyyy}-${mm}-${dd}`);
+      console.log("Weekly brief kicker already ran for", today);
       return { statusCode: 200, body: "Already kicked today" };
     }
 
@@ -97,7 +95,10 @@ exports.handler = async function () {
       bgUrl,
       {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: {
+          "Content-Type": "application/json",
+          ...signedHeaders("email-weekly-brief-background", { method: "POST" }),
+        },
         body: JSON.stringify({ region: "au", kickedAt: new Date().toISOString() }),
       },
       8000
@@ -0,0 +1,61 @@
+// netlify/functions/equity-history.js
+//
+// Chart history for one ASX equity, read from the equity history store (lib/equity-history.js).
+// Never calls EODHD: codes we don't hold yet are queued for seed-equity-history and the
+// response carries history: null (or whatever the nightly append has collected so far).
+//
+// Usage:
+//   GET /.netlify/functions/equity-history?code=BHP&range=1y
+//     range:    1m | 6m (default) | 1y | 5y (weekly bars) | max (monthly bars)
+//     adjusted: 1 (default, split/dividend adjusted) | 0 (raw prices)
+//
+// Response:
+//   { code, history: { range, interval, adjusted, startDate, endDate, seeded,
+//                      points: [[date, close]], bars: [[date, open, high, low, close, volume]] } | null,
+//     pending }   pending = true while the code waits to be seeded
+
+const upstash = require("./lib/upstash");
+const equityHistory = require("./lib/equity-history");
+
+function json(statusCode, body, cacheControl = "no-store") {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": cacheControl },
+    body: JSON.stringify(body),
+  };
+}
+
+exports.handler = async function (event) {
+  const qs = (event && event.queryStringParameters) || {};
+  const code = String(qs.code || "")
+    .replace(/\.[A-Z0-9]{1,6}$/i, "")
+    .toUpperCase();
+  const range = String(qs.range || "6m").toLowerCase();
+  const adjusted = !["0", "false", "no"].includes(String(qs.adjusted || "").toLowerCase());
+
+  if (!/^[A-Z0-9]{1,6}$/.test(code)) {
+    return json(400, { error: "Missing or invalid ?code=" });
+  }
+  if (!equityHistory.RANGES[range]) {
+    return json(400, { error: `Invalid ?range= (one of ${Object.keys(equityHistory.RANGES).join(", ")})` });
+  }
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  try {
+    const history = await equityHistory.getHistory(code, { range, adjusted });
+    const pending = !history || !history.seeded;
+    if (pending) await equityHistory.queueSeed(code);
+
+    // Bars only change once a day; partial history may fill in on the next seeder run.
+    return json(
+      200,
+      { code, history: history || null, pending },
+      pending ? "public, max-age=300" : "public, max-age=3600"
+    );
+  } catch (err) {
+    console.error("equity-history error", code, err && err.message);
+    return json(500, { error: err.message });
+  }
+};
@@ -9,6 +9,26 @@
 //      asx:universe:eod:YYYY-MM-DD  (looks back up to 7 days)
 // - Optionally can filter by code query (?code=BHP) or inAsx200 flag.
 // - Optional screener-level ETF exclusion via ?excludeETF=1 or env EXCLUDE_ETF_DEFAULT=1
+// - Server-side filters using the same vocabulary as data/screener_presets.json:
+//      ?pe_min= &pe_max=
+//      ?market_cap_min_bn= &market_cap_max_bn=
+//      ?div_yield_min_pct=
+//      ?pct_change_min= &pct_change_max= &abs_pct_change_min=
+//      ?price_min= &price_max=
+//      ?volume_min= &volume_max=
+//      (rows missing a field pass its bounds, except abs_pct_change_min)
+//      ?sector=Materials  ?tag=Gold  ?q=bhp  ?code_length=3
+//      ?top_market_cap=200   (keep only the N largest after the other filters)
+// - Sorting + paging:
+//      ?sort=marketCap&dir=desc&limit=100&offset=0
+//   Derived sort fields: dividendYieldPct (dividendYield normalised to percent),
+//   absPctChange.
+//   `total` is the number of matches before paging; `count` is the page size.
+//   Without ?limit the full filtered list is returned (backwards compatible).
+// - Named presets from data/screener_presets.json via ?preset=<id>
+//   (quiz type ids such as ?preset=technical resolve through the file's "aliases").
+//   Explicit query params override the preset's filters and sort.
+//   Unknown ids return 400 with the list of valid ids.
 //
 // This function does *not* call EODHD directly, so it's cheap and fast per request.
 //
@@ -16,35 +36,15 @@
 // points to per-latest part keys when the merged blob is too large to write
 // as a single Upstash REST /set path value.
 
-const fetch = (...args) => global.fetch(...args);
+const fs = require("fs");
+const path = require("path");
 
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL || null;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || null;
+const upstash = require("./lib/upstash");
 
-async function fetchWithTimeout(url, opts = {}, timeout = 8000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
+// Best-effort read: any Upstash/parse failure is logged and treated as "missing".
+async function readJson(key) {
   try {
-    const res = await fetch(url, { ...opts, signal: controller.signal });
-    clearTimeout(id);
-    return res;
-  } catch (err) {
-    clearTimeout(id);
-    throw err;
-  }
-}
-
-async function redisGet(urlBase, token, key) {
-  if (!urlBase || !token) return null;
-  try {
-    const res = await fetchWithTimeout(
-      `${urlBase}/get/${encodeURIComponent(key)}`,
-      { headers: { Authorization: `Bearer ${token}` } },
-      10000
-    );
-    if (!res.ok) return null;
-    const j = await res.json().catch(() => null);
-    return j && typeof j.result !== "undefined" ? j.result : null;
+    return await upstash.getJson(key);
   } catch (err) {
     console.warn("redisGet error", key, err && err.message);
     return null;
@@ -83,97 +83,25 @@ function isoMinusDays(dateStr, days) {
 // Helpers to load snapshots
 // ---------------------------
 
-// Updated: load the universe fundamentals, and support manifest that references parts.
-// The latest key may contain either:
+// Load the universe fundamentals. The latest key may contain either:
 //  - a merged object with .items (the normal case), or
 //  - a small manifest { fallback: true, parts: [ "asx:universe:fundamentals:latest:part:0", ... ], ... }
-//    in which case we fetch each part and assemble items.
+//    which upstash.getLargeJson assembles from the part keys.
 async function getUniverseFundamentals() {
-  const raw = await redisGet(
-    UPSTASH_URL,
-    UPSTASH_TOKEN,
-    "asx:universe:fundamentals:latest"
-  );
-  if (!raw) return null;
-
-  let parsed;
   try {
-    parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
-  } catch (e) {
-    parsed = raw;
-  }
-
-  // If the latest is already the full merged object with items, return it.
-  if (parsed && Array.isArray(parsed.items)) {
-    return parsed;
-  }
-
-  // Support fallback manifest: { fallback: true, parts: [ "key1", ... ] }
-  const partKeys = Array.isArray(parsed && parsed.parts)
-    ? parsed.parts
-    : Array.isArray(parsed && parsed.partKeys)
-    ? parsed.partKeys
-    : null;
-
-  if (partKeys && partKeys.length > 0) {
-    const items = [];
-    for (const pk of partKeys) {
-      try {
-        const rawPart = await redisGet(UPSTASH_URL, UPSTASH_TOKEN, pk);
-        if (!rawPart) continue;
-        let p;
-        try {
-          p = typeof rawPart === "string" ? JSON.parse(rawPart) : rawPart;
-        } catch (e) {
-          p = rawPart;
-        }
-        if (p && Array.isArray(p.items)) {
-          items.push(...p.items);
-        } else if (Array.isArray(p)) {
-          items.push(...p);
-        } else {
-          // unexpected shape — skip
-          continue;
-        }
-      } catch (e) {
-        console.warn(
-          "equity-screener: failed to fetch part",
-          pk,
-          e && e.message
-        );
-      }
-    }
-
-    if (items.length === 0) return null;
-
-    return {
-      generatedAt: (parsed && parsed.generatedAt) || new Date().toISOString(),
-      universeTotal: parsed && parsed.universeTotal ? parsed.universeTotal : items.length,
-      count: items.length,
-      items,
-    };
+    const parsed = await upstash.getLargeJson("asx:universe:fundamentals:latest");
+    return parsed && Array.isArray(parsed.items) ? parsed : null;
+  } catch (err) {
+    console.warn("equity-screener: failed to load fundamentals", err && err.message);
+    return null;
   }
-
-  // otherwise unrecognized shape
-  return null;
 }
 
 // Price snapshot is stored as an array of rows:
-//   [{ code, date, close, prevClose, pctChange, volume }, ...]
+//   [{ code, date, close, prevClose, pctChange, volume, corporateAction? }, ...]
 async function getUniversePriceMap() {
-  const raw = await redisGet(
-    UPSTASH_URL,
-    UPSTASH_TOKEN,
-    "asx:universe:eod:latest"
-  );
-  if (!raw) return null;
-
-  let parsed;
-  try {
-    parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
-  } catch (_) {
-    return null;
-  }
+  const parsed = await readJson("asx:universe:eod:latest");
+  if (!parsed) return null;
 
   // Support both: [ ... ] OR { items:[...], generatedAt:... }
   const arr = Array.isArray(parsed)
@@ -202,6 +130,7 @@ async function getUniversePriceMap() {
         typeof pctChange === "number" && Number.isFinite(pctChange) ? pctChange : null,
       volume:
         typeof row.volume === "number" && Number.isFinite(row.volume) ? row.volume : null,
+      corporateAction: row.corporateAction || null,
     };
   }
   return map;
@@ -216,15 +145,8 @@ async function getPrevDayCloseMapFromCache(latestDateStr) {
     const prevDate = isoMinusDays(latestDateStr, i);
     const key = `asx:universe:eod:${prevDate}`;
 
-    const raw = await redisGet(UPSTASH_URL, UPSTASH_TOKEN, key);
-    if (!raw) continue;
-
-    let parsed;
-    try {
-      parsed = typeof raw === "string" ? JSON.parse(raw) : raw;
-    } catch (e) {
-      continue;
-    }
+    const parsed = await readJson(key);
+    if (!parsed) continue;
 
     const arr = Array.isArray(parsed)
       ? parsed
@@ -248,6 +170,253 @@ async function getPrevDayCloseMapFromCache(latestDateStr) {
   return { prevDate: null, map: null };
 }
 
+// ---------------------------
+// Filtering / sorting / paging
+// ---------------------------
+
+const MAX_LIMIT = 500;
+
+// Numeric filter params -> [item field, "min" | "max", scale applied to the query value,
+// required]. Rows missing the field pass a bound (as the discover table always treated them)
+// unless it's marked required: the fast-mover volatility screen only keeps rows that moved.
+const NUMERIC_FILTERS = {
+  pe_min: ["peRatio", "min", 1],
+  pe_max: ["peRatio", "max", 1],
+  market_cap_min_bn: ["marketCap", "min", 1_000_000_000],
+  market_cap_max_bn: ["marketCap", "max", 1_000_000_000],
+  div_yield_min_pct: ["dividendYieldPct", "min", 1],
+  pct_change_min: ["pctChange", "min", 1],
+  pct_change_max: ["pctChange", "max", 1],
+  abs_pct_change_min: ["absPctChange", "min", 1, true],
+  price_min: ["price", "min", 1],
+  price_max: ["price", "max", 1],
+  volume_min: ["volume", "min", 1],
+  volume_max: ["volume", "max", 1],
+};
+
+function toFiniteNumber(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Fundamentals store dividendYield as a fraction (0.045) for most rows,
+// but some sources hand back a percent (4.5). Normalise to percent.
+function dividendYieldPct(item) {
+  const dy = toFiniteNumber(item.dividendYield);
+  if (dy === null) return null;
+  return dy <= 1 && dy >= -1 ? dy * 100 : dy;
+}
+
+// Value used for both filtering and sorting, including derived fields.
+function fieldValue(item, field) {
+  if (field === "dividendYieldPct") return dividendYieldPct(item);
+  if (field === "absPctChange") {
+    const pc = toFiniteNumber(item.pctChange);
+    return pc === null ? null : Math.abs(pc);
+  }
+  return item[field];
+}
+
+// Pull the filter set out of a query-string (or preset filters) object.
+// Unknown keys are ignored; blank / non-numeric values are treated as "not set".
+function parseFilters(qs) {
+  const filters = { numeric: [] };
+
+  for (const [param, [field, bound, scale, required = false]] of Object.entries(NUMERIC_FILTERS)) {
+    const n = toFiniteNumber(qs[param]);
+    if (n === null) continue;
+    filters.numeric.push({ field, bound, value: n * scale, required });
+  }
+
+  if (qs.sector) filters.sector = String(qs.sector).trim();
+  if (qs.tag) filters.tag = String(qs.tag).trim().toLowerCase();
+  if (qs.q) filters.q = String(qs.q).trim().toLowerCase();
+
+  const codeLength = toFiniteNumber(qs.code_length);
+  if (codeLength !== null && codeLength > 0) filters.codeLength = Math.floor(codeLength);
+
+  const topMarketCap = toFiniteNumber(qs.top_market_cap);
+  if (topMarketCap !== null && topMarketCap > 0) filters.topMarketCap = Math.floor(topMarketCap);
+
+  return filters;
+}
+
+function matchesFilters(item, filters) {
+  if (filters.q) {
+    const haystack = `${item.code || ""} ${item.name || ""}`.toLowerCase();
+    if (!haystack.includes(filters.q)) return false;
+  }
+
+  if (filters.sector && (item.sector || "Unknown") !== filters.sector) return false;
+
+  if (filters.tag) {
+    const tags = Array.isArray(item.tags) ? item.tags : [];
+    if (!tags.some((t) => String(t || "").trim().toLowerCase() === filters.tag)) {
+      return false;
+    }
+  }
+
+  if (filters.codeLength) {
+    const code = String(item.code || "").trim();
+    if (code.length !== filters.codeLength) return false;
+  }
+
+  for (const { field, bound, value, required } of filters.numeric) {
+    const v = toFiniteNumber(fieldValue(item, field));
+    if (v === null) {
+      if (required) return false;
+      continue;
+    }
+    if (bound === "min" && v < value) return false;
+    if (bound === "max" && v > value) return false;
+  }
+
+  return true;
+}
+
+function applyScreenerFilters(items, filters) {
+  let out = items.filter((it) => matchesFilters(it, filters));
+
+  if (filters.topMarketCap) {
+    out = sortItems(out, "marketCap", "desc").slice(0, filters.topMarketCap);
+  }
+
+  return out;
+}
+
+// Numeric-aware sort (same rules as the discover table): numbers compare as
+// numbers, everything else case-insensitively. Missing values always go last.
+function sortItems(items, field, direction) {
+  const dir = direction === "asc" ? 1 : -1;
+
+  return items.slice().sort((a, b) => {
+    const va = fieldValue(a, field);
+    const vb = fieldValue(b, field);
+
+    const aMissing = va === null || va === undefined || va === "";
+    const bMissing = vb === null || vb === undefined || vb === "";
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+
+    const na = toFiniteNumber(va);
+    const nb = toFiniteNumber(vb);
+    if (na !== null && nb !== null && field !== "name") return (na - nb) * dir;
+
+    const sa = String(va).toLowerCase();
+    const sb = String(vb).toLowerCase();
+    if (sa < sb) return -1 * dir;
+    if (sa > sb) return 1 * dir;
+    return 0;
+  });
+}
+
+function parseSort(qs) {
+  const field = qs.sort ? String(qs.sort).trim() : "";
+  if (!field || !/^[A-Za-z][A-Za-z0-9]*$/.test(field)) return null;
+  const dir = String(qs.dir || "desc").toLowerCase() === "asc" ? "asc" : "desc";
+  return { field, direction: dir };
+}
+
+function parsePaging(qs) {
+  const limitRaw = toFiniteNumber(qs.limit);
+  const offsetRaw = toFiniteNumber(qs.offset);
+
+  const limit =
+    limitRaw === null ? null : Math.min(MAX_LIMIT, Math.max(1, Math.floor(limitRaw)));
+  const offset = offsetRaw === null ? 0 : Math.max(0, Math.floor(offsetRaw));
+
+  return { limit, offset };
+}
+
+// ---------------------------
+// Named presets (data/screener_presets.json)
+// ---------------------------
+
+const PRESETS_FILE = "screener_presets.json";
+const PRESET_TEXT_FILTERS = ["sector", "tag", "q", "code_length", "top_market_cap"];
+
+let presetsCache = null;
+
+function readPresetsFileSync() {
+  const candidates = [
+    path.join(__dirname, "..", "..", "data", PRESETS_FILE),
+    path.join(process.cwd(), "data", PRESETS_FILE),
+  ];
+  for (const p of candidates) {
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, "utf8"));
+  }
+  throw new Error(`${PRESETS_FILE} not found (check netlify.toml included_files)`);
+}
+
+// Throws with every problem listed, so a bad edit to the presets file fails loudly
+// instead of quietly returning an unfiltered screener.
+function validatePresets(doc) {
+  const problems = [];
+  const presets = doc && doc.presets;
+
+  if (!presets || typeof presets !== "object" || Array.isArray(presets)) {
+    throw new Error(`${PRESETS_FILE}: missing "presets" object`);
+  }
+
+  const allowedFilters = new Set([...Object.keys(NUMERIC_FILTERS), ...PRESET_TEXT_FILTERS]);
+
+  for (const [id, preset] of Object.entries(presets)) {
+    if (!preset || typeof preset !== "object") {
+      problems.push(`${id}: not an object`);
+      continue;
+    }
+
+    const filters = preset.filters || {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (!allowedFilters.has(key)) {
+        problems.push(`${id}: unknown filter "${key}"`);
+      } else if (NUMERIC_FILTERS[key] && toFiniteNumber(value) === null) {
+        problems.push(`${id}: filter "${key}" must be a number`);
+      }
+    }
+
+    if (preset.sort) {
+      if (!preset.sort.field || !/^[A-Za-z][A-Za-z0-9]*$/.test(preset.sort.field)) {
+        problems.push(`${id}: invalid sort.field`);
+      }
+      if (preset.sort.direction && !["asc", "desc"].includes(preset.sort.direction)) {
+        problems.push(`${id}: sort.direction must be "asc" or "desc"`);
+      }
+    }
+  }
+
+  for (const [alias, target] of Object.entries(doc.aliases || {})) {
+    if (!presets[target]) problems.push(`alias ${alias}: unknown preset "${target}"`);
+  }
+
+  if (problems.length) {
+    throw new Error(`${PRESETS_FILE} invalid: ${problems.join("; ")}`);
+  }
+
+  return doc;
+}
+
+function getPresets() {
+  if (!presetsCache) presetsCache = validatePresets(readPresetsFileSync());
+  return presetsCache;
+}
+
+// Returns { id, preset } or null if neither a preset id nor an alias matches.
+function resolvePreset(doc, requested) {
+  const wanted = String(requested || "").trim();
+  if (!wanted) return null;
+
+  const id = doc.presets[wanted] ? wanted : (doc.aliases || {})[wanted];
+  if (!id || !doc.presets[id]) return null;
+  return { id, preset: doc.presets[id] };
+}
+
+function listSectors(items) {
+  return Array.from(
+    new Set(items.map((i) => i.sector || "Unknown").filter((s) => s && s.trim() !== ""))
+  ).sort();
+}
+
 exports.handler = async function (event) {
   // CORS preflight
   if (event.httpMethod === "OPTIONS") {
@@ -262,7 +431,7 @@ exports.handler = async function (event) {
     };
   }
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     return json(500, {
       error: "Missing Upstash env for screener",
     });
@@ -277,6 +446,42 @@ exports.handler = async function (event) {
   const EXCLUDE_ETF_DEFAULT = String(process.env.EXCLUDE_ETF_DEFAULT || "0") === "1";
   const excludeETF = qs.excludeETF === "1" || qs.excludeETF === "true" || EXCLUDE_ETF_DEFAULT;
 
+  let presetInfo = null;
+  let filterQuery = qs;
+  let sortQuery = qs;
+
+  if (qs.preset) {
+    let presetsDoc;
+    try {
+      presetsDoc = getPresets();
+    } catch (err) {
+      console.error("equity-screener: presets unavailable", err && err.message);
+      return json(500, { error: "Screener presets unavailable", detail: String(err.message || err) });
+    }
+
+    const resolved = resolvePreset(presetsDoc, qs.preset);
+    if (!resolved) {
+      return json(400, {
+        error: `Unknown preset "${String(qs.preset)}"`,
+        validPresets: Object.keys(presetsDoc.presets),
+        aliases: presetsDoc.aliases || {},
+      });
+    }
+
+    const { id, preset } = resolved;
+    presetInfo = { id, label: preset.label || id };
+
+    // Explicit query params win over the preset's values
+    filterQuery = { ...(preset.filters || {}), ...qs };
+    if (!qs.sort && preset.sort) {
+      sortQuery = { sort: preset.sort.field, dir: preset.sort.direction || "desc" };
+    }
+  }
+
+  const filters = parseFilters(filterQuery);
+  const sortSpec = parseSort(sortQuery);
+  const paging = parsePaging(qs);
+
   try {
     // Load fundamentals snapshot
     const fundamentals = await getUniverseFundamentals();
@@ -365,6 +570,8 @@ exports.handler = async function (event) {
           pctChange: mergedPct,
           lastDate: p.date || it.lastDate || null,
           yesterdayPrice: mergedYesterday,
+          // Set by snapshot-asx-universe-prices when pctChange spans a split / consolidation / code change
+          corporateAction: p.corporateAction || null,
           volume:
             typeof p.volume === "number" && Number.isFinite(p.volume)
               ? p.volume
@@ -381,13 +588,35 @@ exports.handler = async function (event) {
       items = items.filter((it) => it.inAsx200 === 1);
     }
 
+    // Sector list for the UI dropdown, taken before the screener filters
+    // so the client never needs the whole universe to build it.
+    const sectors = listSectors(items);
+
+    items = applyScreenerFilters(items, filters);
+    if (sortSpec) {
+      items = sortItems(items, sortSpec.field, sortSpec.direction);
+    }
+
+    const total = items.length;
+    if (paging.limit !== null) {
+      items = items.slice(paging.offset, paging.offset + paging.limit);
+    } else if (paging.offset > 0) {
+      items = items.slice(paging.offset);
+    }
+
     // Normalize universeSize field for compatibility
-    const universeSize = fundamentals.universeSize || fundamentals.universeTotal || items.length;
+    const universeSize = fundamentals.universeSize || fundamentals.universeTotal || total;
 
     return json(200, {
       generatedAt: fundamentals.generatedAt || null,
       universeSize,
+      total,
       count: items.length,
+      offset: paging.offset,
+      limit: paging.limit,
+      sort: sortSpec,
+      preset: presetInfo,
+      sectors,
       items,
       excludeETF: !!excludeETF,
 
@@ -0,0 +1,308 @@
+// netlify/functions/evaluate-alerts.js
+//
+// Checks every active member alert (lib/alerts.js) against the latest snapshots and emails
+// each member one digest of what fired, via Resend.
+//
+// Data:
+//   equity  asx:universe:eod:latest / asx:universe:eod:latestDate (snapshot-asx-universe-prices.js)
+//           + lib/equity-history.js for 52-week and volume alerts
+//   metals  metals:latest (snapshot-metals.js) + history:metal:daily:{SYMBOL} for moves / 52 weeks
+//
+// Scheduled after snapshot-metals (19:00 UTC), by which time the overnight prices snapshot
+// has settled (see netlify.toml). Each source is only evaluated once per data date
+// (alerts:evaluated); re-runs are harmless anyway, since a fired alert is in cooldown.
+// Stops on a time budget without marking the date done, so the next run picks up the rest.
+//
+// Manual (admin):
+//   GET /.netlify/functions/evaluate-alerts?force=1     re-check dates already evaluated
+//   GET /.netlify/functions/evaluate-alerts?dryRun=1    report what would fire; no email, no writes
+//
+// Env: RESEND_API_KEY, EMAIL_FROM, UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const alerts = require("./lib/alerts");
+const suppression = require("./lib/email-suppression");
+const equityHistory = require("./lib/equity-history");
+const tpl = require("./lib/email-template");
+const { FRIENDLY_COMMODITIES } = require("./lib/email-sections");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const fetch = (...args) => global.fetch(...args);
+
+const TIME_BUDGET_MS = 20000;
+const HISTORY_TYPES = new Set(["52w-high", "52w-low", "volume-spike"]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function numOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+// ---------------------------
+// Facts per code
+// ---------------------------
+
+async function equityFacts(codes, historyCodes) {
+  const [latest, latestDate] = await Promise.all([
+    upstash.getJson("asx:universe:eod:latest"),
+    upstash.get("asx:universe:eod:latestDate"),
+  ]);
+  const rows = Array.isArray(latest) ? latest : (latest && latest.rows) || [];
+  const byCode = new Map(rows.filter((r) => r && r.code).map((r) => [String(r.code).toUpperCase(), r]));
+
+  const facts = new Map();
+  for (const code of codes) {
+    const r = byCode.get(code);
+    if (!r || numOrNull(r.close) === null) continue;
+    const date = r.date || latestDate;
+    const f = { date, price: r.close, pctChange: numOrNull(r.pctChange), volume: numOrNull(r.volume) };
+
+    // A split / consolidation today leaves prior history on the old basis until it's re-seeded
+    if (historyCodes.has(code) && !r.corporateAction) {
+      const hist = await equityHistory.getHistory(code, { range: "1y", adjusted: true }).catch(() => null);
+      const prior = ((hist && hist.bars) || []).filter((b) => b[0] < date);
+      Object.assign(
+        f,
+        alerts.historyFacts(
+          prior.map((b) => [b[0], b[4]]),
+          prior.map((b) => [b[0], b[5]])
+        )
+      );
+    }
+    facts.set(code, f);
+  }
+  return { date: latestDate || null, facts };
+}
+
+async function metalFacts(symbols) {
+  const latest = await upstash.getJson("metals:latest");
+  if (!latest || !latest.snappedAt) return { date: null, facts: new Map() };
+  const date = calendar.sydneyDateString(new Date(latest.snappedAt));
+  const coll = latest.symbols || latest.metals || {};
+
+  const facts = new Map();
+  for (const sym of symbols) {
+    const m = coll[sym];
+    if (!m || numOrNull(m.priceAUD) === null) continue;
+
+    const hist = await upstash.getJson(`history:metal:daily:${sym}`).catch(() => null);
+    const points = ((hist && hist.points) || []).filter((p) => p && typeof p[1] === "number");
+    const today = points.find((p) => p[0] === date);
+    const yearAgo = calendar.addDays(date, -365);
+    const prior = points.filter((p) => p[0] < date && p[0] >= yearAgo);
+    const last = prior.length ? prior[prior.length - 1][1] : null;
+
+    facts.set(sym, {
+      date,
+      price: m.priceAUD,
+      level: today ? today[1] : null,
+      pctChange: today && last ? Number((((today[1] - last) / last) * 100).toFixed(2)) : null,
+      ...(today ? alerts.historyFacts(prior, []) : { points52: 0 }),
+    });
+  }
+  return { date, facts };
+}
+
+// ---------------------------
+// Digest email
+// ---------------------------
+
+function describe(alert, fired) {
+  switch (alert.type) {
+    case "price-above":
+      return `Closed at or above ${tpl.formatPrice(alert.threshold)}`;
+    case "price-below":
+      return `Closed at or below ${tpl.formatPrice(alert.threshold)}`;
+    case "move":
+      return `Moved more than ${alert.threshold}% in a day`;
+    case "52w-high":
+      return "New 52-week high";
+    case "52w-low":
+      return "New 52-week low";
+    case "volume-spike":
+      return `Volume ${(fired.value / fired.detail).toFixed(1)}× the 20-day average`;
+    default:
+      return alert.type;
+  }
+}
+
+function digestEmail(uid, fired) {
+  const rows = fired.map((f) => {
+    const { alert, facts } = f;
+    return [
+      alert.asset === "metal"
+        ? tpl.labelCell(FRIENDLY_COMMODITIES[alert.code] || alert.code, alert.code)
+        : tpl.textCell(alert.code, { bold: true }),
+      tpl.mutedCell(describe(alert, f)),
+      tpl.numberCell(tpl.formatPrice(facts.price)),
+      tpl.moveCell(facts.pctChange),
+    ];
+  });
+
+  const dates = [...new Set(fired.map((f) => f.date))].sort();
+  return tpl.render({
+    title: "MatesInvest alerts",
+    userId: uid,
+    emailType: "alerts",
+    reason: "You're receiving this because you set up price alerts on MatesInvest.",
+    showUnsubscribe: false,
+    feedLink: false,
+    rows: [
+      tpl.header({ heading: "Your alerts", subheading: `Closing data for ${dates.join(" / ")}` }),
+      tpl.marketTable({
+        title: fired.length === 1 ? "1 alert fired" : `${fired.length} alerts fired`,
+        padding: "14px 20px 14px 20px",
+        columns: [
+          { label: "Code" },
+          { label: "Alert" },
+          { label: "Close", align: "right" },
+          { label: "Move", align: "right" },
+        ],
+        rows,
+        captionText: "Each alert stays quiet for its cooldown after firing. Metals in AUD. Not financial advice.",
+      }),
+    ],
+  });
+}
+
+async function sendDigest(uid, email, fired, idempotencyKey) {
+  const RESEND_API_KEY = process.env.RESEND_API_KEY;
+  const EMAIL_FROM = process.env.EMAIL_FROM || "hello@matesinvest.com";
+
+  const codes = [...new Set(fired.map((f) => f.alert.code))];
+  const subject = `MatesInvest alert: ${codes.slice(0, 3).join(", ")}${codes.length > 3 ? ` +${codes.length - 3} more` : ""}`;
+  const { html, text } = digestEmail(uid, fired);
+
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+      "Idempotency-Key": idempotencyKey,
+    },
+    body: JSON.stringify({
+      from: `MatesInvest <${EMAIL_FROM}>`,
+      to: [email],
+      subject,
+      html,
+      text,
+      reply_to: EMAIL_FROM,
+    }),
+  });
+
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    throw new Error(`Resend ${res.status}: ${txt.slice(0, 200)}`);
+  }
+}
+
+// ---------------------------
+// Handler
+// ---------------------------
+
+exports.handler = async function (event) {
+  const start = Date.now();
+  const qs = (event && event.queryStringParameters) || {};
+  const force = qs.force === "1";
+  const dryRun = qs.dryRun === "1";
+
+  if (force || dryRun) {
+    const denied = await requireAdmin(event, "evaluate-alerts");
+    if (denied) return denied;
+  }
+
+  if (!upstash.isConfigured() || !process.env.RESEND_API_KEY) {
+    return { statusCode: 500, body: JSON.stringify({ error: "Missing Upstash or RESEND_API_KEY env vars" }) };
+  }
+
+  try {
+    const byMember = await alerts.activeAlertsByMember();
+    const all = [...byMember.values()].flat();
+    const equityCodes = new Set(all.filter((a) => a.asset === "equity").map((a) => a.code));
+    const historyCodes = new Set(all.filter((a) => a.asset === "equity" && HISTORY_TYPES.has(a.type)).map((a) => a.code));
+    const metalCodes = new Set(all.filter((a) => a.asset === "metal").map((a) => a.code));
+
+    const [evaluated, equity, metals] = await Promise.all([
+      alerts.getEvaluated(),
+      equityCodes.size ? equityFacts(equityCodes, historyCodes) : { date: null, facts: new Map() },
+      metalCodes.size ? metalFacts(metalCodes) : { date: null, facts: new Map() },
+    ]);
+
+    const sources = {
+      equity: equity.date && (force || !evaluated.equity || equity.date > evaluated.equity) ? equity : null,
+      metal: metals.date && (force || !evaluated.metals || metals.date > evaluated.metals) ? metals : null,
+    };
+
+    const results = [];
+    let outOfTime = false;
+    for (const [uid, memberAlerts] of byMember) {
+      if (Date.now() - start > TIME_BUDGET_MS) {
+        outOfTime = true;
+        break;
+      }
+
+      const fired = [];
+      for (const alert of memberAlerts) {
+        const source = sources[alert.asset];
+        const facts = source && source.facts.get(alert.code);
+        const hit = facts ? alerts.evaluate(alert, facts) : null;
+        if (hit) fired.push({ alert, facts, date: facts.date, ...hit });
+      }
+      if (!fired.length) continue;
+
+      const summary = { uid, fired: fired.map((f) => `${f.alert.code} ${f.alert.type}`) };
+      if (dryRun) {
+        results.push(summary);
+        continue;
+      }
+
+      try {
+        const email = await upstash.get(`id:email:${uid}`);
+        if (!email) {
+          results.push({ ...summary, error: "no email for member" });
+          continue;
+        }
+        // Hard-bounced / complained addresses (resend-webhook.js) get nothing; the alerts
+        // stay armed in case the member fixes their address.
+        if (await suppression.isSuppressed(email)) {
+          results.push({ ...summary, skipped: "suppressed" });
+          continue;
+        }
+        const key = `alerts:${uid}:${[...new Set(fired.map((f) => f.date))].sort().join(",")}`;
+        await sendDigest(uid, email, fired, key);
+        await alerts.recordTriggers(uid, fired);
+        results.push({ ...summary, sent: true });
+        await sleep(300);
+      } catch (err) {
+        console.error("evaluate-alerts: send failed", uid, err && err.message);
+        results.push({ ...summary, error: err.message });
+      }
+    }
+
+    if (!dryRun && !outOfTime) {
+      const done = {};
+      if (sources.equity) done.equity = equity.date;
+      if (sources.metal) done.metals = metals.date;
+      if (Object.keys(done).length) await alerts.setEvaluated(done);
+    }
+
+    const body = {
+      ok: true,
+      dryRun,
+      equityDate: sources.equity ? equity.date : null,
+      metalsDate: sources.metal ? metals.date : null,
+      members: byMember.size,
+      digests: results,
+      outOfTime,
+      elapsedMs: Date.now() - start,
+    };
+    console.log("evaluate-alerts", JSON.stringify(body));
+    return { statusCode: 200, body: JSON.stringify(body) };
+  } catch (err) {
+    console.error("evaluate-alerts error", err && err.message);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: err.message }) };
+  }
+};
@@ -1,6 +1,13 @@
+// netlify/functions/export-subscribers.js
+// Admin-only: downloads the email:subscribers set as CSV.
+
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
+
+exports.handler = async function (event) {
+  const denied = await requireAdmin(event, "export-subscribers");
+  if (denied) return denied;
 
-exports.handler = async function () {
   const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
   const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
 
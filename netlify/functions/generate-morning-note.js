@@ -3,72 +3,37 @@
 // Scheduled function: generates the "Mates Morning Note" once each day
 // around 6–7am AEST/AEDT and stores it in Upstash Redis.
 //
-// Key written:
+// Key written (permanent, indexed by date — see lib/morning-notes.js):
 //   matesMorningNote:au:YYYY-MM-DD
+//     -> { region, note, sentences: [{ text, sources: ["us", "a1"] }],
+//          sources: { us: { type: "market-snapshot", ... }, a1: { type: "article", title, url, ... } },
+//          generatedAt, _debug }
+//
+// The model returns structured sentences with source ids; every number quoted is
+// cross-checked against the US snapshot / cited headlines (lib/fact-check.js). Failing
+// sentences trigger one regeneration with feedback, then are dropped.
 //
 // Env required:
-//   OPENAI_API_KEY
+//   OPENAI_API_KEY (via lib/llm.js; falls back to a canned note without it)
 //   UPSTASH_REDIS_REST_URL
 //   UPSTASH_REDIS_REST_TOKEN
 //   EODHD_API_TOKEN
 //   URL  (Netlify injects the site URL in production)
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-const EODHD_API_TOKEN = process.env.EODHD_API_TOKEN || null;
-
-// -------------------------------
-// Redis helpers
-// -------------------------------
-async function redisGet(key) {
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) return null;
-
-  const res = await fetch(`${UPSTASH_URL}/get/${encodeURIComponent(key)}`, {
-    headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-  });
-
-  if (!res.ok) return null;
-
-  const data = await res.json().catch(() => null);
-  return data && typeof data.result === "string" ? data.result : null;
-}
-
-async function redisSetEx(key, value, ttlSeconds) {
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) return;
+const { sydneyDateString, sydneyWallTimeToDate } = require("./lib/market-calendar");
+const llm = require("./lib/llm");
+const morningNotes = require("./lib/morning-notes");
+const factCheck = require("./lib/fact-check");
 
-  await fetch(
-    `${UPSTASH_URL}/set/${encodeURIComponent(key)}/${encodeURIComponent(
-      value
-    )}?EX=${ttlSeconds}`,
-    { headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` } }
-  );
-}
+const EODHD_API_TOKEN = process.env.EODHD_API_TOKEN || null;
 
 // -------------------------------
 // Time helpers
 // -------------------------------
 
-// YYYY-MM-DD in Australia/Sydney
-function getAussieDateString() {
-  const now = new Date();
-  const aussie = new Date(
-    now.toLocaleString("en-US", { timeZone: "Australia/Sydney" })
-  );
-  const y = aussie.getFullYear();
-  const m = String(aussie.getMonth() + 1).padStart(2, "0");
-  const d = String(aussie.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
-
-// ISO string for 6:00am Australia/Sydney *today*
+// ISO string for 6:00am Australia/Sydney *today* (AEST or AEDT as applicable)
 function getAussieSixAmISO() {
-  const now = new Date();
-  const aussie = new Date(
-    now.toLocaleString("en-US", { timeZone: "Australia/Sydney" })
-  );
-  aussie.setHours(6, 0, 0, 0);
-  return aussie.toISOString();
+  return sydneyWallTimeToDate(sydneyDateString(), 6, 0).toISOString();
 }
 
 // -------------------------------
@@ -222,10 +187,55 @@ if (changePct !== null) {
   }
 }
 
+// -------------------------------
+// Sources (what the note may cite)
+// -------------------------------
+const MAX_ARTICLES = 6;
+const MAX_ATTEMPTS = 2;
+
+// { us: { type: "market-snapshot", ... }, a1: { type: "article", title, url, ... }, ... }
+function buildSources(articles, usMarkets) {
+  const sources = {};
+  if (usMarkets && usMarkets.summaryLine) {
+    sources.us = {
+      type: "market-snapshot",
+      label: "Latest US session (EODHD)",
+      summaryLine: usMarkets.summaryLine,
+    };
+  }
+  articles.slice(0, MAX_ARTICLES).forEach((a, i) => {
+    sources[`a${i + 1}`] = {
+      type: "article",
+      title: a.title || "",
+      url: a.url || null,
+      source: a.source || null,
+      publishedAt: a.publishedAt || null,
+      description: a.description || "",
+    };
+  });
+  return sources;
+}
+
+// Numbers each source lets a sentence quote (see lib/fact-check.js).
+function groundingNumbers(sources, usMarkets) {
+  const out = {};
+  if (sources.us) {
+    const moves = [usMarkets.avgChange];
+    for (const c of usMarkets.components || []) {
+      moves.push(c.changePct, c.intradayChangePct, c.eodChangePct);
+    }
+    out.us = factCheck.percentMoves(moves);
+  }
+  for (const [id, src] of Object.entries(sources)) {
+    if (src.type === "article") out[id] = factCheck.factsIn(`${src.title} ${src.description}`);
+  }
+  return out;
+}
+
 // -------------------------------
 // Prompt builder
 // -------------------------------
-function buildPrompt(region, articles, usMarkets) {
+function buildPrompt(region, sources) {
   const regionLabel =
     region === "us"
       ? "the US"
@@ -233,15 +243,14 @@ function buildPrompt(region, articles, usMarkets) {
       ? "global markets"
       : "Australia and the ASX";
 
-  const topBits = articles
-    .slice(0, 6)
-    .map((a) => `• ${a.title || ""}${a.source ? ` (${a.source})` : ""}`)
+  const topBits = Object.entries(sources)
+    .filter(([, s]) => s.type === "article")
+    .map(([id, s]) => `• [${id}] ${s.title}${s.source ? ` (${s.source})` : ""}`)
     .join("\n");
 
-  const usLine =
-    usMarkets && usMarkets.summaryLine
-      ? `Latest US trading session performance (already calculated): ${usMarkets.summaryLine}.`
-      : "Recent US market moves were modest or mixed.";
+  const usLine = sources.us
+    ? `[us] Latest US trading session performance (already calculated): ${sources.us.summaryLine}.`
+    : "Recent US market moves were modest or mixed (no figures available — do not quote any).";
 
   return `
 You are writing a short pre-market note for everyday investors in ${regionLabel}.
@@ -263,21 +272,131 @@ Write a concise "Mates Morning Note" that:
 - does NOT repeat the phrase "Mates Morning Note" in the text
 - does NOT include a sign-off
 - maintains a calm, factual tone typical of morning market commentary.
+
+Grounding rules:
+- Only quote numbers that appear in the snapshot or headlines above, exactly as given (you may round).
+- Every sentence must cite the ids in square brackets above that it relies on ("us", "a1", ...).
+
+Return ONLY a JSON object:
+{"sentences": [{"text": "One sentence.", "sources": ["us"]}, ...]}
 `;
 
 }
 
+// Strip markdown and greeting/sign-off boilerplate from the model output.
+function cleanNote(note) {
+  return note
+    .replace(/\*\*/g, "")
+    .replace(/^#+\s*/g, "")
+    .replace(/^Mates Morning Note[:\- ]*/i, "")
+    .replace(/^Good\s+morning[,!.]?\s*/i, "")
+    .replace(/Take care\.?$/i, "")
+    .trim();
+}
+
+// -------------------------------
+// Grounded generation
+// -------------------------------
+
+// Model JSON -> [{ text, sources }] with unknown source ids dropped.
+function normaliseSentences(json, sources) {
+  const list = json && Array.isArray(json.sentences) ? json.sentences : [];
+  return list
+    .map((s) => ({
+      text: cleanNote(String((s && s.text) || "")),
+      sources: (Array.isArray(s && s.sources) ? s.sources : [])
+        .map((id) => String(id).replace(/[[\]]/g, "").trim())
+        .filter((id, i, arr) => sources[id] && arr.indexOf(id) === i),
+    }))
+    .filter((s) => s.text);
+}
+
+// Splits sentences into passing / failing the number check against their cited sources
+// (the US snapshot is always allowed: it's the note's baseline context).
+function validateSentences(sentences, grounding) {
+  const passed = [];
+  const failed = [];
+  for (const s of sentences) {
+    const allowed = [...(grounding.us || []), ...s.sources.flatMap((id) => grounding[id] || [])];
+    const check = factCheck.checkSentence(s.text, allowed);
+    if (check.ok) passed.push(s);
+    else failed.push({ ...s, unmatched: check.unmatched });
+  }
+  return { passed, failed };
+}
+
+// Generates, fact-checks and (once) regenerates with feedback; sentences that still
+// quote unsupported numbers are dropped. Returns { sentences, attempts, dropped }.
+async function generateGroundedNote(region, sources, grounding) {
+  const messages = [
+    {
+      role: "system",
+      content:
+        "You write very short, calm pre-market summaries for Australian investors. You respond only with strict JSON.",
+    },
+    { role: "user", content: buildPrompt(region, sources) },
+  ];
+
+  let failed = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const completion = await llm.completeJson("morning-note", {
+      messages,
+      cache: attempt === 1,
+    });
+    const sentences = normaliseSentences(completion.json, sources);
+    const result = validateSentences(sentences, grounding);
+    failed = result.failed;
+
+    if (!failed.length || attempt === MAX_ATTEMPTS) {
+      if (failed.length) {
+        console.warn("generate-morning-note: dropping ungrounded sentences", failed.map((f) => f.unmatched));
+      }
+      return { sentences: result.passed, attempts: attempt, dropped: failed };
+    }
+
+    console.warn("generate-morning-note: regenerating, numbers not in sources", failed.map((f) => f.unmatched));
+    messages.push(
+      { role: "assistant", content: JSON.stringify({ sentences }) },
+      {
+        role: "user",
+        content:
+          "These sentences quote numbers (or move directions) that are not in the snapshot or cited headlines: " +
+          failed.map((f) => `"${f.text}" (${f.unmatched.join(", ")})`).join("; ") +
+          ". Rewrite the note using only the figures given above, same JSON format.",
+      }
+    );
+  }
+  return { sentences: [], attempts: MAX_ATTEMPTS, dropped: failed };
+}
+
+// Canned, still-cited note when the model is unavailable or nothing survives the check.
+function fallbackSentences(sources) {
+  const sentences = [];
+  if (sources.us) {
+    sentences.push({
+      text: `US markets moved as follows in the latest session: ${sources.us.summaryLine}.`,
+      sources: ["us"],
+    });
+  }
+  sentences.push(
+    sources.a1
+      ? { text: `Markets are watching headlines today, particularly ${sources.a1.title || "overnight moves"}.`, sources: ["a1"] }
+      : { text: "Headlines appear quiet so far. Watch major indices, banks and miners as trade begins today.", sources: [] }
+  );
+  return sentences;
+}
+
 // -------------------------------
 // MAIN HANDLER (scheduled)
 // -------------------------------
 exports.handler = async function () {
   try {
     const region = "au";
-    const todayAEST = getAussieDateString();
-    const cacheKey = `matesMorningNote:${region}:${todayAEST}`;
+    const todayAEST = sydneyDateString();
+    const cacheKey = morningNotes.noteKey(region, todayAEST);
 
     // Idempotency: if we've already generated today's note, don't regenerate.
-    const existing = await redisGet(cacheKey);
+    const existing = await morningNotes.getNote(region, todayAEST);
     if (existing) {
       console.log("generate-morning-note: cache already exists", cacheKey);
       return {
@@ -291,10 +410,6 @@ exports.handler = async function () {
       };
     }
 
-    if (!OPENAI_API_KEY) {
-      console.error("generate-morning-note: missing OPENAI_API_KEY");
-    }
-
     // -------- 1) Fetch AU news via your own newsFeed function --------
     const baseUrl =
       (process.env.URL && process.env.URL.replace(/\/$/, "")) ||
@@ -327,60 +442,40 @@ exports.handler = async function () {
       console.warn("generate-morning-note: US markets snapshot failed", err);
     }
 
-    // -------- 3) Build note (OpenAI or fallback) --------
-    let note;
+    // -------- 3) Build note (grounded LLM output or fallback) --------
+    const sources = buildSources(articles, usMarkets);
+    const grounding = groundingNumbers(sources, usMarkets);
+
+    let sentences = [];
+    let factCheckDebug = null;
     let usedFallback = false;
 
-    if (!OPENAI_API_KEY) {
-      usedFallback = true;
-      const headlineBit = articles.length
-        ? `Markets are watching headlines today, particularly ${articles[0].title ||
-            "overnight moves"}.`
-        : `Headlines appear quiet so far. Watch major indices, banks and miners as trade begins today.`;
-
-      const usBit =
-        usMarkets && usMarkets.summaryLine
-          ? `Overnight US markets moved as follows: ${usMarkets.summaryLine}. `
-          : "";
-
-      note = `${usBit}${headlineBit}`;
-    } else {
-      const prompt = buildPrompt(region, articles, usMarkets);
-
-      const aiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "system",
-              content:
-                "You write very short, calm pre-market summaries for Australian investors.",
-            },
-            { role: "user", content: prompt },
-          ],
-          temperature: 0.4,
-          max_tokens: 200,
-        }),
-      });
+    try {
+      const result = await generateGroundedNote(region, sources, grounding);
+      sentences = result.sentences;
+      factCheckDebug = {
+        attempts: result.attempts,
+        dropped: result.dropped.map((d) => ({ text: d.text, unmatched: d.unmatched })),
+      };
+    } catch (err) {
+      console.error("generate-morning-note: LLM failed, using fallback", err && err.message);
+    }
 
-      const aiJson = await aiRes.json().catch(() => ({}));
-      note =
-        aiJson.choices?.[0]?.message?.content?.trim() ||
-        "Markets are open with mixed signals across indices and commodities today.";
+    if (!sentences.length) {
+      usedFallback = true;
+      sentences = fallbackSentences(sources);
     }
 
-    // Clean formatting
-    note = note.replace(/\*\*/g, "");
-    note = note.replace(/^#+\s*/g, "");
-    note = note.replace(/^Mates Morning Note[:\- ]*/i, "");
-    note = note.replace(/^Good\s+morning[,!.]?\s*/i, "");
-    note = note.replace(/Take care\.?$/i, "");
-    note = note.trim();
+    // Plain-text note (existing readers + email) with the general-advice disclaimer
+    const note = llm.applyCompliance(sentences.map((s) => s.text).join(" ")).text;
+
+    // Only keep sources that are actually cited
+    const cited = new Set(sentences.flatMap((s) => s.sources));
+    const citedSources = {};
+    for (const id of cited) {
+      const { description, ...src } = sources[id];
+      citedSources[id] = src;
+    }
 
     // -------- 4) Build payload & write to Upstash --------
     const generatedAt = getAussieSixAmISO(); // pretend we generated exactly at 6:00am local
@@ -388,17 +483,20 @@ exports.handler = async function () {
     const payload = {
       region,
       note,
+      sentences,
+      sources: citedSources,
       generatedAt,
       _debug: {
         usedFallback,
+        factCheck: factCheckDebug,
         articleCount: articles.length,
         usMarkets,
         source: "generate-morning-note",
       },
     };
 
-    // keep around for a few days
-    await redisSetEx(cacheKey, JSON.stringify(payload), 72 * 60 * 60);
+    // kept permanently + indexed for the archive / feed
+    await morningNotes.saveNote(region, todayAEST, payload);
 
     return {
       statusCode: 200,
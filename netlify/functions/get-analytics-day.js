@@ -1,5 +1,8 @@
 // netlify/functions/get-analytics-day.js
+// Admin-only: raw counters for one mates:analytics:day:YYYY-MM-DD hash.
+
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
 
 async function redisCmd(cmdArray) {
   const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
@@ -19,6 +22,9 @@ async function redisCmd(cmdArray) {
 }
 
 exports.handler = async (event) => {
+  const denied = await requireAdmin(event, "get-analytics-day");
+  if (denied) return denied;
+
   const day = (event.queryStringParameters?.day || "").trim();
   if (!day) return { statusCode: 400, body: "Missing ?day=YYYY-MM-DD" };
 
@@ -4,12 +4,13 @@
 //   /.netlify/functions/instrument-ai-summary?type=equity&code=BHP
 //
 // Env vars needed:
-//   OPENAI_API_KEY
+//   OPENAI_API_KEY (via lib/llm.js)
 //   MARKETAUX_API_TOKEN
 //   UPSTASH_REDIS_REST_URL (optional but recommended)
 //   UPSTASH_REDIS_REST_TOKEN (optional)
 
 const fetch = (...args) => global.fetch(...args);
+const llm = require("./lib/llm");
 
 exports.handler = async (event) => {
   try {
@@ -24,17 +25,10 @@ exports.handler = async (event) => {
       };
     }
 
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
     const MARKETAUX_API_TOKEN = process.env.MARKETAUX_API_TOKEN;
     const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL || null;
     const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || null;
 
-    if (!OPENAI_API_KEY) {
-      return {
-        statusCode: 500,
-        body: JSON.stringify({ error: "Missing OPENAI_API_KEY env" }),
-      };
-    }
     if (!MARKETAUX_API_TOKEN) {
       return {
         statusCode: 500,
@@ -127,7 +121,7 @@ exports.handler = async (event) => {
             })
             .join("\n");
 
-    // ----- Call OpenAI for a 2-liner summary -----
+    // ----- 2-liner summary via the LLM gateway (model + compliance in lib/llm.js) -----
     const systemPrompt =
       "You are an investment writer for a simple, jargon-light Aussie investing app. " +
       "Write in plain English for everyday retail investors. " +
@@ -154,39 +148,26 @@ ${newsContext}
 Write exactly 2 short sentences. No bullet points. No disclaimers.
 `;
 
-    const openaiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini",
+    let completion;
+    try {
+      completion = await llm.complete("instrument-summary", {
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt },
         ],
-        temperature: 0.4,
-        max_tokens: 140,
-      }),
-    });
-
-    if (!openaiRes.ok) {
-      const txt = await openaiRes.text().catch(() => "");
+      });
+    } catch (err) {
       return {
         statusCode: 500,
         body: JSON.stringify({
           error: "OpenAI request failed",
-          status: openaiRes.status,
-          body: txt.slice(0, 300),
+          status: err.status || null,
+          body: String(err.message || err).slice(0, 300),
         }),
       };
     }
 
-    const openaiJson = await openaiRes.json();
-    const summary =
-      openaiJson?.choices?.[0]?.message?.content?.trim() ||
-      "We couldn't generate a summary right now.";
+    const summary = completion.text || "We couldn't generate a summary right now.";
 
     const payload = {
       type,
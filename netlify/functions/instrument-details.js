@@ -14,10 +14,13 @@
 //   UPSTASH_REDIS_REST_TOKEN
 //
 // Optional:
-//   HISTORY_MONTHS (default 6)
+//   HISTORY_RANGE (default "6m", see lib/equity-history.js RANGES)
 //   TRY_SUFFIXES (default "AU,AX,ASX")
 
 const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
+const equityHistory = require("./lib/equity-history");
+const dividends = require("./lib/dividends");
 
 exports.handler = async function (event) {
   const nowIso = new Date().toISOString();
@@ -50,92 +53,25 @@ exports.handler = async function (event) {
       .toUpperCase();
   }
 
-  function toDateString(d) {
-    return new Date(d).toISOString().slice(0, 10);
-  }
-
-  function monthsAgoDateString(months) {
-    const d = new Date();
-    d.setMonth(d.getMonth() - months);
-    return toDateString(d);
-  }
-
   // -------------------------------
   // Upstash helpers
   // -------------------------------
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL || null;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || null;
-
   async function redisGet(key) {
-    if (!UPSTASH_URL || !UPSTASH_TOKEN) return null;
     try {
-      const res = await fetchWithTimeout(
-        `${UPSTASH_URL}/get/${encodeURIComponent(key)}`,
-        {
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        7000
-      );
-      if (!res.ok) return null;
-      const j = await res.json().catch(() => null);
-      if (!j || typeof j.result === "undefined") return null;
-      return j.result;
+      return await upstash.get(key);
     } catch (e) {
       console.warn("redisGet error", key, e && e.message);
       return null;
     }
   }
 
-  async function redisSet(key, value) {
-    if (!UPSTASH_URL || !UPSTASH_TOKEN) return false;
+  async function redisGetJson(key) {
     try {
-      const valString =
-        typeof value === "string" ? value : JSON.stringify(value);
-
-      const url =
-        `${UPSTASH_URL}/set/` +
-        `${encodeURIComponent(key)}/` +
-        `${encodeURIComponent(valString)}`;
-
-      const res = await fetchWithTimeout(
-        url,
-        {
-          method: "POST",
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        8000
-      );
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        console.warn(
-          "redisSet failed",
-          key,
-          res.status,
-          txt && txt.slice(0, 300)
-        );
-        return false;
-      }
-      return true;
+      return await upstash.getJson(key);
     } catch (e) {
-      console.warn("redisSet error", key, e && e.message);
-      return false;
-    }
-  }
-
-  async function redisGetJson(key) {
-    const raw = await redisGet(key);
-    if (!raw) return null;
-    if (typeof raw === "string") {
-      try {
-        return JSON.parse(raw);
-      } catch (e) {
-        console.warn("redisGetJson parse error", key, e && e.message);
-        return null;
-      }
+      console.warn("redisGetJson error", key, e && e.message);
+      return null;
     }
-    if (typeof raw === "object") return raw;
-    return null;
   }
 async function getUniverseFundamentalsLatestManifest() {
   return await redisGetJson("asx:universe:fundamentals:latest");
@@ -190,35 +126,6 @@ async function findUniverseFundamentalsByCode(baseCode) {
   // -------------------------------
   const EODHD_TOKEN = process.env.EODHD_API_TOKEN || null;
 
-  async function fetchEodHistory(fullCode, from, to) {
-    if (!EODHD_TOKEN) {
-      throw new Error("Missing EODHD_API_TOKEN");
-    }
-    const url = `https://eodhd.com/api/eod/${encodeURIComponent(
-      fullCode
-    )}?api_token=${encodeURIComponent(
-      EODHD_TOKEN
-    )}&period=d&from=${from}&to=${to}&fmt=json`;
-
-    const res = await fetchWithTimeout(url, {}, 12000);
-    const txt = await res.text().catch(() => "");
-    if (!res.ok) {
-      throw new Error(
-        `EODHD eod error ${res.status}: ${txt.slice(0, 300) || "no body"}`
-      );
-    }
-    let json;
-    try {
-      json = txt ? JSON.parse(txt) : null;
-    } catch (e) {
-      throw new Error("Failed to parse EODHD eod JSON");
-    }
-    if (!Array.isArray(json) || json.length === 0) {
-      return [];
-    }
-    return json;
-  }
-
   // Robust fundamentals fetch – try /fundamental, /fundamentals, /company
   async function fetchFundamentals(fullCode) {
     if (!EODHD_TOKEN) {
@@ -465,61 +372,48 @@ async function findUniverseFundamentalsByCode(baseCode) {
   }
 
   // -------------------------------
-  // History caching helpers (equities)
+  // History (equities) – read from the equity history store only
   // -------------------------------
-  const DEFAULT_HISTORY_MONTHS = 6;
-  const HISTORY_MONTHS = Number(
-    process.env.HISTORY_MONTHS || DEFAULT_HISTORY_MONTHS
-  );
-
-  async function getOrBuildEquityHistory(fullCode, months) {
-    const key = `history:equity:daily:${fullCode}`;
-    const cached = await redisGetJson(key);
-
-    const todayStr = toDateString(new Date());
-    const fromStr = monthsAgoDateString(months);
+  const HISTORY_RANGE = process.env.HISTORY_RANGE || "6m";
 
-    if (
-      cached &&
-      cached.startDate &&
-      cached.endDate &&
-      cached.startDate <= fromStr &&
-      cached.endDate >= todayStr &&
-      Array.isArray(cached.points) &&
-      cached.points.length > 0
-    ) {
-      return cached;
-    }
-
-    const eod = await fetchEodHistory(fullCode, fromStr, todayStr);
-    const points = eod
-      .map((bar) => {
-        const date = bar.date || bar.Date || null;
-        const close =
-          typeof bar.adjusted_close === "number"
-            ? bar.adjusted_close
-            : typeof bar.close === "number"
-            ? bar.close
-            : typeof bar.Close === "number"
-            ? bar.Close
-            : null;
-        if (!date || typeof close !== "number" || !Number.isFinite(close)) {
-          return null;
-        }
-        return [date, Number(close)];
-      })
-      .filter(Boolean);
-
-    const history = {
+  // Unseeded codes are queued for seed-equity-history; until then whatever the nightly
+  // append has collected (possibly nothing) is returned.
+  async function getEquityHistory(fullCode) {
+    const code = normalizeCode(fullCode);
+    const history = await equityHistory.getHistory(code, { range: HISTORY_RANGE });
+    if (!history || !history.seeded) {
+      await equityHistory.queueSeed(code).catch((e) => console.warn("queueSeed error", code, e && e.message));
+    }
+    if (!history) return null;
+    return {
       symbol: fullCode,
-      startDate: fromStr,
-      endDate: todayStr,
-      lastUpdated: new Date().toISOString(),
-      points,
+      startDate: history.startDate,
+      endDate: history.endDate,
+      range: history.range,
+      seeded: history.seeded,
+      points: history.points,
     };
+  }
 
-    await redisSet(key, history);
-    return history;
+  // -------------------------------
+  // Dividends (equities) – read from the dividend store only
+  // -------------------------------
+  const DIVIDEND_HISTORY_YEARS = 10;
+
+  // { history: [dividend, ...] newest first, trailing/forward/grossed-up yield, next ex-date }
+  // or null until refresh-dividends has picked the code up.
+  async function getEquityDividends(code, price) {
+    const rec = await dividends.getDividends(code);
+    if (!rec) {
+      await dividends.queueRefresh(code).catch((e) => console.warn("queueRefresh error", code, e && e.message));
+      return null;
+    }
+    const since = `${new Date().getUTCFullYear() - DIVIDEND_HISTORY_YEARS}-01-01`;
+    return {
+      ...dividends.summarise(rec.items, price),
+      history: rec.items.filter((d) => d.exDate >= since),
+      updatedAt: rec.updatedAt,
+    };
   }
 
   // -------------------------------
@@ -580,7 +474,7 @@ async function findUniverseFundamentalsByCode(baseCode) {
       };
     }
 
-    if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+    if (!upstash.isConfigured()) {
       return {
         statusCode: 500,
         body: JSON.stringify({ error: "Missing Upstash env" }),
@@ -661,7 +555,7 @@ try {
     // 3) History (cached)
     let history = null;
     try {
-      history = await getOrBuildEquityHistory(eodSymbol, HISTORY_MONTHS);
+      history = await getEquityHistory(eodSymbol);
       debug.steps.push({
         step: "history",
         symbol: eodSymbol,
@@ -799,6 +693,19 @@ if (universeRow && typeof universeRow === "object") {
       debug.steps.push({ step: "latest-from-history", ok: true });
     }
 
+    // 5b) Dividends (from the dividend store; unknown codes are queued for refresh-dividends)
+    let dividendInfo = null;
+    try {
+      dividendInfo = await getEquityDividends(baseCode, latest.price);
+      debug.steps.push({
+        step: "dividends",
+        found: !!dividendInfo,
+        items: dividendInfo ? dividendInfo.history.length : 0,
+      });
+    } catch (e) {
+      debug.steps.push({ step: "dividends-error", error: e && e.message });
+    }
+
     // 6) News (stub for now)
     const news = [];
 
@@ -811,6 +718,7 @@ sector: (fundamentals.sector || (universeRow && universeRow.sector) || null),
 industry: (fundamentals.industry || (universeRow && universeRow.industry) || null),
       latest,
       history: history || null,
+      dividends: dividendInfo,
       fundamentals,
       news,
       debug,
@@ -834,7 +742,7 @@ industry: (fundamentals.industry || (universeRow && universeRow.industry) || nul
       };
     }
 
-    if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+    if (!upstash.isConfigured()) {
       return {
         statusCode: 500,
         body: JSON.stringify({ error: "Missing Upstash env" }),
@@ -7,15 +7,21 @@
 // - Always add to app waitlist: email:subscribers-App
 // - Only add to daily email list if daily_updates === true
 // - Assign stable MI000000X ID using existing Redis counter + mappings
+// - Write initial email preferences for the ID (newsletters only if daily_updates)
+// - Optional "ref": a member's referral code (lib/referrals.js) to credit them with the lead,
+//   once the lead clicks the confirmation email (sent even without double opt-in, but only by
+//   the signup that parked the referral)
+// - With EMAIL_DOUBLE_OPT_IN=1 the lead is parked until the confirmation link is
+//   clicked (see lib/email-optin.js)
 
-const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
+const subscribers = require("./lib/subscribers");
+const emailOptIn = require("./lib/email-optin");
 
 exports.handler = async function (event) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
   const LEAD_API_KEY = process.env.LEAD_API_KEY;
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN || !LEAD_API_KEY) {
+  if (!upstash.isConfigured() || !LEAD_API_KEY) {
     return {
       statusCode: 500,
       body: JSON.stringify({ error: "Server not configured" }),
@@ -40,7 +46,7 @@ exports.handler = async function (event) {
     return { statusCode: 400, body: "Invalid JSON" };
   }
 
-  let { email, name, daily_updates, source, campaign, adset, ad } = body;
+  let { email, name, daily_updates, source, campaign, adset, ad, ref } = body;
 
   if (!email || typeof email !== "string") {
     return { statusCode: 400, body: "Email required" };
@@ -53,122 +59,42 @@ exports.handler = async function (event) {
   }
 
   daily_updates = !!daily_updates;
+  ref = typeof ref === "string" && ref.trim() ? ref.trim().slice(0, 16) : null;
 
-  async function fetchWithTimeout(url, opts = {}, timeout = 7000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(id);
-      return res;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
-    }
-  }
-
-  async function sadd(keyName) {
-    const url =
-      `${UPSTASH_URL}/sadd/` +
-      `${encodeURIComponent(keyName)}/` +
-      `${encodeURIComponent(email)}`;
-
-    return fetchWithTimeout(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      },
-    });
-  }
-
-  function fmtId(n) {
-    return `MI${String(n).padStart(7, "0")}`;
-  }
-
-  // === SAME ID LOGIC AS subscribe.js ===
-  async function ensureMemberId() {
-    const pipelineUrl = `${UPSTASH_URL}/pipeline`;
-
-    // 1) Check existing
-    const r1 = await fetchWithTimeout(pipelineUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify([["GET", `email:id:${email}`]]),
-    });
-
-    const j1 = await r1.json().catch(() => null);
-    const existing = j1?.[0]?.result;
-    if (existing) return existing;
-
-    // 2) Allocate next ID
-    const r2 = await fetchWithTimeout(pipelineUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify([["INCR", "user:id:counter"]]),
-    });
-
-    const j2 = await r2.json().catch(() => null);
-    const n = j2?.[0]?.result;
-    if (!n) return null;
+  const lists = { app: true, daily: daily_updates };
 
-    const newId = fmtId(n);
-
-    // 3) Claim email → id
-    const r3 = await fetchWithTimeout(pipelineUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify([["SETNX", `email:id:${email}`, newId]]),
-    });
-
-    const j3 = await r3.json().catch(() => null);
-    if (j3?.[0]?.result === 1) {
-      // write reverse mapping
-      await fetchWithTimeout(pipelineUrl, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${UPSTASH_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify([["SET", `id:email:${newId}`, email]]),
+  try {
+    // Optional double opt-in: park the lead and email a confirmation link
+    if (emailOptIn.isDoubleOptInEnabled()) {
+      const { status } = await emailOptIn.requestConfirmation(email, {
+        lists,
+        source: source || "lead-capture",
+        dailyUpdates: daily_updates,
+        ref,
       });
 
-      return newId;
+      return {
+        statusCode: 200,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ok: true, pending: true, confirmation: status }),
+      };
     }
 
-    // fallback
-    const r4 = await fetchWithTimeout(pipelineUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify([["GET", `email:id:${email}`]]),
+    // 1) Always add to waitlist, 2) optional daily emails,
+    // 3) assign SAME member ID, 4) initial email preferences
+    const { id, referral } = await subscribers.activateSubscriber(email, {
+      lists,
+      source: source || "lead-capture",
+      dailyUpdates: daily_updates,
+      ref,
     });
 
-    const j4 = await r4.json().catch(() => null);
-    return j4?.[0]?.result || null;
-  }
-
-  try {
-    // 1) Always add to waitlist
-    await sadd("email:subscribers-App");
-
-    // 2) Optional daily emails
-    if (daily_updates) {
-      await sadd("email:subscribers");
-    }
-
-    // 3) Assign SAME member ID
-    const id = await ensureMemberId();
+    await emailOptIn.requestReferralConfirmation(email, referral, {
+      lists,
+      source: source || "lead-capture",
+      dailyUpdates: daily_updates,
+      ref,
+    });
 
     return {
       statusCode: 200,
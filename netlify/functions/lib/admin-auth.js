@@ -0,0 +1,202 @@
+// netlify/functions/lib/admin-auth.js
+//
+// Shared guard for admin, export and backfill functions.
+//
+// A request is accepted if it carries EITHER:
+//   1) Authorization: Bearer <ADMIN_API_TOKEN>
+//   2) An HMAC signature with an expiry, scoped to one function:
+//        headers  x-admin-expires: <unix seconds>   x-admin-signature: <hex>
+//        or query ?expires=<unix seconds>&signature=<hex>   (handy for download links)
+//      signature = HMAC_SHA256(ADMIN_SIGNING_SECRET, "<METHOD>\n<function-name>\n<expires>")
+//
+// Signed requests are rejected once expired, or if the expiry is further out than
+// ADMIN_SIGNED_MAX_TTL_SECONDS (default 1h) so a leaked link can't live forever.
+//
+// Rejected attempts are logged to Upstash (best effort):
+//   admin:auth:rejected                     -> list of recent JSON entries (capped)
+//   admin:auth:rejected:day:YYYY-MM-DD      -> hash { <function-name>: count }
+//
+// Env:
+//   ADMIN_API_TOKEN
+//   ADMIN_SIGNING_SECRET          (falls back to INTERNAL_CRON_SECRET)
+//   ADMIN_SIGNED_MAX_TTL_SECONDS  (optional, default 3600)
+//
+// Usage:
+//   const { requireAdmin } = require("./lib/admin-auth");
+//   const denied = await requireAdmin(event, "export-subscribers");
+//   if (denied) return denied;
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const { sydneyDateString } = require("./market-calendar");
+
+const DEFAULT_MAX_TTL_SECONDS = 60 * 60;
+const REJECTED_LOG_KEY = "admin:auth:rejected";
+const REJECTED_LOG_MAX = 1000;
+const REJECTED_DAY_PREFIX = "admin:auth:rejected:day:";
+const REJECTED_DAY_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+function getBearerToken() {
+  return String(process.env.ADMIN_API_TOKEN || "").trim();
+}
+
+function getSigningSecret() {
+  return String(
+    process.env.ADMIN_SIGNING_SECRET || process.env.INTERNAL_CRON_SECRET || ""
+  ).trim();
+}
+
+function getMaxTtlSeconds() {
+  const n = Number(process.env.ADMIN_SIGNED_MAX_TTL_SECONDS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_TTL_SECONDS;
+}
+
+// Header lookup that doesn't care how the platform cased the names.
+function getHeader(event, name) {
+  const headers = (event && event.headers) || {};
+  const want = name.toLowerCase();
+  for (const [k, v] of Object.entries(headers)) {
+    if (k.toLowerCase() === want) return String(v || "").trim();
+  }
+  return "";
+}
+
+// Compare secrets without leaking length/prefix timing.
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function computeSignature(secret, method, fnName, expires) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${String(method).toUpperCase()}\n${fnName}\n${expires}`)
+    .digest("hex");
+}
+
+// ---------------------------
+// Signing (for callers: kickers, scripts, download links)
+// ---------------------------
+
+// Returns { expires, signature } for a call to `fnName`.
+function signRequest(fnName, opts = {}) {
+  const secret = getSigningSecret();
+  if (!secret) throw new Error("ADMIN_SIGNING_SECRET not configured");
+  const method = opts.method || "GET";
+  const ttl = Math.min(opts.ttlSeconds || 5 * 60, getMaxTtlSeconds());
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return { expires, signature: computeSignature(secret, method, fnName, expires) };
+}
+
+function signedHeaders(fnName, opts = {}) {
+  const { expires, signature } = signRequest(fnName, opts);
+  return { "x-admin-expires": String(expires), "x-admin-signature": signature };
+}
+
+function signedQuery(fnName, opts = {}) {
+  const { expires, signature } = signRequest(fnName, { ...opts, method: "GET" });
+  return `expires=${expires}&signature=${signature}`;
+}
+
+// ---------------------------
+// Verification
+// ---------------------------
+
+// Returns { ok: true, method: "bearer"|"hmac" } or { ok: false, reason }.
+function verifyAdminRequest(event, fnName) {
+  const bearerToken = getBearerToken();
+  const signingSecret = getSigningSecret();
+  if (!bearerToken && !signingSecret) return { ok: false, reason: "not-configured" };
+
+  const auth = getHeader(event, "authorization");
+  const bearerMatch = auth.match(/^Bearer\s+(.+)$/i);
+  if (bearerMatch) {
+    if (bearerToken && safeEqual(bearerMatch[1].trim(), bearerToken)) {
+      return { ok: true, method: "bearer" };
+    }
+    return { ok: false, reason: "bad-bearer" };
+  }
+
+  const qs = (event && event.queryStringParameters) || {};
+  const expiresRaw = getHeader(event, "x-admin-expires") || String(qs.expires || "").trim();
+  const signature = getHeader(event, "x-admin-signature") || String(qs.signature || "").trim();
+  if (!expiresRaw && !signature) return { ok: false, reason: "missing-credentials" };
+  if (!signingSecret) return { ok: false, reason: "hmac-not-configured" };
+
+  const expires = Number(expiresRaw);
+  if (!Number.isInteger(expires) || !/^[0-9a-f]{64}$/i.test(signature)) {
+    return { ok: false, reason: "malformed-signature" };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (expires < now) return { ok: false, reason: "expired" };
+  if (expires > now + getMaxTtlSeconds()) return { ok: false, reason: "expiry-too-far" };
+
+  const method = (event && event.httpMethod) || "GET";
+  const expected = computeSignature(signingSecret, method, fnName, expires);
+  if (!safeEqual(signature.toLowerCase(), expected)) return { ok: false, reason: "bad-signature" };
+
+  return { ok: true, method: "hmac" };
+}
+
+async function logRejected(event, fnName, reason) {
+  if (!upstash.isConfigured()) return;
+
+  const now = new Date();
+  const entry = {
+    ts: now.toISOString(),
+    fn: fnName,
+    reason,
+    method: (event && event.httpMethod) || null,
+    path: (event && event.path) || null,
+    ip:
+      getHeader(event, "x-nf-client-connection-ip") ||
+      getHeader(event, "x-forwarded-for").split(",")[0].trim() ||
+      null,
+    ua: getHeader(event, "user-agent").slice(0, 200) || null,
+  };
+  const dayKey = `${REJECTED_DAY_PREFIX}${sydneyDateString(now)}`;
+
+  try {
+    await upstash.pipeline(
+      [
+        ["LPUSH", REJECTED_LOG_KEY, JSON.stringify(entry)],
+        ["LTRIM", REJECTED_LOG_KEY, 0, REJECTED_LOG_MAX - 1],
+        ["HINCRBY", dayKey, fnName, 1],
+        ["EXPIRE", dayKey, REJECTED_DAY_TTL_SECONDS],
+      ],
+      { retries: 0, timeout: 3000 }
+    );
+  } catch (err) {
+    console.warn("admin-auth: failed to log rejected attempt", err && err.message);
+  }
+}
+
+// Returns null when the request is authorised, otherwise a ready-to-return response.
+async function requireAdmin(event, fnName) {
+  const result = verifyAdminRequest(event, fnName);
+  if (result.ok) return null;
+
+  if (result.reason === "not-configured") {
+    console.error(`${fnName}: admin auth not configured (ADMIN_API_TOKEN / ADMIN_SIGNING_SECRET)`);
+    return { statusCode: 500, body: "Admin auth not configured" };
+  }
+
+  console.warn(`${fnName}: rejected admin request (${result.reason})`);
+  await logRejected(event, fnName, result.reason);
+
+  return {
+    statusCode: 401,
+    headers: { "WWW-Authenticate": "Bearer", "Cache-Control": "no-store" },
+    body: "Unauthorized",
+  };
+}
+
+module.exports = {
+  requireAdmin,
+  verifyAdminRequest,
+  signRequest,
+  signedHeaders,
+  signedQuery,
+};
@@ -0,0 +1,283 @@
+// netlify/functions/lib/alerts.js
+//
+// Price / move alerts per member (MI id, signed in via lib/member-auth.js), shared by:
+//   alerts.js            list / create / pause / resume / delete
+//   evaluate-alerts.js   scheduled: checks active alerts against the latest snapshots and
+//                        emails each member a digest of what fired
+//
+// Keys:
+//   alerts:{MI0000001}   -> JSON { updatedAt, alerts: [alert, ...] } oldest first
+//   alerts:members       -> set of MI ids with at least one active alert
+//   alerts:evaluated     -> hash { equity: YYYY-MM-DD, metals: YYYY-MM-DD } last data date checked
+//   alerts:lock:{MI0000001} -> lib/locks.js lock while a member edit or recordTriggers rewrites
+//                              the member's alerts, so neither undoes the other
+//
+// alert: { id, asset: "equity" | "metal", code, type, threshold, cooldownDays,
+//          status: "active" | "paused", createdAt, updatedAt, lastTriggeredDate, lastValue }
+//
+// type          threshold                         fires when (on the snapshot's data date)
+//   price-above   price (A$)                        close >= threshold
+//   price-below   price (A$)                        close <= threshold
+//   move          % (e.g. 5 = beyond ±5%)           |daily % change| >= threshold
+//   52w-high      -                                 close above every close of the prior 52 weeks
+//   52w-low       -                                 close below every close of the prior 52 weeks
+//   volume-spike  multiple (default 3)              volume >= threshold × prior 20-session average
+//                                                   (ASX codes only)
+// Once fired, an alert stays quiet for cooldownDays (calendar days) before it can fire again.
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+const locks = require("./locks");
+
+const PREFIX = "alerts:";
+const MEMBERS_KEY = `${PREFIX}members`;
+const EVALUATED_KEY = `${PREFIX}evaluated`;
+const LOCK_PREFIX = `${PREFIX}lock:`;
+
+const TYPES = ["price-above", "price-below", "move", "52w-high", "52w-low", "volume-spike"];
+// metals:latest symbols (snapshot-metals.js)
+const METALS = ["XAU", "XAG", "IRON", "LITH-CAR", "NI", "URANIUM"];
+
+const MAX_ALERTS = 50;
+const DEFAULT_COOLDOWN_DAYS = 7;
+const MAX_COOLDOWN_DAYS = 90;
+const DEFAULT_VOLUME_MULTIPLE = 3;
+// Need most of a year of closes before a 52-week extreme means anything
+const MIN_52W_POINTS = 150;
+const VOLUME_LOOKBACK = 20;
+
+const CODE_RE = /^[A-Z0-9]{1,6}$/;
+
+function alertsKey(uid) {
+  return `${PREFIX}${uid}`;
+}
+
+function badRequest(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function load(uid) {
+  const rec = await upstash.getJson(alertsKey(uid));
+  return rec && Array.isArray(rec.alerts) ? rec : { updatedAt: null, alerts: [] };
+}
+
+async function save(uid, rec) {
+  rec.updatedAt = new Date().toISOString();
+  const hasActive = rec.alerts.some((a) => a.status === "active");
+  await upstash.pipeline([
+    ["SET", alertsKey(uid), JSON.stringify(rec)],
+    [hasActive ? "SADD" : "SREM", MEMBERS_KEY, uid],
+  ]);
+  return rec.alerts;
+}
+
+// Runs fn while holding the member's write lock (lib/locks.js). Throws 409 when another
+// write holds it for too long.
+function withLock(uid, fn) {
+  return locks.withLock(`${LOCK_PREFIX}${uid}`, fn, {
+    message: "Your alerts are being updated, try again in a moment",
+  });
+}
+
+function findAlert(rec, id) {
+  const alert = rec.alerts.find((a) => a.id === id);
+  if (!alert) throw badRequest("Alert not found", 404);
+  return alert;
+}
+
+// Request body -> new alert (validated), or throws a 400.
+function toAlert(input) {
+  const code = String(input.code || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\.(AX|AU|ASX)$/, "");
+  const asset = METALS.includes(code) ? "metal" : "equity";
+  if (asset === "equity" && !CODE_RE.test(code)) throw badRequest("code must be an ASX code or one of " + METALS.join(", "));
+
+  const type = String(input.type || "");
+  if (!TYPES.includes(type)) throw badRequest(`type must be one of ${TYPES.join(", ")}`);
+  if (type === "volume-spike" && asset !== "equity") throw badRequest("volume-spike alerts are for ASX codes only");
+
+  let threshold = null;
+  if (type === "price-above" || type === "price-below" || type === "move") {
+    threshold = Number(input.threshold);
+    if (!(threshold > 0)) throw badRequest(`${type} needs a threshold above 0`);
+  } else if (type === "volume-spike") {
+    threshold = input.threshold === undefined ? DEFAULT_VOLUME_MULTIPLE : Number(input.threshold);
+    if (!(threshold > 1)) throw badRequest("volume-spike threshold is a multiple above 1");
+  }
+
+  const cooldown = input.cooldownDays === undefined ? DEFAULT_COOLDOWN_DAYS : Math.round(Number(input.cooldownDays));
+  if (!(cooldown >= 1 && cooldown <= MAX_COOLDOWN_DAYS)) {
+    throw badRequest(`cooldownDays must be between 1 and ${MAX_COOLDOWN_DAYS}`);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomBytes(4).toString("hex"),
+    asset,
+    code,
+    type,
+    threshold,
+    cooldownDays: cooldown,
+    status: "active",
+    createdAt: now,
+    updatedAt: now,
+    lastTriggeredDate: null,
+    lastValue: null,
+  };
+}
+
+// ---------------------------
+// Member actions (each returns the member's alerts after the change)
+// ---------------------------
+
+async function listAlerts(uid) {
+  return (await load(uid)).alerts;
+}
+
+async function createAlert(uid, input) {
+  const alert = toAlert(input || {});
+  return withLock(uid, async () => {
+    const rec = await load(uid);
+    if (rec.alerts.length >= MAX_ALERTS) throw badRequest(`At most ${MAX_ALERTS} alerts`);
+    const dup = rec.alerts.find((a) => a.code === alert.code && a.type === alert.type && a.threshold === alert.threshold);
+    if (dup) throw badRequest("You already have that alert", 409);
+    rec.alerts.push(alert);
+    return save(uid, rec);
+  });
+}
+
+async function setStatus(uid, id, status) {
+  return withLock(uid, async () => {
+    const rec = await load(uid);
+    const alert = findAlert(rec, id);
+    alert.status = status;
+    alert.updatedAt = new Date().toISOString();
+    return save(uid, rec);
+  });
+}
+
+async function deleteAlert(uid, id) {
+  return withLock(uid, async () => {
+    const rec = await load(uid);
+    findAlert(rec, id);
+    rec.alerts = rec.alerts.filter((a) => a.id !== id);
+    return save(uid, rec);
+  });
+}
+
+// ---------------------------
+// Evaluation
+// ---------------------------
+
+// Map MI id -> active alerts, for every member with any.
+async function activeAlertsByMember() {
+  const uids = (await upstash.smembers(MEMBERS_KEY)) || [];
+  const out = new Map();
+  for (let i = 0; i < uids.length; i += 100) {
+    const chunk = uids.slice(i, i + 100);
+    const raws = await upstash.command(["MGET", ...chunk.map(alertsKey)]);
+    chunk.forEach((uid, j) => {
+      const rec = raws && raws[j] ? upstash.decodeJson(raws[j]) : null;
+      const active = ((rec && rec.alerts) || []).filter((a) => a.status === "active");
+      if (active.length) out.set(uid, active);
+    });
+  }
+  return out;
+}
+
+function inCooldown(alert, date) {
+  return !!alert.lastTriggeredDate && calendar.addDays(alert.lastTriggeredDate, alert.cooldownDays) > date;
+}
+
+// facts: { date, price, pctChange, level?, high52, low52, points52, volume, avgVolume }
+//   level: the close on the same basis as high52/low52 when that differs from price (metals
+//          history is kept on its own basis); defaults to price.
+// Returns { value, detail } when the alert fires, else null.
+function evaluate(alert, facts) {
+  if (!facts || typeof facts.price !== "number" || inCooldown(alert, facts.date)) return null;
+  const { price, pctChange } = facts;
+  const level = typeof facts.level === "number" ? facts.level : price;
+
+  switch (alert.type) {
+    case "price-above":
+      return price >= alert.threshold ? { value: price } : null;
+    case "price-below":
+      return price <= alert.threshold ? { value: price } : null;
+    case "move":
+      return typeof pctChange === "number" && Math.abs(pctChange) >= alert.threshold ? { value: pctChange } : null;
+    case "52w-high":
+      return facts.points52 >= MIN_52W_POINTS && level > facts.high52 ? { value: price } : null;
+    case "52w-low":
+      return facts.points52 >= MIN_52W_POINTS && level < facts.low52 ? { value: price } : null;
+    case "volume-spike":
+      return facts.avgVolume > 0 && facts.volume >= alert.threshold * facts.avgVolume
+        ? { value: facts.volume, detail: facts.avgVolume }
+        : null;
+    default:
+      return null;
+  }
+}
+
+// 52-week / volume facts from prior daily history, oldest first.
+// closes: [[date, close], ...], volumes: [[date, volume], ...] (dates before the data date).
+function historyFacts(closes, volumes) {
+  const vals = closes.map((p) => p[1]).filter((v) => typeof v === "number");
+  const vols = volumes
+    .map((p) => p[1])
+    .filter((v) => typeof v === "number" && v > 0)
+    .slice(-VOLUME_LOOKBACK);
+  return {
+    points52: vals.length,
+    high52: vals.length ? Math.max(...vals) : null,
+    low52: vals.length ? Math.min(...vals) : null,
+    avgVolume: vols.length ? vols.reduce((s, v) => s + v, 0) / vols.length : null,
+  };
+}
+
+// Marks fired alerts ([{ alert, value, date }]) for one member. Re-reads under the member's
+// lock so edits made since evaluation aren't lost, and can't undo the marks.
+async function recordTriggers(uid, fired) {
+  await withLock(uid, async () => {
+    const rec = await load(uid);
+    const byId = new Map(fired.map((f) => [f.alert.id, f]));
+    let changed = false;
+    for (const a of rec.alerts) {
+      const f = byId.get(a.id);
+      if (!f) continue;
+      a.lastTriggeredDate = f.date;
+      a.lastValue = f.value;
+      changed = true;
+    }
+    if (changed) await save(uid, rec);
+  });
+}
+
+async function getEvaluated() {
+  return (await upstash.hgetall(EVALUATED_KEY)) || {};
+}
+
+async function setEvaluated(fields) {
+  await upstash.hset(EVALUATED_KEY, fields);
+}
+
+module.exports = {
+  TYPES,
+  METALS,
+  MAX_ALERTS,
+  listAlerts,
+  createAlert,
+  setStatus,
+  deleteAlert,
+  activeAlertsByMember,
+  inCooldown,
+  evaluate,
+  historyFacts,
+  recordTriggers,
+  getEvaluated,
+  setEvaluated,
+};
@@ -0,0 +1,236 @@
+// netlify/functions/lib/corporate-actions.js
+//
+// Splits, consolidations and code (ticker) changes for ASX equities, so day-on-day pct
+// changes compare like with like and a 1-for-10 consolidation isn't reported as a -90% move.
+//
+// Recorded by:
+//   snapshot-asx-universe.js          fundamentals SplitsDividends.LastSplitFactor/LastSplitDate,
+//                                     and General.Code differing from the code we asked for
+//   snapshot-asx200.js                same, for the fundamentals it fetches
+//   snapshot-asx-universe-prices.js   EODHD bulk splits for the snapshot date (same-day catch)
+//   corporate-actions.js              admin POST for anything the feeds miss
+// Applied by:
+//   snapshot-asx-universe-prices.js, snapshot-asx200.js, market-pulse.js (prev close adjusted,
+//   rows/movers carry a corporateAction flag); equity-screener.js passes the flag through.
+//
+// Keys:
+//   corpactions:{CODE}     -> JSON list of events for the code, oldest first
+//   corpactions:by-date    -> sorted set "CODE|type|YYYY-MM-DD", score = YYYYMMDD
+//   corpactions:bulk-splits:{YYYY-MM-DD} -> claim (EX 2 days) so snapshot-asx-universe-prices.js
+//                                           fetches a date's bulk splits once
+//
+// event: { type: "split" | "consolidation" | "code-change", code, date, ratio?, factor?,
+//          fromCode?, toCode?, source, recordedAt }
+//   ratio = new shares per old share (2-for-1 split -> 2, 1-for-10 consolidation -> 0.1).
+//   date  = first trading day on the new basis (ex-date / effective date).
+//   code-change events are stored under the NEW code with fromCode/toCode.
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+const equityHistory = require("./equity-history");
+
+const PREFIX = "corpactions:";
+const BY_DATE_KEY = `${PREFIX}by-date`;
+const TYPES = ["split", "consolidation", "code-change"];
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Only recent events restate equity history; older ones predate the seeded adjusted closes
+const RESEED_WINDOW_DAYS = 30;
+
+function eventsKey(code) {
+  return `${PREFIX}${code}`;
+}
+
+function ymdScore(ymd) {
+  return Number(ymd.replace(/-/g, ""));
+}
+
+function memberOf(ev) {
+  return `${ev.code}|${ev.type}|${ev.date}`;
+}
+
+function parseEvents(raw) {
+  if (!raw) return [];
+  try {
+    const arr = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+// "2:1", "2.000000/1.000000", "1-for-10" style factors (new first) -> new shares per old share.
+function parseSplitFactor(factor) {
+  const m = String(factor || "").match(/^\s*([\d.]+)\s*(?:[:/]|-?for-?)\s*([\d.]+)\s*$/i);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const o = Number(m[2]);
+  if (!(n > 0) || !(o > 0) || n === o) return null;
+  return n / o;
+}
+
+function splitEvent(code, date, factor, source) {
+  const ratio = typeof factor === "number" ? factor : parseSplitFactor(factor);
+  if (!ratio || ratio === 1 || !YMD_RE.test(String(date || ""))) return null;
+  return {
+    type: ratio > 1 ? "split" : "consolidation",
+    code,
+    date,
+    ratio: Number(ratio.toPrecision(10)),
+    factor: typeof factor === "string" ? factor : null,
+    source,
+  };
+}
+
+function codeChangeEvent(fromCode, toCode, date, source) {
+  if (!fromCode || !toCode || fromCode === toCode || !YMD_RE.test(String(date || ""))) return null;
+  return { type: "code-change", code: toCode, date, fromCode, toCode, source };
+}
+
+// Events found in an EODHD fundamentals payload fetched for `code`. asOf dates a detected
+// code change (fundamentals don't say when it happened).
+function eventsFromFundamentals(code, fundamentals, asOf) {
+  const out = [];
+  const sd = (fundamentals && fundamentals.SplitsDividends) || {};
+  const split = splitEvent(code, String(sd.LastSplitDate || "").slice(0, 10), sd.LastSplitFactor, "fundamentals");
+  if (split) out.push(split);
+
+  const general = (fundamentals && fundamentals.General) || {};
+  const current = String(general.Code || "").toUpperCase();
+  if (current && /^[A-Z0-9]{1,6}$/.test(current) && current !== code) {
+    const change = codeChangeEvent(code, current, asOf, "fundamentals");
+    if (change) out.push(change);
+  }
+  return out;
+}
+
+// ---------------------------
+// Write
+// ---------------------------
+
+// Records events not already known (same code + type + date). Recent ones queue the code's
+// equity history for a re-seed so adjusted charts are restated. Returns new events.
+async function recordEvents(events) {
+  const valid = (events || []).filter((e) => e && TYPES.includes(e.type) && e.code && YMD_RE.test(e.date));
+  if (!valid.length) return [];
+
+  const codes = [...new Set(valid.map((e) => e.code))];
+  const raws = await upstash.command(["MGET", ...codes.map(eventsKey)]);
+  const existing = new Map(codes.map((c, i) => [c, parseEvents(raws && raws[i])]));
+
+  const added = [];
+  const recordedAt = new Date().toISOString();
+  for (const ev of valid) {
+    const list = existing.get(ev.code);
+    if (list.some((x) => x.type === ev.type && x.date === ev.date)) continue;
+    const stored = { ...ev, recordedAt };
+    list.push(stored);
+    added.push(stored);
+  }
+  if (!added.length) return [];
+
+  const commands = [];
+  for (const code of new Set(added.map((e) => e.code))) {
+    const list = existing.get(code).sort((a, b) => (a.date < b.date ? -1 : 1));
+    commands.push(["SET", eventsKey(code), JSON.stringify(list)]);
+  }
+  for (const ev of added) commands.push(["ZADD", BY_DATE_KEY, ymdScore(ev.date), memberOf(ev)]);
+  await upstash.pipeline(commands);
+
+  const reseedFrom = calendar.addDays(calendar.sydneyDateString(), -RESEED_WINDOW_DAYS);
+  for (const ev of added.filter((e) => e.date >= reseedFrom)) {
+    await equityHistory.queueReseed(ev.code).catch((e) => console.warn("queueReseed error", ev.code, e && e.message));
+  }
+  console.log("corporate-actions: recorded", JSON.stringify(added.map(memberOf)));
+  return added;
+}
+
+// ---------------------------
+// Read
+// ---------------------------
+
+async function getEvents(code) {
+  return parseEvents(await upstash.get(eventsKey(code)));
+}
+
+// Events effective after `afterYmd` up to and including `throughYmd`, oldest first.
+async function listBetween(afterYmd, throughYmd) {
+  const lo = afterYmd ? `(${ymdScore(afterYmd)}` : "-inf";
+  const members = await upstash.command(["ZRANGE", BY_DATE_KEY, lo, ymdScore(throughYmd), "BYSCORE"]);
+  const wanted = (members || []).map((m) => String(m).split("|"));
+  if (!wanted.length) return [];
+
+  const codes = [...new Set(wanted.map((w) => w[0]))];
+  const raws = await upstash.command(["MGET", ...codes.map(eventsKey)]);
+  const byCode = new Map(codes.map((c, i) => [c, parseEvents(raws && raws[i])]));
+
+  const out = [];
+  for (const [code, type, date] of wanted) {
+    const ev = byCode.get(code).find((x) => x.type === type && x.date === date);
+    if (ev) out.push(ev);
+  }
+  return out;
+}
+
+// What a day-on-day comparison needs from listBetween(prevDate, date):
+//   ratios:   Map CODE -> combined ratio of splits/consolidations in the window
+//   renamed:  Map newCode -> oldCode
+//   byCode:   Map CODE -> [event, ...] (flags for rows / movers)
+function indexForComparison(events) {
+  const ratios = new Map();
+  const renamed = new Map();
+  const byCode = new Map();
+  for (const ev of events) {
+    if (ev.type === "code-change") {
+      renamed.set(ev.toCode, ev.fromCode);
+    } else if (typeof ev.ratio === "number" && ev.ratio > 0) {
+      ratios.set(ev.code, (ratios.get(ev.code) || 1) * ev.ratio);
+    }
+    if (!byCode.has(ev.code)) byCode.set(ev.code, []);
+    byCode.get(ev.code).push(ev);
+  }
+  return { ratios, renamed, byCode };
+}
+
+// Loads the comparison index for (prevDate, date]; empty when there's no prevDate.
+async function loadForComparison(prevDate, date) {
+  if (!prevDate || !date || prevDate >= date) return indexForComparison([]);
+  return indexForComparison(await listBetween(prevDate, date));
+}
+
+// Previous close on today's share basis, looked up under the old code after a code change.
+// prevMap: Map CODE -> close. Returns { prevClose, action } (action null when nothing applied).
+function adjustedPrevClose(code, prevMap, index) {
+  let prev = prevMap.has(code) ? prevMap.get(code) : null;
+  if (prev == null && index.renamed.has(code)) prev = prevMap.get(index.renamed.get(code)) ?? null;
+  const ratio = index.ratios.get(code) || null;
+  if (prev != null && ratio) prev = prev / ratio;
+  return { prevClose: prev, action: flagFor(code, index) };
+}
+
+// Compact flag for rows / movers lists.
+function flagFor(code, index) {
+  const events = index.byCode.get(code);
+  if (!events || !events.length) return null;
+  const ev = events[events.length - 1];
+  return {
+    type: ev.type,
+    date: ev.date,
+    ...(ev.ratio ? { ratio: ev.ratio } : {}),
+    ...(ev.fromCode ? { fromCode: ev.fromCode } : {}),
+  };
+}
+
+module.exports = {
+  TYPES,
+  parseSplitFactor,
+  splitEvent,
+  codeChangeEvent,
+  eventsFromFundamentals,
+  recordEvents,
+  getEvents,
+  listBetween,
+  indexForComparison,
+  loadForComparison,
+  adjustedPrevClose,
+  flagFor,
+};
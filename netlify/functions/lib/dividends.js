@@ -0,0 +1,251 @@
+// netlify/functions/lib/dividends.js
+//
+// Per-code dividend history for ASX equities, shared by:
+//   refresh-dividends.js      scheduled: pulls EODHD /api/div per code, in batches
+//   instrument-details.js     dividend history + trailing / forward / grossed-up yield
+//   upcoming-dividends.js     ex-dividend calendar across the universe
+//
+// Keys:
+//   dividends:{CODE}          -> JSON { code, updatedAt, items: [dividend, ...] } newest first
+//   dividends:refreshed       -> sorted set CODE, score = last refresh (epoch ms)
+//   dividends:upcoming        -> sorted set "CODE|YYYY-MM-DD", score = ex-date YYYYMMDD
+//   dividends:franking        -> hash CODE -> franking % (0-100), set by an admin; EODHD
+//                                doesn't report franking, so it's only known where we've set it
+//   dividends:refresh-queue   -> set of codes asked for before their first refresh
+//
+// dividend: { exDate, payDate, recordDate, declarationDate, amount, unadjustedAmount,
+//             currency, period, frankingPct }
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+
+const PREFIX = "dividends:";
+const REFRESHED_KEY = `${PREFIX}refreshed`;
+const UPCOMING_KEY = `${PREFIX}upcoming`;
+const FRANKING_KEY = `${PREFIX}franking`;
+const QUEUE_KEY = `${PREFIX}refresh-queue`;
+
+// Australian company tax rate used to gross up franked dividends
+const CORPORATE_TAX_RATE = 0.3;
+
+function recordKey(code) {
+  return `${PREFIX}${code}`;
+}
+
+function ymdScore(ymd) {
+  return Number(ymd.replace(/-/g, ""));
+}
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+function ymdOrNull(v) {
+  const s = String(v || "");
+  return /^\d{4}-\d{2}-\d{2}/.test(s) && !s.startsWith("0000") ? s.slice(0, 10) : null;
+}
+
+function parseRecord(raw) {
+  if (!raw) return null;
+  try {
+    const rec = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return rec && Array.isArray(rec.items) ? rec : null;
+  } catch {
+    return null;
+  }
+}
+
+function clampFranking(v) {
+  const n = num(v);
+  return n === null ? null : Math.max(0, Math.min(100, n));
+}
+
+// EODHD /api/div row -> dividend, or null without an ex-date + amount.
+function toDividend(row, frankingPct = null) {
+  const exDate = ymdOrNull(row.date);
+  const amount = num(row.value);
+  if (!exDate || amount === null) return null;
+  return {
+    exDate,
+    payDate: ymdOrNull(row.paymentDate),
+    recordDate: ymdOrNull(row.recordDate),
+    declarationDate: ymdOrNull(row.declarationDate),
+    amount,
+    unadjustedAmount: num(row.unadjustedValue),
+    currency: row.currency || "AUD",
+    period: row.period || null,
+    frankingPct: clampFranking(row.franking ?? row.frankingPct ?? frankingPct),
+  };
+}
+
+// ---------------------------
+// Write
+// ---------------------------
+
+// Replaces a code's record and its entries in the upcoming calendar.
+async function saveDividends(code, items) {
+  const prev = parseRecord(await upstash.get(recordKey(code)));
+  const today = calendar.sydneyDateString();
+  const sorted = items.slice().sort((a, b) => (a.exDate < b.exDate ? 1 : -1));
+
+  const commands = [
+    ["SET", recordKey(code), JSON.stringify({ code, updatedAt: new Date().toISOString(), items: sorted })],
+    ["ZADD", REFRESHED_KEY, Date.now(), code],
+    ["SREM", QUEUE_KEY, code],
+  ];
+  const stale = (prev ? prev.items : []).map((d) => `${code}|${d.exDate}`);
+  if (stale.length) commands.push(["ZREM", UPCOMING_KEY, ...stale]);
+  for (const d of sorted) {
+    if (d.exDate >= today) commands.push(["ZADD", UPCOMING_KEY, ymdScore(d.exDate), `${code}|${d.exDate}`]);
+  }
+  await upstash.pipeline(commands);
+  return sorted;
+}
+
+// Calendar entries whose ex-date has passed.
+async function pruneUpcoming(beforeYmd) {
+  return upstash.command(["ZREMRANGEBYSCORE", UPCOMING_KEY, "-inf", `(${ymdScore(beforeYmd)}`]);
+}
+
+async function setFranking(code, pct) {
+  const v = clampFranking(pct);
+  if (v === null) {
+    await upstash.command(["HDEL", FRANKING_KEY, code]);
+  } else {
+    await upstash.hset(FRANKING_KEY, { [code]: v });
+  }
+  return v;
+}
+
+async function getFranking(code) {
+  return clampFranking(await upstash.hget(FRANKING_KEY, code));
+}
+
+async function queueRefresh(code) {
+  await upstash.sadd(QUEUE_KEY, code);
+}
+
+// Queued codes first, then universe codes never refreshed or refreshed before maxAgeMs ago.
+async function codesDueForRefresh(universe, limit, maxAgeMs) {
+  const [queue, refreshedFlat] = await Promise.all([
+    upstash.smembers(QUEUE_KEY),
+    upstash.command(["ZRANGE", REFRESHED_KEY, 0, -1, "WITHSCORES"]),
+  ]);
+  const refreshed = new Map();
+  for (let i = 0; i + 1 < (refreshedFlat || []).length; i += 2) {
+    refreshed.set(refreshedFlat[i], Number(refreshedFlat[i + 1]));
+  }
+
+  const cutoff = Date.now() - maxAgeMs;
+  const never = universe.filter((c) => !refreshed.has(c));
+  const stale = universe
+    .filter((c) => refreshed.has(c) && refreshed.get(c) < cutoff)
+    .sort((a, b) => refreshed.get(a) - refreshed.get(b));
+
+  const out = [];
+  for (const code of [...(queue || []), ...never, ...stale]) {
+    if (out.length >= limit) break;
+    if (!out.includes(code)) out.push(code);
+  }
+  return out;
+}
+
+// ---------------------------
+// Read
+// ---------------------------
+
+async function getDividends(code) {
+  const [raw, franking] = await Promise.all([upstash.get(recordKey(code)), getFranking(code)]);
+  const rec = parseRecord(raw);
+  if (!rec) return null;
+  // An admin-set franking level applies to any dividend without its own
+  if (franking !== null) {
+    rec.items = rec.items.map((d) => (d.frankingPct === null ? { ...d, frankingPct: franking } : d));
+  }
+  return rec;
+}
+
+function round(n, digits) {
+  return n === null ? null : Number(n.toFixed(digits));
+}
+
+// Yields in percent of price. Forward annual dividend: the latest N dividends (declared future
+// ones included), where N is how many went ex in the past 12 months.
+function summarise(items, price, asOf = calendar.sydneyDateString()) {
+  const yearAgo = calendar.addDays(asOf, -365);
+  const past = items.filter((d) => d.exDate <= asOf);
+  const trailing = past.filter((d) => d.exDate > yearAgo);
+  const upcoming = items.filter((d) => d.exDate > asOf).sort((a, b) => (a.exDate < b.exDate ? -1 : 1));
+
+  const trailingAnnual = trailing.length ? trailing.reduce((s, d) => s + d.amount, 0) : null;
+  const perYear = Math.max(1, trailing.length);
+  const forwardItems = items.slice(0, perYear).filter((d) => d.exDate > yearAgo);
+  const forwardAnnual = forwardItems.length ? forwardItems.reduce((s, d) => s + d.amount, 0) : null;
+
+  const franked = trailing.filter((d) => d.frankingPct !== null);
+  const frankingPct = franked.length ? franked.reduce((s, d) => s + d.frankingPct, 0) / franked.length : null;
+
+  const hasPrice = typeof price === "number" && price > 0;
+  const trailingYieldPct = hasPrice && trailingAnnual !== null ? (trailingAnnual / price) * 100 : null;
+  const forwardYieldPct = hasPrice && forwardAnnual !== null ? (forwardAnnual / price) * 100 : null;
+  const baseYield = forwardYieldPct !== null ? forwardYieldPct : trailingYieldPct;
+  const grossedUpYieldPct =
+    baseYield !== null && frankingPct !== null
+      ? baseYield * (1 + (frankingPct / 100) * (CORPORATE_TAX_RATE / (1 - CORPORATE_TAX_RATE)))
+      : null;
+
+  return {
+    trailingAnnual: round(trailingAnnual, 4),
+    forwardAnnual: round(forwardAnnual, 4),
+    trailingYieldPct: round(trailingYieldPct, 2),
+    forwardYieldPct: round(forwardYieldPct, 2),
+    frankingPct: round(frankingPct, 0),
+    grossedUpYieldPct: round(grossedUpYieldPct, 2),
+    paymentsLast12m: trailing.length,
+    lastExDate: past.length ? past[0].exDate : null,
+    nextExDate: upcoming.length ? upcoming[0].exDate : null,
+    nextAmount: upcoming.length ? upcoming[0].amount : null,
+  };
+}
+
+// [{ code, ...dividend }] with ex-dates in [from, to], soonest first.
+async function listUpcoming(from, to) {
+  const members = await upstash.command(["ZRANGE", UPCOMING_KEY, ymdScore(from), ymdScore(to), "BYSCORE"]);
+  const entries = (members || []).map((m) => {
+    const [code, exDate] = String(m).split("|");
+    return { code, exDate };
+  });
+  if (!entries.length) return [];
+
+  const codes = [...new Set(entries.map((e) => e.code))];
+  const [raws, frankingFlat] = await Promise.all([
+    upstash.command(["MGET", ...codes.map(recordKey)]),
+    upstash.hgetall(FRANKING_KEY),
+  ]);
+  const records = new Map(codes.map((c, i) => [c, parseRecord(raws && raws[i])]));
+
+  const out = [];
+  for (const { code, exDate } of entries) {
+    const rec = records.get(code);
+    const d = rec && rec.items.find((x) => x.exDate === exDate);
+    if (!d) continue;
+    const franking = d.frankingPct !== null ? d.frankingPct : clampFranking((frankingFlat || {})[code]);
+    out.push({ code, ...d, frankingPct: franking });
+  }
+  return out;
+}
+
+module.exports = {
+  CORPORATE_TAX_RATE,
+  toDividend,
+  saveDividends,
+  pruneUpcoming,
+  setFranking,
+  getFranking,
+  queueRefresh,
+  codesDueForRefresh,
+  getDividends,
+  summarise,
+  listUpcoming,
+};
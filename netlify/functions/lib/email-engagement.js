@@ -0,0 +1,260 @@
+// netlify/functions/lib/email-engagement.js
+//
+// Per-issue engagement for the newsletters: opens (track-email-open.js), clicks by link
+// (track-email-click.js) and unsubscribes (unsubscribe.js), joined with the sends in the
+// send ledger (lib/send-ledger.js). Reported by email-analytics-summary.js and
+// email-send-status.js.
+//
+// An issue is the ledger's issue id ("daily:2026-03-10"); the links and pixel carry it,
+// signed (lib/email-tracking.js).
+//
+// Keys:
+//   email:engagement:{issueId}                -> hash { opens, clicks, "link:<host/path>": clicks }
+//   email:engagement:{issueId}:opened         -> hash { <MI id>: first open (ms) }
+//   email:engagement:{issueId}:clicked        -> hash { <MI id>: first click (ms) }
+//   email:engagement:{issueId}:unsubscribed   -> hash { <MI id>: first unsubscribe (ms) }
+//   email:opens:day:YYYY-MM-DD           -> hash { total_opens, <email type>_opens }   (like email:clicks:day)
+//   email:opens:user:{MI}                -> hash { total_opens, last_open, last_email_type }
+// Issue keys expire after ENGAGEMENT_TTL_SECONDS.
+//
+// Opened = loaded the pixel or clicked a link (images are often blocked, clicks aren't).
+//
+// Cohort retention: subscribers grouped by signup month (email:prefs createdAt), and for
+// each of the last few Sydney weeks, the share of that cohort's recipients who opened or
+// clicked anything they were sent that week.
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+const sendLedger = require("./send-ledger");
+const emailPrefs = require("./email-preferences");
+const { isIssueId } = require("./email-tracking");
+
+const PREFIX = "email:engagement:";
+const OPENS_DAY_PREFIX = "email:opens:day:";
+const OPENS_USER_PREFIX = "email:opens:user:";
+const ENGAGEMENT_TTL_SECONDS = 400 * 24 * 60 * 60;
+const LINK_FIELD_MAX = 200;
+const TOP_LINKS = 10;
+// getPreferencesMany batch size (two commands per subscriber)
+const PREFS_CHUNK = 250;
+const COHORT_WEEKS = 6;
+// Signups before preference records existed have no createdAt
+const EARLIER_COHORT = "earlier";
+
+function issueKey(issueId) {
+  return `${PREFIX}${issueId}`;
+}
+
+// "matesinvest.com/discover.html" for a link, ignoring query strings and fragments.
+function linkLabel(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host}${u.pathname}`.slice(0, LINK_FIELD_MAX);
+  } catch {
+    return String(url || "").slice(0, LINK_FIELD_MAX);
+  }
+}
+
+function rate(n, d) {
+  return d ? Number(((n / d) * 100).toFixed(1)) : 0;
+}
+
+// ---------------------------
+// Recording
+// ---------------------------
+
+async function recordOpen({ uid, type, issue }) {
+  const ts = Date.now();
+  const dayKey = `${OPENS_DAY_PREFIX}${calendar.sydneyDateString(ts)}`;
+  const userKey = `${OPENS_USER_PREFIX}${uid}`;
+  const commands = [
+    ["HINCRBY", dayKey, "total_opens", 1],
+    ["HINCRBY", dayKey, `${type}_opens`, 1],
+    ["HINCRBY", userKey, "total_opens", 1],
+    ["HSET", userKey, "last_open", ts, "last_email_type", type],
+  ];
+  if (isIssueId(issue)) {
+    const key = issueKey(issue);
+    commands.push(
+      ["HINCRBY", key, "opens", 1],
+      ["HSETNX", `${key}:opened`, uid, ts],
+      ["EXPIRE", key, ENGAGEMENT_TTL_SECONDS],
+      ["EXPIRE", `${key}:opened`, ENGAGEMENT_TTL_SECONDS]
+    );
+  }
+  await upstash.pipeline(commands);
+}
+
+// Issue-level click counts; the day / user click keys are written by track-email-click.js.
+async function recordClick({ uid, issue, url }) {
+  if (!isIssueId(issue)) return;
+  const key = issueKey(issue);
+  await upstash.pipeline([
+    ["HINCRBY", key, "clicks", 1],
+    ["HINCRBY", key, `link:${linkLabel(url)}`, 1],
+    ["HSETNX", `${key}:clicked`, uid, Date.now()],
+    ["EXPIRE", key, ENGAGEMENT_TTL_SECONDS],
+    ["EXPIRE", `${key}:clicked`, ENGAGEMENT_TTL_SECONDS],
+  ]);
+}
+
+// Once per subscriber per issue, however many lists they leave.
+async function recordUnsubscribe({ uid, issue }) {
+  if (!uid || !isIssueId(issue)) return;
+  const key = `${issueKey(issue)}:unsubscribed`;
+  await upstash.pipeline([
+    ["HSETNX", key, uid, Date.now()],
+    ["EXPIRE", key, ENGAGEMENT_TTL_SECONDS],
+  ]);
+}
+
+// ---------------------------
+// Reports
+// ---------------------------
+
+// Sends from the ledger + opens, clicks by link and unsubscribes for one issue, or null
+// when the ledger doesn't know it.
+async function issueReport(issueId) {
+  const key = issueKey(issueId);
+  const [status, results] = await Promise.all([
+    sendLedger.getIssueStatus(issueId, { maxFailures: 0 }),
+    upstash.pipeline([
+      ["HGETALL", key],
+      ["HKEYS", `${key}:opened`],
+      ["HKEYS", `${key}:clicked`],
+      ["HLEN", `${key}:unsubscribed`],
+    ]),
+  ]);
+  if (!status) return null;
+
+  const counts = upstash.hashFromFlat(results[0] && results[0].result);
+  const openedBy = (results[1] && results[1].result) || [];
+  const clickedBy = (results[2] && results[2].result) || [];
+  const uniqueOpens = new Set([...openedBy, ...clickedBy]).size;
+  const uniqueClicks = clickedBy.length;
+  const unsubscribes = Number((results[3] && results[3].result) || 0);
+  const sent = status.counts.sent;
+
+  const links = Object.entries(counts)
+    .filter(([field]) => field.startsWith("link:"))
+    .map(([field, n]) => ({ link: field.slice(5), clicks: Number(n || 0) }))
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, TOP_LINKS);
+
+  return {
+    issueId,
+    kind: status.kind,
+    subject: status.subject,
+    sentAt: status.startedAt,
+    sent,
+    opens: Number(counts.opens || 0),
+    uniqueOpens,
+    openRate: rate(uniqueOpens, sent),
+    clicks: Number(counts.clicks || 0),
+    uniqueClicks,
+    clickRate: rate(uniqueClicks, sent),
+    clickToOpenRate: rate(uniqueClicks, uniqueOpens),
+    unsubscribes,
+    unsubscribeRate: rate(unsubscribes, sent),
+    links,
+  };
+}
+
+// Reports for the most recent issues, newest first (optionally one kind, e.g. "weekly").
+async function recentReports({ kind, limit = 10 } = {}) {
+  const ids = await sendLedger.listIssues({ kind, limit });
+  const reports = await Promise.all(ids.map((id) => issueReport(id)));
+  return reports.filter(Boolean);
+}
+
+function issueDate(issueId) {
+  return issueId.slice(issueId.indexOf(":") + 1);
+}
+
+function mondayOf(ymd) {
+  return calendar.addDays(ymd, -((calendar.weekdayOf(ymd) + 6) % 7));
+}
+
+// { weeks: [Monday, ...] oldest first,
+//   cohorts: [{ cohort: "YYYY-MM" | "earlier", members, cells: [{ received, engaged, pct } | null per week] }] }
+// members = cohort subscribers sent anything in the window; a cell is null when none of
+// them were sent anything that week.
+async function cohortRetention({ weeks = COHORT_WEEKS } = {}) {
+  const thisWeek = mondayOf(calendar.sydneyDateString());
+  const weekList = [];
+  for (let i = weeks - 1; i >= 0; i--) weekList.push(calendar.addDays(thisWeek, -7 * i));
+
+  const issueIds = (await sendLedger.listIssues({ limit: 200 })).filter(
+    (id) => isIssueId(id) && issueDate(id) >= weekList[0]
+  );
+
+  // week -> Map uid -> engaged?
+  const byWeek = new Map(weekList.map((w) => [w, new Map()]));
+  for (const issueId of issueIds) {
+    const week = byWeek.get(mondayOf(issueDate(issueId)));
+    if (!week) continue;
+    const key = issueKey(issueId);
+    const [ledger, results] = await Promise.all([
+      sendLedger.getLedger(issueId),
+      upstash.pipeline([
+        ["HKEYS", `${key}:opened`],
+        ["HKEYS", `${key}:clicked`],
+      ]),
+    ]);
+    const engaged = new Set([
+      ...((results[0] && results[0].result) || []),
+      ...((results[1] && results[1].result) || []),
+    ]);
+    for (const entry of ledger.values()) {
+      if (entry.status !== "sent" || !entry.userId) continue;
+      week.set(entry.userId, week.get(entry.userId) || engaged.has(entry.userId));
+    }
+  }
+
+  // Signup month per recipient
+  const uids = [...new Set([...byWeek.values()].flatMap((m) => [...m.keys()]))];
+  const cohortOf = new Map();
+  for (let i = 0; i < uids.length; i += PREFS_CHUNK) {
+    const chunk = uids.slice(i, i + PREFS_CHUNK);
+    const prefs = await emailPrefs.getPreferencesMany(chunk);
+    chunk.forEach((uid, j) => {
+      const createdAt = prefs[j] && prefs[j].createdAt;
+      const ts = createdAt ? Date.parse(createdAt) : NaN;
+      cohortOf.set(uid, Number.isFinite(ts) ? calendar.sydneyDateString(new Date(ts)).slice(0, 7) : EARLIER_COHORT);
+    });
+  }
+
+  const cohorts = new Map();
+  for (const uid of uids) {
+    const name = cohortOf.get(uid);
+    if (!cohorts.has(name)) {
+      cohorts.set(name, { cohort: name, members: 0, cells: weekList.map(() => ({ received: 0, engaged: 0 })) });
+    }
+    const c = cohorts.get(name);
+    c.members++;
+    weekList.forEach((w, idx) => {
+      const week = byWeek.get(w);
+      if (!week.has(uid)) return;
+      c.cells[idx].received++;
+      if (week.get(uid)) c.cells[idx].engaged++;
+    });
+  }
+
+  const rows = [...cohorts.values()]
+    .sort((a, b) => (a.cohort === EARLIER_COHORT ? -1 : b.cohort === EARLIER_COHORT ? 1 : a.cohort.localeCompare(b.cohort)))
+    .map((c) => ({
+      ...c,
+      cells: c.cells.map((cell) => (cell.received ? { ...cell, pct: rate(cell.engaged, cell.received) } : null)),
+    }));
+
+  return { weeks: weekList, cohorts: rows };
+}
+
+module.exports = {
+  recordOpen,
+  recordClick,
+  recordUnsubscribe,
+  issueReport,
+  recentReports,
+  cohortRetention,
+};
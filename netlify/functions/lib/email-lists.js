@@ -0,0 +1,140 @@
+// netlify/functions/lib/email-lists.js
+//
+// Mailing lists + signed unsubscribe links, keyed by MI user id.
+//
+// Lists:
+//   daily       -> daily brief (incl. quiz variant)   sent to email:subscribers
+//   weekly      -> weekly brief                        sent to email:subscribers
+//   week-ahead  -> Monday week-ahead                   sent to email:subscribers
+//   app         -> App waitlist                        email:subscribers-App
+//
+// The three newsletters share email:subscribers, so leaving one of them switches the
+// matching flag off in the subscriber's preference record (lib/email-preferences.js)
+// and the sender skips them. Leaving the App waitlist removes the address from
+// email:subscribers-App. "Everything" drops the address from both sets.
+//
+// Unsubscribe token = base64url(HMAC_SHA256(EMAIL_LINK_SECRET, "unsubscribe:<MI id>")),
+// truncated. Tokens don't expire: a link in an old email must keep working.
+//
+// Env:
+//   EMAIL_LINK_SECRET
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const emailPrefs = require("./email-preferences");
+
+const SITE_URL = "https://matesinvest.com";
+const UNSUBSCRIBE_PATH = "/.netlify/functions/unsubscribe";
+const FALLBACK_MAILTO = "mailto:hello@matesinvest.com?subject=unsubscribe";
+
+const SUBSCRIBERS_KEY = "email:subscribers";
+const SUBSCRIBERS_APP_KEY = "email:subscribers-App";
+const LISTS = {
+  daily: { label: "Daily ASX briefing", prefField: "daily" },
+  weekly: { label: "Weekly wrap", prefField: "weekly" },
+  "week-ahead": { label: "Week Ahead (Mondays)", prefField: "weekAhead" },
+  app: { label: "MatesInvest App waitlist", setKey: SUBSCRIBERS_APP_KEY },
+};
+
+const TOKEN_LENGTH = 32;
+
+function getSecret() {
+  return String(process.env.EMAIL_LINK_SECRET || "").trim();
+}
+
+function isList(list) {
+  return Object.prototype.hasOwnProperty.call(LISTS, list);
+}
+
+// ---------------------------
+// Tokens + links
+// ---------------------------
+
+function unsubscribeToken(uid) {
+  const secret = getSecret();
+  if (!secret || !uid) return null;
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`unsubscribe:${uid}`)
+    .digest("base64url")
+    .slice(0, TOKEN_LENGTH);
+}
+
+function verifyUnsubscribeToken(uid, token) {
+  const expected = unsubscribeToken(uid);
+  if (!expected || typeof token !== "string" || token.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// Preferences / unsubscribe page for this recipient. `list` preselects the list the
+// email came from; `issueId` (send ledger) credits an unsubscribe to that issue's report.
+// Falls back to a mailto when we can't sign (no MI id or no secret).
+function unsubscribeUrl(uid, list, issueId) {
+  const token = unsubscribeToken(uid);
+  if (!token) return FALLBACK_MAILTO;
+  const params = new URLSearchParams({ uid, token });
+  if (list) params.set("list", list);
+  if (issueId) params.set("issue", issueId);
+  return `${SITE_URL}${UNSUBSCRIBE_PATH}?${params.toString()}`;
+}
+
+// RFC 2369 / RFC 8058 headers for a Resend `headers` object.
+function listUnsubscribeHeaders(uid, list, issueId) {
+  const url = unsubscribeUrl(uid, list, issueId);
+  if (url === FALLBACK_MAILTO) return { "List-Unsubscribe": `<${FALLBACK_MAILTO}>` };
+  return {
+    "List-Unsubscribe": `<${url}>, <${FALLBACK_MAILTO}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+// ---------------------------
+// Membership
+// ---------------------------
+
+// { daily: true, weekly: false, ... } for one subscriber.
+async function getListStatus(uid, email) {
+  const [membership, prefs] = await Promise.all([
+    upstash.pipeline([
+      ["SISMEMBER", SUBSCRIBERS_KEY, email],
+      ["SISMEMBER", SUBSCRIBERS_APP_KEY, email],
+    ]),
+    emailPrefs.getPreferences(uid),
+  ]);
+  const onMain = Number(membership[0] && membership[0].result) === 1;
+  const onApp = Number(membership[1] && membership[1].result) === 1;
+
+  const out = {};
+  for (const [name, def] of Object.entries(LISTS)) {
+    out[name] = def.prefField ? onMain && prefs[def.prefField] : onApp;
+  }
+  return out;
+}
+
+async function leaveList(uid, email, list) {
+  const def = LISTS[list];
+  if (!def) throw new Error(`Unknown list: ${list}`);
+  if (def.prefField) await emailPrefs.updatePreferences(uid, { [def.prefField]: false });
+  else await upstash.srem(def.setKey, email);
+}
+
+async function leaveAll(email) {
+  await upstash.pipeline([
+    ["SREM", SUBSCRIBERS_KEY, email],
+    ["SREM", SUBSCRIBERS_APP_KEY, email],
+  ]);
+}
+
+module.exports = {
+  LISTS,
+  SUBSCRIBERS_KEY,
+  SUBSCRIBERS_APP_KEY,
+  isList,
+  unsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  listUnsubscribeHeaders,
+  getListStatus,
+  leaveList,
+  leaveAll,
+};
@@ -0,0 +1,335 @@
+// netlify/functions/lib/email-optin.js
+//
+// Optional double opt-in for subscribe.js / lead-capture.js.
+//
+// When EMAIL_DOUBLE_OPT_IN=1 a signup is parked instead of going straight onto the lists:
+//   email:pending:{email}        -> JSON { email, lists, source, dailyUpdates, ref, referral, createdAt, expiresAt }  (EX = TTL)
+//   email:pending                -> sorted set of pending emails, score = expiresAt (ms)
+// and a confirmation email with a signed, expiring link is sent via Resend.
+// Only a confirmed click promotes the address to the live lists (and mints its MI id).
+// Referred signups get a confirmation email even when double opt-in is off: they go
+// straight onto the lists, but the referral (lib/referrals.js) only counts on the click.
+// That email has its own copy and is only sent by the signup that parked the referral;
+// its record carries referral: true, and confirming it just counts the referral.
+// Suppressed addresses (lib/email-suppression.js) get no confirmation email.
+// Expired entries drop out on their own (key TTL) and are pruned from the sorted set.
+//
+// Link signature = HMAC_SHA256(EMAIL_LINK_SECRET, "confirm\n<email>\n<expiresAt seconds>")
+//
+// Confirm-rate counters (Sydney day of the event):
+//   email:optin:day:YYYY-MM-DD   -> hash { requested, confirmed }
+//
+// Env:
+//   EMAIL_DOUBLE_OPT_IN        "1" to enable
+//   EMAIL_CONFIRM_TTL_HOURS    optional, default 72
+//   EMAIL_LINK_SECRET
+//   RESEND_API_KEY, EMAIL_FROM
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+const subscribers = require("./subscribers");
+const referrals = require("./referrals");
+const emailLists = require("./email-lists");
+const suppression = require("./email-suppression");
+
+const fetch = (...args) => global.fetch(...args);
+
+const SITE_URL = "https://matesinvest.com";
+const CONFIRM_PATH = "/.netlify/functions/confirm-subscription";
+
+const PENDING_PREFIX = "email:pending:";
+const PENDING_SET = "email:pending";
+const OPTIN_DAY_PREFIX = "email:optin:day:";
+const OPTIN_DAY_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+const DEFAULT_TTL_HOURS = 72;
+// Don't re-send a confirmation to the same address more often than this.
+const RESEND_THROTTLE_MS = 10 * 60 * 1000;
+
+function isDoubleOptInEnabled() {
+  return String(process.env.EMAIL_DOUBLE_OPT_IN || "").trim() === "1";
+}
+
+function getTtlSeconds() {
+  const hours = Number(process.env.EMAIL_CONFIRM_TTL_HOURS);
+  return Math.round((Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 3600);
+}
+
+function getSecret() {
+  return String(process.env.EMAIL_LINK_SECRET || "").trim();
+}
+
+function pendingKey(email) {
+  return `${PENDING_PREFIX}${email}`;
+}
+
+// ---------------------------
+// Signed links
+// ---------------------------
+
+function sign(email, expires) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`confirm\n${email}\n${expires}`)
+    .digest("base64url");
+}
+
+function confirmUrl(email, expires) {
+  const params = new URLSearchParams({
+    e: Buffer.from(email).toString("base64url"),
+    exp: String(expires),
+    sig: sign(email, expires),
+  });
+  return `${SITE_URL}${CONFIRM_PATH}?${params.toString()}`;
+}
+
+// Returns { ok: true, email } or { ok: false, reason: "invalid" | "expired" }.
+function verifyConfirmLink(qs) {
+  if (!getSecret()) return { ok: false, reason: "invalid" };
+  const email = Buffer.from(String(qs.e || ""), "base64url").toString("utf8");
+  const expires = Number(qs.exp);
+  const sig = String(qs.sig || "");
+  if (!email.includes("@") || !Number.isInteger(expires) || !sig) {
+    return { ok: false, reason: "invalid" };
+  }
+
+  const expected = sign(email, expires);
+  if (
+    sig.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+  ) {
+    return { ok: false, reason: "invalid" };
+  }
+  if (expires < Math.floor(Date.now() / 1000)) return { ok: false, reason: "expired" };
+  return { ok: true, email };
+}
+
+// ---------------------------
+// Counters
+// ---------------------------
+
+async function bumpCounter(field) {
+  const key = `${OPTIN_DAY_PREFIX}${calendar.sydneyDateString()}`;
+  try {
+    await upstash.pipeline([
+      ["HINCRBY", key, field, 1],
+      ["EXPIRE", key, OPTIN_DAY_TTL_SECONDS],
+    ]);
+  } catch (err) {
+    console.warn("email-optin: counter update failed", field, err && err.message);
+  }
+}
+
+// ---------------------------
+// Confirmation email
+// ---------------------------
+
+// Signup confirmation, or (referral) a referred subscriber confirming so their mate is credited.
+function confirmationCopy(referral) {
+  if (referral) {
+    return {
+      subject: "Confirm your email so your mate gets the credit",
+      heading: "Confirm your email",
+      body: "Thanks for joining MatesInvest. Tap the button below to confirm this is your address so the mate who invited you gets the credit. Your emails arrive either way, and every one has an unsubscribe link.",
+      ignore: "If you didn't sign up, use the unsubscribe link in any of our emails.",
+    };
+  }
+  return {
+    subject: "Confirm your MatesInvest subscription",
+    heading: "Confirm your subscription",
+    body: "Tap the button below to start receiving MatesInvest emails. If you didn't sign up, just ignore this email and you won't hear from us.",
+    ignore: "If you didn't sign up, ignore this email.",
+  };
+}
+
+async function sendConfirmationEmail(email, url, { referral = false } = {}) {
+  const RESEND_API_KEY = process.env.RESEND_API_KEY;
+  const EMAIL_FROM = process.env.EMAIL_FROM || "hello@matesinvest.com";
+  if (!RESEND_API_KEY) throw new Error("RESEND_API_KEY missing");
+
+  const hours = Math.round(getTtlSeconds() / 3600);
+  const copy = confirmationCopy(referral);
+  const html = `
+<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background-color:#f5f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+    <tr><td align="center">
+      <table width="100%" cellpadding="0" cellspacing="0" style="max-width:520px;background:#ffffff;border-radius:12px;padding:28px;">
+        <tr><td>
+          <h1 style="margin:0 0 12px 0;font-size:20px;color:#002040;">${copy.heading}</h1>
+          <p style="margin:0 0 18px 0;font-size:14px;color:#64748b;line-height:1.5;">
+            ${copy.body}
+          </p>
+          <a href="${url}" style="display:inline-block;padding:10px 18px;background:#00BFFF;color:#ffffff;text-decoration:none;border-radius:999px;font-size:14px;font-weight:600;">
+            Confirm my email
+          </a>
+          <p style="margin:18px 0 0 0;font-size:11px;color:#94a3b8;">This link expires in ${hours} hours.</p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+  `;
+
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from: `MatesInvest <${EMAIL_FROM}>`,
+      to: [email],
+      subject: copy.subject,
+      html,
+      text: `${copy.subject}: ${url}\n\nThis link expires in ${hours} hours. ${copy.ignore}`,
+      reply_to: EMAIL_FROM,
+    }),
+  });
+
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    throw new Error(`Resend confirmation send failed: ${res.status} ${txt}`);
+  }
+}
+
+// ---------------------------
+// Pending flow
+// ---------------------------
+
+// Parks a signup and sends the confirmation email.
+// signup = { lists: { daily, app }, source, dailyUpdates, ref } (ref = referral code, lib/referrals.js)
+// referral = the signup is already live and only its referral waits on the click.
+// Returns { status: "sent" | "throttled" | "suppressed" }.
+async function requestConfirmation(email, signup, { referral = false } = {}) {
+  if (!getSecret()) throw new Error("EMAIL_LINK_SECRET not configured");
+  if (await suppression.isSuppressed(email)) return { status: "suppressed" };
+
+  const existing = await upstash.getJson(pendingKey(email)).catch(() => null);
+  const nowMs = Date.now();
+  if (existing && nowMs - Date.parse(existing.createdAt) < RESEND_THROTTLE_MS) {
+    return { status: "throttled" };
+  }
+
+  // Merge with an earlier pending signup so ticking "daily" on a second form isn't lost.
+  const lists = {
+    daily: !!(signup.lists.daily || (existing && existing.lists && existing.lists.daily)),
+    app: !!(signup.lists.app || (existing && existing.lists && existing.lists.app)),
+  };
+
+  const ttl = getTtlSeconds();
+  const expiresAtMs = nowMs + ttl * 1000;
+  const record = {
+    email,
+    lists,
+    source: signup.source || (existing && existing.source) || null,
+    dailyUpdates: !!(signup.dailyUpdates || (existing && existing.dailyUpdates)),
+    ref: signup.ref || (existing && existing.ref) || null,
+    referral: !!referral,
+    createdAt: new Date(nowMs).toISOString(),
+    expiresAt: new Date(expiresAtMs).toISOString(),
+  };
+
+  await upstash.pipeline([
+    ["SET", pendingKey(email), JSON.stringify(record), "EX", ttl],
+    ["ZADD", PENDING_SET, expiresAtMs, email],
+    ["ZREMRANGEBYSCORE", PENDING_SET, "-inf", nowMs],
+  ]);
+
+  await sendConfirmationEmail(email, confirmUrl(email, Math.floor(expiresAtMs / 1000)), { referral });
+  await bumpCounter("requested");
+  return { status: "sent" };
+}
+
+// Single opt-in signup that arrived with a referral code: the subscriber is already on the
+// lists, but the referral only counts once they confirm. Sends the confirmation email only
+// when this signup parked the referral (referral = activateSubscriber's result), so repeat
+// signups can't be used to mail an address. Best-effort; returns the requestConfirmation
+// status, or null when nothing was sent.
+async function requestReferralConfirmation(email, referral, signup) {
+  try {
+    if (!referral || referral.status !== "pending") return null;
+    const { status } = await requestConfirmation(email, signup, { referral: true });
+    return status;
+  } catch (err) {
+    console.warn("email-optin: referral confirmation failed", err && err.message);
+    return null;
+  }
+}
+
+// Promotes a pending signup to the live lists (a referral record only counts its referral).
+// Returns { status: "confirmed", id, referral? } | { status: "already-confirmed", id } | { status: "expired" }.
+async function confirm(email) {
+  const record = await upstash.getJson(pendingKey(email)).catch(() => null);
+  if (!record) {
+    // Second click on the same link, or the entry expired. An MI id alone outlives an
+    // unsubscribe, so only count it as confirmed while the address is still on a list.
+    const id = await upstash.get(`email:id:${email}`).catch(() => null);
+    if (!id) return { status: "expired" };
+    const lists = await emailLists.getListStatus(id, email).catch(() => ({}));
+    return Object.values(lists).some(Boolean) ? { status: "already-confirmed", id } : { status: "expired" };
+  }
+
+  // Already live: don't put an address that has since unsubscribed back on the lists
+  if (record.referral) {
+    const id = await upstash.get(`email:id:${email}`);
+    if (id) await referrals.confirmReferral(id);
+    await upstash.pipeline([
+      ["DEL", pendingKey(email)],
+      ["ZREM", PENDING_SET, email],
+    ]);
+    await bumpCounter("confirmed");
+    return { status: "confirmed", id: id || null, referral: true };
+  }
+
+  const { id } = await subscribers.activateSubscriber(email, {
+    lists: record.lists || { daily: true },
+    source: record.source,
+    dailyUpdates: record.dailyUpdates,
+    ref: record.ref,
+    confirmed: true,
+  });
+
+  await upstash.pipeline([
+    ["DEL", pendingKey(email)],
+    ["ZREM", PENDING_SET, email],
+  ]);
+  await bumpCounter("confirmed");
+  return { status: "confirmed", id };
+}
+
+// ---------------------------
+// Reporting
+// ---------------------------
+
+// Summed { requested, confirmed } over the given Sydney days, plus live pending count.
+async function getOptInStats(days) {
+  const nowMs = Date.now();
+  const results = await upstash.pipeline([
+    ["ZREMRANGEBYSCORE", PENDING_SET, "-inf", nowMs],
+    ["ZCARD", PENDING_SET],
+    ...days.map((d) => ["HGETALL", `${OPTIN_DAY_PREFIX}${d}`]),
+  ]);
+
+  let requested = 0;
+  let confirmed = 0;
+  for (const r of results.slice(2)) {
+    const h = upstash.hashFromFlat(r && r.result);
+    requested += Number(h.requested || 0);
+    confirmed += Number(h.confirmed || 0);
+  }
+  return { requested, confirmed, pending: Number((results[1] && results[1].result) || 0) };
+}
+
+module.exports = {
+  isDoubleOptInEnabled,
+  confirmUrl,
+  verifyConfirmLink,
+  requestConfirmation,
+  requestReferralConfirmation,
+  confirm,
+  getOptInStats,
+};
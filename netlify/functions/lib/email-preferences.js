@@ -0,0 +1,217 @@
+// netlify/functions/lib/email-preferences.js
+//
+// Per-subscriber email preferences, keyed by MI user id.
+//
+// Stored as a hash (missing fields fall back to DEFAULT_PREFERENCES, so subscribers
+// from before this existed keep getting everything):
+//   email:prefs:{MI}   -> { daily, quiz, weekly, weekAhead, maxPerWeek, source, createdAt, updatedAt }
+//                         booleans stored as "1" / "0"; maxPerWeek 0 = no cap
+//
+// Frequency cap counter (Sydney week, Monday start):
+//   email:freq:{MI}:{YYYY-MM-DD of Monday}  -> number of newsletters sent that week
+//
+// Fields:
+//   daily      daily ASX briefing
+//   quiz       include the "How you think" quiz block in the daily briefing
+//   weekly     weekly wrap
+//   weekAhead  Monday week-ahead
+//   maxPerWeek cap on newsletters per week across all of the above
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+
+const PREFS_PREFIX = "email:prefs:";
+const FREQ_PREFIX = "email:freq:";
+const FREQ_TTL_SECONDS = 9 * 24 * 60 * 60;
+const MAX_PER_WEEK_LIMIT = 14;
+
+const BOOLEAN_FIELDS = ["daily", "quiz", "weekly", "weekAhead"];
+
+const DEFAULT_PREFERENCES = {
+  daily: true,
+  quiz: true,
+  weekly: true,
+  weekAhead: true,
+  maxPerWeek: 0,
+};
+
+// Sources that only join the App waitlist unless they tick "daily updates".
+const APP_SOURCES = new Set([
+  "meta-social-coming-soon",
+  "app-early-access",
+  "social-investing",
+  "lead-capture",
+]);
+
+function prefsKey(uid) {
+  return `${PREFS_PREFIX}${uid}`;
+}
+
+// Monday of the current Sydney week.
+function weekStart(date = new Date()) {
+  const today = calendar.sydneyDateString(date);
+  const dow = calendar.weekdayOf(today);
+  return calendar.addDays(today, -((dow + 6) % 7));
+}
+
+function freqKey(uid, date = new Date()) {
+  return `${FREQ_PREFIX}${uid}:${weekStart(date)}`;
+}
+
+// ---------------------------
+// Encode / decode
+// ---------------------------
+
+function decode(hash) {
+  const h = hash || {};
+  const out = { ...DEFAULT_PREFERENCES };
+  for (const f of BOOLEAN_FIELDS) {
+    if (h[f] !== undefined && h[f] !== null) out[f] = h[f] === "1" || h[f] === "true";
+  }
+  const cap = Number(h.maxPerWeek);
+  if (Number.isInteger(cap) && cap >= 0) out.maxPerWeek = cap;
+  if (h.source) out.source = h.source;
+  if (h.createdAt) out.createdAt = h.createdAt;
+  if (h.updatedAt) out.updatedAt = h.updatedAt;
+  return out;
+}
+
+function encode(prefs) {
+  const out = {};
+  for (const f of BOOLEAN_FIELDS) {
+    if (typeof prefs[f] === "boolean") out[f] = prefs[f] ? "1" : "0";
+  }
+  if (Number.isInteger(prefs.maxPerWeek)) out.maxPerWeek = String(prefs.maxPerWeek);
+  return out;
+}
+
+// Validates a partial update from a request body.
+// Returns { updates, errors } — errors is a list of human-readable strings.
+function validateUpdate(body) {
+  const updates = {};
+  const errors = [];
+  if (!body || typeof body !== "object") return { updates, errors: ["Body must be a JSON object"] };
+
+  for (const f of BOOLEAN_FIELDS) {
+    if (body[f] === undefined) continue;
+    if (typeof body[f] !== "boolean") errors.push(`${f} must be true or false`);
+    else updates[f] = body[f];
+  }
+  if (body.maxPerWeek !== undefined) {
+    const n = Number(body.maxPerWeek);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_PER_WEEK_LIMIT) {
+      errors.push(`maxPerWeek must be an integer between 0 and ${MAX_PER_WEEK_LIMIT} (0 = no cap)`);
+    } else {
+      updates.maxPerWeek = n;
+    }
+  }
+  if (!errors.length && !Object.keys(updates).length) errors.push("No preference fields supplied");
+  return { updates, errors };
+}
+
+// ---------------------------
+// Read / write
+// ---------------------------
+
+// Preferences plus `sentThisWeek` (for the frequency cap) for many subscribers in one
+// pipeline call. Returns an array in the same order; null/unknown ids get the defaults.
+async function getPreferencesMany(uids) {
+  const ids = uids.filter(Boolean);
+  const commands = [];
+  for (const uid of ids) commands.push(["HGETALL", prefsKey(uid)], ["GET", freqKey(uid)]);
+  const results = commands.length ? await upstash.pipeline(commands) : [];
+
+  const byId = new Map();
+  ids.forEach((uid, i) => {
+    const hashRes = results[i * 2];
+    const freqRes = results[i * 2 + 1];
+    const prefs = decode(upstash.hashFromFlat(hashRes && hashRes.result));
+    prefs.sentThisWeek = Number((freqRes && freqRes.result) || 0);
+    byId.set(uid, prefs);
+  });
+  return uids.map((uid) => byId.get(uid) || { ...DEFAULT_PREFERENCES, sentThisWeek: 0 });
+}
+
+async function getPreferences(uid) {
+  const [prefs] = await getPreferencesMany([uid]);
+  return prefs;
+}
+
+async function updatePreferences(uid, updates) {
+  await upstash.hset(prefsKey(uid), {
+    ...encode(updates),
+    updatedAt: new Date().toISOString(),
+  });
+  return getPreferences(uid);
+}
+
+// Initial record for a signup. App-waitlist sources only get the newsletters
+// if they ticked "daily updates"; everything else gets the full set.
+function initialPreferences(source, opts = {}) {
+  const newsletters = !APP_SOURCES.has(source) || !!opts.dailyUpdates;
+  return {
+    daily: newsletters,
+    quiz: true,
+    weekly: newsletters,
+    weekAhead: newsletters,
+    maxPerWeek: 0,
+  };
+}
+
+// Writes signup preferences without clobbering choices the subscriber already made:
+// missing fields are filled in, and a signup can switch lists ON but never OFF.
+async function writeInitialPreferences(uid, prefs, meta = {}) {
+  if (!uid) return;
+  const key = prefsKey(uid);
+  const encoded = encode(prefs);
+  const commands = [];
+  for (const [field, value] of Object.entries(encoded)) {
+    commands.push(value === "1" ? ["HSET", key, field, value] : ["HSETNX", key, field, value]);
+  }
+  commands.push(["HSETNX", key, "createdAt", new Date().toISOString()]);
+  if (meta.source) commands.push(["HSETNX", key, "source", String(meta.source)]);
+  await upstash.pipeline(commands);
+}
+
+// ---------------------------
+// Sender helpers
+// ---------------------------
+
+const LIST_FIELDS = { daily: "daily", weekly: "weekly", "week-ahead": "weekAhead" };
+
+// Whether `list` may go to a subscriber with these preferences right now.
+function canSend(prefs, list) {
+  const field = LIST_FIELDS[list];
+  if (field && prefs[field] === false) return false;
+  if (prefs.maxPerWeek > 0 && (prefs.sentThisWeek || 0) >= prefs.maxPerWeek) return false;
+  return true;
+}
+
+// Bump the weekly counters after a successful send.
+async function recordSends(uids) {
+  const commands = [];
+  for (const uid of uids) {
+    if (!uid) continue;
+    const key = freqKey(uid);
+    commands.push(["INCR", key], ["EXPIRE", key, FREQ_TTL_SECONDS]);
+  }
+  if (!commands.length) return;
+  try {
+    await upstash.pipeline(commands);
+  } catch (err) {
+    console.warn("email-preferences: recordSends failed", err && err.message);
+  }
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  LIST_FIELDS,
+  validateUpdate,
+  getPreferences,
+  getPreferencesMany,
+  updatePreferences,
+  initialPreferences,
+  writeInitialPreferences,
+  canSend,
+  recordSends,
+};
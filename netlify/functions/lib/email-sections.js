@@ -0,0 +1,318 @@
+// netlify/functions/lib/email-sections.js
+//
+// Newsletter sections shared by more than one sender, built from the partials in
+// lib/email-template.js:
+//   morningMarketSections(payload)   daily + quiz: top performers, commodities, crypto (1D)
+//   weeklyMoveTable(...)             weekly: commodities / crypto week moves
+//   festiveBanner(ymd)               daily + quiz: Christmas / New Year closure banner
+//   stockBlocks(...) /
+//   yourStocksSection(codes, blocks) quiz: a subscriber's watchlist codes (lib/watchlists.js)
+//   referralSection(stats, fallback) weekly: personal invite link + reward tier progress
+//                                    (lib/referrals.js)
+
+const tpl = require("./email-template");
+const calendar = require("./market-calendar");
+
+const FRIENDLY_COMMODITIES = {
+  XAU: "Gold",
+  XAG: "Silver",
+  IRON: "Iron Ore 62% Fe",
+  "LITH-CAR": "Lithium Carbonate",
+  NI: "Nickel",
+  URANIUM: "Uranium",
+};
+
+const FRIENDLY_CRYPTO = {
+  BTC: "Bitcoin",
+  ETH: "Ethereum",
+  SOL: "Solana",
+  ADA: "Cardano",
+};
+
+const CRYPTO_ORDER = ["BTC", "ETH", "SOL", "ADA"];
+
+function numOrNull(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : null;
+}
+
+// ---------------------------
+// Daily (morning-brief payload)
+// ---------------------------
+
+function topPerformersTable(payload) {
+  const top = Array.isArray(payload.topPerformers) ? payload.topPerformers : [];
+  return tpl.marketTable({
+    title: "Yesterday's Top Performers",
+    padding: "14px 20px 6px 20px",
+    columns: [
+      { label: "Code" },
+      { label: "Name" },
+      { label: "Close", align: "right" },
+      { label: "Move", align: "right" },
+    ],
+    rows: top.map((tp) => [
+      tpl.textCell(tp.symbol || tp.code || "", { bold: true }),
+      tpl.mutedCell(tp.name || ""),
+      tpl.numberCell(tpl.formatPrice(numOrNull(tp.lastClose))),
+      tpl.moveCell(numOrNull(tp.pctGain)),
+    ]),
+  });
+}
+
+function commoditiesTable(payload) {
+  const metals = payload.metals || payload.symbols || {};
+  const sourceNote =
+    payload._debug && payload._debug.metalsDataSource
+      ? `Metals source: ${payload._debug.metalsDataSource}`
+      : "Metals snapshot – not live prices";
+
+  return tpl.marketTable({
+    title: "Key Commodities",
+    columns: [
+      { label: "Commodity" },
+      { label: "Price (AUD)", align: "right" },
+      { label: "1D", align: "right" },
+    ],
+    rows: Object.keys(metals).map((sym) => {
+      const m = metals[sym] || {};
+      const unit = m.unit || (sym === "IRON" ? "tonne" : "unit");
+      return [
+        tpl.labelCell(FRIENDLY_COMMODITIES[sym] || sym, sym),
+        tpl.numberCell(tpl.formatPrice(numOrNull(m.priceAUD), { unit, fallback: "Unavailable" })),
+        tpl.moveCell(numOrNull(m.pctChange)),
+      ];
+    }),
+    captionText: `${sourceNote}. Not financial advice.`,
+  });
+}
+
+function cryptoTable(payload) {
+  const crypto = payload.crypto && typeof payload.crypto === "object" ? payload.crypto : {};
+  return tpl.marketTable({
+    title: "Crypto snapshot",
+    padding: "4px 20px 14px 20px",
+    columns: [
+      { label: "Asset" },
+      { label: "Price (AUD)", align: "right" },
+      { label: "1D", align: "right" },
+    ],
+    rows: CRYPTO_ORDER.filter((sym) => crypto[sym]).map((sym) => {
+      const c = crypto[sym] || {};
+      const unit = (c.unit || "coin").toString().trim() || "coin";
+      return [
+        tpl.labelCell(FRIENDLY_CRYPTO[sym] || sym, sym),
+        tpl.numberCell(tpl.formatPrice(numOrNull(c.priceAUD), { unit, fallback: "Unavailable" })),
+        tpl.moveCell(numOrNull(c.pctChange)),
+      ];
+    }),
+  });
+}
+
+// Market tables from the morning-brief payload, in email order.
+function morningMarketSections(payload) {
+  return [topPerformersTable(payload), commoditiesTable(payload), cryptoTable(payload)];
+}
+
+// Festive ASX closures (incl. observed days) from the shared calendar.
+function festiveBanner(ymd) {
+  if (!/Christmas|Boxing|New Year/.test(calendar.holidayName(ymd) || "")) return "";
+  return tpl.banner({
+    tone: "holiday",
+    title: "🎄 Happy Holidays from MatesInvest",
+    body: "Hope you and your family have a great break.",
+  });
+}
+
+// ---------------------------
+// Your stocks (per-subscriber watchlist codes)
+// ---------------------------
+
+const YOUR_STOCKS_MAX_CODES = 10;
+const YOUR_STOCKS_NEWS_PER_CODE = 2;
+const YOUR_STOCKS_NEWS_MAX_AGE_MS = 36 * 60 * 60 * 1000;
+
+function shortDate(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).toLocaleDateString("en-AU", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+}
+
+function dividendAmount(amount) {
+  if (typeof amount !== "number" || !Number.isFinite(amount)) return "";
+  return amount < 1 ? `${Number((amount * 100).toFixed(2))}c` : tpl.formatPrice(amount);
+}
+
+// "CBA.AX" / "CBA.AU" / "CBA" -> "CBA"; other exchanges -> null.
+function asxCode(symbol) {
+  const m = String(symbol || "").toUpperCase().match(/^([A-Z0-9]{1,6})(?:\.(AX|AU|ASX))?$/);
+  return m ? m[1] : null;
+}
+
+// Everything a subscriber's "Your stocks" section can show for each code, built once per send
+// so each email only picks out its own codes.
+//   eodRows:  rows from asx:universe:eod:latest
+//   articles: newsFeed articles (with `symbols`)
+//   upcoming: lib/dividends.js listUpcoming() entries, soonest first
+// Returns Map CODE -> { cells, news: [{ title, url, source }], exDate }.
+function stockBlocks({ codes, eodRows, articles, upcoming, now = Date.now() }) {
+  const rows = new Map((eodRows || []).filter((r) => r && r.code).map((r) => [String(r.code).toUpperCase(), r]));
+
+  const nextExDiv = new Map();
+  for (const d of upcoming || []) {
+    if (!nextExDiv.has(d.code)) nextExDiv.set(d.code, d);
+  }
+
+  const news = new Map();
+  const recent = (articles || [])
+    .filter((a) => a && a.url && a.title && now - Date.parse(a.publishedAt) <= YOUR_STOCKS_NEWS_MAX_AGE_MS)
+    .sort((a, b) => Date.parse(b.publishedAt) - Date.parse(a.publishedAt));
+  for (const a of recent) {
+    for (const code of new Set((a.symbols || []).map(asxCode).filter(Boolean))) {
+      const list = news.get(code) || [];
+      if (list.length >= YOUR_STOCKS_NEWS_PER_CODE || list.some((x) => x.url === a.url)) continue;
+      list.push({ title: a.title, url: a.url, source: a.source || "" });
+      news.set(code, list);
+    }
+  }
+
+  const out = new Map();
+  for (const code of codes) {
+    const r = rows.get(code) || {};
+    const div = nextExDiv.get(code) || null;
+    out.set(code, {
+      cells: [
+        tpl.textCell(code, { bold: true }),
+        tpl.numberCell(tpl.formatPrice(numOrNull(r.close))),
+        tpl.moveCell(numOrNull(r.pctChange)),
+        tpl.mutedCell(div ? `${shortDate(div.exDate)} · ${dividendAmount(div.amount)}` : "—"),
+      ],
+      news: news.get(code) || [],
+      exDate: div ? div.exDate : null,
+    });
+  }
+  return out;
+}
+
+function newsLinks(items) {
+  return `<ul style="margin:0 0 0 18px;padding:0;color:#0b1220;font-size:13px;line-height:1.5;">
+                  ${items
+                    .map(
+                      ({ code, title, url, source }) =>
+                        `<li style="margin:6px 0;"><strong>${tpl.escapeHtml(code)}</strong> · <a href="${tpl.escapeHtml(url)}" style="color:#0b1220;">${tpl.escapeHtml(title)}</a>${
+                          source ? ` <span style="color:#94a3b8;font-size:11px;">${tpl.escapeHtml(source)}</span>` : ""
+                        }</li>`
+                    )
+                    .join("")}
+                </ul>`;
+}
+
+// The subscriber's codes (first YOUR_STOCKS_MAX_CODES) from precomputed stockBlocks();
+// renders nothing when they have no saved codes.
+function yourStocksSection(codes, blocks, { asOf } = {}) {
+  const shown = (codes || []).filter((c) => blocks.has(c)).slice(0, YOUR_STOCKS_MAX_CODES);
+  if (!shown.length) return "";
+
+  const more = codes.length - shown.length;
+  const captionParts = [
+    more > 0 ? `+${more} more on your watchlist.` : "",
+    asOf ? `Closing prices for ${shortDate(asOf)}.` : "",
+    "Not financial advice.",
+  ].filter(Boolean);
+
+  const table = tpl.marketTable({
+    title: "Your stocks",
+    padding: "14px 20px 6px 20px",
+    columns: [
+      { label: "Code" },
+      { label: "Close", align: "right" },
+      { label: "Move", align: "right" },
+      { label: "Next ex-div" },
+    ],
+    rows: shown.map((code) => blocks.get(code).cells),
+    captionText: captionParts.join(" "),
+  });
+
+  const stories = shown.flatMap((code) => blocks.get(code).news.map((n) => ({ code, ...n })));
+  const newsRow = stories.length
+    ? tpl.row(
+        `${tpl.sectionTitle("In the news: your stocks")}
+              <div style="background:#f9fbff;border:1px solid #dbeafe;padding:10px 14px;border-radius:12px;">
+                ${newsLinks(stories)}
+              </div>`,
+        "6px 20px 8px 20px"
+      )
+    : "";
+
+  return table + newsRow;
+}
+
+// ---------------------------
+// Weekly
+// ---------------------------
+
+// Week-move table for { SYM: { lastPriceAUD, weeklyPct } } (commodities or crypto).
+function weeklyMoveTable({ title, items, labels, labelHeader, priceHeader, captionText, padding }) {
+  return tpl.marketTable({
+    title,
+    padding,
+    columns: [
+      { label: labelHeader },
+      { label: priceHeader, align: "right" },
+      { label: "Week", align: "right" },
+    ],
+    rows: Object.keys(items || {}).map((sym) => {
+      const it = items[sym] || {};
+      return [
+        tpl.labelCell(labels[sym] || sym, sym),
+        tpl.numberCell(tpl.formatPrice(numOrNull(it.lastPriceAUD))),
+        tpl.moveCell(numOrNull(it.weeklyPct)),
+      ];
+    }),
+    captionText,
+  });
+}
+
+// ---------------------------
+// Referrals
+// ---------------------------
+
+// Invite block with the subscriber's own link and where they're up to in the reward tiers.
+// stats = lib/referrals.js getStatsMany() entry; without a code, the generic invite block.
+function referralSection(stats, fallback) {
+  if (!stats || !stats.link) return tpl.inviteBlock(fallback);
+
+  const { counted, tier, next, toNext } = stats;
+  const progress = [];
+  if (counted === 0) {
+    progress.push(`Send your link to a mate. When ${next.at === 1 ? "they join" : `${next.at} mates join`}, you unlock: ${next.reward}.`);
+  } else {
+    progress.push(
+      `${counted === 1 ? "1 mate has" : `${counted} mates have`} joined with your link` +
+        (tier ? `, so you're a ${tier.name}.` : ".")
+    );
+    if (next) progress.push(`${toNext} more to reach ${next.name}: ${next.reward}.`);
+    else progress.push("You've unlocked every reward. Legend.");
+  }
+
+  return tpl.ctaBlock({
+    title: fallback && fallback.title ? fallback.title : "Invite a mate",
+    body: [fallback && fallback.body, ...progress],
+    href: stats.link,
+    label: "Share your invite link",
+    linkText: stats.link.replace(/^https:\/\//, "").replace(/#.*$/, ""),
+  });
+}
+
+module.exports = {
+  FRIENDLY_COMMODITIES,
+  FRIENDLY_CRYPTO,
+  morningMarketSections,
+  festiveBanner,
+  stockBlocks,
+  yourStocksSection,
+  weeklyMoveTable,
+  referralSection,
+};
@@ -0,0 +1,127 @@
+// netlify/functions/lib/email-suppression.js
+//
+// Delivery events from Resend (resend-webhook.js) and the suppression list built from them.
+// Hard bounces and spam complaints are suppressed: the address leaves every list
+// (lib/email-lists.js leaveAll), so the newsletters stop, and everything else that emails
+// someone checks isSuppressed() first:
+//   subscribe.js                 rejects the signup up front
+//   lib/email-optin.js           no confirmation email is sent
+//   lib/subscribers.js           activateSubscriber never re-adds it to a list
+//   lib/member-auth.js           no sign-in link
+//   evaluate-alerts.js           no alert digest
+//
+// Keys:
+//   email:suppressed                 -> set of addresses we never email again
+//   email:suppressed:{email}         -> JSON { reason: "hard-bounce" | "complaint", uid, event, detail, at }
+//   email:events:user:{MI}           -> hash { delivered, bounced, soft_bounced, complained, delayed,
+//                                              last_event, last_event_at }
+//   email:events:day:YYYY-MM-DD      -> hash { delivered, bounced, soft_bounced, complained, delayed, suppressed }
+//   email:webhook:seen:{svix id}     -> "1" (EX = SEEN_TTL_SECONDS), so a redelivered event counts once
+//
+// Day keys use the Sydney date the event arrived, like the other email counters.
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+const emailLists = require("./email-lists");
+
+const SUPPRESSED_KEY = "email:suppressed";
+const SUPPRESSED_PREFIX = "email:suppressed:";
+const USER_PREFIX = "email:events:user:";
+const DAY_PREFIX = "email:events:day:";
+const SEEN_PREFIX = "email:webhook:seen:";
+const SEEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DAY_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+const EVENT_FIELDS = ["delivered", "bounced", "soft_bounced", "complained", "delayed", "suppressed"];
+
+function normalise(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+// ---------------------------
+// Suppression list
+// ---------------------------
+
+async function isSuppressed(email) {
+  const addr = normalise(email);
+  if (!addr) return false;
+  return upstash.sismember(SUPPRESSED_KEY, addr);
+}
+
+// Adds the address to the suppression list and drops it from every list.
+// Returns true the first time, false when it was already suppressed.
+async function suppress(email, { reason, uid = null, event = null, detail = null }) {
+  const addr = normalise(email);
+  const [added] = await upstash.pipeline([
+    ["SADD", SUPPRESSED_KEY, addr],
+    ["SET", `${SUPPRESSED_PREFIX}${addr}`, JSON.stringify({ reason, uid, event, detail, at: new Date().toISOString() })],
+  ]);
+  await emailLists.leaveAll(addr);
+  return Number(added && added.result) === 1;
+}
+
+// Why an address is suppressed ({ reason, uid, event, detail, at }), or null.
+async function getSuppression(email) {
+  return upstash.getJson(`${SUPPRESSED_PREFIX}${normalise(email)}`);
+}
+
+// ---------------------------
+// Events
+// ---------------------------
+
+// True the first time an event id is seen (Resend retries deliveries).
+async function markSeen(eventId) {
+  if (!eventId) return true;
+  const res = await upstash.command(["SET", `${SEEN_PREFIX}${eventId}`, "1", "NX", "EX", SEEN_TTL_SECONDS]);
+  return res === "OK";
+}
+
+// Forget an event id so Resend's retry is processed (after a failure part-way through).
+async function unmarkSeen(eventId) {
+  if (eventId) await upstash.del(`${SEEN_PREFIX}${eventId}`);
+}
+
+// Counts one event. field: one of EVENT_FIELDS; uid may be null (address without an MI id).
+async function recordEvent(field, { uid, at = Date.now() }) {
+  const dayKey = `${DAY_PREFIX}${calendar.sydneyDateString(at)}`;
+  const commands = [
+    ["HINCRBY", dayKey, field, 1],
+    ["EXPIRE", dayKey, DAY_TTL_SECONDS],
+  ];
+  if (uid && field !== "suppressed") {
+    const userKey = `${USER_PREFIX}${uid}`;
+    commands.push(
+      ["HINCRBY", userKey, field, 1],
+      ["HSET", userKey, "last_event", field, "last_event_at", at]
+    );
+  }
+  await upstash.pipeline(commands);
+}
+
+// Summed day counters for a list of Sydney dates: { delivered, bounced, ..., suppressed }.
+async function getEventStats(days) {
+  const totals = Object.fromEntries(EVENT_FIELDS.map((f) => [f, 0]));
+  if (!days.length) return totals;
+  const results = await upstash.pipeline(days.map((d) => ["HGETALL", `${DAY_PREFIX}${d}`]));
+  for (const r of results) {
+    const h = upstash.hashFromFlat(r && r.result);
+    for (const f of EVENT_FIELDS) totals[f] += Number(h[f] || 0);
+  }
+  return totals;
+}
+
+async function suppressedCount() {
+  return upstash.scard(SUPPRESSED_KEY);
+}
+
+module.exports = {
+  SUPPRESSED_KEY,
+  isSuppressed,
+  suppress,
+  getSuppression,
+  markSeen,
+  unmarkSeen,
+  recordEvent,
+  getEventStats,
+  suppressedCount,
+};
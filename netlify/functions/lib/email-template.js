@@ -0,0 +1,495 @@
+// netlify/functions/lib/email-template.js
+//
+// Shared template layer for the newsletter senders (daily, quiz, weekly, week-ahead).
+//
+// Each sender builds its body from the partials below and calls render(), which:
+//   - wraps the body in the standard MatesInvest layout (card, footer, subscription notice)
+//   - routes every outbound link through track-email-click as a signed link (makeTrackingLink), so
+//     builders just write plain URLs
+//   - adds an open-tracking pixel (track-email-open) when the send ledger's issueId is passed
+//   - returns a plain-text alternative alongside the HTML
+//
+// Usage:
+//   const tpl = require("./lib/email-template");
+//   const { html, text } = tpl.render({
+//     title: "MatesMorning – ASX Briefing",
+//     userId, emailType: "daily-brief", list: "daily", issueId: "daily:2026-03-10",
+//     rows: [tpl.header({ heading: "ASX Morning Briefing", subheading: niceDate }), tpl.noteSection({ ... })],
+//   });
+
+const emailLists = require("./email-lists");
+const emailTracking = require("./email-tracking");
+
+const SITE_URL = "https://matesinvest.com";
+const FEED_URL = `${SITE_URL}/mates-summaries`;
+const SUBSCRIBE_URL = `${SITE_URL}/mates-summaries#subscribe`;
+
+const COLOR_UP = "#16a34a";
+const COLOR_DOWN = "#dc2626";
+const COLOR_FLAT = "#64748b";
+
+// ---------------------------
+// Formatting
+// ---------------------------
+
+function escapeHtml(s) {
+  return String(s == null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+function formatMoney(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return null;
+  try {
+    return n.toLocaleString("en-AU", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  } catch {
+    return n.toFixed(2);
+  }
+}
+
+// "$1,234.56", with an optional " / unit"; fallback when not a number.
+function formatPrice(n, { unit, fallback = "—" } = {}) {
+  const money = formatMoney(n);
+  if (money === null) return fallback;
+  return unit ? `$${money} / ${unit}` : `$${money}`;
+}
+
+function formatPct(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return "—";
+  return `${n.toFixed(2)}%`;
+}
+
+function pctColor(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return COLOR_FLAT;
+  if (v > 0) return COLOR_UP;
+  if (v < 0) return COLOR_DOWN;
+  return COLOR_FLAT;
+}
+
+// ---------------------------
+// Tracking links
+// ---------------------------
+
+function getSiteUrl() {
+  return process.env.URL || process.env.DEPLOY_PRIME_URL || process.env.DEPLOY_URL || SITE_URL;
+}
+
+// Signed tracking link for email clicks (lib/email-tracking.js). Untracked when we can't
+// sign it (no MI id or no secret), since the tracker won't follow unsigned links.
+// issueId (optional) attributes the click to one issue in lib/email-engagement.js.
+function makeTrackingLink(url, userId, emailType, issueId = null) {
+  if (!userId) return url;
+  const signed = emailTracking.signedParams(url, userId, emailType || "unknown", issueId);
+  if (!signed) return url;
+  const trackUrl = `${getSiteUrl()}/.netlify/functions/track-email-click`;
+  return `${trackUrl}?${new URLSearchParams(signed).toString()}`;
+}
+
+// Rewrites every http(s) href in the markup through makeTrackingLink. Links to our own
+// functions (unsubscribe, preferences, the tracker itself) are left alone.
+function trackLinks(html, userId, emailType, issueId = null) {
+  if (!userId) return html;
+  return html.replace(/href="(https?:\/\/[^"]+)"/g, (match, rawUrl) => {
+    const url = rawUrl.replace(/&amp;/g, "&");
+    if (url.includes("/.netlify/functions/")) return match;
+    return `href="${escapeHtml(makeTrackingLink(url, userId, emailType, issueId))}"`;
+  });
+}
+
+// 1x1 open-tracking image for one recipient of one issue; "" when it can't be signed.
+function openPixel(userId, emailType, issueId) {
+  if (!userId || !issueId) return "";
+  const signed = emailTracking.signedOpenParams(userId, emailType || "unknown", issueId);
+  if (!signed) return "";
+  const src = `${getSiteUrl()}/.netlify/functions/track-email-open?${new URLSearchParams(signed).toString()}`;
+  return `<img src="${escapeHtml(src)}" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0;" />`;
+}
+
+// ---------------------------
+// Plain text
+// ---------------------------
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#039": "'", "#39": "'", nbsp: " " };
+
+// Plain-text alternative for an email rendered from these partials.
+// Links become "label (url)" (just "label" for data-text="label" links), market table
+// cells (class="mt") are separated by " | ", everything else by line breaks.
+function htmlToText(html) {
+  let text = String(html || "")
+    .replace(/<head[\s\S]*?<\/head>/gi, "")
+    .replace(/<style[\s\S]*?<\/style>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<img[^>]*alt="([^"]+)"[^>]*>/gi, "[$1]")
+    .replace(/<a\s([^>]*)href="([^"]+)"([^>]*)>([\s\S]*?)<\/a>/gi, (m, pre, href, post, label) => {
+      const plain = label.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+      if (/data-text="label"/.test(pre + post)) return plain;
+      const url = href.replace(/&amp;/g, "&");
+      if (!plain) return url;
+      return plain === url.replace(/^https?:\/\//, "").replace(/\/$/, "") || plain === url ? url : `${plain} (${url})`;
+    })
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<br\s*\/?>\s*/gi, "\n")
+    .replace(/<\/(td|th)>\s*(?=<(td|th) class="mt")/gi, " | ")
+    .replace(/<\/(p|div|h[1-6]|tr|td|table|ul)>/gi, "\n")
+    .replace(/<h[1-3][^>]*>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#039|#39|nbsp);/g, (m, e) => ENTITIES[e]);
+
+  text = text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return `${text}\n`;
+}
+
+// ---------------------------
+// Partials (each returns one or more <tr> rows of the main card)
+// ---------------------------
+
+function row(inner, padding = "10px 20px 8px 20px") {
+  return `
+          <tr>
+            <td style="padding:${padding};">
+              ${inner}
+            </td>
+          </tr>`;
+}
+
+function sectionTitle(title, extraHtml = "") {
+  return `<h2 style="margin:0 0 6px 0;font-size:14px;color:#002040;">${escapeHtml(title)}${extraHtml}</h2>`;
+}
+
+function caption(text) {
+  return `<div style="margin-top:6px;font-size:11px;color:#94a3b8;">${escapeHtml(text)}</div>`;
+}
+
+// Top-of-card header: badge, heading, date line, tagline on the right.
+function header({ heading, subheading, tagline = "Short, plain-English, not financial advice." }) {
+  return `
+          <tr>
+            <td style="padding:18px 20px 10px 20px;border-bottom:1px solid #e2e8f0;background:radial-gradient(circle at top left,#e2ebff 0,#f5f7fb 60%);">
+              <table role="presentation" width="100%" cellspacing="0" cellpadding="0">
+                <tr>
+                  <td align="left" valign="top">
+                    <div style="font-size:12px;color:#64748b;margin-bottom:4px;">
+                      <a href="${SITE_URL}" data-text="label" style="text-decoration:none;">
+                        <span style="display:inline-block;padding:2px 9px;border-radius:999px;background:#e7f7ff;border:1px solid #c5e5ff;color:#083a59;font-size:11px;font-weight:600;">
+                          MatesInvest · MatesMorning
+                        </span>
+                      </a>
+                    </div>
+                    <h1 style="margin:2px 0 2px 0;font-size:19px;color:#002040;">${escapeHtml(heading)}</h1>
+                    <div style="font-size:13px;color:#64748b;">${escapeHtml(subheading || "")}</div>
+                  </td>
+                  <td align="right" valign="top" style="font-size:11px;color:#94a3b8;line-height:1.4;max-width:160px;">
+                    Built for Australian retail investors.<br/>
+                    ${escapeHtml(tagline)}
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>`;
+}
+
+// Coloured callout. tone: "info" (blue), "holiday" (orange), "warning" (amber).
+const BANNER_TONES = {
+  info: { bg: "#f9fbff", border: "#dbeafe", title: "#002040" },
+  holiday: { bg: "#fff7ed", border: "#fed7aa", title: "#7c2d12" },
+  warning: { bg: "#fffbeb", border: "#fde68a", title: "#92400e" },
+};
+
+function banner({ title, body, tone = "info", padding = "12px 20px 0 20px" }) {
+  const t = BANNER_TONES[tone] || BANNER_TONES.info;
+  return row(
+    `<div style="background:${t.bg};border:1px solid ${t.border};padding:12px 14px;border-radius:12px;">
+                ${title ? `<div style="font-size:13px;font-weight:700;margin:0 0 4px 0;color:${t.title};">${escapeHtml(title)}</div>` : ""}
+                <div style="font-size:13px;line-height:1.5;color:#0b1220;">${escapeHtml(body).replace(/\n/g, "<br/>")}</div>
+              </div>`,
+    padding
+  );
+}
+
+// AI/plain-text note (newlines kept) under a section title, with a small caption.
+function noteSection({ title, body, captionText, padding = "14px 20px 4px 20px" }) {
+  if (!body) return "";
+  return row(
+    `${sectionTitle(title)}
+              <div style="background:#f9fbff;border:1px solid #dbeafe;padding:10px 14px;border-radius:12px;font-size:13px;line-height:1.45;color:#0b1220;">
+                ${escapeHtml(body).replace(/\n/g, "<br/>")}
+              </div>
+              ${captionText ? caption(captionText) : ""}`,
+    padding
+  );
+}
+
+// Bulleted list in a note box; emptyText when there are no bullets.
+function bulletSection({ title, bullets, emptyText, padding = "10px 20px 10px 20px" }) {
+  const list = Array.isArray(bullets) ? bullets : [];
+  const inner = list.length
+    ? `<ul style="margin:0 0 0 18px;padding:0;color:#0b1220;font-size:13px;line-height:1.5;">
+                  ${list.map((b) => `<li style="margin:6px 0;">${escapeHtml(b)}</li>`).join("")}
+                </ul>`
+    : `<div style="font-size:13px;color:#64748b;line-height:1.45;">${escapeHtml(emptyText || "")}</div>`;
+  return row(
+    `${sectionTitle(title)}
+              <div style="background:#f9fbff;border:1px solid #dbeafe;padding:12px 14px;border-radius:12px;">
+                ${inner}
+              </div>`,
+    padding
+  );
+}
+
+// ---------------------------
+// Market tables
+// ---------------------------
+
+// Cell helpers for marketTable rows.
+function textCell(text, { bold = false } = {}) {
+  return { html: escapeHtml(text), align: "left", bold };
+}
+
+function mutedCell(text) {
+  return { html: escapeHtml(text), align: "left", color: COLOR_FLAT };
+}
+
+function labelCell(label, code) {
+  return {
+    html: `${escapeHtml(label)}${code ? ` <span style="color:#94a3b8;font-weight:500;">(${escapeHtml(code)})</span>` : ""}`,
+    align: "left",
+  };
+}
+
+function numberCell(text) {
+  return { html: escapeHtml(text), align: "right" };
+}
+
+// Signed % move: green ▲ / red ▼ / grey "—".
+function moveCell(pct, { arrow = true, bold = false } = {}) {
+  const valid = typeof pct === "number" && Number.isFinite(pct);
+  const mark = !arrow || !valid || pct === 0 ? "" : pct > 0 ? "▲ " : "▼ ";
+  return { html: `${mark}${formatPct(pct)}`, align: "right", color: pctColor(pct), bold, nowrap: true };
+}
+
+function renderCell(cell) {
+  const c = typeof cell === "string" ? textCell(cell) : cell;
+  const styles = [
+    "padding:8px 6px",
+    "font-size:13px",
+    c.align === "right" ? "text-align:right" : "",
+    `color:${c.color || "#0b1220"}`,
+    c.bold ? "font-weight:600" : "",
+    c.nowrap ? "white-space:nowrap" : "",
+  ].filter(Boolean);
+  return `<td class="mt" style="${styles.join(";")};">${c.html}</td>`;
+}
+
+// columns: [{ label, align: "left" | "right" }], rows: [[cell, ...], ...]
+// Renders nothing when there are no rows.
+function marketTable({ title, titleExtraHtml = "", columns, rows, captionText, padding = "10px 20px 8px 20px" }) {
+  if (!rows || !rows.length) return "";
+  const last = columns.length - 1;
+  const head = columns
+    .map((col, i) => {
+      const pad = i === 0 ? "6px 6px 4px 10px" : i === last ? "6px 10px 4px 6px" : "6px 6px 4px 6px";
+      return `<th class="mt" align="${col.align || "left"}" style="padding:${pad};font-size:11px;color:#64748b;text-transform:uppercase;letter-spacing:0.08em;">${escapeHtml(col.label)}</th>`;
+    })
+    .join("");
+  const body = rows.map((cells) => `<tr>${cells.map(renderCell).join("")}</tr>`).join("");
+
+  return row(
+    `${sectionTitle(title, titleExtraHtml)}
+              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-collapse:collapse;border-radius:12px;overflow:hidden;border:1px solid #e2e8f0;background:#f9fafb;">
+                <thead>
+                  <tr style="background:#edf2ff;">${head}</tr>
+                </thead>
+                <tbody>
+                  ${body}
+                </tbody>
+              </table>
+              ${captionText ? caption(captionText) : ""}`,
+    padding
+  );
+}
+
+// Titled image card (week-ahead charts). Renders nothing without a URL.
+function chartCard({ title, url, alt }) {
+  if (!url) return "";
+  return `
+              <table role="presentation" width="100%" cellspacing="0" cellpadding="0"
+                style="border-collapse:separate;border-spacing:0;background:#ffffff;border:1px solid #e2e8f0;border-radius:12px;margin-bottom:10px;">
+                <tr>
+                  <td style="padding:10px 12px;background:#f8fafc;border-bottom:1px solid #e2e8f0;font-size:12px;color:#334155;font-weight:700;border-top-left-radius:12px;border-top-right-radius:12px;">
+                    ${escapeHtml(title || "Chart")}
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding:0;">
+                    <img src="${escapeHtml(url)}" alt="${escapeHtml(alt || title || "Chart")}" width="640"
+                      style="display:block;width:100%;max-width:640px;height:auto;border:0;outline:none;text-decoration:none;-ms-interpolation-mode:bicubic;" />
+                  </td>
+                </tr>
+              </table>`;
+}
+
+// ---------------------------
+// CTA blocks
+// ---------------------------
+
+const CTA_TONES = {
+  soft: { bg: "#f9fbff", border: "#dbeafe" },
+  sky: { bg: "#f0f9ff", border: "#bae6fd" },
+};
+
+// Boxed call to action with a pill button. body may be a string or an array of paragraphs.
+function ctaBlock({ title, body, href, label, linkText, tone = "soft", padding = "18px 20px 8px 20px" }) {
+  const t = CTA_TONES[tone] || CTA_TONES.soft;
+  const paragraphs = (Array.isArray(body) ? body : [body]).filter(Boolean);
+  return row(
+    `<div style="background:${t.bg};border:1px solid ${t.border};padding:14px;border-radius:12px;">
+                <h3 style="margin:0 0 6px 0;font-size:14px;color:#002040;">${escapeHtml(title)}</h3>
+                ${paragraphs
+                  .map((p) => `<p style="margin:0 0 10px 0;font-size:12px;color:#64748b;line-height:1.4;">${escapeHtml(p)}</p>`)
+                  .join("\n                ")}
+                <a href="${escapeHtml(href)}" style="display:inline-block;padding:8px 14px;background:#00BFFF;color:#ffffff;text-decoration:none;border-radius:999px;font-size:13px;font-weight:600;">
+                  ${escapeHtml(label)}
+                </a>
+                ${
+                  linkText
+                    ? `<div style="margin-top:8px;font-size:11px;color:#94a3b8;">Link: <a href="${escapeHtml(href)}" style="color:#00BFFF;text-decoration:none;font-weight:600;">${escapeHtml(linkText)}</a></div>`
+                    : ""
+                }
+              </div>`,
+    padding
+  );
+}
+
+// The "Invite a mate" block every newsletter ends with.
+function inviteBlock({ title = "Invite a mate", body }) {
+  return ctaBlock({ title, body, href: SUBSCRIBE_URL, label: "Subscribe to MatesMorning" });
+}
+
+// ---------------------------
+// Layout
+// ---------------------------
+
+function footerRow(userId, { feedLink = true } = {}) {
+  return `
+          <tr>
+            <td style="padding:12px 20px 18px 20px;border-top:1px solid #e2e8f0;background-color:#ffffff;">
+              ${
+                feedLink
+                  ? `<p style="margin:0 0 6px 0;font-size:12px;color:#64748b;">
+                View the live version and full AI summaries on
+                <a href="${FEED_URL}" style="color:#00BFFF;text-decoration:none;font-weight:600;">MatesFeed</a>.
+              </p>`
+                  : ""
+              }
+              <p style="margin:0;font-size:11px;color:#94a3b8;">
+                This email is general information only and is not financial advice.
+              </p>
+              ${userId ? `<p style="margin:8px 0 0 0;font-size:10px;color:#cbd5e1;">Subscriber ID: ${escapeHtml(userId)}</p>` : ""}
+            </td>
+          </tr>`;
+}
+
+function subscriptionNotice({ reason, userId, list, showUnsubscribe, issueId }) {
+  return `
+        <div style="max-width:640px;margin-top:8px;font-size:10px;color:#94a3b8;text-align:center;">
+          <p style="margin:0 0 4px 0;">${escapeHtml(reason)}</p>
+          ${
+            showUnsubscribe
+              ? `<p style="margin:0;">
+            <a href="${escapeHtml(emailLists.unsubscribeUrl(userId, list, issueId))}" style="color:#94a3b8;text-decoration:underline;">
+              Unsubscribe or manage emails
+            </a>
+          </p>`
+              : ""
+          }
+        </div>`;
+}
+
+// Full email. rows = partials in order (falsy entries skipped).
+// Returns { html, text }; every outbound link is tracked when userId is known, and opens
+// too when issueId is given.
+function render({
+  title,
+  rows,
+  userId = null,
+  emailType,
+  issueId = null,
+  list,
+  reason = "You're receiving this because you subscribed to the MatesInvest emails.",
+  feedLink = true,
+  showUnsubscribe = true,
+}) {
+  const card = trackLinks(
+    `${rows.filter(Boolean).join("\n")}
+${footerRow(userId, { feedLink })}`,
+    userId,
+    emailType,
+    issueId
+  );
+
+  const html = `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background-color:#f5f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background-color:#f5f7fb;padding:24px 0;">
+    <tr>
+      <td align="center">
+        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:640px;background-color:#ffffff;border-radius:18px;overflow:hidden;border:1px solid #e2e8f0;box-shadow:0 10px 30px rgba(15,23,42,0.10);">
+${card}
+        </table>
+${subscriptionNotice({ reason, userId, list, showUnsubscribe, issueId })}
+${openPixel(userId, emailType, issueId)}
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+
+  return { html, text: htmlToText(html) };
+}
+
+module.exports = {
+  SITE_URL,
+  SUBSCRIBE_URL,
+  escapeHtml,
+  formatMoney,
+  formatPrice,
+  formatPct,
+  pctColor,
+  makeTrackingLink,
+  trackLinks,
+  openPixel,
+  htmlToText,
+  row,
+  sectionTitle,
+  caption,
+  header,
+  banner,
+  noteSection,
+  bulletSection,
+  textCell,
+  mutedCell,
+  labelCell,
+  numberCell,
+  moveCell,
+  marketTable,
+  chartCard,
+  ctaBlock,
+  inviteBlock,
+  render,
+};
@@ -0,0 +1,188 @@
+// netlify/functions/lib/email-tracking.js
+//
+// Signed click links and open pixels for the newsletters, shared by:
+//   lib/email-template.js    makeTrackingLink() signs every outbound link in an email,
+//                            openPixel() adds the open-tracking image
+//   track-email-click.js     verifies the signature, records the click, then redirects
+//   track-email-open.js      verifies the signature, records the open, returns a 1x1 gif
+//
+// click sig = base64url(HMAC_SHA256(EMAIL_LINK_SECRET, "click\n<MI id>\n<email type>\n<url>[\n<issue id>]"))
+// open sig  = base64url(HMAC_SHA256(EMAIL_LINK_SECRET, "open\n<MI id>\n<email type>\n<issue id>"))
+// both truncated to SIG_LENGTH. The click tracker only redirects to a url that was signed
+// for that recipient and email type, so it can't be used as an open redirect; anything
+// unsigned or tampered with goes to the homepage instead. The issue id (lib/send-ledger.js)
+// is signed too, so per-issue engagement (lib/email-engagement.js) can't be padded.
+//
+// Env:
+//   EMAIL_LINK_SECRET
+
+const crypto = require("crypto");
+
+const SITE_URL = "https://matesinvest.com";
+const HOME_URL = `${SITE_URL}/`;
+const SIG_LENGTH = 22;
+// Same shape as the ledger's issue ids: "daily:2026-03-10", "week-ahead:2026-03-09"
+const ISSUE_RE = /^[a-z-]+:\d{4}-\d{2}-\d{2}$/;
+
+// Known email scanner / link preview User-Agents (their fetches aren't real clicks)
+const EMAIL_SCANNERS = [
+  "GoogleImageProxy",
+  "Gmail Image Proxy",
+  "Apple Mail Link Preview",
+  "Outlook-iOS-Android",
+  "Microsoft Office Existence Discovery",
+  "SafariWebView",
+  "Mail.RuSputnik",
+  "Yahoo! Slurp",
+  "SkypeUriPreview",
+  "Slack-ImgProxy",
+  "LinkedInBot",
+  "facebookexternalhit",
+  "WhatsApp",
+  "TelegramBot",
+  "ia_archiver",
+];
+
+// Mail providers' image proxies. Gmail loads every image through GoogleImageProxy when the
+// reader opens the email, so for the open pixel these are real opens, not scanners.
+const IMAGE_PROXIES = ["GoogleImageProxy", "Gmail Image Proxy"];
+
+function getSecret() {
+  return String(process.env.EMAIL_LINK_SECRET || "").trim();
+}
+
+function uaMatches(userAgent, list) {
+  if (!userAgent) return false;
+  const ua = userAgent.toLowerCase();
+  return list.some((name) => ua.includes(name.toLowerCase()));
+}
+
+function isEmailScanner(userAgent) {
+  return uaMatches(userAgent, EMAIL_SCANNERS);
+}
+
+function lowerHeaders(headers) {
+  const h = {};
+  for (const [k, v] of Object.entries(headers || {})) h[k.toLowerCase()] = String(v || "").toLowerCase();
+  return h;
+}
+
+function isPrefetch(h) {
+  return [h["purpose"], h["sec-purpose"], h["x-purpose"], h["x-moz"]].some((v) => v && v.includes("prefetch"));
+}
+
+// Scanner user agents plus browser / proxy prefetches, which nobody actually looked at.
+function isAutomatedFetch(headers) {
+  const h = lowerHeaders(headers);
+  return isEmailScanner(h["user-agent"]) || isPrefetch(h);
+}
+
+// The same for the open pixel, except that image proxies (IMAGE_PROXIES) count as opens.
+function isAutomatedOpen(headers) {
+  const h = lowerHeaders(headers);
+  if (isPrefetch(h)) return true;
+  return isEmailScanner(h["user-agent"]) && !uaMatches(h["user-agent"], IMAGE_PROXIES);
+}
+
+function isIssueId(issue) {
+  return ISSUE_RE.test(String(issue || ""));
+}
+
+// ---------------------------
+// Signing
+// ---------------------------
+
+// Signature over purpose + parts, or null when no secret is configured.
+function sign(purpose, ...parts) {
+  const secret = getSecret();
+  if (!secret) return null;
+  return crypto
+    .createHmac("sha256", secret)
+    .update([purpose, ...parts].join("\n"))
+    .digest("base64url")
+    .slice(0, SIG_LENGTH);
+}
+
+function clickSignature(uid, type, url, issue) {
+  return issue ? sign("click", uid, type, url, issue) : sign("click", uid, type, url);
+}
+
+function openSignature(uid, type, issue) {
+  return sign("open", uid, type, issue);
+}
+
+// Query params for a tracked link ({ uid, type, url, [issue], sig }), or null when it can't be signed.
+function signedParams(url, uid, type, issue) {
+  const sig = clickSignature(uid, type, url, issue || null);
+  if (!sig) return null;
+  return issue ? { uid, type, url, issue, sig } : { uid, type, url, sig };
+}
+
+// Query params for the open pixel ({ uid, type, issue, sig }), or null when it can't be signed.
+function signedOpenParams(uid, type, issue) {
+  if (!isIssueId(issue)) return null;
+  const sig = openSignature(uid, type, issue);
+  if (!sig) return null;
+  return { uid, type, issue, sig };
+}
+
+// ---------------------------
+// Verifying
+// ---------------------------
+
+// Only http(s) targets, even when signed.
+function isWebUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "https:" || u.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Returns { ok: true, uid, type, url, issue } or { ok: false, reason, url: HOME_URL }.
+// issue is null for links signed without one.
+function verifyClick(qs) {
+  const uid = String(qs.uid || "").trim();
+  const type = String(qs.type || "").trim();
+  const url = String(qs.url || "").trim();
+  const issue = String(qs.issue || "").trim() || null;
+  const sig = String(qs.sig || "");
+
+  if (!uid || !type || !url || !sig) return { ok: false, reason: "unsigned", url: HOME_URL };
+  const expected = clickSignature(uid, type, url, issue);
+  if (!expected) return { ok: false, reason: "not-configured", url: HOME_URL };
+  if (!safeEqual(sig, expected)) return { ok: false, reason: "bad-signature", url: HOME_URL };
+  if (!isWebUrl(url)) return { ok: false, reason: "bad-url", url: HOME_URL };
+  return { ok: true, uid, type, url, issue: isIssueId(issue) ? issue : null };
+}
+
+// Returns { ok: true, uid, type, issue } or { ok: false, reason }.
+function verifyOpen(qs) {
+  const uid = String(qs.uid || "").trim();
+  const type = String(qs.type || "").trim();
+  const issue = String(qs.issue || "").trim();
+  const sig = String(qs.sig || "");
+
+  if (!uid || !type || !isIssueId(issue) || !sig) return { ok: false, reason: "unsigned" };
+  const expected = openSignature(uid, type, issue);
+  if (!expected) return { ok: false, reason: "not-configured" };
+  if (!safeEqual(sig, expected)) return { ok: false, reason: "bad-signature" };
+  return { ok: true, uid, type, issue };
+}
+
+module.exports = {
+  HOME_URL,
+  isEmailScanner,
+  isAutomatedFetch,
+  isAutomatedOpen,
+  isIssueId,
+  signedParams,
+  signedOpenParams,
+  verifyClick,
+  verifyOpen,
+};
@@ -0,0 +1,300 @@
+// netlify/functions/lib/equity-history.js
+//
+// Daily equity history store, shared by:
+//   append-equity-history.js            nightly: appends bars from asx:universe:eod:YYYY-MM-DD
+//   seed-equity-history.js              one-off per code: full history from EODHD
+//   equity-history.js                   ?range= chart API (with downsampling)
+//   instrument-details.js               6-month history for the instrument slip
+//
+// Page views only ever read from here; EODHD is hit by the seeder, never per request.
+//
+// Keys:
+//   history:equity:{CODE}:{YYYY}      -> list of JSON bars for that calendar year, oldest first
+//                                        [date, open, high, low, close, adjClose, volume] (raw OHLC)
+//   history:equity:meta               -> hash CODE -> JSON { first, last, seeded }
+//                                        (first/last null for codes EODHD had nothing for)
+//   history:equity:appendedThrough    -> last snapshot date appended (YYYY-MM-DD)
+//   history:equity:seed-queue         -> set of codes requested before they were seeded
+//
+// Adjusted prices: adjClose is EODHD's split/dividend-adjusted close as of the day the bar
+// was written; adjusted OHLC is derived from the adjClose/close ratio. Re-seeding a code
+// (seed-equity-history.js?code=XYZ&force=1) restates its adjusted history.
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+
+const PREFIX = "history:equity:";
+const META_KEY = `${PREFIX}meta`;
+const APPENDED_KEY = `${PREFIX}appendedThrough`;
+const SEED_QUEUE_KEY = `${PREFIX}seed-queue`;
+
+// Calendar-day lookback per range; null = everything. interval picks the bar size served.
+const RANGES = {
+  "1m": { days: 31, interval: "daily" },
+  "6m": { days: 183, interval: "daily" },
+  "1y": { days: 366, interval: "daily" },
+  "5y": { days: 5 * 366, interval: "weekly" },
+  max: { days: null, interval: "monthly" },
+};
+
+const I_DATE = 0;
+const I_OPEN = 1;
+const I_HIGH = 2;
+const I_LOW = 3;
+const I_CLOSE = 4;
+const I_ADJ = 5;
+const I_VOL = 6;
+
+function yearKey(code, year) {
+  return `${PREFIX}${code}:${year}`;
+}
+
+function num(v) {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) ? n : null;
+}
+
+// Any EODHD / snapshot row shape -> bar, or null without a date + close.
+function toBar(row) {
+  const date = row.date || row.Date || null;
+  const close = num(row.close ?? row.Close);
+  if (!date || close === null) return null;
+  const adj = num(row.adjusted_close ?? row.adjClose ?? row.Adjusted_close);
+  return [
+    String(date).slice(0, 10),
+    num(row.open ?? row.Open),
+    num(row.high ?? row.High),
+    num(row.low ?? row.Low),
+    close,
+    adj === null ? close : adj,
+    num(row.volume ?? row.Volume),
+  ];
+}
+
+function parseMeta(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------
+// Write
+// ---------------------------
+
+async function getAllMeta() {
+  const flat = await upstash.hgetall(META_KEY);
+  const out = {};
+  for (const [code, raw] of Object.entries(flat || {})) {
+    const m = parseMeta(raw);
+    if (m) out[code] = m;
+  }
+  return out;
+}
+
+async function getMeta(code) {
+  return parseMeta(await upstash.hget(META_KEY, code));
+}
+
+// Replaces a code's whole history (seeding). bars: oldest first.
+async function replaceHistory(code, bars) {
+  const prev = await getMeta(code);
+  const byYear = new Map();
+  for (const b of bars) {
+    const y = b[I_DATE].slice(0, 4);
+    if (!byYear.has(y)) byYear.set(y, []);
+    byYear.get(y).push(JSON.stringify(b));
+  }
+
+  const commands = [];
+  // Clear every year the code may have, old or new
+  const firstYear = Math.min(
+    Number((prev && prev.first ? prev.first : bars[0][I_DATE]).slice(0, 4)),
+    Number(bars[0][I_DATE].slice(0, 4))
+  );
+  const lastYear = Number(calendar.sydneyDateString().slice(0, 4));
+  for (let y = firstYear; y <= lastYear; y++) commands.push(["DEL", yearKey(code, y)]);
+  for (const [y, items] of byYear) commands.push(["RPUSH", yearKey(code, y), ...items]);
+
+  const meta = {
+    first: bars[0][I_DATE],
+    last: bars[bars.length - 1][I_DATE],
+    seeded: true,
+  };
+  commands.push(["HSET", META_KEY, code, JSON.stringify(meta)], ["SREM", SEED_QUEUE_KEY, code]);
+  await upstash.pipeline(commands);
+  return meta;
+}
+
+// Seeding found nothing (delisted / unknown on EODHD): stop retrying, keep any appended bars.
+async function markSeeded(code) {
+  const prev = (await getMeta(code)) || { first: null, last: null };
+  await upstash.pipeline([
+    ["HSET", META_KEY, code, JSON.stringify({ ...prev, seeded: true })],
+    ["SREM", SEED_QUEUE_KEY, code],
+  ]);
+}
+
+// Appends one day's bars for many codes. rowsByCode: Map CODE -> bar. Codes already at or
+// past the date are skipped, so reruns are safe. Returns the number of bars appended.
+async function appendDay(date, rowsByCode, allMeta, { chunkSize = 200 } = {}) {
+  const year = date.slice(0, 4);
+  let appended = 0;
+  let commands = [];
+
+  const flush = async () => {
+    if (!commands.length) return;
+    await upstash.pipeline(commands);
+    commands = [];
+  };
+
+  for (const [code, bar] of rowsByCode) {
+    const meta = allMeta[code] || null;
+    if (meta && meta.last >= date) continue;
+    const next = { first: (meta && meta.first) || date, last: date, seeded: !!(meta && meta.seeded) };
+    commands.push(["RPUSH", yearKey(code, year), JSON.stringify(bar)], ["HSET", META_KEY, code, JSON.stringify(next)]);
+    allMeta[code] = next;
+    appended += 1;
+    if (commands.length >= chunkSize * 2) await flush();
+  }
+  await flush();
+  return appended;
+}
+
+async function getAppendedThrough() {
+  return (await upstash.get(APPENDED_KEY)) || null;
+}
+
+async function setAppendedThrough(date) {
+  await upstash.set(APPENDED_KEY, date);
+}
+
+// Codes pages asked for before they were seeded (seeded first by the seeder).
+async function queueSeed(code) {
+  await upstash.sadd(SEED_QUEUE_KEY, code);
+}
+
+// Re-seed an already seeded code (e.g. after a split), keeping its bars until then.
+async function queueReseed(code) {
+  const meta = await getMeta(code);
+  const commands = [["SADD", SEED_QUEUE_KEY, code]];
+  if (meta && meta.seeded) commands.push(["HSET", META_KEY, code, JSON.stringify({ ...meta, seeded: false })]);
+  await upstash.pipeline(commands);
+}
+
+async function seedQueue() {
+  return (await upstash.smembers(SEED_QUEUE_KEY)) || [];
+}
+
+// ---------------------------
+// Read
+// ---------------------------
+
+// Bars for a code from startDate (inclusive, or everything), oldest first.
+async function readBars(code, startDate, meta) {
+  if (!meta || !meta.last) return [];
+  const fromYear = Number((startDate && startDate > meta.first ? startDate : meta.first).slice(0, 4));
+  const toYear = Number(meta.last.slice(0, 4));
+  const years = [];
+  for (let y = fromYear; y <= toYear; y++) years.push(y);
+  if (!years.length) return [];
+
+  const results = await upstash.pipeline(years.map((y) => ["LRANGE", yearKey(code, y), 0, -1]));
+  const bars = [];
+  for (const r of results) {
+    for (const raw of (r && r.result) || []) {
+      try {
+        const b = JSON.parse(raw);
+        if (!startDate || b[I_DATE] >= startDate) bars.push(b);
+      } catch {
+        // skip corrupt entries
+      }
+    }
+  }
+  return bars;
+}
+
+// Adjusted bars scale OHLC by adjClose/close.
+function adjustBar(b) {
+  const ratio = b[I_CLOSE] ? b[I_ADJ] / b[I_CLOSE] : 1;
+  const scale = (v) => (v === null ? null : Number((v * ratio).toFixed(4)));
+  return [b[I_DATE], scale(b[I_OPEN]), scale(b[I_HIGH]), scale(b[I_LOW]), b[I_ADJ], b[I_VOL]];
+}
+
+function rawBar(b) {
+  return [b[I_DATE], b[I_OPEN], b[I_HIGH], b[I_LOW], b[I_CLOSE], b[I_VOL]];
+}
+
+// Period key for weekly (ISO-ish: Monday of the week) / monthly buckets.
+function periodKey(date, interval) {
+  if (interval === "monthly") return date.slice(0, 7);
+  const wd = calendar.weekdayOf(date); // 0 = Sunday
+  return calendar.addDays(date, -((wd + 6) % 7));
+}
+
+// [date, o, h, l, c, v] daily -> weekly/monthly, dated by the period's last trading day.
+function downsample(bars, interval) {
+  if (interval === "daily") return bars;
+  const out = [];
+  let cur = null;
+  let curKey = null;
+  for (const b of bars) {
+    const k = periodKey(b[0], interval);
+    if (k !== curKey) {
+      if (cur) out.push(cur);
+      cur = b.slice();
+      curKey = k;
+      continue;
+    }
+    cur[0] = b[0];
+    if (cur[1] === null) cur[1] = b[1];
+    if (b[2] !== null) cur[2] = cur[2] === null ? b[2] : Math.max(cur[2], b[2]);
+    if (b[3] !== null) cur[3] = cur[3] === null ? b[3] : Math.min(cur[3], b[3]);
+    cur[4] = b[4];
+    if (b[5] !== null) cur[5] = (cur[5] || 0) + b[5];
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+// { code, range, interval, adjusted, startDate, endDate, seeded, points: [[date, close]],
+//   bars: [[date, open, high, low, close, volume]] } or null when we hold no history.
+async function getHistory(code, { range = "6m", adjusted = true } = {}) {
+  const spec = RANGES[range] || RANGES["6m"];
+  const meta = await getMeta(code);
+  if (!meta || !meta.last) return null;
+
+  const startDate = spec.days ? calendar.addDays(meta.last, -spec.days) : null;
+  const daily = (await readBars(code, startDate, meta)).map(adjusted ? adjustBar : rawBar);
+  const bars = downsample(daily, spec.interval);
+
+  return {
+    code,
+    range: RANGES[range] ? range : "6m",
+    interval: spec.interval,
+    adjusted,
+    startDate: bars.length ? bars[0][0] : null,
+    endDate: bars.length ? bars[bars.length - 1][0] : null,
+    seeded: !!meta.seeded,
+    points: bars.map((b) => [b[0], b[4]]),
+    bars,
+  };
+}
+
+module.exports = {
+  RANGES,
+  toBar,
+  getMeta,
+  getAllMeta,
+  replaceHistory,
+  markSeeded,
+  appendDay,
+  getAppendedThrough,
+  setAppendedThrough,
+  queueSeed,
+  queueReseed,
+  seedQueue,
+  getHistory,
+};
@@ -0,0 +1,159 @@
+// netlify/functions/lib/fact-check.js
+//
+// Number grounding for generated market text (used by generate-morning-note.js).
+//
+// Every number a sentence quotes must come from the data it was given, as facts
+// { value, pct, signed }:
+//   - the US markets snapshot: percentage moves with their sign (percentMoves), so
+//     "fell 1.2%" matches -1.23 but "rose 1.2%" doesn't
+//   - the articles the sentence cites: numbers in their title / description (factsIn),
+//     matched on size only since a headline's direction isn't parsed
+// A quoted number matches a fact when:
+//   - both are percentages ("1.2%", "1.2 per cent") or both are plain numbers
+//   - the fact rounds to it at the precision it was quoted (1.2 or 1 both match 1.234)
+//   - for signed facts, the direction agrees: an explicit sign ("-1.2%") or the nearest
+//     direction word ("rose 1.2%", "1.2% lower"); with no direction, size alone counts
+// Index names ("S&P 500", "ASX 200", "Nasdaq 100"), dates ("14 March", "2026-03-14"),
+// years, times and reporting periods ("FY25", "1H26", "Q3") are not treated as figures.
+//
+//   const facts = [...factCheck.percentMoves([-1.23, 0.4]), ...factCheck.factsIn(headline)];
+//   factCheck.checkSentence("The S&P 500 fell 1.2%.", facts);
+//   // -> { ok, numbers: ["1.2%"], unmatched: [] }
+
+// Index / product names that contain numbers but aren't claims.
+const NAME_PATTERNS = [
+  /\bS&P\s*\/?\s*ASX\s*\d+\b/gi,
+  /\bS&P\s*\d+\b/gi,
+  /\bASX\s*\d+\b/gi,
+  /\bNasdaq(?:[\s-]*\d+)?\b/gi,
+  /\bDow(?:\s+Jones)?(?:\s+\d+)?\b/gi,
+  /\bRussell\s*\d+\b/gi,
+  /\bFTSE\s*\d+\b/gi,
+  /\bNikkei\s*\d+\b/gi,
+  /\bCSI\s*\d+\b/gi,
+  /\b(SPY|QQQ)\b/g,
+];
+
+const MONTH =
+  "(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)";
+
+// Dates, years, times and reporting periods: numbers, but not figures.
+const DATE_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}\b/g,
+  /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g,
+  new RegExp(`\\b${MONTH}\\.?\\s+\\d{4}\\b`, "gi"),
+  new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\b(?:\\.?,?\\s+\\d{4}\\b)?`, "gi"),
+  new RegExp(`\\b${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?\\b(?:,?\\s+\\d{4}\\b)?`, "gi"),
+  /\b(?:[12]H|H[12]|Q[1-4])?\s*(?:FY|CY)\s*'?\d{2,4}\b/gi,
+  /\b(?:[12]H|H[12]|Q[1-4])\s*'?\d{2,4}\b/g,
+  /\b(?:[12]H|H[12]|Q[1-4])\b/g,
+  /\b(?:19|20)\d{2}\b(?![.,]\d|\s*%|\s*per\s*cent|\s*percent)/gi,
+  /\b\d{1,2}(?::\d{2})?\s*(?:am|pm)\b/gi,
+];
+
+const NUMBER_RE = /[-+−]?\d[\d,]*(?:\.\d+)?(?:\s*(?:%|per\s*cent\b|percent\b))?/gi;
+
+// Words that give a quoted move its direction.
+const UP_WORDS =
+  /^(?:rose|rise|rises|rising|risen|gain|gains|gained|climb|climbs|climbed|up|add|adds|added|jump|jumps|jumped|rally|rallies|rallied|advance|advances|advanced|higher|increase|increases|increased|surge|surges|surged|lift|lifts|lifted|rebound|rebounds|rebounded|firmed|grew)$/i;
+const DOWN_WORDS =
+  /^(?:fell|fall|falls|falling|drop|drops|dropped|lost|lose|loses|loss|decline|declines|declined|slid|slide|slides|down|lower|slip|slips|slipped|sank|sink|sinks|tumble|tumbles|tumbled|retreat|retreats|retreated|eased|ease|eases|shed|sheds|decrease|decreases|decreased|plunge|plunges|plunged|weakened|dip|dips|dipped|slump|slumps|slumped)$/i;
+// Words looked at after / before a number for its direction
+const WORDS_AFTER = 2;
+const WORDS_BEFORE = 6;
+
+function blank(text, patterns) {
+  // Same-length blanks keep match offsets in line with the original text.
+  return patterns.reduce((t, re) => t.replace(re, (m) => " ".repeat(m.length)), text);
+}
+
+function wordDirection(word) {
+  const w = word.replace(/[^a-z]/gi, "");
+  if (UP_WORDS.test(w)) return 1;
+  if (DOWN_WORDS.test(w)) return -1;
+  return 0;
+}
+
+// +1 / -1 from the words around a number at [start, end), 0 when there's no hint.
+// "1.2% higher" / "a 1.2% fall" win over the nearest word before ("rose 1.2%").
+function directionAround(text, start, end) {
+  const clause = (s) => s.split(/[;:]/);
+  const after = clause(text.slice(end))[0].split(/\s+/).filter(Boolean).slice(0, WORDS_AFTER);
+  for (const w of after) {
+    const d = wordDirection(w);
+    if (d) return d;
+  }
+  const beforeParts = clause(text.slice(0, start));
+  const before = beforeParts[beforeParts.length - 1].split(/\s+/).filter(Boolean).slice(-WORDS_BEFORE);
+  for (let i = before.length - 1; i >= 0; i--) {
+    const d = wordDirection(before[i]);
+    if (d) return d;
+  }
+  return 0;
+}
+
+// [{ raw, value, decimals, pct, direction }] for each figure quoted in the text.
+// value is the size (always >= 0); direction is +1 / -1 / 0 (see directionAround).
+function extractNumbers(text) {
+  const src = String(text || "");
+  const cleaned = blank(src, [...NAME_PATTERNS, ...DATE_PATTERNS]);
+  const out = [];
+  for (const m of cleaned.matchAll(NUMBER_RE)) {
+    const raw = m[0].trim();
+    const pct = /%|cent$/i.test(raw);
+    const digits = raw.replace(/[^\d.]/g, "");
+    const value = Number(digits);
+    if (!digits || !Number.isFinite(value)) continue;
+    const dot = digits.indexOf(".");
+    const sign = /^[-−]/.test(raw) ? -1 : raw.startsWith("+") ? 1 : 0;
+    out.push({
+      raw,
+      value,
+      decimals: dot === -1 ? 0 : digits.length - dot - 1,
+      pct,
+      direction: sign || directionAround(src, m.index, m.index + m[0].length),
+    });
+  }
+  return out;
+}
+
+// ---------------------------
+// Facts
+// ---------------------------
+
+// Percentage moves from a data snapshot (e.g. -1.23 for a 1.23% fall).
+function percentMoves(values) {
+  return values
+    .filter((v) => typeof v === "number" && Number.isFinite(v))
+    .map((value) => ({ value, pct: true, signed: true }));
+}
+
+// Numbers in free text (article titles etc.), matched on size only.
+function factsIn(text) {
+  return extractNumbers(text).map((n) => ({ value: n.value, pct: n.pct, signed: false }));
+}
+
+function matches(num, facts) {
+  const tolerance = 0.5 * 10 ** -num.decimals + 1e-9;
+  return facts.some((f) => {
+    if (f.pct !== num.pct) return false;
+    if (Math.abs(Math.abs(f.value) - num.value) > tolerance) return false;
+    if (!f.signed || !num.direction) return true;
+    // A move that rounds to zero can be described either way
+    if (Math.abs(f.value) <= tolerance) return true;
+    return Math.sign(f.value) === num.direction;
+  });
+}
+
+function checkSentence(text, facts) {
+  const numbers = extractNumbers(text);
+  const unmatched = numbers.filter((n) => !matches(n, facts)).map((n) => n.raw);
+  return { ok: unmatched.length === 0, numbers: numbers.map((n) => n.raw), unmatched };
+}
+
+module.exports = {
+  extractNumbers,
+  percentMoves,
+  factsIn,
+  checkSentence,
+};
@@ -0,0 +1,467 @@
+// netlify/functions/lib/llm.js
+//
+// LLM gateway shared by every function that generates text with a model.
+//
+//   const llm = require("./lib/llm");
+//   const { text, cached } = await llm.complete("instrument-summary", { messages });
+//   const { json } = await llm.completeJson("news-summary", { messages });
+//
+// Per call it:
+//   - picks the model / temperature / max tokens for the feature (FEATURES below;
+//     model overridable with LLM_MODEL_<FEATURE>, e.g. LLM_MODEL_MORNING_NOTE=gpt-4.1-mini)
+//   - serves identical requests from a content-hash cache in Upstash
+//       llm:cache:{feature}:{sha256(model + messages + params)}   (EX = feature cacheTtlSeconds)
+//   - retries 429 / 5xx / timeouts with backoff, with a timeout on every attempt
+//   - runs the compliance filter (drops personal-advice sentences, appends the
+//     general-advice disclaimer) for features that publish to investors
+//   - records usage per feature per Sydney day
+//       llm:usage:day:YYYY-MM-DD   -> hash { <feature>:calls, :cacheHits, :errors,
+//                                            :promptTokens, :completionTokens, :costMicroUsd }
+//
+// Providers are pluggable: { name, complete({ model, messages, temperature, maxTokens,
+// responseFormat, timeoutMs }) -> { text, model, usage: { promptTokens, completionTokens } } }.
+// LLM_PROVIDER=fake (or setProvider()) swaps in the local fake for testing.
+//
+// Env:
+//   OPENAI_API_KEY
+//   LLM_PROVIDER            optional, "openai" (default) | "fake"
+//   LLM_MODEL_<FEATURE>     optional per-feature model override
+//   LLM_CACHE_DISABLED      optional, "1" to bypass the response cache
+//
+// Errors are thrown (err.status set for HTTP failures); callers keep their own fallbacks.
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+
+const fetch = (...args) => global.fetch(...args);
+
+const GENERAL_ADVICE_DISCLAIMER = "General information only, not financial advice.";
+
+const CACHE_PREFIX = "llm:cache:";
+const USAGE_DAY_PREFIX = "llm:usage:day:";
+const USAGE_TTL_SECONDS = 400 * 24 * 60 * 60;
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+// ---------------------------
+// Config
+// ---------------------------
+
+// compliance: run the personal-advice filter; disclaimer: append GENERAL_ADVICE_DISCLAIMER.
+const FEATURES = {
+  "instrument-summary": {
+    model: "gpt-4.1-mini",
+    temperature: 0.4,
+    maxTokens: 140,
+    cacheTtlSeconds: 12 * 60 * 60,
+    compliance: true,
+    disclaimer: true,
+  },
+  "morning-note": {
+    model: "gpt-4o-mini",
+    temperature: 0.4,
+    maxTokens: 400, // structured sentences + source ids
+    cacheTtlSeconds: 6 * 60 * 60,
+    timeoutMs: 12000,
+    retries: 1,
+    compliance: true,
+    disclaimer: true,
+  },
+  "stock-of-the-day": {
+    model: "gpt-4o-mini",
+    temperature: 0.4,
+    maxTokens: 220,
+    cacheTtlSeconds: 27 * 60 * 60,
+    compliance: true,
+    disclaimer: true,
+  },
+  "news-summary": {
+    model: "gpt-4.1-mini",
+    temperature: 0.4,
+    maxTokens: 450,
+    cacheTtlSeconds: 7 * 24 * 60 * 60,
+    compliance: true,
+    disclaimer: false, // the JSON already carries its own disclaimer field
+  },
+  "weekly-note": {
+    model: "gpt-4.1-mini",
+    temperature: 0.6,
+    maxTokens: 450,
+    cacheTtlSeconds: 6 * 60 * 60,
+    timeoutMs: 12000,
+    retries: 1,
+    legacyModelEnv: "OPENAI_MODEL", // matesWeeklyNote's original override
+    compliance: true,
+    disclaimer: true,
+  },
+  "sports-summary": {
+    model: "gpt-4o-mini",
+    temperature: 0.8,
+    maxTokens: 60,
+    cacheTtlSeconds: 10 * 60,
+    compliance: false,
+    disclaimer: false,
+  },
+};
+
+// USD per 1M tokens, used for the daily cost counters.
+const PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1": { input: 2, output: 8 },
+};
+
+function envKey(feature) {
+  return `LLM_MODEL_${feature.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+}
+
+// Resolved settings for a feature; unknown features get conservative defaults.
+function featureConfig(feature, overrides = {}) {
+  const base = FEATURES[feature] || {
+    model: "gpt-4o-mini",
+    temperature: 0.4,
+    maxTokens: 300,
+    cacheTtlSeconds: 60 * 60,
+    compliance: true,
+    disclaimer: true,
+  };
+  const envModel = String(
+    process.env[envKey(feature)] || (base.legacyModelEnv && process.env[base.legacyModelEnv]) || ""
+  ).trim();
+  return {
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    retries: DEFAULT_RETRIES,
+    ...base,
+    ...(envModel ? { model: envModel } : {}),
+    ...overrides,
+  };
+}
+
+function costMicroUsd(model, usage) {
+  const price = PRICING[model] || PRICING[String(model).replace(/-\d{4}-\d{2}-\d{2}$/, "")];
+  if (!price || !usage) return 0;
+  const usd =
+    ((usage.promptTokens || 0) * price.input + (usage.completionTokens || 0) * price.output) / 1e6;
+  return Math.round(usd * 1e6);
+}
+
+// ---------------------------
+// Providers
+// ---------------------------
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const openaiProvider = {
+  name: "openai",
+  async complete({ model, messages, temperature, maxTokens, responseFormat, timeoutMs }) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      const err = new Error("OPENAI_API_KEY missing");
+      err.status = 500;
+      throw err;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetch("https://api.openai.com/v1/chat/completions", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(responseFormat ? { response_format: responseFormat } : {}),
+        }),
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!res.ok) {
+      const txt = await res.text().catch(() => "");
+      const err = new Error(`OpenAI error ${res.status}: ${txt.slice(0, 300)}`);
+      err.status = res.status;
+      throw err;
+    }
+
+    const data = await res.json();
+    return {
+      text: String(data?.choices?.[0]?.message?.content || "").trim(),
+      model: data.model || model,
+      usage: {
+        promptTokens: Number(data?.usage?.prompt_tokens || 0),
+        completionTokens: Number(data?.usage?.completion_tokens || 0),
+      },
+    };
+  },
+};
+
+// Deterministic local stand-in. Returns LLM_FAKE_RESPONSE if set, otherwise a
+// short sentence naming the model; JSON-mode requests get "{}".
+const fakeProvider = {
+  name: "fake",
+  async complete({ model, messages, responseFormat }) {
+    const prompt = messages.map((m) => m.content).join("\n");
+    const text =
+      process.env.LLM_FAKE_RESPONSE ||
+      (responseFormat ? "{}" : `Fake ${model} response for a ${prompt.length}-character prompt.`);
+    return {
+      text,
+      model,
+      usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(text.length / 4) },
+    };
+  },
+};
+
+const providers = { openai: openaiProvider, fake: fakeProvider };
+let providerOverride = null;
+
+function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+// Force a provider (tests / scripts); pass null to go back to LLM_PROVIDER.
+function setProvider(provider) {
+  providerOverride = provider;
+}
+
+function getProvider() {
+  if (providerOverride) return providerOverride;
+  const name = String(process.env.LLM_PROVIDER || "openai").trim();
+  return providers[name] || openaiProvider;
+}
+
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.name === "AbortError") return true;
+  if (!err.status) return true; // network error
+  return err.status === 429 || err.status >= 500;
+}
+
+// ---------------------------
+// Compliance
+// ---------------------------
+
+// Personal-advice phrasing the publishers must never ship.
+const ADVICE_PATTERNS = [
+  /\byou\s+(should|must|need to|ought to)\s+(buy|sell|hold|invest|consider|add|load up|get in|get out|top up|accumulate|dump)\b/i,
+  /\b(we|i)\s+(recommend|suggest|advise)\b/i,
+  /\b(consider|think about)\s+(buying|selling|adding|accumulating)\b/i,
+  /\binvestors\s+(should|may want to|might want to)\s+(buy|sell|hold|consider|add|look at)\b/i,
+  /\b(strong|clear)\s+(buy|sell)\b/i,
+  /\b(buy|sell)\s+(now|today|before)\b/i,
+  /\bnow is (a|the) (good|great|perfect) time to (buy|sell|invest)\b/i,
+  /\b(don't|do not)\s+miss\s+out\b/i,
+];
+
+function hasDisclaimer(text) {
+  return /not\s+(personal\s+)?financial\s+advice/i.test(text);
+}
+
+// Drops sentences with personal-advice language (line breaks kept) and, when asked,
+// appends the general-advice disclaimer. Returns { text, removed: [sentences] }.
+function applyCompliance(text, { disclaimer = true } = {}) {
+  const removed = [];
+  const lines = String(text || "").split("\n").map((line) => {
+    // Sentence ends are . ! ? (plus closing quotes/brackets) followed by whitespace, so "3.5%" stays whole.
+    const sentences = line.split(/(?<=[.!?]["')\]]*)\s+/);
+    const kept = sentences.filter((s) => {
+      if (ADVICE_PATTERNS.some((re) => re.test(s))) {
+        removed.push(s.trim());
+        return false;
+      }
+      return true;
+    });
+    return kept.join(" ").trimEnd();
+  });
+
+  let out = lines.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+  if (disclaimer && out && !hasDisclaimer(out)) {
+    out = `${out}${out.includes("\n") ? "\n\n" : " "}${GENERAL_ADVICE_DISCLAIMER}`;
+  }
+  return { text: out, removed };
+}
+
+// Same filter over every string in a parsed JSON value (arrays / objects).
+function applyComplianceDeep(value, removed = []) {
+  if (typeof value === "string") {
+    const r = applyCompliance(value, { disclaimer: false });
+    removed.push(...r.removed);
+    return r.text;
+  }
+  if (Array.isArray(value)) return value.map((v) => applyComplianceDeep(v, removed)).filter((v) => v !== "");
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = applyComplianceDeep(v, removed);
+    return out;
+  }
+  return value;
+}
+
+// ---------------------------
+// Cache + usage
+// ---------------------------
+
+function cacheKeyFor(feature, request) {
+  const digest = crypto.createHash("sha256").update(JSON.stringify(request)).digest("hex");
+  return `${CACHE_PREFIX}${feature}:${digest}`;
+}
+
+function cacheEnabled(cfg) {
+  return (
+    upstash.isConfigured() &&
+    cfg.cacheTtlSeconds > 0 &&
+    String(process.env.LLM_CACHE_DISABLED || "").trim() !== "1"
+  );
+}
+
+async function recordUsage(feature, fields) {
+  if (!upstash.isConfigured()) return;
+  const key = `${USAGE_DAY_PREFIX}${calendar.sydneyDateString()}`;
+  const commands = Object.entries(fields)
+    .filter(([, n]) => n)
+    .map(([field, n]) => ["HINCRBY", key, `${feature}:${field}`, Math.round(n)]);
+  if (!commands.length) return;
+  try {
+    await upstash.pipeline([...commands, ["EXPIRE", key, USAGE_TTL_SECONDS]]);
+  } catch (err) {
+    console.warn("llm: usage update failed", feature, err && err.message);
+  }
+}
+
+// { day: { feature: { calls, cacheHits, errors, promptTokens, completionTokens, costUsd } } }
+async function getUsage(days) {
+  if (!days.length) return {};
+  const results = await upstash.pipeline(days.map((d) => ["HGETALL", `${USAGE_DAY_PREFIX}${d}`]));
+  const out = {};
+  days.forEach((day, i) => {
+    const flat = upstash.hashFromFlat(results[i] && results[i].result);
+    const byFeature = {};
+    for (const [field, value] of Object.entries(flat)) {
+      const idx = field.lastIndexOf(":");
+      const feature = field.slice(0, idx);
+      const metric = field.slice(idx + 1);
+      byFeature[feature] ||= { calls: 0, cacheHits: 0, errors: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+      if (metric === "costMicroUsd") byFeature[feature].costUsd = Number(value || 0) / 1e6;
+      else byFeature[feature][metric] = Number(value || 0);
+    }
+    out[day] = byFeature;
+  });
+  return out;
+}
+
+// ---------------------------
+// Gateway
+// ---------------------------
+
+// opts: { messages, responseFormat?, cache?: false, transform?: (text) => text,
+//         ...feature config overrides }
+// transform runs on the raw model output before the compliance filter (formatting clean-up).
+// Returns { text, model, cached, usage, removed }.
+async function complete(feature, opts) {
+  const { messages, responseFormat = null, cache = true, transform = null, ...overrides } = opts;
+  const cfg = featureConfig(feature, overrides);
+  const request = {
+    model: cfg.model,
+    messages,
+    temperature: cfg.temperature,
+    maxTokens: cfg.maxTokens,
+    responseFormat,
+  };
+
+  const useCache = cache && cacheEnabled(cfg);
+  const cacheKey = useCache ? cacheKeyFor(feature, request) : null;
+  if (useCache) {
+    const hit = await upstash.getJson(cacheKey).catch(() => null);
+    if (hit && typeof hit.text === "string") {
+      await recordUsage(feature, { cacheHits: 1 });
+      return { text: hit.text, model: hit.model, cached: true, usage: hit.usage || null, removed: [] };
+    }
+  }
+
+  const provider = getProvider();
+  let result = null;
+  let lastErr = null;
+  for (let attempt = 0; attempt <= cfg.retries; attempt++) {
+    if (attempt > 0) await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    try {
+      result = await provider.complete({ ...request, timeoutMs: cfg.timeoutMs });
+      break;
+    } catch (err) {
+      lastErr = err;
+      console.warn(`llm: ${feature} attempt ${attempt + 1} failed`, err && err.message);
+      if (!isRetryable(err)) break;
+    }
+  }
+
+  if (!result) {
+    await recordUsage(feature, { errors: 1 });
+    throw lastErr || new Error(`llm: ${feature} failed`);
+  }
+
+  await recordUsage(feature, {
+    calls: 1,
+    promptTokens: result.usage.promptTokens,
+    completionTokens: result.usage.completionTokens,
+    costMicroUsd: costMicroUsd(result.model, result.usage),
+  });
+
+  let text = transform ? String(transform(result.text) || "") : result.text;
+  let removed = [];
+  if (cfg.compliance && !responseFormat) {
+    ({ text, removed } = applyCompliance(text, { disclaimer: cfg.disclaimer }));
+    if (removed.length) console.warn(`llm: ${feature} compliance removed ${removed.length} sentence(s)`);
+  }
+
+  if (useCache && text) {
+    await upstash
+      .setJson(cacheKey, { text, model: result.model, usage: result.usage, createdAt: new Date().toISOString() }, { ex: cfg.cacheTtlSeconds })
+      .catch((err) => console.warn("llm: cache write failed", feature, err && err.message));
+  }
+
+  return { text, model: result.model, cached: false, usage: result.usage, removed };
+}
+
+// JSON-mode completion. Returns { json, ... } with the compliance filter applied to
+// every string value; json is null when the model's output doesn't parse.
+async function completeJson(feature, opts) {
+  const res = await complete(feature, { ...opts, responseFormat: { type: "json_object" } });
+  let json = null;
+  try {
+    json = JSON.parse(res.text);
+  } catch {
+    console.warn(`llm: ${feature} returned invalid JSON`);
+  }
+
+  const cfg = featureConfig(feature);
+  const removed = [];
+  if (json && cfg.compliance) json = applyComplianceDeep(json, removed);
+  return { ...res, json, removed };
+}
+
+module.exports = {
+  GENERAL_ADVICE_DISCLAIMER,
+  FEATURES,
+  featureConfig,
+  complete,
+  completeJson,
+  applyCompliance,
+  registerProvider,
+  setProvider,
+  fakeProvider,
+  getUsage,
+};
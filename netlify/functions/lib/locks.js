@@ -0,0 +1,50 @@
+// netlify/functions/lib/locks.js
+//
+// Short write locks on Upstash for records kept as one JSON value and rewritten with
+// load -> modify -> SET, so two writers can't overwrite each other. Used by:
+//   lib/paper-portfolio.js   paper:lock:{MI0000001}
+//   lib/alerts.js            alerts:lock:{MI0000001}
+//   lib/watchlists.js        watchlists:lock:{MI0000001}
+//
+// A lock key holds a random token (SET NX EX), so a crashed writer can't wedge the record
+// for longer than the TTL, and a writer only deletes a lock that still holds its own token.
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+
+const DEFAULT_TTL_SECONDS = 15;
+const DEFAULT_WAIT_MS = 150;
+const DEFAULT_ATTEMPTS = 20;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Runs fn while holding the lock at `key`. Throws a 409 (err.status) with `message` when
+// another writer holds it for too long.
+async function withLock(key, fn, opts = {}) {
+  const ttl = opts.ttlSeconds || DEFAULT_TTL_SECONDS;
+  const attempts = opts.attempts || DEFAULT_ATTEMPTS;
+  const token = crypto.randomBytes(8).toString("hex");
+  for (let attempt = 1; ; attempt++) {
+    const claimed = await upstash.command(["SET", key, token, "NX", "EX", ttl]);
+    if (claimed) break;
+    if (attempt >= attempts) {
+      const err = new Error(opts.message || "Busy, try again in a moment");
+      err.status = 409;
+      throw err;
+    }
+    await sleep(opts.waitMs || DEFAULT_WAIT_MS);
+  }
+  try {
+    return await fn();
+  } finally {
+    // Only our own lock: if fn outlived the TTL another writer may hold it by now
+    const holder = await upstash.get(key).catch(() => null);
+    if (holder === token) await upstash.del(key).catch(() => {});
+  }
+}
+
+module.exports = {
+  withLock,
+};
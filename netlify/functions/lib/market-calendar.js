@@ -0,0 +1,280 @@
+// netlify/functions/lib/market-calendar.js
+//
+// Australia/Sydney time + ASX trading calendar shared by snapshot, analytics and email jobs.
+//
+// All "day keys" (YYYY-MM-DD) are Sydney calendar dates, so they follow AEDT in summer
+// instead of drifting an hour like the old fixed UTC+10 helpers.
+//
+// ASX closures follow the published rules:
+//   - New Year's Day, Australia Day (Mon substitute when on a weekend)
+//   - Good Friday, Easter Monday
+//   - King's Birthday (2nd Monday in June)
+//   - Christmas Day, Boxing Day (weekday substitutes when on a weekend)
+//   Anzac Day only closes the market when it falls on a weekday (no substitute day).
+// Half days (early close ~2:10pm): Christmas Eve and New Year's Eve when they are trading days.
+//
+// Extra one-off closures can be listed in ASX_EXTRA_CLOSURES below.
+
+const TIMEZONE = "Australia/Sydney";
+
+// One-off closures not covered by the rules above: { "YYYY-MM-DD": "Reason" }
+const ASX_EXTRA_CLOSURES = {};
+
+const partsFormatter = new Intl.DateTimeFormat("en-AU", {
+  timeZone: TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+// ---------------------------
+// Date-string helpers (YYYY-MM-DD, no time zone)
+// ---------------------------
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function ymdFromUtcDate(d) {
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+}
+
+function parseYmd(ymd) {
+  const [y, m, d] = String(ymd).slice(0, 10).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function addDays(ymd, n) {
+  const d = parseYmd(ymd);
+  d.setUTCDate(d.getUTCDate() + n);
+  return ymdFromUtcDate(d);
+}
+
+// 0 = Sunday ... 6 = Saturday
+function weekdayOf(ymd) {
+  return parseYmd(ymd).getUTCDay();
+}
+
+function isWeekend(ymd) {
+  const dow = weekdayOf(ymd);
+  return dow === 0 || dow === 6;
+}
+
+// ---------------------------
+// Sydney clock
+// ---------------------------
+
+// Wall-clock fields for an instant in Sydney.
+function sydneyParts(date = new Date()) {
+  const out = {};
+  for (const p of partsFormatter.formatToParts(date)) {
+    if (p.type !== "literal") out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+// Sydney calendar date for an instant (Date or epoch ms), optionally shifted by whole days.
+function sydneyDateString(date = new Date(), daysOffset = 0) {
+  const p = sydneyParts(date instanceof Date ? date : new Date(date));
+  const ymd = `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+  return daysOffset ? addDays(ymd, daysOffset) : ymd;
+}
+
+// Minutes ahead of UTC at that instant: 600 (AEST) or 660 (AEDT).
+function sydneyOffsetMinutes(date = new Date()) {
+  const p = sydneyParts(date);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// The UTC instant for a Sydney wall-clock time, e.g. 06:00 on a given day.
+function sydneyWallTimeToDate(ymd, hour = 0, minute = 0) {
+  const base = parseYmd(ymd);
+  const guess = new Date(
+    Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate(), hour, minute)
+  );
+  // Two passes settle correctly either side of a DST switch.
+  let t = guess.getTime() - sydneyOffsetMinutes(guess) * 60000;
+  t = guess.getTime() - sydneyOffsetMinutes(new Date(t)) * 60000;
+  return new Date(t);
+}
+
+// Local ISO timestamp with the right offset, e.g. "2026-01-10T06:00:00+11:00".
+function sydneyIsoString(date = new Date()) {
+  const p = sydneyParts(date);
+  const off = sydneyOffsetMinutes(date);
+  const sign = off >= 0 ? "+" : "-";
+  const abs = Math.abs(off);
+  return (
+    `${p.year}-${pad2(p.month)}-${pad2(p.day)}T${pad2(p.hour)}:${pad2(p.minute)}:${pad2(p.second)}` +
+    `${sign}${pad2(Math.floor(abs / 60))}:${pad2(abs % 60)}`
+  );
+}
+
+// "AEST" or "AEDT" for labels.
+function sydneyZoneLabel(date = new Date()) {
+  return sydneyOffsetMinutes(date) === 660 ? "AEDT" : "AEST";
+}
+
+// ---------------------------
+// ASX holidays
+// ---------------------------
+
+// Anonymous Gregorian algorithm; returns Easter Sunday as YYYY-MM-DD.
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+// Next Monday if the date falls on a weekend.
+function mondayIfWeekend(ymd) {
+  const dow = weekdayOf(ymd);
+  if (dow === 6) return addDays(ymd, 2);
+  if (dow === 0) return addDays(ymd, 1);
+  return ymd;
+}
+
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  const first = `${year}-${pad2(month)}-01`;
+  const shift = (weekday - weekdayOf(first) + 7) % 7;
+  return addDays(first, shift + (n - 1) * 7);
+}
+
+const holidayCache = new Map();
+
+// { "YYYY-MM-DD": "Holiday name" } for ASX closures in a year.
+function asxHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const out = {};
+  out[mondayIfWeekend(`${year}-01-01`)] = "New Year's Day";
+  out[mondayIfWeekend(`${year}-01-26`)] = "Australia Day";
+
+  const easter = easterSunday(year);
+  out[addDays(easter, -2)] = "Good Friday";
+  out[addDays(easter, 1)] = "Easter Monday";
+
+  const anzac = `${year}-04-25`;
+  if (!isWeekend(anzac)) out[anzac] = "Anzac Day";
+
+  out[nthWeekdayOfMonth(year, 6, 1, 2)] = "King's Birthday";
+
+  // Christmas + Boxing Day with weekday substitutes
+  const xmas = `${year}-12-25`;
+  const xmasDow = weekdayOf(xmas);
+  if (xmasDow === 6) {
+    out[`${year}-12-27`] = "Christmas Day (observed)";
+    out[`${year}-12-28`] = "Boxing Day (observed)";
+  } else if (xmasDow === 0) {
+    out[`${year}-12-26`] = "Boxing Day";
+    out[`${year}-12-27`] = "Christmas Day (observed)";
+  } else if (xmasDow === 5) {
+    out[xmas] = "Christmas Day";
+    out[`${year}-12-28`] = "Boxing Day (observed)";
+  } else {
+    out[xmas] = "Christmas Day";
+    out[`${year}-12-26`] = "Boxing Day";
+  }
+
+  for (const [ymd, name] of Object.entries(ASX_EXTRA_CLOSURES)) {
+    if (ymd.startsWith(`${year}-`)) out[ymd] = name;
+  }
+
+  holidayCache.set(year, out);
+  return out;
+}
+
+function holidayName(ymd) {
+  const year = Number(String(ymd).slice(0, 4));
+  return asxHolidays(year)[String(ymd).slice(0, 10)] || null;
+}
+
+function isTradingDay(ymd) {
+  return !isWeekend(ymd) && !holidayName(ymd);
+}
+
+function isHalfDay(ymd) {
+  const md = String(ymd).slice(5, 10);
+  return (md === "12-24" || md === "12-31") && isTradingDay(ymd);
+}
+
+// ---------------------------
+// Trading-day arithmetic
+// ---------------------------
+
+// Latest trading day strictly before `ymd`.
+function previousTradingDay(ymd = sydneyDateString()) {
+  let d = addDays(ymd, -1);
+  while (!isTradingDay(d)) d = addDays(d, -1);
+  return d;
+}
+
+// Earliest trading day strictly after `ymd`.
+function nextTradingDay(ymd = sydneyDateString()) {
+  let d = addDays(ymd, 1);
+  while (!isTradingDay(d)) d = addDays(d, 1);
+  return d;
+}
+
+// Last N trading days, oldest -> newest.
+// By default these are the N *completed* sessions before today (Sydney);
+// pass { before: "YYYY-MM-DD" } to anchor elsewhere or { inclusive: true } to count that day too.
+function lastNTradingDays(n, opts = {}) {
+  const anchor = opts.before || sydneyDateString();
+  const out = [];
+  let d = opts.inclusive && isTradingDay(anchor) ? anchor : previousTradingDay(anchor);
+  while (out.length < n) {
+    out.push(d);
+    d = previousTradingDay(d);
+  }
+  return out.reverse();
+}
+
+// Trading days in [from, to], oldest -> newest.
+function tradingDaysBetween(from, to) {
+  const out = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    if (isTradingDay(d)) out.push(d);
+  }
+  return out;
+}
+
+module.exports = {
+  TIMEZONE,
+  addDays,
+  parseYmd,
+  weekdayOf,
+  isWeekend,
+  sydneyParts,
+  sydneyDateString,
+  sydneyOffsetMinutes,
+  sydneyWallTimeToDate,
+  sydneyIsoString,
+  sydneyZoneLabel,
+  easterSunday,
+  asxHolidays,
+  holidayName,
+  isTradingDay,
+  isHalfDay,
+  previousTradingDay,
+  nextTradingDay,
+  lastNTradingDays,
+  tradingDaysBetween,
+};
@@ -0,0 +1,206 @@
+// netlify/functions/lib/member-auth.js
+//
+// Passwordless sign-in for subscribers, keyed by their MI id (lib/subscribers.js), for
+// member features like watchlists.
+//
+// Flow:
+//   1. member-login.js POST { email } -> if the address has an MI id, a signed, short-lived
+//      sign-in link is emailed via Resend (unknown and suppressed addresses get the same
+//      response, no email)
+//   2. the link (member-login.js GET) swaps itself for a session token, which the page keeps
+//      in localStorage and sends as "Authorization: Bearer <token>"
+//
+// Both are stateless HMACs over EMAIL_LINK_SECRET, with different purposes so one can't
+// stand in for the other:
+//   link    sig = HMAC_SHA256(secret, "login\n<MI id>\n<expires seconds>\n<next path>")
+//   session     = "<MI id>.<expires seconds>.<HMAC_SHA256(secret, "session\n<MI id>\n<expires seconds>")>"
+//
+// Keys:
+//   member:login:throttle:{email}   -> "1" (EX = LOGIN_THROTTLE_SECONDS), one link per window
+//
+// Env:
+//   EMAIL_LINK_SECRET
+//   RESEND_API_KEY, EMAIL_FROM
+//   MEMBER_SESSION_DAYS     optional, default 90
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const suppression = require("./email-suppression");
+
+const fetch = (...args) => global.fetch(...args);
+
+const SITE_URL = "https://matesinvest.com";
+const LOGIN_PATH = "/.netlify/functions/member-login";
+
+const LINK_TTL_SECONDS = 30 * 60;
+const LOGIN_THROTTLE_SECONDS = 2 * 60;
+const THROTTLE_PREFIX = "member:login:throttle:";
+const DEFAULT_SESSION_DAYS = 90;
+
+const UID_RE = /^MI\d{7}$/;
+const MAX_NEXT_LENGTH = 300;
+
+function getSecret() {
+  return String(process.env.EMAIL_LINK_SECRET || "").trim();
+}
+
+function getSessionTtlSeconds() {
+  const days = Number(process.env.MEMBER_SESSION_DAYS);
+  return Math.round((Number.isFinite(days) && days > 0 ? days : DEFAULT_SESSION_DAYS) * 86400);
+}
+
+function hmac(purpose, ...parts) {
+  return crypto.createHmac("sha256", getSecret()).update([purpose, ...parts].join("\n")).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  return typeof a === "string" && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Only same-site paths, so the link can't be turned into an open redirect. Browsers drop
+// tabs / newlines and read "\" as "/" ("/\t/evil.com" is "//evil.com"), so anything with
+// whitespace or control characters is refused before resolving against SITE_URL.
+function safeNext(next) {
+  const fallback = "/discover.html";
+  const s = String(next || "");
+  if (!s.startsWith("/") || s.length > MAX_NEXT_LENGTH || /[\s\x00-\x1f\x7f\\]/.test(s)) return fallback;
+  let url;
+  try {
+    url = new URL(s, SITE_URL);
+  } catch {
+    return fallback;
+  }
+  return url.origin === SITE_URL ? `${url.pathname}${url.search}${url.hash}` : fallback;
+}
+
+// ---------------------------
+// Sign-in links
+// ---------------------------
+
+function loginUrl(uid, next) {
+  const expires = Math.floor(Date.now() / 1000) + LINK_TTL_SECONDS;
+  const safe = safeNext(next);
+  const params = new URLSearchParams({
+    uid,
+    exp: String(expires),
+    sig: hmac("login", uid, expires, safe),
+    next: safe,
+  });
+  return `${SITE_URL}${LOGIN_PATH}?${params.toString()}`;
+}
+
+// Returns { ok: true, uid, next } or { ok: false, reason: "invalid" | "expired" }.
+// next is covered by the signature, so a link can't be re-pointed after it's sent.
+function verifyLoginLink(qs) {
+  const uid = String(qs.uid || "");
+  const expires = Number(qs.exp);
+  const next = safeNext(qs.next);
+  if (!getSecret() || !UID_RE.test(uid) || !Number.isInteger(expires)) return { ok: false, reason: "invalid" };
+  if (!safeEqual(String(qs.sig || ""), hmac("login", uid, expires, next))) return { ok: false, reason: "invalid" };
+  if (expires < Math.floor(Date.now() / 1000)) return { ok: false, reason: "expired" };
+  return { ok: true, uid, next };
+}
+
+async function sendLoginEmail(email, url) {
+  const RESEND_API_KEY = process.env.RESEND_API_KEY;
+  const EMAIL_FROM = process.env.EMAIL_FROM || "hello@matesinvest.com";
+  if (!RESEND_API_KEY) throw new Error("RESEND_API_KEY missing");
+
+  const minutes = Math.round(LINK_TTL_SECONDS / 60);
+  const html = `
+<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:0;background-color:#f5f7fb;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">
+    <tr><td align="center">
+      <table width="100%" cellpadding="0" cellspacing="0" style="max-width:520px;background:#ffffff;border-radius:12px;padding:28px;">
+        <tr><td>
+          <h1 style="margin:0 0 12px 0;font-size:20px;color:#002040;">Sign in to MatesInvest</h1>
+          <p style="margin:0 0 18px 0;font-size:14px;color:#64748b;line-height:1.5;">
+            Tap the button below to sign in on this device and pick up your watchlists. If you didn't ask for this, just ignore this email.
+          </p>
+          <a href="${url}" style="display:inline-block;padding:10px 18px;background:#00BFFF;color:#ffffff;text-decoration:none;border-radius:999px;font-size:14px;font-weight:600;">
+            Sign me in
+          </a>
+          <p style="margin:18px 0 0 0;font-size:11px;color:#94a3b8;">This link expires in ${minutes} minutes.</p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>
+  `;
+
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from: `MatesInvest <${EMAIL_FROM}>`,
+      to: [email],
+      subject: "Your MatesInvest sign-in link",
+      html,
+      text: `Sign in to MatesInvest: ${url}\n\nThis link expires in ${minutes} minutes. If you didn't ask for it, ignore this email.`,
+      reply_to: EMAIL_FROM,
+    }),
+  });
+
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    throw new Error(`Resend sign-in send failed: ${res.status} ${txt}`);
+  }
+}
+
+// Emails a sign-in link if the address belongs to a member and isn't suppressed.
+// Returns { status: "sent" | "throttled" | "unknown" | "suppressed" } (callers shouldn't reveal which).
+async function requestLogin(email, next) {
+  if (!getSecret()) throw new Error("EMAIL_LINK_SECRET not configured");
+
+  const uid = await upstash.get(`email:id:${email}`);
+  if (!uid) return { status: "unknown" };
+  if (await suppression.isSuppressed(email)) return { status: "suppressed" };
+
+  const claimed = await upstash.command(["SET", `${THROTTLE_PREFIX}${email}`, "1", "EX", LOGIN_THROTTLE_SECONDS, "NX"]);
+  if (!claimed) return { status: "throttled" };
+
+  await sendLoginEmail(email, loginUrl(uid, next));
+  return { status: "sent", uid };
+}
+
+// ---------------------------
+// Sessions
+// ---------------------------
+
+function issueSession(uid) {
+  const expires = Math.floor(Date.now() / 1000) + getSessionTtlSeconds();
+  return { token: `${uid}.${expires}.${hmac("session", uid, expires)}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+// MI id from a valid, unexpired session token, else null.
+function verifySession(token) {
+  const [uid, exp, sig] = String(token || "").split(".");
+  const expires = Number(exp);
+  if (!getSecret() || !UID_RE.test(uid || "") || !Number.isInteger(expires)) return null;
+  if (!safeEqual(sig, hmac("session", uid, expires))) return null;
+  return expires >= Math.floor(Date.now() / 1000) ? uid : null;
+}
+
+// MI id for a request carrying "Authorization: Bearer <session>", else null.
+function memberFromEvent(event) {
+  const headers = (event && event.headers) || {};
+  const auth = String(headers.authorization || headers.Authorization || "");
+  const m = auth.match(/^Bearer\s+(\S+)$/i);
+  return m ? verifySession(m[1]) : null;
+}
+
+module.exports = {
+  safeNext,
+  loginUrl,
+  verifyLoginLink,
+  requestLogin,
+  issueSession,
+  verifySession,
+  memberFromEvent,
+};
@@ -0,0 +1,106 @@
+// netlify/functions/lib/morning-notes.js
+//
+// Permanent archive of the Mates Morning Note (written by generate-morning-note.js,
+// read by matesMorningNote.js, the archive page and morning-note-feed.js).
+//
+// Keys (no expiry):
+//   matesMorningNote:{region}:{YYYY-MM-DD}   -> JSON payload { region, note, generatedAt, _debug }
+//   matesMorningNote:index:{region}          -> sorted set of dates, score = YYYYMMDD
+//
+// Notes written before the archive existed had a 72h TTL; backfillIndex() persists
+// and indexes whichever of those are still around.
+
+const upstash = require("./upstash");
+
+const KEY_PREFIX = "matesMorningNote:";
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function noteKey(region, ymd) {
+  return `${KEY_PREFIX}${region}:${ymd}`;
+}
+
+function indexKey(region) {
+  return `${KEY_PREFIX}index:${region}`;
+}
+
+function ymdScore(ymd) {
+  return Number(ymd.replace(/-/g, ""));
+}
+
+function isYmd(s) {
+  return YMD_RE.test(String(s || ""));
+}
+
+function parseNote(raw, ymd) {
+  if (!raw) return null;
+  try {
+    const note = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return { date: ymd, ...note };
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------
+// Write
+// ---------------------------
+
+async function saveNote(region, ymd, payload) {
+  await upstash.pipeline([
+    ["SET", noteKey(region, ymd), JSON.stringify(payload)],
+    ["ZADD", indexKey(region), ymdScore(ymd), ymd],
+  ]);
+}
+
+// Persists + indexes any dated note keys already in Redis (one-off migration, safe to rerun).
+async function backfillIndex(region) {
+  const keys = await upstash.scanAll(`${KEY_PREFIX}${region}:*`);
+  const dates = keys.map((k) => k.slice(`${KEY_PREFIX}${region}:`.length)).filter(isYmd);
+  if (!dates.length) return [];
+  await upstash.pipeline(
+    dates.flatMap((ymd) => [
+      ["PERSIST", noteKey(region, ymd)],
+      ["ZADD", indexKey(region), ymdScore(ymd), ymd],
+    ])
+  );
+  return dates.sort();
+}
+
+// ---------------------------
+// Read
+// ---------------------------
+
+async function getNote(region, ymd) {
+  return parseNote(await upstash.get(noteKey(region, ymd)), ymd);
+}
+
+// Dates with a note, newest first. from/to inclusive (YYYY-MM-DD), both optional.
+async function listDates(region, { from, to, limit = 60 } = {}) {
+  const hi = to ? ymdScore(to) : "+inf";
+  const lo = from ? ymdScore(from) : "-inf";
+  return (
+    (await upstash.command(["ZRANGE", indexKey(region), hi, lo, "BYSCORE", "REV", "LIMIT", 0, limit])) || []
+  );
+}
+
+// Notes for the given dates, in the same order (missing notes dropped).
+async function getNotes(region, dates) {
+  if (!dates.length) return [];
+  const raws = await upstash.command(["MGET", ...dates.map((d) => noteKey(region, d))]);
+  return dates.map((d, i) => parseNote(raws && raws[i], d)).filter(Boolean);
+}
+
+async function countNotes(region) {
+  return Number((await upstash.command(["ZCARD", indexKey(region)])) || 0);
+}
+
+module.exports = {
+  isYmd,
+  noteKey,
+  saveNote,
+  backfillIndex,
+  getNote,
+  listDates,
+  getNotes,
+  countNotes,
+};
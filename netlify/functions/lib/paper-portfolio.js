@@ -0,0 +1,476 @@
+// netlify/functions/lib/paper-portfolio.js
+//
+// Paper-trading portfolios per member (MI id, signed in via lib/member-auth.js), shared by:
+//   paper-portfolio.js          view / buy / sell / reset
+//   mark-paper-portfolios.js    scheduled: credits dividends, applies splits / code changes,
+//                               marks every portfolio to market and extends the equity curves
+//
+// Keys:
+//   paper:{MI0000001}        -> JSON portfolio (below)
+//   paper:curve:{MI0000001}  -> JSON { points: [[YYYY-MM-DD, value], ...] } oldest first
+//   paper:members            -> set of MI ids with a portfolio
+//   paper:benchmark          -> JSON { points: [[YYYY-MM-DD, level], ...] } internal ASX200 level,
+//                               chained from market-pulse's daily asx200.pct (base 1000)
+//   paper:marked             -> last data date the mark job finished
+//   paper:lock:{MI0000001}   -> lib/locks.js lock while a trade / reset / mark rewrites the
+//                               portfolio, so two writers can't overwrite each other's
+//                               load -> modify -> SET
+//
+// portfolio: { startingCash, cash, startDate, createdAt, updatedAt, markedDate, lastValue,
+//              positions: { CODE: { shares, cost, lastPrice, asOf } },
+//              activity: [entry, ...] newest first }
+//   cost  = total paid including brokerage, reduced pro rata on sells
+//   asOf  = data date the share count is on the basis of (last trade / split applied)
+// entry: { id, kind: "buy" | "sell" | "dividend" | "split" | "consolidation" | "code-change",
+//          code, date, at, shares?, price?, brokerage?, amount?, realised?, perShare?, ratio?, fromCode? }
+//
+// Trades fill at the latest EOD close (asx:universe:eod:latest) and are dated with that close's
+// date. Dividends are credited in cash on the ex-date (so the ex-date price drop isn't a loss) for
+// shares held before it, from the per-code dividend records in lib/dividends.js.
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+const locks = require("./locks");
+
+const PREFIX = "paper:";
+const MEMBERS_KEY = `${PREFIX}members`;
+const BENCHMARK_KEY = `${PREFIX}benchmark`;
+const MARKED_KEY = `${PREFIX}marked`;
+const LOCK_PREFIX = `${PREFIX}lock:`;
+const PULSE_DAY_PREFIX = "asx:market:pulse:day:";
+
+const STARTING_CASH = 100000;
+// Typical online broker: $9.50 or 0.10% of the trade value, whichever is more
+const BROKERAGE_MIN = 9.5;
+const BROKERAGE_RATE = 0.001;
+// ASX minimum marketable parcel for a first buy of a code
+const MIN_FIRST_PARCEL = 500;
+const MAX_POSITIONS = 50;
+const MAX_ACTIVITY = 500;
+const MAX_CURVE_POINTS = 1500;
+const BENCHMARK_BASE = 1000;
+// How far back the benchmark will fill in missed trading days in one go
+const BENCHMARK_CATCH_UP_DAYS = 30;
+
+const CODE_RE = /^[A-Z0-9]{1,6}$/;
+
+function portfolioKey(uid) {
+  return `${PREFIX}${uid}`;
+}
+
+function curveKey(uid) {
+  return `${PREFIX}curve:${uid}`;
+}
+
+function badRequest(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function entryId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+function brokerage(tradeValue) {
+  return round2(Math.max(BROKERAGE_MIN, tradeValue * BROKERAGE_RATE));
+}
+
+function newPortfolio() {
+  return {
+    startingCash: STARTING_CASH,
+    cash: STARTING_CASH,
+    startDate: null,
+    createdAt: null,
+    updatedAt: null,
+    markedDate: null,
+    lastValue: null,
+    positions: {},
+    activity: [],
+  };
+}
+
+function parsePortfolio(raw) {
+  const rec = raw ? upstash.decodeJson(raw) : null;
+  return rec && rec.positions && Array.isArray(rec.activity) ? rec : null;
+}
+
+async function load(uid) {
+  return parsePortfolio(await upstash.get(portfolioKey(uid))) || newPortfolio();
+}
+
+async function save(uid, rec, extra = []) {
+  rec.updatedAt = new Date().toISOString();
+  rec.activity = rec.activity.slice(0, MAX_ACTIVITY);
+  await upstash.pipeline([["SET", portfolioKey(uid), JSON.stringify(rec)], ["SADD", MEMBERS_KEY, uid], ...extra]);
+  return rec;
+}
+
+// Runs fn while holding the member's write lock (lib/locks.js). Throws 409 when another
+// write holds it for too long.
+function withLock(uid, fn) {
+  return locks.withLock(`${LOCK_PREFIX}${uid}`, fn, {
+    message: "Your portfolio is being updated, try again in a moment",
+  });
+}
+
+// ---------------------------
+// Prices
+// ---------------------------
+
+// { date, byCode: Map CODE -> universe row } from the latest EOD snapshot.
+async function latestPrices() {
+  const [latest, latestDate] = await Promise.all([
+    upstash.getJson("asx:universe:eod:latest"),
+    upstash.get("asx:universe:eod:latestDate"),
+  ]);
+  const rows = Array.isArray(latest) ? latest : (latest && latest.rows) || [];
+  const byCode = new Map();
+  for (const r of rows) {
+    if (r && r.code && typeof r.close === "number" && r.close > 0) byCode.set(String(r.code).toUpperCase(), r);
+  }
+  return { date: latestDate || null, byCode };
+}
+
+// Positions valued at the latest close (or the last one seen, for a code missing from the
+// snapshot). Returns { value, invested, positions: [...] } with positions largest first.
+function valuation(rec, byCode) {
+  let invested = 0;
+  const positions = Object.entries(rec.positions).map(([code, pos]) => {
+    const r = byCode.get(code);
+    const price = r ? r.close : pos.lastPrice;
+    const value = typeof price === "number" ? round2(pos.shares * price) : null;
+    if (value !== null) invested += value;
+    const pnl = value !== null ? round2(value - pos.cost) : null;
+    return {
+      code,
+      shares: pos.shares,
+      avgCost: Number((pos.cost / pos.shares).toFixed(4)),
+      cost: pos.cost,
+      price: typeof price === "number" ? price : null,
+      pctChange: r && typeof r.pctChange === "number" ? r.pctChange : null,
+      value,
+      pnl,
+      pnlPct: pnl !== null && pos.cost > 0 ? Number(((pnl / pos.cost) * 100).toFixed(2)) : null,
+      corporateAction: (r && r.corporateAction) || null,
+    };
+  });
+  positions.sort((a, b) => (b.value || 0) - (a.value || 0));
+  invested = round2(invested);
+  return { value: round2(rec.cash + invested), invested, positions };
+}
+
+// ---------------------------
+// Member actions (each returns the portfolio after the change)
+// ---------------------------
+
+async function getPortfolio(uid) {
+  return load(uid);
+}
+
+function cleanCode(code) {
+  const c = String(code || "")
+    .trim()
+    .toUpperCase()
+    .replace(/\.(AX|AU|ASX)$/, "");
+  if (!CODE_RE.test(c)) throw badRequest("code must be an ASX code");
+  return c;
+}
+
+function cleanShares(shares) {
+  const n = Number(shares);
+  if (!Number.isInteger(n) || n <= 0) throw badRequest("shares must be a whole number above 0");
+  return n;
+}
+
+// side: "buy" | "sell". Fills at the latest close; pass latestPrices() when the caller already
+// has the snapshot.
+async function trade(uid, side, input, prices) {
+  const code = cleanCode(input.code);
+  const shares = cleanShares(input.shares);
+  const { date, byCode } = prices || (await latestPrices());
+  const row = byCode.get(code);
+  if (!row || !date) throw badRequest(`No closing price for ${code}`, 404);
+  const price = row.close;
+
+  return withLock(uid, async () => {
+    const rec = await load(uid);
+    const pos = rec.positions[code];
+    const gross = round2(shares * price);
+    const fee = brokerage(gross);
+    const now = new Date().toISOString();
+    const entry = { id: entryId(), kind: side, code, date, at: now, shares, price, brokerage: fee };
+
+    if (side === "buy") {
+      const amount = round2(gross + fee);
+      if (amount > rec.cash) throw badRequest(`Not enough cash: that costs ${amount.toFixed(2)} with brokerage`);
+      if (!pos) {
+        if (Object.keys(rec.positions).length >= MAX_POSITIONS) throw badRequest(`At most ${MAX_POSITIONS} holdings`);
+        if (gross < MIN_FIRST_PARCEL) throw badRequest(`A first buy needs to be at least $${MIN_FIRST_PARCEL}`);
+      }
+      rec.cash = round2(rec.cash - amount);
+      rec.positions[code] = {
+        shares: (pos ? pos.shares : 0) + shares,
+        cost: round2((pos ? pos.cost : 0) + amount),
+        lastPrice: price,
+        asOf: date,
+      };
+      entry.amount = -amount;
+    } else {
+      if (!pos || pos.shares < shares) throw badRequest(`You hold ${pos ? pos.shares : 0} ${code}`);
+      const amount = round2(gross - fee);
+      const costSold = round2((pos.cost * shares) / pos.shares);
+      rec.cash = round2(rec.cash + amount);
+      if (pos.shares === shares) delete rec.positions[code];
+      else rec.positions[code] = { ...pos, shares: pos.shares - shares, cost: round2(pos.cost - costSold), lastPrice: price };
+      entry.amount = amount;
+      entry.realised = round2(amount - costSold);
+    }
+
+    if (!rec.createdAt) {
+      rec.createdAt = now;
+      rec.startDate = date;
+    }
+    rec.activity.unshift(entry);
+    return save(uid, rec);
+  });
+}
+
+// Starts over with fresh cash; the old curve goes too.
+async function resetPortfolio(uid) {
+  return withLock(uid, async () => {
+    await upstash.pipeline([
+      ["DEL", portfolioKey(uid)],
+      ["DEL", curveKey(uid)],
+      ["SREM", MEMBERS_KEY, uid],
+    ]);
+    return newPortfolio();
+  });
+}
+
+async function getCurve(uid) {
+  const rec = await upstash.getJson(curveKey(uid));
+  return (rec && rec.points) || [];
+}
+
+// ---------------------------
+// Benchmark (internal ASX200)
+// ---------------------------
+
+async function getBenchmark() {
+  const rec = await upstash.getJson(BENCHMARK_KEY);
+  return (rec && rec.points) || [];
+}
+
+// Extends the level series through `date` from market-pulse's per-day snapshots. Days without
+// a snapshot are skipped (the level carries over). Returns the points.
+async function updateBenchmark(date) {
+  const points = await getBenchmark();
+  const last = points[points.length - 1];
+  if (last && last[0] >= date) return points;
+
+  if (!last) {
+    points.push([date, BENCHMARK_BASE]);
+  } else {
+    let level = last[1];
+    let day = calendar.nextTradingDay(last[0]);
+    const floor = calendar.addDays(date, -BENCHMARK_CATCH_UP_DAYS);
+    if (day < floor) day = calendar.nextTradingDay(floor);
+    for (; day <= date; day = calendar.nextTradingDay(day)) {
+      const pulse = await upstash.getJson(`${PULSE_DAY_PREFIX}${day}`).catch(() => null);
+      const pct = pulse && pulse.asx200 ? pulse.asx200.pct : null;
+      if (typeof pct !== "number" || !Number.isFinite(pct)) continue;
+      level = Number((level * (1 + pct / 100)).toFixed(4));
+      points.push([day, level]);
+    }
+  }
+
+  await upstash.setJson(BENCHMARK_KEY, { updatedAt: new Date().toISOString(), points: points.slice(-MAX_CURVE_POINTS) });
+  return points;
+}
+
+// Level on `date`, or the latest one before it.
+function levelOn(points, date) {
+  let level = null;
+  for (const [d, v] of points) {
+    if (d > date) break;
+    level = v;
+  }
+  return level;
+}
+
+// Curve for display: starts at the portfolio's first trade date with the starting cash, each
+// point with the portfolio's and the ASX200's % return since then.
+function compareCurve(rec, points, benchmark) {
+  if (!rec.startDate) return [];
+  const base = levelOn(benchmark, rec.startDate);
+  const series = [[rec.startDate, rec.startingCash], ...points.filter((p) => p[0] > rec.startDate)];
+  return series.map(([date, value]) => {
+    const level = levelOn(benchmark, date);
+    return {
+      date,
+      value,
+      returnPct: Number(((value / rec.startingCash - 1) * 100).toFixed(2)),
+      asx200Pct: base && level ? Number(((level / base - 1) * 100).toFixed(2)) : null,
+    };
+  });
+}
+
+// ---------------------------
+// Mark to market
+// ---------------------------
+
+async function memberIds() {
+  return (await upstash.smembers(MEMBERS_KEY)) || [];
+}
+
+async function getMarked() {
+  return upstash.get(MARKED_KEY);
+}
+
+async function setMarked(date) {
+  await upstash.set(MARKED_KEY, date);
+}
+
+// Applies splits / consolidations / code changes (lib/corporate-actions.js events, oldest
+// first) dated after a position's asOf. Fractions of a share are dropped, as a registry would
+// round them. Returns the activity entries added.
+function applyCorporateActions(rec, events) {
+  const added = [];
+  for (const ev of events) {
+    const fromCode = ev.type === "code-change" ? ev.fromCode : ev.code;
+    const pos = rec.positions[fromCode];
+    if (!pos || ev.date <= pos.asOf) continue;
+
+    const entry = { id: entryId(), kind: ev.type, code: ev.code, date: ev.date, at: new Date().toISOString() };
+    if (ev.type === "code-change") {
+      const into = rec.positions[ev.toCode];
+      rec.positions[ev.toCode] = into
+        ? { ...into, shares: into.shares + pos.shares, cost: round2(into.cost + pos.cost), asOf: ev.date }
+        : { ...pos, asOf: ev.date };
+      delete rec.positions[fromCode];
+      entry.code = ev.toCode;
+      entry.fromCode = fromCode;
+      entry.shares = rec.positions[ev.toCode].shares;
+    } else if (typeof ev.ratio === "number" && ev.ratio > 0) {
+      const shares = Math.floor(pos.shares * ev.ratio);
+      if (shares > 0) {
+        rec.positions[fromCode] = { ...pos, shares, lastPrice: pos.lastPrice / ev.ratio, asOf: ev.date };
+      } else {
+        delete rec.positions[fromCode];
+      }
+      entry.ratio = ev.ratio;
+      entry.shares = shares;
+    } else {
+      continue;
+    }
+    rec.activity.unshift(entry);
+    added.push(entry);
+  }
+  return added;
+}
+
+// Shares of `code` held going into `exDate`: today's holding less anything traded on or after it.
+function sharesBefore(rec, code, exDate) {
+  const pos = rec.positions[code];
+  let shares = pos ? pos.shares : 0;
+  for (const e of rec.activity) {
+    if (e.code !== code || e.date < exDate) continue;
+    if (e.kind === "buy") shares -= e.shares;
+    else if (e.kind === "sell") shares += e.shares;
+  }
+  return Math.max(0, shares);
+}
+
+// Credits dividends going ex in (after, through]. dividendsFor(code) -> [dividend, ...] from
+// lib/dividends.js. Returns the activity entries added.
+async function creditDividends(rec, after, through, dividendsFor) {
+  const added = [];
+  const credited = new Set(rec.activity.filter((e) => e.kind === "dividend").map((e) => `${e.code}|${e.date}`));
+
+  // Codes sold out of since `after` may still have been held going into an ex-date
+  const codes = new Set(Object.keys(rec.positions));
+  for (const e of rec.activity) if (e.kind === "sell" && e.date > after) codes.add(e.code);
+
+  for (const code of codes) {
+    const items = (await dividendsFor(code)) || [];
+    for (const d of items) {
+      if (!d.exDate || d.exDate <= after || d.exDate > through || credited.has(`${code}|${d.exDate}`)) continue;
+      const perShare = typeof d.unadjustedAmount === "number" ? d.unadjustedAmount : d.amount;
+      const shares = sharesBefore(rec, code, d.exDate);
+      if (!(perShare > 0) || !shares) continue;
+
+      const amount = round2(shares * perShare);
+      rec.cash = round2(rec.cash + amount);
+      const entry = {
+        id: entryId(),
+        kind: "dividend",
+        code,
+        date: d.exDate,
+        at: new Date().toISOString(),
+        shares,
+        perShare,
+        amount,
+        frankingPct: d.frankingPct ?? null,
+      };
+      rec.activity.unshift(entry);
+      credited.add(`${code}|${d.exDate}`);
+      added.push(entry);
+    }
+  }
+  return added;
+}
+
+// Marks one member's portfolio for `date` (the EOD data date). Re-reads under the member's lock
+// so a trade made since the job started (or during the mark) isn't lost. Returns
+// { value, dividends, actions } or null when already marked or empty.
+async function markPortfolio(uid, { date, byCode, events, dividendsFor }) {
+  return withLock(uid, async () => {
+    const rec = parsePortfolio(await upstash.get(portfolioKey(uid)));
+    if (!rec || !rec.startDate || (rec.markedDate && rec.markedDate >= date)) return null;
+
+    const actions = applyCorporateActions(rec, events);
+    const dividends = await creditDividends(rec, rec.markedDate || rec.startDate, date, dividendsFor);
+    for (const [code, pos] of Object.entries(rec.positions)) {
+      const r = byCode.get(code);
+      if (r) pos.lastPrice = r.close;
+    }
+
+    const { value } = valuation(rec, byCode);
+    rec.markedDate = date;
+    rec.lastValue = value;
+
+    const points = (await getCurve(uid)).filter((p) => p[0] < date);
+    points.push([date, value]);
+    await save(uid, rec, [["SET", curveKey(uid), JSON.stringify({ points: points.slice(-MAX_CURVE_POINTS) })]]);
+    return { value, dividends, actions };
+  });
+}
+
+module.exports = {
+  STARTING_CASH,
+  BROKERAGE_MIN,
+  BROKERAGE_RATE,
+  MIN_FIRST_PARCEL,
+  brokerage,
+  latestPrices,
+  valuation,
+  getPortfolio,
+  trade,
+  resetPortfolio,
+  getCurve,
+  getBenchmark,
+  updateBenchmark,
+  compareCurve,
+  memberIds,
+  getMarked,
+  setMarked,
+  applyCorporateActions,
+  creditDividends,
+  markPortfolio,
+};
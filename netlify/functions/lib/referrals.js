@@ -0,0 +1,348 @@
+// netlify/functions/lib/referrals.js
+//
+// Referral programme: per-member invite codes, signup attribution and reward tiers, shared by:
+//   lib/subscribers.js             activateSubscriber({ ref, confirmed }) records / counts referrals
+//                                  (subscribe.js, lead-capture.js, confirm-subscription.js)
+//   referrals.js                   a member's own code, link and progress
+//   email-weekly-brief-background  personal invite link + tier progress in each weekly email
+//
+// Codes are derived from the MI id: base36 of its number + 4 hex chars of
+// HMAC_SHA256(EMAIL_LINK_SECRET, "ref\n<MI id>"), e.g. MI0000123 -> "3FA1B2". Case-insensitive,
+// and the check stops codes being guessed from neighbouring ids.
+//
+// A referral only counts once the referee confirms their address (confirm-subscription.js).
+// Until then it's parked as a pending edge that counts for nothing and expires unconfirmed.
+// Signups that fail a signup-time fraud check are rejected straight away instead.
+//
+// Keys:
+//   referral:pending:{refereeMI}      -> JSON { referrer, referee, email, source, at }
+//                                        set once (NX) at signup, EX = PENDING_TTL_SECONDS
+//   referral:edge:{refereeMI}         -> JSON { referrer, referee, status, reason, source, at }
+//                                        set once (NX) on rejection or confirmation: a member
+//                                        is only ever referred once
+//   referrals:{referrerMI}            -> hash { counted, rejected, tier, tierAt, lastAt }
+//   referrals:referees:{referrerMI}   -> sorted set of counted referee MI ids, score = ts (ms)
+//   referrals:cap:{referrerMI}:{day}  -> counted today (daily cap), expires after 2 days
+//   referrals:rewards                 -> sorted set "MI|tier", score = ts reached (to fulfil)
+//   referrals:day:YYYY-MM-DD          -> hash { counted, rejected, rejected:<reason> }
+//
+// Fraud checks (the edge is still stored, as rejected, so it can't be retried). All but the
+// daily cap are decided at signup; the cap on confirmation:
+//   same-uid            referee is the referrer
+//   self-referral       same mailbox once +tags (and gmail dots) are stripped
+//   disposable-domain   throwaway mail services
+//   existing-member     the address already had an MI id before this signup
+//   daily-cap           more than DAILY_CAP counted for one referrer in a Sydney day
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+
+const SITE_URL = "https://matesinvest.com";
+const EDGE_PREFIX = "referral:edge:";
+const PENDING_PREFIX = "referral:pending:";
+const PREFIX = "referrals:";
+const REWARDS_KEY = `${PREFIX}rewards`;
+const DAY_PREFIX = `${PREFIX}day:`;
+const DAY_TTL_SECONDS = 400 * 24 * 60 * 60;
+const CAP_TTL_SECONDS = 2 * 24 * 60 * 60;
+const PENDING_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const DAILY_CAP = 10;
+const CHECK_LENGTH = 4;
+const CODE_RE = /^[0-9A-Z]{5,12}$/;
+
+// Milestones, fewest referrals first. Rewards are fulfilled by hand from referrals:rewards.
+const TIERS = [
+  { at: 1, name: "Mate", reward: "Founding member badge" },
+  { at: 3, name: "Good mate", reward: "Early access to the MatesInvest app" },
+  { at: 5, name: "Top mate", reward: "New features before anyone else" },
+  { at: 10, name: "Legend", reward: "MatesInvest merch pack" },
+  { at: 25, name: "Ambassador", reward: "A chat with the founders" },
+];
+
+const DISPOSABLE_DOMAINS = new Set([
+  "mailinator.com",
+  "guerrillamail.com",
+  "guerrillamail.net",
+  "sharklasers.com",
+  "grr.la",
+  "10minutemail.com",
+  "10minutemail.net",
+  "temp-mail.org",
+  "tempmail.com",
+  "tempmail.net",
+  "tempail.com",
+  "throwawaymail.com",
+  "yopmail.com",
+  "trashmail.com",
+  "getnada.com",
+  "dispostable.com",
+  "maildrop.cc",
+  "fakeinbox.com",
+  "mailnesia.com",
+  "mintemail.com",
+  "spamgourmet.com",
+  "emailondeck.com",
+  "moakt.com",
+  "burnermail.io",
+  "mohmal.com",
+  "mailcatch.com",
+]);
+
+function getSecret() {
+  return String(process.env.EMAIL_LINK_SECRET || "").trim();
+}
+
+// Same format as lib/subscribers.js
+function fmtId(n) {
+  return `MI${String(n).padStart(7, "0")}`;
+}
+
+function check(uid) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`ref\n${uid}`)
+    .digest("hex")
+    .slice(0, CHECK_LENGTH)
+    .toUpperCase();
+}
+
+// ---------------------------
+// Codes and links
+// ---------------------------
+
+// MI id -> referral code, or null (bad id / no secret configured).
+function codeFor(uid) {
+  const m = /^MI(\d{7,})$/.exec(String(uid || ""));
+  if (!m || !getSecret()) return null;
+  return `${Number(m[1]).toString(36).toUpperCase()}${check(uid)}`;
+}
+
+// Referral code -> MI id, or null when it doesn't check out.
+function uidFromCode(code) {
+  const c = String(code || "").trim().toUpperCase();
+  if (!CODE_RE.test(c) || !getSecret()) return null;
+  const n = parseInt(c.slice(0, -CHECK_LENGTH), 36);
+  if (!Number.isSafeInteger(n) || n <= 0) return null;
+  const uid = fmtId(n);
+  const expected = check(uid);
+  const given = c.slice(-CHECK_LENGTH);
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected)) ? uid : null;
+}
+
+// Invite link to the subscribe form.
+function referralLink(code) {
+  return `${SITE_URL}/mates-summaries?ref=${encodeURIComponent(code)}#subscribe`;
+}
+
+// ---------------------------
+// Tiers
+// ---------------------------
+
+// { tier, next, toNext } for a counted total; tier / next are TIERS entries or null.
+function tierFor(counted) {
+  let tier = null;
+  for (const t of TIERS) if (counted >= t.at) tier = t;
+  const next = TIERS.find((t) => t.at > counted) || null;
+  return { tier, next, toNext: next ? next.at - counted : 0 };
+}
+
+// ---------------------------
+// Fraud checks
+// ---------------------------
+
+// Lower-cased mailbox with +tags stripped (and dots, for gmail), for self-referral checks.
+function mailboxOf(email) {
+  const [local = "", domain = ""] = String(email || "").toLowerCase().trim().split("@");
+  let user = local.split("+")[0];
+  const host = domain === "googlemail.com" ? "gmail.com" : domain;
+  if (host === "gmail.com") user = user.replace(/\./g, "");
+  return `${user}@${host}`;
+}
+
+function isDisposable(email) {
+  const domain = String(email || "").toLowerCase().split("@")[1] || "";
+  // Subdomains too (foo.mailinator.com)
+  const parts = domain.split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (DISPOSABLE_DOMAINS.has(parts.slice(i).join("."))) return true;
+  }
+  return false;
+}
+
+// Reason the referral shouldn't count, or null. referrerEmail may be null if unknown.
+function rejectReason({ referrer, referee, email, referrerEmail, isNew }) {
+  if (referrer === referee) return "same-uid";
+  if (referrerEmail && mailboxOf(referrerEmail) === mailboxOf(email)) return "self-referral";
+  if (isDisposable(email)) return "disposable-domain";
+  if (!isNew) return "existing-member";
+  return null;
+}
+
+// ---------------------------
+// Attribution
+// ---------------------------
+
+async function bumpDay(fields) {
+  const key = `${DAY_PREFIX}${calendar.sydneyDateString()}`;
+  await upstash.pipeline([
+    ...fields.map((f) => ["HINCRBY", key, f, 1]),
+    ["EXPIRE", key, DAY_TTL_SECONDS],
+  ]);
+}
+
+// Stores the final edge (NX) and updates the referrer's counts. reason = why it doesn't
+// count, or null. Returns { status: "counted" | "rejected" | "ignored", reason? }.
+async function recordEdge({ referrer, refereeUid, reason, source, capKey }) {
+  const now = Date.now();
+  const status = reason ? "rejected" : "counted";
+  const edge = { referrer, referee: refereeUid, status, reason, source: source || null, at: new Date(now).toISOString() };
+  const claimed = await upstash.command(["SET", `${EDGE_PREFIX}${refereeUid}`, JSON.stringify(edge), "NX"]);
+  if (!claimed) return { status: "ignored", reason: "already-referred" };
+
+  const statsKey = `${PREFIX}${referrer}`;
+  if (reason) {
+    await upstash.pipeline([
+      ["HINCRBY", statsKey, "rejected", 1],
+      ["HSET", statsKey, "lastAt", now],
+    ]);
+    await bumpDay(["rejected", `rejected:${reason}`]).catch(() => {});
+    console.log(`referrals: rejected ${refereeUid} from ${referrer} (${reason})`);
+    return { status, reason };
+  }
+
+  const results = await upstash.pipeline([
+    ["HINCRBY", statsKey, "counted", 1],
+    ["HSET", statsKey, "lastAt", now],
+    ["ZADD", `${PREFIX}referees:${referrer}`, now, refereeUid],
+    ["INCR", capKey],
+    ["EXPIRE", capKey, CAP_TTL_SECONDS],
+  ]);
+  await bumpDay(["counted"]).catch(() => {});
+
+  // Newly reached milestone -> queue the reward
+  const counted = Number(results[0] && results[0].result) || 0;
+  const reached = TIERS.find((t) => t.at === counted);
+  if (reached) {
+    await upstash.pipeline([
+      ["HSET", statsKey, "tier", reached.at, "tierAt", now],
+      ["ZADD", REWARDS_KEY, now, `${referrer}|${reached.at}`],
+    ]);
+  }
+  console.log(`referrals: counted ${refereeUid} for ${referrer} (${counted})`);
+  return { status };
+}
+
+// Records who referred a signup. isNew: the address had no MI id before this signup.
+// Referrals that can never count (see the fraud checks) are rejected straight away; the rest
+// are parked until the referee confirms.
+// Returns { status: "pending" | "rejected" | "ignored", reason? }, where "pending" means this
+// call created the pending entry; never throws for a bad code.
+async function attribute({ code, refereeUid, email, isNew, source }) {
+  const referrer = uidFromCode(code);
+  if (!referrer || !refereeUid) return { status: "ignored", reason: "invalid-code" };
+
+  const referrerEmail = await upstash.get(`id:email:${referrer}`);
+  if (!referrerEmail) return { status: "ignored", reason: "unknown-referrer" };
+
+  // Checked first: a confirmed single opt-in signup comes back through here with an MI id
+  const [edge, parked] = await Promise.all([
+    upstash.get(`${EDGE_PREFIX}${refereeUid}`),
+    upstash.get(`${PENDING_PREFIX}${refereeUid}`),
+  ]);
+  if (edge) return { status: "ignored", reason: "already-referred" };
+  if (parked) return { status: "ignored", reason: "already-pending" };
+
+  const reason = rejectReason({ referrer, referee: refereeUid, email, referrerEmail, isNew });
+  if (reason) return recordEdge({ referrer, refereeUid, reason, source });
+
+  const pending = { referrer, referee: refereeUid, email, source: source || null, at: new Date().toISOString() };
+  const claimed = await upstash.command([
+    "SET",
+    `${PENDING_PREFIX}${refereeUid}`,
+    JSON.stringify(pending),
+    "NX",
+    "EX",
+    PENDING_TTL_SECONDS,
+  ]);
+  if (!claimed) return { status: "ignored", reason: "already-pending" };
+  return { status: "pending" };
+}
+
+// The referee's unconfirmed referral, or null.
+async function getPending(refereeUid) {
+  if (!refereeUid) return null;
+  return upstash.getJson(`${PENDING_PREFIX}${refereeUid}`).catch(() => null);
+}
+
+// Counts the referee's pending referral now that they've confirmed, unless the referrer
+// has hit today's cap. Returns { status: "counted" | "rejected" | "ignored", reason? }.
+async function confirmReferral(refereeUid) {
+  const pending = await getPending(refereeUid);
+  if (!pending) return { status: "ignored", reason: "not-pending" };
+  const { referrer, source } = pending;
+
+  const capKey = `${PREFIX}cap:${referrer}:${calendar.sydneyDateString()}`;
+  const today = Number(await upstash.get(capKey)) || 0;
+  const reason = today >= DAILY_CAP ? "daily-cap" : null;
+
+  const result = await recordEdge({ referrer, refereeUid, reason, source, capKey });
+  await upstash.del(`${PENDING_PREFIX}${refereeUid}`).catch(() => {});
+  return result;
+}
+
+// ---------------------------
+// Stats
+// ---------------------------
+
+function statsFrom(uid, hash) {
+  const counted = Number((hash && hash.counted) || 0);
+  const code = codeFor(uid);
+  return {
+    code,
+    link: code ? referralLink(code) : null,
+    counted,
+    rejected: Number((hash && hash.rejected) || 0),
+    ...tierFor(counted),
+  };
+}
+
+// One member's code, link, counts and tier progress, plus recent joins (dates only).
+async function getStats(uid) {
+  const [hash, recent] = await Promise.all([
+    upstash.hgetall(`${PREFIX}${uid}`),
+    upstash.command(["ZRANGE", `${PREFIX}referees:${uid}`, 0, 9, "REV", "WITHSCORES"]),
+  ]);
+  const joined = [];
+  for (let i = 0; i + 1 < (recent || []).length; i += 2) {
+    joined.push(new Date(Number(recent[i + 1])).toISOString());
+  }
+  return { ...statsFrom(uid, hash), recentJoins: joined };
+}
+
+// Stats for many members at once (weekly email): array aligned with uids, null for no uid.
+async function getStatsMany(uids) {
+  const wanted = uids.filter(Boolean);
+  if (!wanted.length) return uids.map(() => null);
+  const results = await upstash.pipeline(wanted.map((uid) => ["HGETALL", `${PREFIX}${uid}`]));
+  const byUid = new Map(wanted.map((uid, i) => [uid, upstash.hashFromFlat(results[i] && results[i].result)]));
+  return uids.map((uid) => (uid ? statsFrom(uid, byUid.get(uid)) : null));
+}
+
+module.exports = {
+  TIERS,
+  DAILY_CAP,
+  codeFor,
+  uidFromCode,
+  referralLink,
+  tierFor,
+  mailboxOf,
+  isDisposable,
+  rejectReason,
+  attribute,
+  getPending,
+  confirmReferral,
+  getStats,
+  getStatsMany,
+};
@@ -0,0 +1,214 @@
+// netlify/functions/lib/send-ledger.js
+//
+// Per-issue send ledger for the background email senders, so a rerun resumes
+// exactly where the last run stopped (no double sends, nobody skipped).
+//
+// An "issue" is one edition of one newsletter, e.g. "daily:2026-03-10",
+// "weekly:2026-03-14", "week-ahead:2026-03-09". The daily and quiz senders share
+// the daily issue id, so the two variants never double up on the same morning.
+//
+// Keys (expire after LEDGER_TTL_SECONDS):
+//   email:ledger:{issueId}        -> hash { <email>: JSON { status, messageId, error, userId, attempts, at } }
+//   email:ledger:{issueId}:meta   -> hash { kind, subject, totalRecipients, runs, startedAt, lastRunAt, finishedAt, state }
+//   email:ledger:issues           -> sorted set of issue ids, score = first run (ms)
+//
+// Recipient status:
+//   sent      accepted by Resend (messageId recorded) — never re-sent
+//   failed    Resend/network error (error recorded)   — retried on the next run
+//   filtered  skipped by the subscriber's preferences  — re-evaluated on the next run
+//
+// Pair with a Resend Idempotency-Key (issueKey) so a crash between Resend accepting
+// a send and the ledger write still can't produce a duplicate.
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+
+const LEDGER_PREFIX = "email:ledger:";
+const ISSUES_KEY = "email:ledger:issues";
+const LEDGER_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_ISSUES_KEPT = 200;
+
+function ledgerKey(issueId) {
+  return `${LEDGER_PREFIX}${issueId}`;
+}
+
+function metaKey(issueId) {
+  return `${LEDGER_PREFIX}${issueId}:meta`;
+}
+
+function parseEntry(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// HGETALL flat array -> Map email -> entry
+function ledgerFromFlat(flat) {
+  const ledger = new Map();
+  for (const [email, raw] of Object.entries(upstash.hashFromFlat(flat))) {
+    const entry = parseEntry(raw);
+    if (entry) ledger.set(email, entry);
+  }
+  return ledger;
+}
+
+// Resend idempotency key for one recipient (single sends) or one exact batch.
+function issueKey(issueId, recipients) {
+  const list = Array.isArray(recipients) ? recipients : [recipients];
+  if (list.length === 1) return `${issueId}:${list[0]}`;
+  const digest = crypto.createHash("sha1").update(list.slice().sort().join("\n")).digest("hex");
+  return `${issueId}:batch:${digest.slice(0, 20)}`;
+}
+
+// ---------------------------
+// Runs
+// ---------------------------
+
+// Starts (or resumes) a run for an issue. Returns the ledger as a Map email -> entry.
+async function openIssue(issueId, { kind, subject, totalRecipients }) {
+  const nowIso = new Date().toISOString();
+  const mk = metaKey(issueId);
+  const results = await upstash.pipeline([
+    ["HSETNX", mk, "startedAt", nowIso],
+    ["HSET", mk, "kind", kind || "", "subject", subject || "", "totalRecipients", totalRecipients || 0, "lastRunAt", nowIso, "state", "running"],
+    ["HINCRBY", mk, "runs", 1],
+    ["HDEL", mk, "finishedAt"],
+    ["EXPIRE", mk, LEDGER_TTL_SECONDS],
+    ["ZADD", ISSUES_KEY, "NX", Date.now(), issueId],
+    ["ZREMRANGEBYRANK", ISSUES_KEY, 0, -(MAX_ISSUES_KEPT + 1)],
+    ["HGETALL", ledgerKey(issueId)],
+  ]);
+
+  const runs = Number((results[2] && results[2].result) || 1);
+  const ledger = ledgerFromFlat(results[7] && results[7].result);
+
+  if (runs > 1) {
+    const sent = [...ledger.values()].filter((e) => e.status === "sent").length;
+    console.log(`send-ledger: resuming ${issueId} (run ${runs}, ${sent} already sent)`);
+  }
+  return ledger;
+}
+
+// Read-only view of an issue's ledger (no run is opened).
+async function getLedger(issueId) {
+  return ledgerFromFlat(await upstash.command(["HGETALL", ledgerKey(issueId)]));
+}
+
+// True unless this recipient already has the issue.
+function shouldSend(ledger, email) {
+  const entry = ledger.get(email);
+  return !entry || entry.status !== "sent";
+}
+
+// entries: [{ email, status, messageId?, error?, userId? }]
+async function record(issueId, ledger, entries) {
+  if (!entries.length) return;
+  const at = new Date().toISOString();
+  const flat = [];
+  for (const e of entries) {
+    const prev = ledger.get(e.email);
+    const entry = {
+      status: e.status,
+      ...(e.messageId ? { messageId: e.messageId } : {}),
+      ...(e.error ? { error: String(e.error).slice(0, 300) } : {}),
+      ...(e.userId ? { userId: e.userId } : {}),
+      attempts: ((prev && prev.attempts) || 0) + (e.status === "filtered" ? 0 : 1),
+      at,
+    };
+    ledger.set(e.email, entry);
+    flat.push(e.email, JSON.stringify(entry));
+  }
+
+  const key = ledgerKey(issueId);
+  try {
+    await upstash.pipeline([
+      ["HSET", key, ...flat],
+      ["EXPIRE", key, LEDGER_TTL_SECONDS],
+    ]);
+  } catch (err) {
+    // The Resend idempotency key still protects against a duplicate on rerun.
+    console.warn("send-ledger: record failed", issueId, err && err.message);
+  }
+}
+
+// Marks the run finished: "done" when everyone has it, "partial" when failures remain.
+async function closeIssue(issueId, ledger) {
+  const counts = countStatuses(ledger);
+  try {
+    await upstash.hset(metaKey(issueId), {
+      finishedAt: new Date().toISOString(),
+      state: counts.failed ? "partial" : "done",
+    });
+  } catch (err) {
+    console.warn("send-ledger: close failed", issueId, err && err.message);
+  }
+  return counts;
+}
+
+function countStatuses(ledger) {
+  const counts = { sent: 0, failed: 0, filtered: 0 };
+  for (const entry of ledger.values()) {
+    if (counts[entry.status] !== undefined) counts[entry.status] += 1;
+  }
+  return counts;
+}
+
+// ---------------------------
+// Status (for email-send-status.js)
+// ---------------------------
+
+// Most recent issue ids, newest first (optionally only one kind, e.g. "weekly").
+async function listIssues({ kind, limit = 20 } = {}) {
+  const ids = (await upstash.command(["ZRANGE", ISSUES_KEY, 0, -1])) || [];
+  const newestFirst = ids.slice().reverse();
+  const filtered = kind ? newestFirst.filter((id) => id.startsWith(`${kind}:`)) : newestFirst;
+  return filtered.slice(0, limit);
+}
+
+async function getIssueStatus(issueId, { maxFailures = 100 } = {}) {
+  const [metaRes, ledgerRes] = await upstash.pipeline([
+    ["HGETALL", metaKey(issueId)],
+    ["HGETALL", ledgerKey(issueId)],
+  ]);
+  const meta = upstash.hashFromFlat(metaRes && metaRes.result);
+  if (!Object.keys(meta).length) return null;
+
+  const ledger = ledgerFromFlat(ledgerRes && ledgerRes.result);
+  const counts = countStatuses(ledger);
+  const totalRecipients = Number(meta.totalRecipients || 0);
+
+  const failures = [...ledger.entries()]
+    .filter(([, e]) => e.status === "failed")
+    .slice(0, maxFailures)
+    .map(([email, e]) => ({ email, userId: e.userId || null, error: e.error || null, attempts: e.attempts, at: e.at }));
+
+  return {
+    issueId,
+    kind: meta.kind || null,
+    subject: meta.subject || null,
+    state: meta.state || null,
+    runs: Number(meta.runs || 0),
+    startedAt: meta.startedAt || null,
+    lastRunAt: meta.lastRunAt || null,
+    finishedAt: meta.finishedAt || null,
+    totalRecipients,
+    counts,
+    remaining: Math.max(0, totalRecipients - counts.sent - counts.filtered),
+    progressPct: totalRecipients ? Number(((counts.sent / totalRecipients) * 100).toFixed(1)) : 0,
+    failures,
+  };
+}
+
+module.exports = {
+  issueKey,
+  openIssue,
+  getLedger,
+  shouldSend,
+  record,
+  closeIssue,
+  listIssues,
+  getIssueStatus,
+};
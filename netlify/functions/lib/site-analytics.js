@@ -0,0 +1,201 @@
+// netlify/functions/lib/site-analytics.js
+//
+// Date-range reads over the site analytics day keys, for analytics-range.js (and the
+// admin dashboard, analytics-dashboard.html):
+//   mates:analytics:day:YYYY-MM-DD             -> hash { visits, unique_users, new_users, returning_users,
+//                                                        session_count, session_seconds_total, engaged_sessions }
+//                                                 (track-visit.js + track-session.js)
+//   mates:analytics:day:YYYY-MM-DD:pathstats   -> hash { "<path>|<counter>": n } with the same counters per page
+//
+// Days are Sydney dates. new_users / returning_users count visits (the first visit ever
+// vs the rest), so they add up to visits. unique_users is per day, so summed over a range
+// it's user-days rather than distinct people.
+
+const upstash = require("./upstash");
+const calendar = require("./market-calendar");
+
+const DAY_PREFIX = "mates:analytics:day:";
+const COUNTERS = [
+  "visits",
+  "unique_users",
+  "new_users",
+  "returning_users",
+  "session_count",
+  "session_seconds_total",
+  "engaged_sessions",
+];
+const GRANULARITIES = new Set(["day", "week", "month"]);
+const MAX_RANGE_DAYS = 400;
+// Days per Upstash pipeline (pathstats hashes can be large)
+const DAYS_PER_PIPELINE = 60;
+const DEFAULT_TOP_PAGES = 20;
+const MAX_TOP_PAGES = 100;
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Paths come straight from track-visit.js's public payload: only keep same-site ones
+// ("/x", not "//host", "/\host" or "javascript:...").
+const SITE_PATH_RE = /^\/(?![\/\\])[^\s\x00-\x1f]*$/;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function isYmd(s) {
+  return YMD_RE.test(s) && calendar.addDays(s, 0) === s;
+}
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map((c) => [c, 0]));
+}
+
+function addInto(total, counters) {
+  for (const c of COUNTERS) total[c] += Number(counters[c] || 0);
+  return total;
+}
+
+function rate(n, d) {
+  return d ? Number(((n / d) * 100).toFixed(1)) : 0;
+}
+
+// Counters plus the derived figures the dashboard shows.
+function withRates(c) {
+  return {
+    ...c,
+    returningPct: rate(c.returning_users, c.visits),
+    avgSessionSeconds: c.session_count ? Math.round(c.session_seconds_total / c.session_count) : 0,
+    engagedRate: rate(c.engaged_sessions, c.session_count),
+  };
+}
+
+function mondayOf(ymd) {
+  return calendar.addDays(ymd, -((calendar.weekdayOf(ymd) + 6) % 7));
+}
+
+// Period a day belongs to: the day itself, its week's Monday, or "YYYY-MM".
+function periodOf(day, granularity) {
+  if (granularity === "week") return mondayOf(day);
+  if (granularity === "month") return day.slice(0, 7);
+  return day;
+}
+
+// ---------------------------
+// Range parsing
+// ---------------------------
+
+// { from, to, granularity, limit } from query params. Defaults to the last 30 days up to
+// today (today is partial). Throws a 400 Error for anything invalid.
+function parseRange(qs = {}) {
+  const today = calendar.sydneyDateString();
+  const to = String(qs.to || "").trim() || today;
+  const from = String(qs.from || "").trim() || calendar.addDays(to, -29);
+  const granularity = String(qs.granularity || "").trim() || "day";
+
+  if (!isYmd(from) || !isYmd(to)) throw badRequest("from / to must be YYYY-MM-DD");
+  if (from > to) throw badRequest("from must be on or before to");
+  if (calendar.addDays(from, MAX_RANGE_DAYS - 1) < to) {
+    throw badRequest(`Range is limited to ${MAX_RANGE_DAYS} days`);
+  }
+  if (!GRANULARITIES.has(granularity)) throw badRequest("granularity must be day, week or month");
+
+  let limit = DEFAULT_TOP_PAGES;
+  if (qs.limit != null && qs.limit !== "") {
+    limit = Number(qs.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_PAGES) {
+      throw badRequest(`limit must be 1-${MAX_TOP_PAGES}`);
+    }
+  }
+
+  return { from, to, granularity, limit };
+}
+
+function daysBetween(from, to) {
+  const out = [];
+  for (let d = from; d <= to; d = calendar.addDays(d, 1)) out.push(d);
+  return out;
+}
+
+// ---------------------------
+// Reads
+// ---------------------------
+
+// [{ day, counters, pathstats }] for each day, oldest first.
+async function loadDays(days) {
+  const out = [];
+  for (let i = 0; i < days.length; i += DAYS_PER_PIPELINE) {
+    const chunk = days.slice(i, i + DAYS_PER_PIPELINE);
+    const results = await upstash.pipeline(
+      chunk.flatMap((d) => [
+        ["HGETALL", `${DAY_PREFIX}${d}`],
+        ["HGETALL", `${DAY_PREFIX}${d}:pathstats`],
+      ])
+    );
+    chunk.forEach((day, j) => {
+      out.push({
+        day,
+        counters: upstash.hashFromFlat(results[j * 2] && results[j * 2].result),
+        pathstats: upstash.hashFromFlat(results[j * 2 + 1] && results[j * 2 + 1].result),
+      });
+    });
+  }
+  return out;
+}
+
+// Per-page counters summed over the days, busiest first.
+function topPages(loaded, limit) {
+  const pages = new Map();
+  for (const { pathstats } of loaded) {
+    for (const [field, n] of Object.entries(pathstats)) {
+      const sep = field.lastIndexOf("|");
+      if (sep < 0) continue;
+      const counter = field.slice(sep + 1);
+      if (!COUNTERS.includes(counter)) continue;
+      const path = field.slice(0, sep) || "/";
+      if (!SITE_PATH_RE.test(path)) continue;
+      if (!pages.has(path)) pages.set(path, emptyCounters());
+      pages.get(path)[counter] += Number(n || 0);
+    }
+  }
+  return [...pages.entries()]
+    .map(([path, c]) => ({ path, ...withRates(c) }))
+    .sort((a, b) => b.visits - a.visits || b.session_count - a.session_count)
+    .slice(0, limit);
+}
+
+// { from, to, granularity, days,
+//   totals: { visits, ..., returningPct, avgSessionSeconds, engagedRate },
+//   series: [{ period, start, end, days, visits, ..., returningPct, avgSessionSeconds, engagedRate }],
+//   topPages: [{ path, visits, ..., returningPct, avgSessionSeconds, engagedRate }] }
+// Weeks start on Monday; the first and last period are clipped to the range.
+async function getRange({ from, to, granularity = "day", limit = DEFAULT_TOP_PAGES }) {
+  const days = daysBetween(from, to);
+  const loaded = await loadDays(days);
+
+  const totals = emptyCounters();
+  const periods = new Map();
+  for (const { day, counters } of loaded) {
+    addInto(totals, counters);
+    const period = periodOf(day, granularity);
+    if (!periods.has(period)) periods.set(period, { period, start: day, end: day, days: 0, ...emptyCounters() });
+    const p = periods.get(period);
+    p.end = day;
+    p.days++;
+    addInto(p, counters);
+  }
+
+  return {
+    from,
+    to,
+    granularity,
+    days: days.length,
+    totals: withRates(totals),
+    series: [...periods.values()].map(withRates),
+    topPages: topPages(loaded, limit),
+  };
+}
+
+module.exports = {
+  parseRange,
+  getRange,
+};
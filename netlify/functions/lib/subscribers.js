@@ -0,0 +1,117 @@
+// netlify/functions/lib/subscribers.js
+//
+// Subscriber lists + MI member ids, shared by subscribe.js, lead-capture.js and
+// confirm-subscription.js. Signups with a referral code are attributed via lib/referrals.js:
+// parked as pending at signup, counted once the address is confirmed.
+// Suppressed addresses (hard bounce / complaint, lib/email-suppression.js) are never put
+// back on a list, and get no MI id or referral.
+//
+// Keys:
+//   email:subscribers          daily / weekly / week-ahead newsletters
+//   email:subscribers-App      App waitlist
+//   email:id:{email}           -> MI0000001
+//   id:email:{MI0000001}       -> email
+//   user:id:counter            INCR for new ids
+
+const upstash = require("./upstash");
+const emailPrefs = require("./email-preferences");
+const referrals = require("./referrals");
+const suppression = require("./email-suppression");
+
+const SUBSCRIBERS_KEY = "email:subscribers";
+const SUBSCRIBERS_APP_KEY = "email:subscribers-App";
+
+function fmtId(n) {
+  return `MI${String(n).padStart(7, "0")}`;
+}
+
+// Ensure an MI id exists for this email and return it.
+// - If the email already has an ID, re-use it.
+// - Else allocate the next sequential ID using INCR and claim it with SETNX,
+//   so two concurrent signups for the same email end up with one canonical id.
+async function ensureMemberId(email) {
+  const existing = await upstash.get(`email:id:${email}`);
+  if (existing) return existing;
+
+  const n = Number(await upstash.incr("user:id:counter"));
+  if (!n) return null;
+  const newId = fmtId(n);
+
+  const claimed = await upstash.command(["SETNX", `email:id:${email}`, newId]);
+  if (Number(claimed) === 1) {
+    try {
+      await upstash.set(`id:email:${newId}`, email);
+    } catch (err) {
+      // Not fatal, but good to log
+      console.warn("ensureMemberId: SET reverse failed", err && err.message);
+    }
+    return newId;
+  }
+
+  // Another request beat us; return the canonical id.
+  return (await upstash.get(`email:id:${email}`)) || null;
+}
+
+// Adds the address to the live lists, mints/reuses its MI id and writes initial
+// preferences. `lists` = { daily, app }; `ref` = the referral code it arrived with, if any;
+// `confirmed` = the address has been confirmed (lib/email-optin.js), so the referral counts
+// now rather than staying pending.
+// Throws if the list writes fail; the id, preferences and referral are best-effort.
+// Returns { id, referral }: the MI id (or null, always for a suppressed address) and the
+// lib/referrals.js result for `ref` (or null). referral.status "pending" = this signup
+// parked a new referral that the subscriber still has to confirm.
+async function activateSubscriber(email, { lists, source, dailyUpdates, ref, confirmed }) {
+  if (await suppression.isSuppressed(email)) {
+    console.warn("activateSubscriber: address is suppressed, not adding to lists");
+    return { id: null, referral: null };
+  }
+
+  const commands = [];
+  if (lists.daily) commands.push(["SADD", SUBSCRIBERS_KEY, email]);
+  if (lists.app) commands.push(["SADD", SUBSCRIBERS_APP_KEY, email]);
+  if (commands.length) {
+    const results = await upstash.pipeline(commands);
+    const failed = results.find((r) => r && r.error);
+    if (failed) throw new Error(`Failed to save subscription: ${failed.error}`);
+  }
+
+  let id = null;
+  let isNew = false;
+  try {
+    isNew = !(await upstash.get(`email:id:${email}`));
+    id = await ensureMemberId(email);
+  } catch (err) {
+    console.warn("activateSubscriber: ensureMemberId failed", err && err.message);
+  }
+
+  if (id) {
+    try {
+      await emailPrefs.writeInitialPreferences(
+        id,
+        emailPrefs.initialPreferences(source, { dailyUpdates }),
+        { source: source || "website" }
+      );
+    } catch (err) {
+      console.warn("activateSubscriber: failed to write initial preferences", err && err.message);
+    }
+  }
+
+  let referral = null;
+  if (id && ref) {
+    try {
+      referral = await referrals.attribute({ code: ref, refereeUid: id, email, isNew, source });
+      if (confirmed) referral = await referrals.confirmReferral(id);
+    } catch (err) {
+      console.warn("activateSubscriber: referral attribution failed", err && err.message);
+    }
+  }
+
+  return { id, referral };
+}
+
+module.exports = {
+  SUBSCRIBERS_KEY,
+  SUBSCRIBERS_APP_KEY,
+  ensureMemberId,
+  activateSubscriber,
+};
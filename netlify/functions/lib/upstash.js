@@ -0,0 +1,400 @@
+// netlify/functions/lib/upstash.js
+//
+// Shared Upstash REST client for all Netlify functions.
+//
+// Every command is sent as a JSON body (POST <url> ["SET", key, value]) rather than
+// packed into the URL path, so large values no longer hit 414/431 limits.
+//
+// - Timeout on every request (default 8s, override per call with { timeout })
+// - Opt-in retries on network errors, 429 and 5xx with exponential backoff ({ retries }),
+//   honoured only for read-only commands / pipelines. A write whose response was lost may
+//   already have been applied, and replaying INCR / HINCRBY / SETNX / SADD would count it
+//   twice, so writes are sent once unless the caller also passes { idempotent: true }.
+//   Keep retries * timeout inside the function's time limit.
+// - JSON codec: getJson() tolerates values that were double-encoded by older writers
+// - Manifest + parts pattern for values too large for a single key
+//   (same shape merge-asx-universe has always written):
+//      <key>            -> { fallback: true, parts: ["<key>:part:0", ...], partCount, count, ... }
+//      <key>:part:<n>   -> { generatedAt, partStart, length, items: [...] }
+//
+// Requires:
+//   UPSTASH_REDIS_REST_URL
+//   UPSTASH_REDIS_REST_TOKEN
+//
+// Errors are thrown; callers that want best-effort reads should .catch() locally.
+
+const fetch = (...args) => global.fetch(...args);
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const RETRY_BASE_DELAY_MS = 250;
+
+// Commands that only read, so sending one twice can't change anything.
+const READ_COMMANDS = new Set([
+  "GET", "MGET", "EXISTS", "TTL", "PTTL", "TYPE", "STRLEN",
+  "HGET", "HMGET", "HGETALL", "HKEYS", "HVALS", "HLEN", "HEXISTS", "HSCAN",
+  "SMEMBERS", "SISMEMBER", "SMISMEMBER", "SCARD", "SSCAN",
+  "ZRANGE", "ZREVRANGE", "ZRANGEBYSCORE", "ZREVRANGEBYSCORE", "ZSCORE", "ZCARD", "ZCOUNT",
+  "ZRANK", "ZREVRANK", "ZSCAN",
+  "LRANGE", "LLEN", "LINDEX",
+  "SCAN",
+]);
+
+function getConfig() {
+  return {
+    url: process.env.UPSTASH_REDIS_REST_URL || null,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN || null,
+  };
+}
+
+function isConfigured() {
+  const { url, token } = getConfig();
+  return !!(url && token);
+}
+
+async function fetchWithTimeout(url, opts = {}, timeout = DEFAULT_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  try {
+    const res = await fetch(url, { ...opts, signal: controller.signal });
+    clearTimeout(id);
+    return res;
+  } catch (err) {
+    clearTimeout(id);
+    throw err;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function isReadOnly(commands) {
+  return commands.every((c) => READ_COMMANDS.has(String(c[0]).toUpperCase()));
+}
+
+// How many times a request for `commands` may be retried: opts.retries (default none),
+// and only when every command is a read or the caller vouches it's idempotent.
+function retriesFor(commands, opts) {
+  const n = Number.isInteger(opts.retries) && opts.retries > 0 ? opts.retries : 0;
+  return n && (opts.idempotent || isReadOnly(commands)) ? n : 0;
+}
+
+// POST a JSON body to <url><path>, retrying transient failures `retries` times.
+async function request(path, body, opts = {}, retries = 0) {
+  const { url, token } = getConfig();
+  if (!url || !token) throw new Error("Upstash not configured");
+
+  const timeout = opts.timeout || DEFAULT_TIMEOUT_MS;
+
+  let lastErr = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+
+    let res;
+    try {
+      res = await fetchWithTimeout(
+        `${url}${path}`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify(body),
+        },
+        timeout
+      );
+    } catch (err) {
+      lastErr = err;
+      continue;
+    }
+
+    if (res.ok) return res.json();
+
+    const text = await res.text().catch(() => "");
+    const err = new Error(`Upstash error ${res.status}: ${text.slice(0, 300)}`);
+    err.status = res.status;
+    if (!isRetryableStatus(res.status)) throw err;
+    lastErr = err;
+  }
+
+  throw lastErr || new Error("Upstash request failed");
+}
+
+// ---------------------------
+// Core commands
+// ---------------------------
+
+// Run one command, e.g. command(["INCR", "user:id:counter"]). Returns `result`.
+async function command(args, opts = {}) {
+  const j = await request("", args.map(stringifyArg), opts, retriesFor([args], opts));
+  if (j && j.error) throw new Error(`Upstash ${args[0]} failed: ${j.error}`);
+  return j ? j.result : null;
+}
+
+// Run several commands in one round trip.
+// Returns the raw Upstash array: [{ result }, { error }, ...] in command order.
+async function pipeline(commands, opts = {}) {
+  if (!commands || commands.length === 0) return [];
+  const body = commands.map((c) => c.map(stringifyArg));
+  return request("/pipeline", body, opts, retriesFor(commands, opts));
+}
+
+function stringifyArg(v) {
+  if (typeof v === "string") return v;
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  return JSON.stringify(v);
+}
+
+// ---------------------------
+// Strings
+// ---------------------------
+
+async function get(key, opts) {
+  return command(["GET", key], opts);
+}
+
+// opts.ex = TTL in seconds
+async function set(key, value, opts = {}) {
+  const args = ["SET", key, value];
+  if (opts.ex && Number.isFinite(opts.ex)) args.push("EX", Math.floor(opts.ex));
+  return command(args, opts);
+}
+
+async function setex(key, seconds, value, opts) {
+  return command(["SETEX", key, Math.floor(seconds), value], opts);
+}
+
+async function del(...keys) {
+  if (keys.length === 0) return 0;
+  return command(["DEL", ...keys]);
+}
+
+async function incr(key, opts) {
+  return command(["INCR", key], opts);
+}
+
+async function expire(key, seconds, opts) {
+  return command(["EXPIRE", key, Math.floor(seconds)], opts);
+}
+
+// ---------------------------
+// JSON codec
+// ---------------------------
+
+// Parse a stored value. Some older writers JSON.stringify'd an already-encoded
+// string, so keep unwrapping while we still have a string that parses.
+function decodeJson(raw) {
+  let v = raw;
+  for (let i = 0; i < 3 && typeof v === "string"; i++) {
+    try {
+      v = JSON.parse(v);
+    } catch (_) {
+      return i === 0 ? null : v;
+    }
+  }
+  return v === undefined ? null : v;
+}
+
+async function getJson(key, opts) {
+  const raw = await get(key, opts);
+  if (raw === null || raw === undefined) return null;
+  return decodeJson(raw);
+}
+
+async function setJson(key, value, opts = {}) {
+  return set(key, JSON.stringify(value), opts);
+}
+
+// ---------------------------
+// Sets
+// ---------------------------
+
+async function sadd(key, ...members) {
+  if (members.length === 0) return 0;
+  return command(["SADD", key, ...members]);
+}
+
+async function srem(key, ...members) {
+  if (members.length === 0) return 0;
+  return command(["SREM", key, ...members]);
+}
+
+async function smembers(key, opts) {
+  const r = await command(["SMEMBERS", key], opts);
+  return Array.isArray(r) ? r : [];
+}
+
+async function sismember(key, member, opts) {
+  return (await command(["SISMEMBER", key, member], opts)) === 1;
+}
+
+async function scard(key, opts) {
+  return Number(await command(["SCARD", key], opts)) || 0;
+}
+
+// ---------------------------
+// Hashes
+// ---------------------------
+
+async function hget(key, field, opts) {
+  return command(["HGET", key, field], opts);
+}
+
+// hset(key, { field: value, ... })
+async function hset(key, fields, opts) {
+  const flat = [];
+  for (const [f, v] of Object.entries(fields || {})) flat.push(f, v);
+  if (flat.length === 0) return 0;
+  return command(["HSET", key, ...flat], opts);
+}
+
+async function hincrby(key, field, by = 1, opts) {
+  return command(["HINCRBY", key, field, by], opts);
+}
+
+// Upstash returns HGETALL as a flat [field, value, field, value, ...] array.
+function hashFromFlat(arr) {
+  const out = {};
+  if (!Array.isArray(arr)) return out;
+  for (let i = 0; i + 1 < arr.length; i += 2) out[arr[i]] = arr[i + 1];
+  return out;
+}
+
+async function hgetall(key, opts) {
+  return hashFromFlat(await command(["HGETALL", key], opts));
+}
+
+// ---------------------------
+// SCAN
+// ---------------------------
+
+async function scanAll(matchPattern, count = 1000, opts) {
+  let cursor = "0";
+  const keys = [];
+
+  do {
+    const result = await command(
+      ["SCAN", cursor, "MATCH", matchPattern, "COUNT", count],
+      opts
+    );
+    if (!Array.isArray(result) || result.length < 2) {
+      throw new Error("Upstash SCAN returned unexpected shape");
+    }
+    cursor = String(result[0]);
+    if (Array.isArray(result[1])) keys.push(...result[1]);
+  } while (cursor !== "0");
+
+  return keys;
+}
+
+// ---------------------------
+// Manifest + parts (large values)
+// ---------------------------
+
+function isPartsManifest(v) {
+  return !!(
+    v &&
+    !Array.isArray(v) &&
+    !Array.isArray(v.items) &&
+    (Array.isArray(v.parts) || Array.isArray(v.partKeys))
+  );
+}
+
+// Write { items, ...meta } as part keys plus a manifest at `baseKey`.
+async function setLargeJson(baseKey, merged, opts = {}) {
+  const chunkSize = opts.chunkSize || 500;
+  const items = merged.items || [];
+  const partKeys = [];
+
+  for (let i = 0; i < items.length; i += chunkSize) {
+    const chunk = items.slice(i, i + chunkSize);
+    const partKey = `${baseKey}:part:${i}`;
+    await setJson(
+      partKey,
+      {
+        generatedAt: merged.generatedAt,
+        partStart: i,
+        length: chunk.length,
+        items: chunk,
+      },
+      opts
+    );
+    partKeys.push(partKey);
+  }
+
+  const manifest = {
+    generatedAt: merged.generatedAt,
+    universeTotal: merged.universeTotal,
+    fallback: true,
+    partCount: partKeys.length,
+    parts: partKeys,
+    count: items.length,
+  };
+
+  await setJson(baseKey, manifest, opts);
+  return manifest;
+}
+
+// Read a key that may hold either the full object or a parts manifest.
+// Missing or unreadable parts are skipped (logged), matching the screener's old behaviour.
+async function getLargeJson(baseKey, opts) {
+  const parsed = await getJson(baseKey, opts);
+  if (!isPartsManifest(parsed)) return parsed;
+
+  const partKeys = parsed.parts || parsed.partKeys;
+  const items = [];
+
+  for (const pk of partKeys) {
+    try {
+      const p = await getJson(pk, opts);
+      if (p && Array.isArray(p.items)) items.push(...p.items);
+      else if (Array.isArray(p)) items.push(...p);
+    } catch (e) {
+      console.warn("upstash: failed to fetch part", pk, e && e.message);
+    }
+  }
+
+  if (items.length === 0) return null;
+
+  return {
+    generatedAt: parsed.generatedAt || new Date().toISOString(),
+    universeTotal: parsed.universeTotal || items.length,
+    count: items.length,
+    items,
+  };
+}
+
+module.exports = {
+  isConfigured,
+  fetchWithTimeout,
+  command,
+  pipeline,
+  get,
+  set,
+  setex,
+  del,
+  incr,
+  expire,
+  decodeJson,
+  getJson,
+  setJson,
+  sadd,
+  srem,
+  smembers,
+  sismember,
+  scard,
+  hget,
+  hset,
+  hincrby,
+  hgetall,
+  hashFromFlat,
+  scanAll,
+  isPartsManifest,
+  setLargeJson,
+  getLargeJson,
+};
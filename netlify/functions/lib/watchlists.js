@@ -0,0 +1,262 @@
+// netlify/functions/lib/watchlists.js
+//
+// Saved stock watchlists per member (MI id, see lib/member-auth.js for sign-in), used by
+// watchlists.js.
+//
+// Keys:
+//   watchlists:{MI0000001}  -> JSON { updatedAt, lists: [watchlist, ...] } in display order
+//   watchlists:members      -> set of MI ids with at least one saved code (personalised emails)
+//   watchlists:lock:{MI0000001} -> lib/locks.js lock held for each edit
+//
+// watchlist: { id, name, codes: ["CBA", ...] (display order), createdAt, updatedAt }
+//
+// Edits are read-modify-write on the one key, under the member's lock so two tabs or devices
+// editing at once can't overwrite each other.
+
+const crypto = require("crypto");
+const upstash = require("./upstash");
+const locks = require("./locks");
+
+const PREFIX = "watchlists:";
+const MEMBERS_KEY = `${PREFIX}members`;
+const LOCK_PREFIX = `${PREFIX}lock:`;
+const DEFAULT_NAME = "My watchlist";
+const MAX_LISTS = 20;
+const MAX_CODES = 200;
+const MAX_NAME_LENGTH = 40;
+const CODE_RE = /^[A-Z0-9]{1,6}$/;
+
+function listsKey(uid) {
+  return `${PREFIX}${uid}`;
+}
+
+function badRequest(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanName(name) {
+  const s = String(name || "").replace(/\s+/g, " ").trim();
+  if (!s) throw badRequest("name is required");
+  return s.slice(0, MAX_NAME_LENGTH);
+}
+
+// "cba", "CBA.AX", ["BHP", "rio"] -> unique valid codes, input order kept.
+function cleanCodes(codes) {
+  const out = [];
+  for (const c of [].concat(codes || [])) {
+    const code = String(c || "")
+      .trim()
+      .toUpperCase()
+      .replace(/\.(AX|AU|ASX)$/, "");
+    if (!CODE_RE.test(code)) throw badRequest(`Invalid code: ${String(c).slice(0, 12)}`);
+    if (!out.includes(code)) out.push(code);
+  }
+  if (!out.length) throw badRequest("codes are required");
+  return out;
+}
+
+async function load(uid) {
+  const rec = await upstash.getJson(listsKey(uid));
+  return rec && Array.isArray(rec.lists) ? rec : { updatedAt: null, lists: [] };
+}
+
+async function save(uid, rec) {
+  rec.updatedAt = new Date().toISOString();
+  const hasCodes = rec.lists.some((l) => l.codes.length);
+  await upstash.pipeline([
+    ["SET", listsKey(uid), JSON.stringify(rec)],
+    [hasCodes ? "SADD" : "SREM", MEMBERS_KEY, uid],
+  ]);
+  return rec.lists;
+}
+
+// Loads the member's lists, applies fn(rec) (which may throw) and saves, all under the
+// member's write lock (lib/locks.js). Throws 409 when another edit holds it for too long.
+function update(uid, fn) {
+  return locks.withLock(
+    `${LOCK_PREFIX}${uid}`,
+    async () => {
+      const rec = await load(uid);
+      fn(rec);
+      return save(uid, rec);
+    },
+    { message: "Your watchlists are being updated, try again in a moment" }
+  );
+}
+
+function findList(rec, id) {
+  const list = rec.lists.find((l) => l.id === id);
+  if (!list) throw badRequest("Watchlist not found", 404);
+  return list;
+}
+
+function newList(name) {
+  const now = new Date().toISOString();
+  return { id: crypto.randomBytes(4).toString("hex"), name, codes: [], createdAt: now, updatedAt: now };
+}
+
+function touch(list) {
+  list.updatedAt = new Date().toISOString();
+}
+
+// ---------------------------
+// Read
+// ---------------------------
+
+async function getWatchlists(uid) {
+  return (await load(uid)).lists;
+}
+
+// Map MI id -> saved codes (every list, display order, no repeats) for all members with any.
+async function codesByMember() {
+  const uids = (await upstash.smembers(MEMBERS_KEY)) || [];
+  const out = new Map();
+  for (let i = 0; i < uids.length; i += 100) {
+    const chunk = uids.slice(i, i + 100);
+    const raws = await upstash.command(["MGET", ...chunk.map(listsKey)]);
+    chunk.forEach((uid, j) => {
+      const rec = raws && raws[j] ? upstash.decodeJson(raws[j]) : null;
+      const codes = [...new Set(((rec && rec.lists) || []).flatMap((l) => l.codes || []))];
+      if (codes.length) out.set(uid, codes);
+    });
+  }
+  return out;
+}
+
+// ---------------------------
+// Write (each returns the member's lists after the change)
+// ---------------------------
+
+async function createList(uid, name) {
+  const clean = cleanName(name);
+  return update(uid, (rec) => {
+    if (rec.lists.length >= MAX_LISTS) throw badRequest(`At most ${MAX_LISTS} watchlists`);
+    rec.lists.push(newList(clean));
+  });
+}
+
+async function renameList(uid, id, name) {
+  const clean = cleanName(name);
+  return update(uid, (rec) => {
+    const list = findList(rec, id);
+    list.name = clean;
+    touch(list);
+  });
+}
+
+async function deleteList(uid, id) {
+  return update(uid, (rec) => {
+    findList(rec, id);
+    rec.lists = rec.lists.filter((l) => l.id !== id);
+  });
+}
+
+// Appends codes not already on the list. Without an id the first list is used, created
+// as "My watchlist" if the member has none yet.
+async function addCodes(uid, id, codes) {
+  const wanted = cleanCodes(codes);
+  return update(uid, (rec) => {
+    let list;
+    if (id) {
+      list = findList(rec, id);
+    } else {
+      list = rec.lists[0] || null;
+      if (!list) {
+        list = newList(DEFAULT_NAME);
+        rec.lists.push(list);
+      }
+    }
+
+    const merged = list.codes.concat(wanted.filter((c) => !list.codes.includes(c)));
+    if (merged.length > MAX_CODES) throw badRequest(`At most ${MAX_CODES} codes per watchlist`);
+    list.codes = merged;
+    touch(list);
+  });
+}
+
+async function removeCodes(uid, id, codes) {
+  const gone = cleanCodes(codes);
+  return update(uid, (rec) => {
+    const lists = id ? [findList(rec, id)] : rec.lists;
+    for (const list of lists) {
+      const kept = list.codes.filter((c) => !gone.includes(c));
+      if (kept.length === list.codes.length) continue;
+      list.codes = kept;
+      touch(list);
+    }
+  });
+}
+
+// New display order for a list's codes; must be the same codes, just reordered.
+async function reorderCodes(uid, id, codes) {
+  const order = cleanCodes(codes);
+  return update(uid, (rec) => {
+    const list = findList(rec, id);
+    if (order.length !== list.codes.length || !order.every((c) => list.codes.includes(c))) {
+      throw badRequest("codes must be the watchlist's existing codes in their new order");
+    }
+    list.codes = order;
+    touch(list);
+  });
+}
+
+// New display order for the lists themselves, by id.
+async function reorderLists(uid, ids) {
+  const order = [].concat(ids || []).map(String);
+  return update(uid, (rec) => {
+    if (order.length !== rec.lists.length || !rec.lists.every((l) => order.includes(l.id))) {
+      throw badRequest("listIds must be all of the member's watchlist ids in their new order");
+    }
+    rec.lists.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+  });
+}
+
+// ---------------------------
+// Enrichment
+// ---------------------------
+
+// Adds items [{ code, price, pctChange, date, corporateAction }] from asx:universe:eod:latest;
+// codes missing from the snapshot get nulls.
+async function withPrices(lists) {
+  const latest = await upstash.getJson("asx:universe:eod:latest").catch(() => null);
+  const rows = Array.isArray(latest) ? latest : (latest && latest.rows) || [];
+  const byCode = new Map();
+  for (const r of rows) {
+    if (r && r.code) byCode.set(String(r.code).toUpperCase(), r);
+  }
+
+  let asOf = null;
+  const out = lists.map((list) => ({
+    ...list,
+    items: list.codes.map((code) => {
+      const r = byCode.get(code);
+      if (r && r.date && (!asOf || r.date > asOf)) asOf = r.date;
+      return {
+        code,
+        price: r && typeof r.close === "number" ? r.close : null,
+        pctChange: r && typeof r.pctChange === "number" ? r.pctChange : null,
+        date: (r && r.date) || null,
+        corporateAction: (r && r.corporateAction) || null,
+      };
+    }),
+  }));
+  return { asOf, watchlists: out };
+}
+
+module.exports = {
+  MAX_LISTS,
+  MAX_CODES,
+  cleanCodes,
+  getWatchlists,
+  codesByMember,
+  createList,
+  renameList,
+  deleteList,
+  addCodes,
+  removeCodes,
+  reorderCodes,
+  reorderLists,
+  withPrices,
+};
@@ -0,0 +1,62 @@
+// netlify/functions/llm-usage.js
+// Admin-only: LLM token + cost accounting per feature per day, from lib/llm.js.
+//
+// Usage:
+//  GET /.netlify/functions/llm-usage            -> last 7 Sydney days
+//  GET /.netlify/functions/llm-usage?days=30    -> last 30 days (max 90)
+//
+// Response: { days: { "YYYY-MM-DD": { <feature>: { calls, cacheHits, errors, promptTokens,
+//             completionTokens, costUsd } } }, totals: { <feature>: { ...same } }, totalCostUsd }
+
+const upstash = require("./lib/upstash");
+const llm = require("./lib/llm");
+const calendar = require("./lib/market-calendar");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const MAX_DAYS = 90;
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+// Last n calendar dates (YYYY-MM-DD), newest first, ending today in Sydney.
+function lastNDays(n) {
+  const today = calendar.sydneyDateString();
+  return Array.from({ length: n }, (_, i) => calendar.addDays(today, -i));
+}
+
+exports.handler = async function (event) {
+  const denied = await requireAdmin(event, "llm-usage");
+  if (denied) return denied;
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const qs = event.queryStringParameters || {};
+  const n = Math.min(MAX_DAYS, Math.max(1, parseInt(qs.days, 10) || 7));
+
+  try {
+    const days = await llm.getUsage(lastNDays(n));
+
+    const totals = {};
+    let totalCostUsd = 0;
+    for (const byFeature of Object.values(days)) {
+      for (const [feature, u] of Object.entries(byFeature)) {
+        const t = (totals[feature] ||= { calls: 0, cacheHits: 0, errors: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 });
+        for (const k of Object.keys(t)) t[k] += u[k] || 0;
+        totalCostUsd += u.costUsd || 0;
+      }
+    }
+    for (const t of Object.values(totals)) t.costUsd = Number(t.costUsd.toFixed(6));
+
+    return json(200, { days, totals, totalCostUsd: Number(totalCostUsd.toFixed(6)) });
+  } catch (err) {
+    console.error("llm-usage error", err && err.message);
+    return json(500, { error: "Internal error" });
+  }
+};
@@ -0,0 +1,125 @@
+// netlify/functions/mark-paper-portfolios.js
+//
+// Nightly mark-to-market for paper-trading portfolios (lib/paper-portfolio.js):
+//   1) extends the internal ASX200 level (paper:benchmark) from market-pulse's day snapshots
+//   2) per portfolio: applies splits / consolidations / code changes (lib/corporate-actions.js),
+//      credits dividends that went ex since the last mark (lib/dividends.js), values holdings at
+//      the latest close and appends the day to the equity curve
+//
+// Scheduled after market-pulse (20:12 UTC) so the day's ASX200 move is in (see netlify.toml).
+// Each data date is marked once per portfolio; a run that hits the time budget (or finds a
+// portfolio mid-trade) leaves paper:marked alone and the second run carries on from where it
+// stopped.
+//
+// Manual (admin):
+//   GET /.netlify/functions/mark-paper-portfolios?force=1
+//     re-run a date already finished (portfolios already marked for it are left as they are)
+//
+// Env: UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const paper = require("./lib/paper-portfolio");
+const dividends = require("./lib/dividends");
+const corporateActions = require("./lib/corporate-actions");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const TIME_BUDGET_MS = 20000;
+// Corporate actions older than this are assumed applied already (or to predate the holdings)
+const ACTIONS_LOOKBACK_DAYS = 30;
+
+exports.handler = async function (event) {
+  const start = Date.now();
+  const qs = (event && event.queryStringParameters) || {};
+  const force = qs.force === "1";
+
+  if (force) {
+    const denied = await requireAdmin(event, "mark-paper-portfolios");
+    if (denied) return denied;
+  }
+
+  if (!upstash.isConfigured()) {
+    return { statusCode: 500, body: JSON.stringify({ error: "Missing Upstash env vars" }) };
+  }
+
+  try {
+    const { date, byCode } = await paper.latestPrices();
+    if (!date || !byCode.size) {
+      return { statusCode: 200, body: JSON.stringify({ ok: true, skipped: "no EOD snapshot" }) };
+    }
+
+    const marked = await paper.getMarked();
+    if (!force && marked && marked >= date) {
+      return { statusCode: 200, body: JSON.stringify({ ok: true, skipped: `already marked ${date}` }) };
+    }
+
+    const benchmark = await paper.updateBenchmark(date);
+    const events = await corporateActions.listBetween(calendar.addDays(date, -ACTIONS_LOOKBACK_DAYS), date);
+
+    // One dividend lookup per code across every portfolio
+    const dividendCache = new Map();
+    const dividendsFor = (code) => {
+      if (!dividendCache.has(code)) {
+        dividendCache.set(
+          code,
+          dividends
+            .getDividends(code)
+            .then((rec) => (rec ? rec.items : []))
+            .catch(() => [])
+        );
+      }
+      return dividendCache.get(code);
+    };
+
+    const uids = await paper.memberIds();
+    let markedCount = 0;
+    let dividendCount = 0;
+    let actionCount = 0;
+    const errors = [];
+    let outOfTime = false;
+    // A portfolio locked by a trade (lib/paper-portfolio.js) is left for the next run
+    let busyCount = 0;
+
+    for (const uid of uids) {
+      if (Date.now() - start > TIME_BUDGET_MS) {
+        outOfTime = true;
+        break;
+      }
+      try {
+        const res = await paper.markPortfolio(uid, { date, byCode, events, dividendsFor });
+        if (!res) continue;
+        markedCount++;
+        dividendCount += res.dividends.length;
+        actionCount += res.actions.length;
+      } catch (err) {
+        if (err.status === 409) {
+          busyCount++;
+          continue;
+        }
+        console.error("mark-paper-portfolios: mark failed", uid, err && err.message);
+        errors.push({ uid, error: err.message });
+      }
+    }
+
+    if (!outOfTime && !busyCount) await paper.setMarked(date);
+
+    const body = {
+      ok: true,
+      date,
+      asx200Level: benchmark.length ? benchmark[benchmark.length - 1] : null,
+      portfolios: uids.length,
+      marked: markedCount,
+      dividendsCredited: dividendCount,
+      corporateActionsApplied: actionCount,
+      errors,
+      busy: busyCount,
+      outOfTime,
+      elapsedMs: Date.now() - start,
+    };
+    console.log("mark-paper-portfolios", JSON.stringify(body));
+    return { statusCode: 200, body: JSON.stringify(body) };
+  } catch (err) {
+    console.error("mark-paper-portfolios error", err && err.message);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: err.message }) };
+  }
+};
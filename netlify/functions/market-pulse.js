@@ -8,12 +8,16 @@
 //  - asx:universe:eod:YYYY-MM-DD        (prev trading day lookup, up to 7 days back)
 //  - asx:universe:fundamentals:latest   (ASX200 membership + market cap + sector) ✅ supports ASX200 constituents
 //
+//  - corpactions:* (lib/corporate-actions.js) -> prev close on today's share basis after
+//    splits / consolidations / code changes; affected movers carry corporateAction
+//
 // Writes (Upstash):
 //  - asx:market:pulse:daily                      (latest pointer)
 //  - asx:market:pulse:day:YYYY-MM-DD             (NEW: historical snapshot)
 //  - asx:market:pulse:dates (set of YYYY-MM-DD)  (NEW: date index)
 
 const fetch = (...args) => global.fetch(...args);
+const corporateActions = require("./lib/corporate-actions");
 
 const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
 const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
@@ -265,6 +269,14 @@ exports.handler = async function () {
     
     console.log(`market-pulse: asOfDate=${asOfDate}, prevDateUsed=${prevDateUsed}, prevMapSize=${prevMap.size}`);
     
+    // Corporate actions between the two snapshots (best effort)
+    let actions = corporateActions.indexForComparison([]);
+    try {
+      actions = await corporateActions.loadForComparison(prevDateUsed, asOfDate);
+    } catch (e) {
+      console.warn("market-pulse: corporate actions unavailable", e?.message || e);
+    }
+
     // Warn if we couldn't find previous day data (this would cause all metrics to be zero/null)
     if (prevMap.size === 0) {
       console.warn(`market-pulse WARNING: No previous day data found for asOfDate=${asOfDate}. Market pulse calculations will be incomplete.`);
@@ -292,7 +304,7 @@ exports.handler = async function () {
       const last = num(r.last ?? r.close ?? r.price ?? r.lastClose ?? r.last_price);
       if (last == null) continue;
 
-      const prev = prevMap.get(code);
+      const { prevClose: prev, action } = corporateActions.adjustedPrevClose(code, prevMap, actions);
       const pct = prev != null ? safePctChange(last, prev) : null;
 
       if (pct != null) {
@@ -339,6 +351,7 @@ exports.handler = async function () {
           code,
           name: String(r.name ?? f?.name ?? "").trim(),
           pct,
+          ...(action ? { corporateAction: action } : {}),
         });
       }
     }
@@ -382,6 +395,11 @@ exports.handler = async function () {
 
       topGainers,
       topLosers,
+
+      // Codes whose move was measured across a split / consolidation / code change
+      corporateActions: movers
+        .filter((m) => m.corporateAction)
+        .map((m) => ({ code: m.code, ...m.corporateAction })),
     };
 
     // ✅ Existing: latest pointer
@@ -1,7 +1,7 @@
+import llm from "./lib/llm.js";
+
 export async function handler(event) {
   try {
-    const API_KEY = process.env.OPENAI_API_KEY;
-
     const body = JSON.parse(event.body);
 
     const prompt = `
@@ -17,25 +17,13 @@ Away: ${body.away} (${body.awayScore})
 Status: ${body.status}
 `;
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${API_KEY}`
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
-        max_tokens: 60,
-        temperature: 0.8
-      })
+    const { text } = await llm.complete("sports-summary", {
+      messages: [{ role: "user", content: prompt }]
     });
 
-    const data = await response.json();
-
     return {
       statusCode: 200,
-      body: JSON.stringify({ summary: data.choices[0].message.content })
+      body: JSON.stringify({ summary: text })
     };
 
   } catch (error) {
@@ -2,44 +2,74 @@
 //
 // READ-ONLY VERSION
 // This function no longer generates any content.
-// It only returns the note generated by the scheduled function:
+// It only returns notes generated by the scheduled function:
 //   generate-morning-note.js
 //
-// Key read:
-//   matesMorningNote:au:YYYY-MM-DD
+// Usage:
+//   GET /.netlify/functions/matesMorningNote
+//     -> today's note (friendly placeholder if it hasn't been generated yet)
+//   GET /.netlify/functions/matesMorningNote?date=2026-03-10
+//     -> that day's note (404 if none)
+//   GET /.netlify/functions/matesMorningNote?from=2026-03-01&to=2026-03-31&limit=31
+//     -> { region, from, to, notes: [{ date, note, sentences?, sources?, generatedAt }, ...] } newest first
+//        (either bound optional; limit default 60, max 366)
 //
-// If missing, returns a friendly placeholder.
+// Optional: ?region=au (default)
+//
+// Keys read (permanent archive, see lib/morning-notes.js):
+//   matesMorningNote:{region}:YYYY-MM-DD
+//   matesMorningNote:index:{region}
 
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+const { sydneyDateString } = require("./lib/market-calendar");
+const morningNotes = require("./lib/morning-notes");
 
-// -------------------------------
-// Redis getter
-// -------------------------------
-async function redisGet(key) {
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) return null;
-  const res = await fetch(`${UPSTASH_URL}/get/${encodeURIComponent(key)}`, {
-    headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` }
-  });
-  if (!res.ok) return null;
-  const data = await res.json().catch(() => null);
-  return data && typeof data.result === "string" ? data.result : null;
+const DEFAULT_LIMIT = 60;
+const MAX_LIMIT = 366;
+
+function json(statusCode, body, cacheControl = "no-store") {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": cacheControl },
+    body: JSON.stringify(body)
+  };
+}
+
+// Archive entries don't need the generator's debug block. sentences/sources (citations)
+// are only present on notes generated since grounding was added.
+function publicNote(n) {
+  return {
+    date: n.date,
+    region: n.region,
+    note: n.note,
+    ...(Array.isArray(n.sentences) ? { sentences: n.sentences, sources: n.sources || {} } : {}),
+    generatedAt: n.generatedAt || null
+  };
 }
 
 // -------------------------------
-// Helpers
+// Archive reads (?date= / ?from=&to=)
 // -------------------------------
+async function readDate(region, date) {
+  const note = await morningNotes.getNote(region, date);
+  if (!note) {
+    return json(404, { region, date, note: null, error: "No morning note for that date" });
+  }
+  return json(200, publicNote(note), "public, max-age=300");
+}
+
+async function readRange(region, qs) {
+  const from = qs.from || null;
+  const to = qs.to || null;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(qs.limit, 10) || DEFAULT_LIMIT));
 
-// YYYY-MM-DD in Australia/Sydney
-function getAussieDateString() {
-  const now = new Date();
-  const aussie = new Date(
-    now.toLocaleString("en-US", { timeZone: "Australia/Sydney" })
+  const dates = await morningNotes.listDates(region, { from, to, limit });
+  const notes = await morningNotes.getNotes(region, dates);
+
+  return json(
+    200,
+    { region, from, to, count: notes.length, notes: notes.map(publicNote) },
+    "public, max-age=300"
   );
-  const y = aussie.getFullYear();
-  const m = String(aussie.getMonth() + 1).padStart(2, "0");
-  const d = String(aussie.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
 }
 
 // -------------------------------
@@ -47,24 +77,30 @@ function getAussieDateString() {
 // -------------------------------
 exports.handler = async function (event) {
   try {
-    const region =
-      (event.queryStringParameters && event.queryStringParameters.region) || "au";
+    const qs = (event && event.queryStringParameters) || {};
+    const region = qs.region || "au";
+
+    for (const param of ["date", "from", "to"]) {
+      if (qs[param] && !morningNotes.isYmd(qs[param])) {
+        return json(400, { error: `Invalid ?${param}= (expected YYYY-MM-DD)` });
+      }
+    }
 
-    const todayAEST = getAussieDateString();
-    const cacheKey = `matesMorningNote:${region}:${todayAEST}`;
+    if (qs.date) return await readDate(region, qs.date);
+    if (qs.from || qs.to) return await readRange(region, qs);
 
-    const cached = await redisGet(cacheKey);
+    const todayAEST = sydneyDateString();
+    const cached = await morningNotes.getNote(region, todayAEST);
 
     if (cached) {
-      // Cached payload is already a JSON string
       return {
         statusCode: 200,
         headers: { "Content-Type": "application/json" },
-        body: cached
+        body: JSON.stringify(cached)
       };
     }
 
-    // If cache missing (scheduled function hasn’t run or failed)
+    // If note missing (scheduled function hasn’t run or failed)
     return {
       statusCode: 200,
       headers: { "Content-Type": "application/json" },
@@ -74,7 +110,7 @@ exports.handler = async function (event) {
         generatedAt: null,
         _debug: {
           missingCache: true,
-          cacheKey,
+          cacheKey: morningNotes.noteKey(region, todayAEST),
           message:
             "Scheduled function generate-morning-note has not yet written today's note."
         }
@@ -1,4 +1,20 @@
 // netlify/functions/matesSummary.js
+//
+// POST { text, headline?, sourceType? } -> { tldrBullets, whatsHappening, whyItMatters,
+// riskNote, disclaimer }. Generated through lib/llm.js ("news-summary"), which caches
+// identical articles and filters personal-advice language out of every field.
+
+const llm = require("./lib/llm");
+
+function emptySummary() {
+  return {
+    tldrBullets: [],
+    whatsHappening: "",
+    whyItMatters: "",
+    riskNote: "",
+    disclaimer: llm.GENERAL_ADVICE_DISCLAIMER
+  };
+}
 
 exports.handler = async (event) => {
   try {
@@ -6,12 +22,6 @@ exports.handler = async (event) => {
       return { statusCode: 405, body: "Method Not Allowed" };
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      console.error("Missing OPENAI_API_KEY");
-      return { statusCode: 500, body: "Missing OPENAI_API_KEY" };
-    }
-
     let body;
     try {
       body = JSON.parse(event.body || "{}");
@@ -63,56 +73,30 @@ Article / announcement text (may be truncated):
 """${text.slice(0, 8000)}"""
     `.trim();
 
-    const res = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini",
+    let summary;
+    try {
+      const completion = await llm.completeJson("news-summary", {
         messages: [
           { role: "system", content: "You respond only with strict JSON. No extra commentary." },
           { role: "user", content: prompt }
-        ],
-        temperature: 0.4,
-        max_tokens: 450
-      })
-    });
-
-    if (!res.ok) {
-      const textErr = await res.text();
-      console.error("OpenAI error:", textErr);
+        ]
+      });
+      summary = completion.json || {};
+    } catch (err) {
+      console.error("LLM error:", err && err.message);
       return {
         statusCode: 200,
-        body: JSON.stringify({
-          tldrBullets: [],
-          whatsHappening: "",
-          whyItMatters: "",
-          riskNote: "",
-          disclaimer: "General information only, not financial advice."
-        })
+        body: JSON.stringify(emptySummary())
       };
     }
 
-    const data = await res.json();
-    const content = data.choices?.[0]?.message?.content || "{}";
-
-    let summary;
-    try {
-      summary = JSON.parse(content);
-    } catch (e) {
-      console.error("JSON parse error from OpenAI. Raw content:", content);
-      summary = {};
-    }
-
     // Normalise so the frontend never explodes
     const normalised = {
       tldrBullets: Array.isArray(summary.tldrBullets) ? summary.tldrBullets : [],
       whatsHappening: summary.whatsHappening || "",
       whyItMatters: summary.whyItMatters || "",
       riskNote: summary.riskNote || "",
-      disclaimer: summary.disclaimer || "General information only, not financial advice."
+      disclaimer: summary.disclaimer || llm.GENERAL_ADVICE_DISCLAIMER
     };
 
     return {
@@ -123,13 +107,7 @@ Article / announcement text (may be truncated):
     console.error("matesSummary error:", err);
     return {
       statusCode: 200,
-      body: JSON.stringify({
-        tldrBullets: [],
-        whatsHappening: "",
-        whyItMatters: "",
-        riskNote: "",
-        disclaimer: "General information only, not financial advice."
-      })
+      body: JSON.stringify(emptySummary())
     };
   }
 };
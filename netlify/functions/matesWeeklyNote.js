@@ -1,21 +1,11 @@
 // netlify/functions/matesWeeklyNote.js
 // Generates a plain-English weekly wrap for the ASX + key commodities.
 
-const fetch = (...args) => global.fetch(...args);
+// Model via lib/llm.js ("weekly-note"; LLM_MODEL_WEEKLY_NOTE or OPENAI_MODEL override).
 
-exports.handler = async function (event) {
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-  const OPENAI_MODEL =
-    process.env.OPENAI_MODEL || "gpt-4.1-mini"; // or whatever you're using elsewhere
-
-  if (!OPENAI_API_KEY) {
-    console.error("OPENAI_API_KEY missing");
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: "OpenAI not configured" }),
-    };
-  }
+const llm = require("./lib/llm");
 
+exports.handler = async function (event) {
   let aggregates;
   try {
     const body = event && event.body ? JSON.parse(event.body) : {};
@@ -93,41 +83,22 @@ const userMessage = {
 
 
   try {
-    const aiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: OPENAI_MODEL,
-        temperature: 0.6,
-        max_tokens: 450,
+    let note = "";
+    try {
+      const completion = await llm.complete("weekly-note", {
         messages: [systemMessage, userMessage],
-      }),
-    });
-
-    if (!aiRes.ok) {
-      const txt = await aiRes.text().catch(() => "");
-      console.error("OpenAI weekly note error:", aiRes.status, txt);
+      });
+      note = completion.text;
+    } catch (err) {
+      console.error("LLM weekly note error:", err.status || "", err && err.message);
       return {
         statusCode: 500,
         body: JSON.stringify({ error: "Failed to generate weekly note" }),
       };
     }
 
-    const data = await aiRes.json().catch(() => null);
-    const note =
-      (data &&
-        data.choices &&
-        data.choices[0] &&
-        data.choices[0].message &&
-        data.choices[0].message.content &&
-        data.choices[0].message.content.trim()) ||
-      "";
-
     if (!note) {
-      console.warn("OpenAI weekly note returned empty content");
+      console.warn("LLM weekly note returned empty content");
       return {
         statusCode: 200,
         body: JSON.stringify({
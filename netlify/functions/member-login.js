@@ -0,0 +1,165 @@
+// netlify/functions/member-login.js
+// Passwordless sign-in for members (see lib/member-auth.js).
+//
+// Usage:
+//  POST /.netlify/functions/member-login
+//    { "email": "user@example.com", "next": "/stocks/CBA.html" }
+//    -> { ok: true } whether or not the address is a member (no account probing);
+//       members get an emailed sign-in link
+//
+//  GET  /.netlify/functions/member-login?uid=MI0000001&exp=<unix>&sig=<hmac>&next=/path
+//    (the emailed link) -> page that stores a session token in localStorage
+//    ("mates_member_session_v1") and sends the browser on to `next`.
+//    The token only reaches whoever opens the link, so mail scanners that pre-fetch it
+//    don't sign anyone else in; the link itself expires after 30 minutes.
+
+const upstash = require("./lib/upstash");
+const memberAuth = require("./lib/member-auth");
+
+const SESSION_STORAGE_KEY = "mates_member_session_v1";
+
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+};
+
+function json(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+function escapeHtml(text) {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+function renderPage(statusCode, title, inner, script = "") {
+  return {
+    statusCode,
+    headers: { "Content-Type": "text/html", "Cache-Control": "no-store" },
+    body: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta name="robots" content="noindex">
+        <title>${escapeHtml(title)} - MatesInvest</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 600px;
+            margin: 50px auto;
+            padding: 20px;
+            background-color: #f5f7fb;
+          }
+          .container {
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+            text-align: center;
+          }
+          h1 { color: #002040; margin-top: 0; font-size: 26px; }
+          p { color: #64748b; line-height: 1.6; }
+          .error { color: #dc2626; }
+          a { color: #3b82f6; text-decoration: none; }
+          a:hover { text-decoration: underline; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          ${inner}
+        </div>
+        ${script}
+      </body>
+      </html>
+    `,
+  };
+}
+
+function signedInPage(uid, next) {
+  const session = { ...memberAuth.issueSession(uid), uid };
+  // JSON in a <script>: escape "<" so nothing in it can close the tag
+  const payload = JSON.stringify({ key: SESSION_STORAGE_KEY, session, next }).replace(/</g, "\\u003c");
+  return renderPage(
+    200,
+    "Signed in",
+    `<h1>You're signed in</h1><p>Taking you back… <a href="${escapeHtml(next)}">continue</a></p>`,
+    `<script>
+      (() => {
+        const p = ${payload};
+        try { localStorage.setItem(p.key, JSON.stringify(p.session)); } catch (e) {}
+        location.replace(p.next);
+      })();
+    </script>`
+  );
+}
+
+async function handleRequest(event) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return json(400, { error: "Invalid JSON" });
+  }
+
+  const email = String((body && body.email) || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return json(400, { error: "A valid email is required" });
+  }
+
+  try {
+    const { status } = await memberAuth.requestLogin(email, body.next);
+    console.log("member-login: request", status);
+    return json(200, { ok: true });
+  } catch (err) {
+    console.error("member-login error", err && err.message);
+    return json(500, { error: "Couldn't send a sign-in link right now" });
+  }
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      },
+      body: "",
+    };
+  }
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  if (event.httpMethod === "POST") return handleRequest(event);
+  if (event.httpMethod !== "GET") return json(405, { error: "Method Not Allowed" });
+
+  const link = memberAuth.verifyLoginLink(event.queryStringParameters || {});
+  if (!link.ok) {
+    return link.reason === "expired"
+      ? renderPage(
+          410,
+          "Link Expired",
+          `<h1>This link has expired</h1><p>Sign-in links only last 30 minutes. Head back to the site and ask for a fresh one.</p>`
+        )
+      : renderPage(
+          400,
+          "Invalid Link",
+          `<h1>Invalid link</h1><p class="error">This sign-in link is invalid. Please use the link from your email.</p>`
+        );
+  }
+
+  console.log("member-login: signed in", link.uid);
+  return signedInPage(link.uid, link.next);
+};
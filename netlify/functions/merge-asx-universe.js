@@ -18,12 +18,9 @@
 
 const fs = require("fs");
 const path = require("path");
-const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
 
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-
-if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+if (!upstash.isConfigured()) {
   const errMsg = "Please set UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN";
   if (require.main === module) {
     console.error(errMsg);
@@ -53,101 +50,6 @@ function readUniverseSync() {
   );
 }
 
-async function redisGet(key) {
-  const url = `${UPSTASH_URL}/get/${encodeURIComponent(key)}`;
-  const res = await fetch(url, {
-    headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-  });
-  if (!res.ok) throw new Error(`Upstash GET failed ${res.status}`);
-  const j = await res.json();
-  return j.result || null;
-}
-
-// Write helper - uses REST set path (value in path). On very large payload this can fail with 431.
-async function redisSet(key, value) {
-  const payload = typeof value === "string" ? value : JSON.stringify(value);
-  const url = `${UPSTASH_URL}/set/${encodeURIComponent(key)}/${encodeURIComponent(
-    payload
-  )}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-  });
-  if (!res.ok) throw new Error(`Upstash SET failed ${res.status}`);
-  return true;
-}
-
-// SCAN helper (batch-size independent discovery of part keys).
-async function redisScanAllKeys(matchPattern, count = 1000) {
-  // Upstash REST typically supports /scan/<cursor>?match=...&count=...
-  // We'll try a conservative approach.
-  let cursor = "0";
-  const keys = [];
-
-  while (true) {
-    const url = `${UPSTASH_URL}/scan/${cursor}?match=${encodeURIComponent(
-      matchPattern
-    )}&count=${encodeURIComponent(String(count))}`;
-
-    const res = await fetch(url, {
-      headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-    });
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      throw new Error(`Upstash SCAN failed ${res.status}: ${txt.slice(0, 200)}`);
-    }
-
-    const j = await res.json();
-    // Upstash commonly returns { result: [nextCursor, [keys...]] }
-    const result = j && j.result;
-    if (!result || !Array.isArray(result) || result.length < 2) {
-      throw new Error("Upstash SCAN returned unexpected shape");
-    }
-
-    const nextCursor = String(result[0]);
-    const batchKeys = Array.isArray(result[1]) ? result[1] : [];
-    for (const k of batchKeys) keys.push(k);
-
-    if (nextCursor === "0") break;
-    cursor = nextCursor;
-  }
-
-  return keys;
-}
-
-// Fallback helper to write multiple part keys and a manifest to latest.
-async function writeLatestAsParts(baseKey, merged, opts = {}) {
-  const chunkSize = opts.chunkSize || 500; // items per fallback part
-  const items = merged.items || [];
-  const partKeys = [];
-
-  for (let i = 0; i < items.length; i += chunkSize) {
-    const chunk = items.slice(i, i + chunkSize);
-    const partKey = `${baseKey}:part:${i}`;
-    const payload = {
-      generatedAt: merged.generatedAt,
-      partStart: i,
-      length: chunk.length,
-      items: chunk,
-    };
-    await redisSet(partKey, payload);
-    partKeys.push(partKey);
-  }
-
-  const manifest = {
-    generatedAt: merged.generatedAt,
-    universeTotal: merged.universeTotal,
-    fallback: true,
-    partCount: partKeys.length,
-    parts: partKeys,
-    count: items.length,
-  };
-
-  await redisSet(baseKey, manifest);
-  return manifest;
-}
-
 function extractBatchStartFromKey(key) {
   // key: asx:universe:fundamentals:part:<offset>
   const m = String(key).match(/:part:(\d+)$/);
@@ -172,7 +74,7 @@ async function runMerge({ requireComplete = true } = {}) {
   );
 
   // Discover part keys (batch-size independent)
-  const allKeys = await redisScanAllKeys(partPattern, scanCount);
+  const allKeys = await upstash.scanAll(partPattern, scanCount);
   const partKeys = allKeys
     .filter((k) => /:part:\d+$/.test(String(k)))
     .sort((a, b) => (extractBatchStartFromKey(a) || 0) - (extractBatchStartFromKey(b) || 0));
@@ -188,7 +90,7 @@ async function runMerge({ requireComplete = true } = {}) {
 
   for (const key of partKeys) {
     console.log("merge: fetching", key);
-    const raw = await redisGet(key);
+    const raw = await upstash.get(key);
     if (!raw) {
       console.warn("merge: missing/empty part", key);
       badParts.push({ key, reason: "missing" });
@@ -267,8 +169,8 @@ async function runMerge({ requireComplete = true } = {}) {
   console.log("merge: attempting write tmp", tmpKey);
 
   try {
-    await redisSet(tmpKey, merged);
-    await redisSet(baseLatestKey, merged);
+    await upstash.setJson(tmpKey, merged);
+    await upstash.setJson(baseLatestKey, merged);
     console.log(
       "merge saved as single blob. merged count=",
       merged.count,
@@ -278,9 +180,12 @@ async function runMerge({ requireComplete = true } = {}) {
     return { mode: "single", merged };
   } catch (err) {
     console.warn("merge: primary write failed:", err && err.message);
-    if (String(err && err.message).includes("431")) {
+    const tooLarge =
+      [413, 431].includes(err && err.status) ||
+      /431|max request size|too large/i.test(String(err && err.message));
+    if (tooLarge) {
       console.log("merge: falling back to writing latest as smaller part keys (payload too large)");
-      const manifest = await writeLatestAsParts(baseLatestKey, merged, { chunkSize: 500 });
+      const manifest = await upstash.setLargeJson(baseLatestKey, merged, { chunkSize: 500 });
       console.log("merge: written fallback manifest with parts=", manifest.parts.length);
       return { mode: "fallback", merged: manifest };
     }
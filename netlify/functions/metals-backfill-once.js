@@ -9,6 +9,7 @@
 // Usage (once off):
 //   /.netlify/functions/metals-history-backfill-once
 //   /.netlify/functions/metals-history-backfill-once?symbols=NI,LITH-CAR
+//   (admin-only: Authorization: Bearer <ADMIN_API_TOKEN>, see lib/admin-auth.js)
 //
 // Env required:
 // - METALS_API_KEY
@@ -20,27 +21,21 @@
 //   and we treat the raw Metals-API rate as an index (no sanity ranges).
 
 const fetch = (...args) => global.fetch(...args);
+const { requireAdmin } = require("./lib/admin-auth");
+const calendar = require("./lib/market-calendar");
 
 exports.handler = async function (event) {
-  const nowIso = new Date().toISOString();
+  const denied = await requireAdmin(event, "metals-backfill-once");
+  if (denied) return denied;
 
-  // --- Date helpers (AEST) ---
+  const nowIso = new Date().toISOString();
 
-  function getTodayAestDateString(baseDate = new Date()) {
-    const AEST_OFFSET_MINUTES = 10 * 60; // UTC+10
-    const aestTime = new Date(
-      baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000
-    );
-    return aestTime.toISOString().slice(0, 10);
-  }
+  // --- Date helpers (Sydney) ---
 
-  function monthsAgoDateStringAest(months, baseDate = new Date()) {
-    const AEST_OFFSET_MINUTES = 10 * 60;
-    const aestTime = new Date(
-      baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000
-    );
-    aestTime.setMonth(aestTime.getMonth() - months);
-    return aestTime.toISOString().slice(0, 10);
+  function monthsAgoDateStringSydney(months, baseDate = new Date()) {
+    const d = calendar.parseYmd(calendar.sydneyDateString(baseDate));
+    d.setUTCMonth(d.getUTCMonth() - months);
+    return d.toISOString().slice(0, 10);
   }
 
   function addDays(dateStr, days) {
@@ -297,8 +292,8 @@ exports.handler = async function (event) {
         : ["NI", "LITH-CAR"]; // default to the two problematic ones
 
     const HISTORY_MONTHS = Number(process.env.HISTORY_MONTHS || 6);
-    const todayAest = getTodayAestDateString();
-    const fromStr = monthsAgoDateStringAest(HISTORY_MONTHS);
+    const todayAest = calendar.sydneyDateString();
+    const fromStr = monthsAgoDateStringSydney(HISTORY_MONTHS);
 
     const usdToAud = await fetchUsdToAud();
 
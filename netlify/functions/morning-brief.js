@@ -6,34 +6,15 @@
 //   largest percent gain from the most recent business day snapshot.
 
 const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
+const { sydneyDateString } = require("./lib/market-calendar");
 
 exports.handler = async function (event) {
   const nowIso = new Date().toISOString();
 
-  // --- AEST date helper (Australia/Brisbane, UTC+10, no DST) ---
-  function getAestDateString(daysOffset = 0, baseDate = new Date()) {
-    const AEST_OFFSET_MINUTES = 10 * 60;
-    const aest = new Date(baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-    aest.setDate(aest.getDate() + daysOffset);
-    return aest.toISOString().slice(0, 10); // YYYY-MM-DD
-  }
-
   // -------------------------------
   // Helpers
   // -------------------------------
-  async function fetchWithTimeout(url, opts = {}, timeout = 9000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(id);
-      return res;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
-    }
-  }
-
   const fmt = (n) =>
     typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
 
@@ -43,55 +24,18 @@ exports.handler = async function (event) {
   }
 
   // ---------- Upstash helpers ----------
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL || null;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || null;
-
   async function redisGet(key) {
-    if (!UPSTASH_URL || !UPSTASH_TOKEN) return null;
     try {
-      const res = await fetchWithTimeout(
-        `${UPSTASH_URL}/get/${encodeURIComponent(key)}`,
-        {
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        7000
-      );
-      if (!res.ok) return null;
-      const j = await res.json().catch(() => null);
-      if (!j || typeof j.result === "undefined") return null;
-      return j.result;
+      return await upstash.get(key);
     } catch (e) {
-      console.warn("redisGet error", e && e.message);
+      console.warn("redisGet error", key, e && e.message);
       return null;
     }
   }
 
   async function redisSet(key, value) {
-    if (!UPSTASH_URL || !UPSTASH_TOKEN) return false;
-
     try {
-      const valString =
-        typeof value === "string" ? value : JSON.stringify(value);
-
-      const url =
-        `${UPSTASH_URL}/set/` +
-        `${encodeURIComponent(key)}/` +
-        `${encodeURIComponent(valString)}`;
-
-      const res = await fetchWithTimeout(
-        url,
-        {
-          method: "POST",
-          headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-        },
-        8000
-      );
-
-      if (!res.ok) {
-        const txt = await res.text().catch(() => "");
-        console.warn("redisSet failed", key, res.status, txt);
-        return false;
-      }
+      await upstash.set(key, value);
       return true;
     } catch (e) {
       console.warn("redisSet error", key, e && e.message);
@@ -195,11 +139,11 @@ exports.handler = async function (event) {
         const base = new Date(
           latestSnapshot.snappedAt || latestSnapshot.priceTimestamp
         );
-        // Yesterday in AEST calendar
-        keyDate = getAestDateString(-1, base);
+        // Yesterday in the Sydney calendar
+        keyDate = sydneyDateString(base, -1);
       } else {
-        // Fallback: yesterday based on "now" in AEST
-        keyDate = getAestDateString(-1);
+        // Fallback: yesterday based on "now" in Sydney
+        keyDate = sydneyDateString(new Date(), -1);
       }
 
       const key = `metals:${keyDate}`; // metals:YYYY-MM-DD
@@ -616,6 +560,8 @@ exports.handler = async function (event) {
             typeof x.pctChange === "number"
               ? Number(x.pctChange.toFixed(2))
               : null,
+          // yesterdayPrice is already on today's share basis (snapshot-asx200)
+          corporateAction: x.raw.corporateAction || null,
         }));
 
         debug.steps.push({
@@ -628,15 +574,15 @@ exports.handler = async function (event) {
           })),
         });
 
-        // persist topPerformers to Upstash (best-effort, AEST date)
+        // persist topPerformers to Upstash (best-effort, Sydney date)
         try {
-          const todayAest = getAestDateString(0);
+          const todaySydney = sydneyDateString();
           await redisSet("topPerformers:latest", topPerformers);
-          await redisSet(`topPerformers:${todayAest}`, topPerformers);
+          await redisSet(`topPerformers:${todaySydney}`, topPerformers);
           debug.steps.push({
             source: "top-performers-saved",
             count: topPerformers.length,
-            keyDate: todayAest,
+            keyDate: todaySydney,
           });
         } catch (e) {
           debug.steps.push({
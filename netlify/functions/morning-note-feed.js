@@ -0,0 +1,134 @@
+// netlify/functions/morning-note-feed.js
+// Atom / RSS feed of the Mates Morning Note archive (lib/morning-notes.js), so readers
+// can follow the note outside email.
+//
+// Usage (also routed from /morning-notes/feed.xml and /morning-notes/rss.xml, see netlify.toml):
+//  GET /.netlify/functions/morning-note-feed               -> Atom 1.0, latest 30 notes
+//  GET /.netlify/functions/morning-note-feed?format=rss    -> RSS 2.0
+//
+// Each entry links to /morning-notes?date=YYYY-MM-DD on the archive page.
+
+const morningNotes = require("./lib/morning-notes");
+const calendar = require("./lib/market-calendar");
+
+const SITE_URL = "https://matesinvest.com";
+const ARCHIVE_URL = `${SITE_URL}/morning-notes`;
+const FEED_TITLE = "Mates Morning Note";
+const FEED_SUBTITLE =
+  "A short, calm pre-market note for Australian investors, every trading morning. General information only, not financial advice.";
+const FEED_LIMIT = 30;
+
+function escapeXml(s) {
+  return String(s == null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// "Tuesday 10 March 2026"
+function niceDate(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).toLocaleDateString("en-AU", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function entryUrl(ymd) {
+  return `${ARCHIVE_URL}?date=${ymd}`;
+}
+
+function publishedAt(n) {
+  const d = n.generatedAt ? new Date(n.generatedAt) : calendar.sydneyWallTimeToDate(n.date, 6);
+  return Number.isNaN(d.getTime()) ? new Date() : d;
+}
+
+// ---------------------------
+// Formats
+// ---------------------------
+
+function atomFeed(notes) {
+  const updated = notes.length ? publishedAt(notes[0]) : new Date();
+  const entries = notes
+    .map((n) => {
+      const at = publishedAt(n).toISOString();
+      return `  <entry>
+    <id>${SITE_URL}/morning-notes/${n.date}</id>
+    <title>${escapeXml(`${FEED_TITLE} – ${niceDate(n.date)}`)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entryUrl(n.date))}"/>
+    <published>${at}</published>
+    <updated>${at}</updated>
+    <content type="text">${escapeXml(n.note)}</content>
+  </entry>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${ARCHIVE_URL}</id>
+  <title>${FEED_TITLE}</title>
+  <subtitle>${escapeXml(FEED_SUBTITLE)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${ARCHIVE_URL}/feed.xml"/>
+  <link rel="alternate" type="text/html" href="${ARCHIVE_URL}"/>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>MatesInvest</name></author>
+  <icon>${SITE_URL}/favicon-32x32.png</icon>
+${entries}
+</feed>
+`;
+}
+
+function rssFeed(notes) {
+  const lastBuild = notes.length ? publishedAt(notes[0]) : new Date();
+  const items = notes
+    .map(
+      (n) => `    <item>
+      <title>${escapeXml(`${FEED_TITLE} – ${niceDate(n.date)}`)}</title>
+      <link>${escapeXml(entryUrl(n.date))}</link>
+      <guid isPermaLink="false">${SITE_URL}/morning-notes/${n.date}</guid>
+      <pubDate>${publishedAt(n).toUTCString()}</pubDate>
+      <description>${escapeXml(n.note)}</description>
+    </item>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${FEED_TITLE}</title>
+    <link>${ARCHIVE_URL}</link>
+    <description>${escapeXml(FEED_SUBTITLE)}</description>
+    <language>en-au</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <atom:link href="${ARCHIVE_URL}/rss.xml" rel="self" type="application/rss+xml"/>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+exports.handler = async function (event) {
+  const qs = (event && event.queryStringParameters) || {};
+  const rss = String(qs.format || "").toLowerCase() === "rss";
+
+  try {
+    const dates = await morningNotes.listDates("au", { limit: FEED_LIMIT });
+    const notes = await morningNotes.getNotes("au", dates);
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": rss ? "application/rss+xml; charset=utf-8" : "application/atom+xml; charset=utf-8",
+        "Cache-Control": "public, max-age=900",
+      },
+      body: rss ? rssFeed(notes) : atomFeed(notes),
+    };
+  } catch (err) {
+    console.error("morning-note-feed error", err && err.message);
+    return { statusCode: 500, body: "Feed unavailable" };
+  }
+};
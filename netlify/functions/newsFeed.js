@@ -3,6 +3,7 @@
 // - Uses MARKETAUX_API_TOKEN for global news
 // - Uses EODHD_API_TOKEN (or EODHD_API_KEY) for ASX news
 // - Frontend still sees { articles: [...] } in the same shape
+// - Each article carries `symbols` (tickers it's tagged with, e.g. "CBA.AX" / "CBA.AU"), [] if none
 //
 // Frontend examples:
 //  - /.netlify/functions/newsFeed?region=au
@@ -294,6 +295,11 @@ async function fetchMarketauxArticles(url) {
       const publishedAt =
         it.published_at || it.publishedAt || it.time || new Date().toISOString();
 
+      // Tickers the article is tagged with, e.g. ["CBA.AX"]
+      const symbols = Array.isArray(it.entities)
+        ? it.entities.map((e) => e && e.symbol).filter(Boolean)
+        : [];
+
       return {
         id: 0, // overwritten later
         title: title,
@@ -301,6 +307,7 @@ async function fetchMarketauxArticles(url) {
         url: urlLink || "https://matesinvest.com",
         source: source || "MarketAux",
         publishedAt: publishedAt,
+        symbols,
       };
     });
 
@@ -341,6 +348,8 @@ async function fetchEodhdArticles(EODHD_TOKEN, qs, region, q) {
       if (symbols.length) {
         mappedTickers = symbols
           .map((sym) => {
+            // EODHD lists ASX codes as .AU (MarketAux uses .AX)
+            if (sym.endsWith(".AX")) return sym.replace(/\.AX$/, ".AU");
             if (sym.includes(".")) return sym;
             return `${sym}.AU`;
           })
@@ -392,6 +401,7 @@ async function fetchEodhdArticles(EODHD_TOKEN, qs, region, q) {
       const urlLink = it.link || it.url || "https://matesinvest.com";
       const source = it.source || "EODHD (AU news)";
       const publishedAt = it.date || it.published || new Date().toISOString();
+      const symbols = Array.isArray(it.symbols) ? it.symbols.filter(Boolean) : [];
 
       return {
         id: 0, // overwritten later
@@ -400,6 +410,7 @@ async function fetchEodhdArticles(EODHD_TOKEN, qs, region, q) {
         url: urlLink,
         source,
         publishedAt,
+        symbols,
       };
     });
 
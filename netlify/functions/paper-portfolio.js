@@ -0,0 +1,123 @@
+// netlify/functions/paper-portfolio.js
+// A member's paper-trading portfolio (lib/paper-portfolio.js): A$100,000 of practice cash,
+// market orders filled at the latest EOD close with simulated brokerage, valued against the
+// internal ASX200. mark-paper-portfolios.js credits dividends and extends the curve nightly.
+//
+// Auth: "Authorization: Bearer <session>" from the emailed sign-in link (member-login.js).
+//
+// Usage:
+//  GET  /.netlify/functions/paper-portfolio
+//    -> { uid, asOf, brokerage: { min, rate }, portfolio: { startingCash, cash, invested, value,
+//           returnPct, startDate, markedDate,
+//           positions: [{ code, shares, avgCost, cost, price, pctChange, value, pnl, pnlPct,
+//                         corporateAction }],
+//           activity: [{ id, kind, code, date, shares, price, brokerage, amount, ... }] },
+//         curve: [{ date, value, returnPct, asx200Pct }] }
+//
+//  POST /.netlify/functions/paper-portfolio   (same response, after the change)
+//    { "action": "buy",  "code": "CBA", "shares": 10 }
+//    { "action": "sell", "code": "CBA", "shares": 5 }
+//    { "action": "reset" }                       back to fresh cash; the curve starts over
+
+const upstash = require("./lib/upstash");
+const memberAuth = require("./lib/member-auth");
+const paper = require("./lib/paper-portfolio");
+const dividends = require("./lib/dividends");
+
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+};
+
+const ACTIVITY_LIMIT = 100;
+
+function json(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+async function applyAction(uid, body, prices) {
+  switch (body.action) {
+    case "buy": {
+      const rec = await paper.trade(uid, "buy", body, prices);
+      // Make sure a newly held code has dividend records before its next ex-date
+      await dividends.queueRefresh(rec.activity[0].code).catch(() => {});
+      return rec;
+    }
+    case "sell":
+      return paper.trade(uid, "sell", body, prices);
+    case "reset":
+      return paper.resetPortfolio(uid);
+    default: {
+      const err = new Error("action must be one of buy, sell, reset");
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "GET" && event.httpMethod !== "POST") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const uid = memberAuth.memberFromEvent(event);
+  if (!uid) return json(401, { error: "Sign in to use your practice portfolio" });
+
+  try {
+    const prices = await paper.latestPrices();
+    let rec;
+    if (event.httpMethod === "POST") {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return json(400, { error: "Invalid JSON" });
+      }
+      rec = await applyAction(uid, body || {}, prices);
+    } else {
+      rec = await paper.getPortfolio(uid);
+    }
+
+    const [points, benchmark] = await Promise.all([paper.getCurve(uid), paper.getBenchmark()]);
+    const { value, invested, positions } = paper.valuation(rec, prices.byCode);
+
+    return json(200, {
+      uid,
+      asOf: prices.date,
+      brokerage: { min: paper.BROKERAGE_MIN, rate: paper.BROKERAGE_RATE },
+      portfolio: {
+        startingCash: rec.startingCash,
+        cash: rec.cash,
+        invested,
+        value,
+        returnPct: Number(((value / rec.startingCash - 1) * 100).toFixed(2)),
+        startDate: rec.startDate,
+        markedDate: rec.markedDate,
+        positions,
+        activity: rec.activity.slice(0, ACTIVITY_LIMIT),
+      },
+      curve: paper.compareCurve(rec, points, benchmark),
+    });
+  } catch (err) {
+    if (err.status && err.status < 500) return json(err.status, { error: err.message });
+    console.error("paper-portfolio error", err && err.message);
+    return json(500, { error: "Couldn't load your practice portfolio right now" });
+  }
+};
@@ -0,0 +1,62 @@
+// netlify/functions/referrals.js
+// A member's referral code, invite link and progress through the reward tiers
+// (lib/referrals.js). Signups via the link are credited once they confirm their address
+// (confirm-subscription.js); until then they don't show up here.
+//
+// Auth: "Authorization: Bearer <session>" from the emailed sign-in link (member-login.js).
+//
+// Usage:
+//  GET /.netlify/functions/referrals
+//    -> { uid, code, link, counted, rejected,
+//         tier: { at, name, reward } | null, next: { at, name, reward } | null, toNext,
+//         tiers: [{ at, name, reward }], recentJoins: [ISO timestamp, ...] newest first }
+//   counted = mates who joined with your link and confirmed; rejected = signups that didn't count
+//   (already subscribed, throwaway address, your own address, over the daily limit).
+
+const upstash = require("./lib/upstash");
+const memberAuth = require("./lib/member-auth");
+const referrals = require("./lib/referrals");
+
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+};
+
+function json(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "GET") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const uid = memberAuth.memberFromEvent(event);
+  if (!uid) return json(401, { error: "Sign in to see your referrals" });
+
+  try {
+    const stats = await referrals.getStats(uid);
+    if (!stats.code) return json(500, { error: "Referrals aren't set up yet" });
+    return json(200, { uid, ...stats, tiers: referrals.TIERS });
+  } catch (err) {
+    console.error("referrals error", err && err.message);
+    return json(500, { error: "Couldn't load your referrals right now" });
+  }
+};
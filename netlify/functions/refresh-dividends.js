@@ -0,0 +1,129 @@
+// netlify/functions/refresh-dividends.js
+//
+// Keeps the dividend store (lib/dividends.js) current from EODHD /api/div.
+//
+// Scheduled in small batches (see netlify.toml), like seed-equity-history: each run refreshes
+// up to DIVIDEND_BATCH codes within a time budget — queued codes (instrument pages that asked
+// for an unknown code) first, then codes from asx:universe:eod:latest never refreshed or older
+// than DIVIDEND_REFRESH_DAYS. Past ex-dates are pruned from the upcoming calendar each run.
+//
+// Manual (admin):
+//   GET /.netlify/functions/refresh-dividends?code=CBA                 refresh one code now
+//   GET /.netlify/functions/refresh-dividends?code=CBA&franking=100    also set its franking %
+//                                                                      (franking=clear removes it)
+//
+// Env: EODHD_API_TOKEN, UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+// Optional: DIVIDEND_BATCH (default 25), DIVIDEND_REFRESH_DAYS (default 3)
+
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const dividends = require("./lib/dividends");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const fetch = (...args) => global.fetch(...args);
+
+const EODHD_TOKEN = process.env.EODHD_API_TOKEN || null;
+const HISTORY_YEARS = 10;
+const TIME_BUDGET_MS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function fetchWithTimeout(url, opts = {}, timeout = 10000) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { ...opts, signal: controller.signal });
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+async function fetchDividends(code, from) {
+  const url = `https://eodhd.com/api/div/${encodeURIComponent(`${code}.AU`)}?api_token=${encodeURIComponent(
+    EODHD_TOKEN
+  )}&from=${from}&fmt=json`;
+  const res = await fetchWithTimeout(url);
+  if (res.status === 404) return [];
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    const err = new Error(`EODHD div error ${res.status}: ${txt.slice(0, 200)}`);
+    err.status = res.status;
+    throw err;
+  }
+  const json = await res.json().catch(() => null);
+  return Array.isArray(json) ? json : [];
+}
+
+async function refreshCode(code, from) {
+  const items = (await fetchDividends(code, from)).map((r) => dividends.toDividend(r)).filter(Boolean);
+  const saved = await dividends.saveDividends(code, items);
+  return { code, dividends: saved.length, latestExDate: saved.length ? saved[0].exDate : null };
+}
+
+async function universeCodes() {
+  const latest = await upstash.getJson("asx:universe:eod:latest");
+  const rows = Array.isArray(latest) ? latest : (latest && latest.rows) || [];
+  return rows.map((r) => r && r.code && String(r.code).toUpperCase()).filter(Boolean);
+}
+
+exports.handler = async function (event) {
+  const start = Date.now();
+  const qs = (event && event.queryStringParameters) || {};
+
+  if (qs.code) {
+    const denied = await requireAdmin(event, "refresh-dividends");
+    if (denied) return denied;
+  }
+
+  if (!EODHD_TOKEN || !upstash.isConfigured()) {
+    return { statusCode: 500, body: JSON.stringify({ error: "Missing EODHD_API_TOKEN or Upstash env vars" }) };
+  }
+
+  try {
+    const today = calendar.sydneyDateString();
+    const from = `${Number(today.slice(0, 4)) - HISTORY_YEARS}-01-01`;
+
+    let codes;
+    let franking;
+    if (qs.code) {
+      const code = String(qs.code).toUpperCase().replace(/\.[A-Z]+$/, "");
+      if (qs.franking !== undefined) {
+        franking = await dividends.setFranking(code, qs.franking === "clear" ? null : qs.franking);
+      }
+      codes = [code];
+    } else {
+      await dividends.pruneUpcoming(today);
+      const maxAgeMs = Number(process.env.DIVIDEND_REFRESH_DAYS || 3) * DAY_MS;
+      codes = await dividends.codesDueForRefresh(
+        await universeCodes(),
+        Number(process.env.DIVIDEND_BATCH || 25),
+        maxAgeMs
+      );
+    }
+
+    const results = [];
+    for (const code of codes) {
+      if (Date.now() - start > TIME_BUDGET_MS) break;
+      try {
+        results.push(await refreshCode(code, from));
+      } catch (err) {
+        console.warn("refresh-dividends: failed", code, err && err.message);
+        results.push({ code, error: err.message });
+        if (err.status === 429) break; // rate limited: try again next run
+      }
+    }
+
+    console.log("refresh-dividends", JSON.stringify(results));
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        ok: true,
+        refreshed: results,
+        ...(franking !== undefined ? { frankingPct: franking } : {}),
+        elapsedMs: Date.now() - start,
+      }),
+    };
+  } catch (err) {
+    console.error("refresh-dividends error", err && err.message);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: err.message }) };
+  }
+};
@@ -0,0 +1,157 @@
+// netlify/functions/resend-webhook.js
+// Delivery events from Resend: delivered / bounced / complained / delivery_delayed are
+// counted per MI id and per day, and hard bounces + spam complaints are suppressed from
+// every list (lib/email-suppression.js).
+//
+// Resend signs webhooks the Svix way:
+//   svix-id, svix-timestamp, svix-signature: "v1,<base64 sig> [v1,<base64 sig> ...]"
+//   sig = base64(HMAC_SHA256(base64decode(secret without "whsec_"), "<id>.<timestamp>.<raw body>"))
+// Anything unsigned, tampered with or older than SIGNATURE_TOLERANCE_SECONDS gets a 401.
+//
+// Usage (Resend dashboard -> Webhooks):
+//   POST https://matesinvest.com/.netlify/functions/resend-webhook
+//   events: email.delivered, email.bounced, email.complained, email.delivery_delayed
+//
+// Env:
+//   RESEND_WEBHOOK_SECRET     "whsec_..." signing secret from the Resend dashboard
+//   UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+
+const crypto = require("crypto");
+const upstash = require("./lib/upstash");
+const suppression = require("./lib/email-suppression");
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Resend event type -> counter; bounces are split into hard / soft below
+const EVENT_FIELDS = {
+  "email.delivered": "delivered",
+  "email.bounced": "bounced",
+  "email.complained": "complained",
+  "email.delivery_delayed": "delayed",
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+    body: JSON.stringify(body),
+  };
+}
+
+function header(event, name) {
+  const headers = event.headers || {};
+  for (const [k, v] of Object.entries(headers)) {
+    if (k.toLowerCase() === name) return String(v || "");
+  }
+  return "";
+}
+
+function getSecretBytes() {
+  const secret = String(process.env.RESEND_WEBHOOK_SECRET || "").trim();
+  if (!secret) return null;
+  return Buffer.from(secret.replace(/^whsec_/, ""), "base64");
+}
+
+function verifySignature(event, rawBody, secretBytes) {
+  const id = header(event, "svix-id");
+  const timestamp = header(event, "svix-timestamp");
+  const signatures = header(event, "svix-signature");
+  if (!id || !timestamp || !signatures) return false;
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = crypto.createHmac("sha256", secretBytes).update(`${id}.${timestamp}.${rawBody}`).digest("base64");
+  return signatures.split(" ").some((part) => {
+    const [version, sig] = part.split(",");
+    return (
+      version === "v1" &&
+      typeof sig === "string" &&
+      sig.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+    );
+  });
+}
+
+// Hard unless Resend says the bounce was temporary.
+function isHardBounce(data) {
+  const type = String((data && data.bounce && data.bounce.type) || "").toLowerCase();
+  return !["transient", "temporary", "soft", "undetermined"].includes(type);
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod !== "POST") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  const secretBytes = getSecretBytes();
+  if (!secretBytes || !upstash.isConfigured()) {
+    console.error("resend-webhook: RESEND_WEBHOOK_SECRET or Upstash not configured");
+    return json(500, { error: "Webhook not configured" });
+  }
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : event.body || "";
+
+  if (!verifySignature(event, rawBody, secretBytes)) {
+    console.warn("resend-webhook: bad or missing signature");
+    return json(401, { error: "Invalid signature" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return json(400, { error: "Invalid JSON" });
+  }
+
+  const type = String((payload && payload.type) || "");
+  let field = EVENT_FIELDS[type];
+  if (!field) return json(200, { ok: true, ignored: type || "unknown" });
+
+  const data = payload.data || {};
+  if (field === "bounced" && !isHardBounce(data)) field = "soft_bounced";
+  const suppressReason = field === "bounced" ? "hard-bounce" : field === "complained" ? "complaint" : null;
+
+  try {
+    // Resend retries until it gets a 2xx, so the same event can arrive more than once
+    const eventId = header(event, "svix-id");
+    if (!(await suppression.markSeen(eventId))) {
+      return json(200, { ok: true, duplicate: true });
+    }
+
+    const recipients = (Array.isArray(data.to) ? data.to : [data.to])
+      .map((e) => String(e || "").trim().toLowerCase())
+      .filter(Boolean);
+    const at = Date.parse(payload.created_at) || Date.now();
+    let suppressed = 0;
+
+    for (const email of recipients) {
+      const uid = await upstash.get(`email:id:${email}`).catch(() => null);
+      await suppression.recordEvent(field, { uid, at });
+
+      if (suppressReason) {
+        const detail = data.bounce ? [data.bounce.type, data.bounce.subType, data.bounce.message].filter(Boolean).join(" / ") : null;
+        const added = await suppression.suppress(email, {
+          reason: suppressReason,
+          uid,
+          event: data.email_id || eventId || null,
+          detail: detail ? detail.slice(0, 300) : null,
+        });
+        if (added) {
+          suppressed++;
+          await suppression.recordEvent("suppressed", { uid, at });
+          console.log(`resend-webhook: suppressed ${uid || email} (${suppressReason})`);
+        }
+      }
+    }
+
+    return json(200, { ok: true, type, field, recipients: recipients.length, suppressed });
+  } catch (err) {
+    // 500 so Resend retries; markSeen is released so the retry is processed
+    console.error("resend-webhook error", err && err.message);
+    await suppression.unmarkSeen(header(event, "svix-id")).catch(() => {});
+    return json(500, { error: "Internal error" });
+  }
+};
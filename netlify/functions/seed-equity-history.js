@@ -0,0 +1,130 @@
+// netlify/functions/seed-equity-history.js
+//
+// Seeds full daily history from EODHD for codes the equity history store
+// (lib/equity-history.js) doesn't hold yet. Nightly appends only add new days, so each
+// code needs this once; afterwards it's a no-op for that code.
+//
+// Scheduled in small batches (see netlify.toml), like snapshot-asx-universe: each run
+// seeds up to SEED_BATCH codes within a time budget, queued codes (pages that asked for an
+// unseeded code) first, then the rest of asx:universe:eod:latest.
+//
+// Manual (admin): GET /.netlify/functions/seed-equity-history?code=BHP&force=1
+//   re-seeds one code (e.g. to restate adjusted prices after a split).
+//
+// Env: EODHD_API_TOKEN, UPSTASH_REDIS_REST_URL, UPSTASH_REDIS_REST_TOKEN
+// Optional: SEED_BATCH (default 10)
+
+const upstash = require("./lib/upstash");
+const equityHistory = require("./lib/equity-history");
+const { requireAdmin } = require("./lib/admin-auth");
+
+const fetch = (...args) => global.fetch(...args);
+
+const EODHD_TOKEN = process.env.EODHD_API_TOKEN || null;
+const SEED_FROM = "1990-01-01";
+const TIME_BUDGET_MS = 20000;
+
+async function fetchWithTimeout(url, opts = {}, timeout = 12000) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(url, { ...opts, signal: controller.signal });
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+async function fetchFullHistory(code) {
+  const url = `https://eodhd.com/api/eod/${encodeURIComponent(`${code}.AU`)}?api_token=${encodeURIComponent(
+    EODHD_TOKEN
+  )}&period=d&from=${SEED_FROM}&fmt=json`;
+  const res = await fetchWithTimeout(url);
+  if (!res.ok) {
+    const txt = await res.text().catch(() => "");
+    const err = new Error(`EODHD eod error ${res.status}: ${txt.slice(0, 200)}`);
+    err.status = res.status;
+    throw err;
+  }
+  const json = await res.json().catch(() => null);
+  return Array.isArray(json) ? json : [];
+}
+
+async function seedCode(code) {
+  const bars = (await fetchFullHistory(code))
+    .map(equityHistory.toBar)
+    .filter(Boolean)
+    .sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  if (!bars.length) {
+    await equityHistory.markSeeded(code);
+    return { code, bars: 0 };
+  }
+  const meta = await equityHistory.replaceHistory(code, bars);
+  return { code, bars: bars.length, first: meta.first, last: meta.last };
+}
+
+// Queued codes first, then every code in the latest universe snapshot, minus seeded ones.
+async function pendingCodes(limit) {
+  const [queue, latest, allMeta] = await Promise.all([
+    equityHistory.seedQueue(),
+    upstash.getJson("asx:universe:eod:latest"),
+    equityHistory.getAllMeta(),
+  ]);
+  const rows = Array.isArray(latest) ? latest : (latest && latest.rows) || [];
+  const universe = rows.map((r) => r && r.code && String(r.code).toUpperCase()).filter(Boolean);
+
+  const out = [];
+  for (const code of [...queue, ...universe]) {
+    if (out.length >= limit) break;
+    if (out.includes(code)) continue;
+    if (allMeta[code] && allMeta[code].seeded) continue;
+    out.push(code);
+  }
+  return out;
+}
+
+exports.handler = async function (event) {
+  const start = Date.now();
+  const qs = (event && event.queryStringParameters) || {};
+
+  if (qs.code) {
+    const denied = await requireAdmin(event, "seed-equity-history");
+    if (denied) return denied;
+  }
+
+  if (!EODHD_TOKEN || !upstash.isConfigured()) {
+    return { statusCode: 500, body: JSON.stringify({ error: "Missing EODHD_API_TOKEN or Upstash env vars" }) };
+  }
+
+  try {
+    let codes;
+    if (qs.code) {
+      const code = String(qs.code).toUpperCase().replace(/\.[A-Z]+$/, "");
+      const meta = await equityHistory.getMeta(code);
+      codes = meta && meta.seeded && qs.force !== "1" ? [] : [code];
+    } else {
+      codes = await pendingCodes(Number(process.env.SEED_BATCH || 10));
+    }
+
+    const results = [];
+    for (const code of codes) {
+      if (Date.now() - start > TIME_BUDGET_MS) break;
+      try {
+        results.push(await seedCode(code));
+      } catch (err) {
+        console.warn("seed-equity-history: failed", code, err && err.message);
+        results.push({ code, error: err.message });
+        if (err.status === 404) await equityHistory.markSeeded(code);
+        if (err.status === 429) break; // rate limited: try again next run
+      }
+    }
+
+    console.log("seed-equity-history", JSON.stringify(results));
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ok: true, seeded: results, elapsedMs: Date.now() - start }),
+    };
+  } catch (err) {
+    console.error("seed-equity-history error", err && err.message);
+    return { statusCode: 500, body: JSON.stringify({ ok: false, error: err.message }) };
+  }
+};
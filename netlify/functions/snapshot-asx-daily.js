@@ -3,7 +3,7 @@
 // Daily snapshot of ASX symbols: code, name, market cap, last price, yesterday price, pct change.
 // Adds caching for exchange-symbol-list to avoid 429s and respects Retry-After from EODHD.
 // Writes to Upstash as:
-//   asx:daily:YYYY-MM-DD   (array of rows)
+//   asx:daily:YYYY-MM-DD   (array of rows, Sydney date of the run)
 //   asx:latest             (alias for today's snapshot)
 //   asx:exchange-list:latest (cached exchange-symbol-list)
 // Requirements (env):
@@ -22,6 +22,8 @@
 //   QUICK_LIMIT (default 50)
 //   EXCHANGE_LIST_CACHE_TTL (seconds, default 86400 i.e. 24h)
 
+const calendar = require("./lib/market-calendar");
+
 const fetch = (...args) => global.fetch(...args);
 
 const DEFAULT_MAX_SYMBOLS = 2500;
@@ -95,15 +97,12 @@ async function redisSet(upstashUrl, upstashToken, key, value, ttlSeconds) {
   }
 }
 
+// Last N ASX trading days up to and including the Sydney date of endDate (oldest -> newest)
 function getLastBusinessDays(n, endDate = new Date()) {
-  const days = [];
-  let d = new Date(endDate);
-  while (days.length < n) {
-    const dow = d.getDay();
-    if (dow !== 0 && dow !== 6) days.push(new Date(d));
-    d.setDate(d.getDate() - 1);
-  }
-  return days.reverse().map((dt) => dt.toISOString().slice(0, 10));
+  return calendar.lastNTradingDays(n, {
+    before: calendar.sydneyDateString(endDate),
+    inclusive: true,
+  });
 }
 
 exports.handler = async function (event) {
@@ -461,7 +460,7 @@ exports.handler = async function (event) {
 
     allRows.sort((a, b) => (a.code || "").localeCompare(b.code || ""));
 
-    const todayKeyDate = new Date().toISOString().slice(0, 10);
+    const todayKeyDate = calendar.sydneyDateString();
     const dailyKey = `asx:daily:${todayKeyDate}`;
     const latestKey = `asx:latest`;
 
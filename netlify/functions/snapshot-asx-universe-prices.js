@@ -2,20 +2,27 @@
 //
 // Nightly snapshot of last close prices for the full ASX universe.
 // Uses EODHD bulk last-day endpoint and derives previous close + pct change.
+// Splits / consolidations / code changes effective since the previous snapshot
+// (lib/corporate-actions.js) put the previous close on today's share basis; affected rows
+// carry corporateAction. Today's bulk splits are recorded first so same-day events count;
+// they're fetched once per snapshot date (corpactions:bulk-splits:{date}), not every run.
 //
-// Stores into Upstash as:
+// Stores into Upstash as (rows: { code, date, open, high, low, close, adjClose, prevClose,
+// pctChange, volume, corporateAction? }):
 //   asx:universe:eod:YYYY-MM-DD
 //   asx:universe:eod:latest
 //   asx:universe:eod:latestDate
 
 const fs = require("fs");
 const path = require("path");
+const corporateActions = require("./lib/corporate-actions");
+const upstash = require("./lib/upstash");
 
 const fetch = (...args) => global.fetch(...args);
 
 const EODHD_TOKEN = process.env.EODHD_API_TOKEN || null;
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL || null;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN || null;
+// The job runs every couple of minutes through the evening; the claim outlives the night
+const BULK_SPLITS_CLAIM_TTL_SECONDS = 2 * 24 * 60 * 60;
 
 function sleep(ms) {
   return new Promise((res) => setTimeout(res, ms));
@@ -41,6 +48,11 @@ function normalizeCode(code) {
     .toUpperCase();
 }
 
+function numOrNull(v) {
+  const n = Number(v ?? NaN);
+  return Number.isFinite(n) ? n : null;
+}
+
 // Read asx-universe.txt so we only keep codes we care about
 function readUniverseSync() {
   const candidates = [
@@ -75,29 +87,12 @@ function readUniverseSync() {
   );
 }
 
-async function redisSet(urlBase, token, key, value, ttlSeconds) {
-  if (!urlBase || !token) return false;
+// Writes go through lib/upstash.js as a JSON POST body: the full-universe rows are far
+// too large to URL-encode into a REST path.
+async function redisSet(key, value) {
   try {
-    const payload =
-      typeof value === "string" ? value : JSON.stringify(value);
-    const ttl = ttlSeconds ? `?EX=${Number(ttlSeconds)}` : "";
-    const res = await fetchWithTimeout(
-      `${urlBase}/set/${encodeURIComponent(key)}/${encodeURIComponent(
-        payload
-      )}${ttl}`,
-      { method: "POST", headers: { Authorization: `Bearer ${token}` } },
-      15000
-    );
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      console.warn(
-        "redisSet failed",
-        key,
-        res.status,
-        txt && txt.slice(0, 200)
-      );
-      return false;
-    }
+    if (typeof value === "string") await upstash.set(key, value);
+    else await upstash.setJson(key, value);
     return true;
   } catch (err) {
     console.warn("redisSet error", key, err && err.message);
@@ -105,34 +100,6 @@ async function redisSet(urlBase, token, key, value, ttlSeconds) {
   }
 }
 
-async function redisGet(urlBase, token, key) {
-  if (!urlBase || !token) return null;
-  try {
-    const res = await fetchWithTimeout(
-      `${urlBase}/get/${encodeURIComponent(key)}`,
-      { headers: { Authorization: `Bearer ${token}` } },
-      12000
-    );
-    if (!res.ok) return null;
-    const j = await res.json().catch(() => null);
-    return j?.result ?? null;
-  } catch {
-    return null;
-  }
-}
-
-function parse(raw) {
-  if (!raw) return null;
-  if (typeof raw === "string") {
-    try {
-      return JSON.parse(raw);
-    } catch {
-      return null;
-    }
-  }
-  return raw;
-}
-
 function ymd(d) {
   const yy = d.getUTCFullYear();
   const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
@@ -152,8 +119,7 @@ async function getPrevTradingDayCloseMap(snapshotDate, maxLookbackDays = 7) {
   for (let i = 1; i <= maxLookbackDays; i++) {
     const d = dateAddDays(snapshotDate, -i);
     const key = `asx:universe:eod:${d}`;
-    const raw = await redisGet(UPSTASH_URL, UPSTASH_TOKEN, key);
-    const obj = parse(raw);
+    const obj = await upstash.getJson(key).catch(() => null);
     
     // Support both direct array and object with .rows
     let rows = null;
@@ -188,10 +154,45 @@ async function getPrevTradingDayCloseMap(snapshotDate, maxLookbackDays = 7) {
   return { map: new Map(), prevDate: null };
 }
 
+// Splits EODHD reports for the exchange on `date` ("split": "new/old") -> recorded events.
+// Once per date: later runs for the same date skip the request (null); a failed fetch
+// gives the claim back so the next run retries.
+async function recordBulkSplits(date) {
+  const claimKey = `corpactions:bulk-splits:${date}`;
+  const claimed = await upstash.command(["SET", claimKey, "1", "NX", "EX", BULK_SPLITS_CLAIM_TTL_SECONDS]);
+  if (!claimed) return null;
+  try {
+    return await fetchBulkSplits(date);
+  } catch (err) {
+    await upstash.del(claimKey).catch(() => {});
+    throw err;
+  }
+}
+
+async function fetchBulkSplits(date) {
+  const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURIComponent(
+    EODHD_TOKEN
+  )}&type=splits&date=${date}&fmt=json`;
+  const res = await fetchWithTimeout(url, {}, 15000);
+  if (!res.ok) throw new Error(`bulk splits ${res.status}`);
+  const arr = await res.json().catch(() => []);
+  const events = (Array.isArray(arr) ? arr : [])
+    .map((s) =>
+      corporateActions.splitEvent(
+        normalizeCode(s.code || s.Code),
+        String(s.date || date).slice(0, 10),
+        s.split || s.Split,
+        "eodhd-bulk-splits"
+      )
+    )
+    .filter(Boolean);
+  return corporateActions.recordEvents(events);
+}
+
 exports.handler = async function () {
   const start = Date.now();
 
-  if (!EODHD_TOKEN || !UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!EODHD_TOKEN || !upstash.isConfigured()) {
     return {
       statusCode: 500,
       body: JSON.stringify({
@@ -264,6 +265,17 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
   );
   const { map: prevTradingDayMap, prevDate } = await getPrevTradingDayCloseMap(snapshotDate, 7);
 
+  // Corporate actions between the two snapshots (best effort: unadjusted if unavailable)
+  let actions = corporateActions.indexForComparison([]);
+  try {
+    await recordBulkSplits(snapshotDate).catch((err) =>
+      console.warn(`[snapshot-asx-universe-prices] bulk splits failed: ${err && err.message}`)
+    );
+    actions = await corporateActions.loadForComparison(prevDate, snapshotDate);
+  } catch (err) {
+    console.warn(`[snapshot-asx-universe-prices] corporate actions unavailable: ${err && err.message}`);
+  }
+
   const rows = [];
 
   for (const r of rawArray) {
@@ -282,8 +294,10 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
         ? Number(close)
         : null;
 
-    // Get previous trading day close from our historical lookup (preferred)
-    let prevClose = prevTradingDayMap.get(base) ?? null;
+    // Get previous trading day close from our historical lookup (preferred), on today's
+    // share basis after any split / consolidation / code change
+    const adjusted = corporateActions.adjustedPrevClose(base, prevTradingDayMap, actions);
+    let prevClose = adjusted.prevClose;
 
     // Fallback: if we don't have historical data, use API's previousClose
     if (prevClose === null) {
@@ -295,7 +309,8 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
         r.Previous_Close ??
         null;
       let apiPrevClose = Number(prevRaw ?? NaN);
-      if (Number.isFinite(apiPrevClose)) prevClose = apiPrevClose;
+      const ratio = actions.ratios.get(base);
+      if (Number.isFinite(apiPrevClose)) prevClose = ratio ? apiPrevClose / ratio : apiPrevClose;
     }
 
     // Calculate pctChange from current close and prevClose
@@ -305,8 +320,9 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
       if (Number.isFinite(pc)) changePct = pc;
     }
 
-    // Fallback: use API's change percent if we couldn't calculate it
-    if (changePct === null) {
+    // Fallback: use API's change percent if we couldn't calculate it (not across a
+    // corporate action, where it would compare different share bases)
+    if (changePct === null && !adjusted.action) {
       let apiChangePct = Number(
         r.change_p ??
           r.changeP ??
@@ -327,7 +343,12 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
     rows.push({
       code: base,
       date: r.date || r.Date || null,
+      // open/high/low/adjClose: full bar for lib/equity-history.js
+      open: numOrNull(r.open ?? r.Open),
+      high: numOrNull(r.high ?? r.High),
+      low: numOrNull(r.low ?? r.Low),
       close: closeVal,
+      adjClose: numOrNull(r.adjusted_close ?? r.Adjusted_close),
       prevClose:
         typeof prevClose === "number" && Number.isFinite(prevClose)
           ? Number(prevClose)
@@ -337,6 +358,7 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
           ? Number(changePct)
           : null,
       volume: volVal,
+      ...(adjusted.action ? { corporateAction: adjusted.action } : {}),
     });
   }
 
@@ -344,9 +366,9 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
   const latestKey = `asx:universe:eod:latest`;
   const latestDateKey = `asx:universe:eod:latestDate`;
 
-  const okDaily = await redisSet(UPSTASH_URL, UPSTASH_TOKEN, dailyKey, rows);
-  const okLatest = await redisSet(UPSTASH_URL, UPSTASH_TOKEN, latestKey, rows);
-  const okLatestDate = await redisSet(UPSTASH_URL, UPSTASH_TOKEN, latestDateKey, snapshotDate);
+  const okDaily = await redisSet(dailyKey, rows);
+  const okLatest = await redisSet(latestKey, rows);
+  const okLatestDate = await redisSet(latestDateKey, snapshotDate);
 
   const ok = okDaily && okLatest && okLatestDate;
 
@@ -365,6 +387,7 @@ const url = `https://eodhd.com/api/eod-bulk-last-day/AU?api_token=${encodeURICom
       latestDateKey,
       rows: rows.length,
       prevTradingDayLookupSize: prevTradingDayMap.size,
+      corporateActions: rows.filter((r) => r.corporateAction).length,
       elapsedMs: Date.now() - start,
     }),
   };
@@ -21,6 +21,8 @@
 
 const fs = require("fs");
 const path = require("path");
+const { sydneyDateString } = require("./lib/market-calendar");
+const corporateActions = require("./lib/corporate-actions");
 
 const fetch = (...args) => global.fetch(...args);
 
@@ -457,6 +459,7 @@ exports.handler = async function (event) {
   // -------------------------------
   const items = [];
   const failures = [];
+  const corpEvents = []; // splits / consolidations / code changes seen in fundamentals
 
   let idx = 0;
   const total = batchUniverse.length;
@@ -493,6 +496,7 @@ exports.handler = async function (event) {
         }
 
         const d = result.data;
+        corpEvents.push(...corporateActions.eventsFromFundamentals(base, d, sydneyDateString()));
         const general = d.General || {};
         const highlights = d.Highlights || {};
         const ratios = d.ValuationRatios || d.Valuation || {};
@@ -627,6 +631,14 @@ exports.handler = async function (event) {
 
   await Promise.all(workers);
 
+  // Record corporate actions (best effort; already-known events are skipped)
+  let corpActionsRecorded = 0;
+  try {
+    corpActionsRecorded = (await corporateActions.recordEvents(corpEvents)).length;
+  } catch (err) {
+    console.warn("[snapshot-asx-universe] corporate actions not recorded:", err && err.message);
+  }
+
   // -------------------------------
   // Decide whether to commit batch
   // -------------------------------
@@ -736,6 +748,7 @@ exports.handler = async function (event) {
     failures: failures.slice(0, 40),
     excludedInThisBatch,
     rateLimitedCount,
+    corpActionsRecorded,
     nextOffset,
     elapsedMs: Date.now() - start,
   };
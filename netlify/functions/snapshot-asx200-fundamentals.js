@@ -15,6 +15,7 @@
 
 const fs = require("fs");
 const path = require("path");
+const calendar = require("./lib/market-calendar");
 
 const fetch = (...args) => global.fetch(...args);
 
@@ -27,11 +28,9 @@ function fetchWithTimeout(url, opts = {}, timeout = 12000) {
     .finally(() => clearTimeout(id));
 }
 
-// Simple AEST YYYY-MM-DD for keys
+// Sydney YYYY-MM-DD for keys
 function getAestDateString(date = new Date()) {
-  const AEST_OFFSET_MINUTES = 10 * 60; // Brisbane UTC+10 year-round
-  const aestTime = new Date(date.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-  return aestTime.toISOString().slice(0, 10);
+  return calendar.sydneyDateString(date);
 }
 
 function normalizeCode(code) {
@@ -4,6 +4,8 @@
 //   - recent EOD bars for the last 2 business days to compute today's price, yesterday's price and pct change
 //   - company name (from EODHD exchange-symbol-list/AU) — cached in Upstash to avoid repeated calls
 //   - sector / industry / GICS fields (from EODHD Fundamentals API) — cached in Upstash to avoid repeated calls
+//   - yesterday's price on today's share basis after a split / consolidation (lib/corporate-actions.js);
+//     affected rows carry corporateAction
 //
 // Stores results to Upstash as:
 //   asx200:daily:YYYY-MM-DD
@@ -27,6 +29,8 @@
 
 const fs = require("fs");
 const path = require("path");
+const calendar = require("./lib/market-calendar");
+const corporateActions = require("./lib/corporate-actions");
 
 const fetch = (...args) => global.fetch(...args);
 
@@ -56,41 +60,15 @@ async function fetchWithTimeout(url, opts = {}, timeout = 12000) {
   }
 }
 
-// Convert a JS Date to an AEST (Brisbane, UTC+10) YYYY-MM-DD string
-function getAestDateString(date) {
-  const AEST_OFFSET_MINUTES = 10 * 60; // Brisbane is UTC+10 all year
-  const aestTime = new Date(date.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-  return aestTime.toISOString().slice(0, 10);
-}
-
-// Last N *completed* ASX business days BEFORE "today in AEST",
-// returned as YYYY-MM-DD strings
+// Last N *completed* ASX trading days BEFORE "today in Sydney"
+// (weekends + ASX holidays skipped), returned as YYYY-MM-DD strings
 function getLastCompletedBusinessDays(n, now = new Date()) {
-  const AEST_OFFSET_MINUTES = 10 * 60; // Brisbane UTC+10, no DST
-  const aestNow = new Date(now.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-
-  const days = [];
-  let d = new Date(aestNow);
-
-  // start from "yesterday" *in AEST*
-  d.setDate(d.getDate() - 1);
-
-  while (days.length < n) {
-    const dow = d.getUTCDay(); // using the offset date, this lines up with AEST weekdays
-    if (dow !== 0 && dow !== 6) {
-      days.push(new Date(d));
-    }
-    d.setDate(d.getDate() - 1);
-  }
-
-  // Return as YYYY-MM-DD strings for EODHD from/to
-  return days.reverse().map((dt) => dt.toISOString().slice(0, 10));
+  return calendar.lastNTradingDays(n, { before: calendar.sydneyDateString(now) });
 }
 
-
-// Today’s date in AEST (for Redis key only)
+// Today’s Sydney date (for Redis key only)
 function getTodayAestDateString(baseDate = new Date()) {
-  return getAestDateString(baseDate);
+  return calendar.sydneyDateString(baseDate);
 }
 
 function normalizeCode(code) {
@@ -545,6 +523,28 @@ exports.handler = async function (event) {
   const failures = [];
   const fullCodeMap = {}; // baseCode -> fullCode used for EOD (and fundamentals)
 
+  // Corporate actions inside the widest (yesterday, today] window any ticker uses
+  let windowEvents = [];
+  try {
+    const lastDates = [];
+    const prevDates = [];
+    for (const res of results) {
+      const arr = res.eod && Array.isArray(res.eod.data) ? res.eod.data : [];
+      if (arr.length >= 2) {
+        prevDates.push(String(arr[0].date || ""));
+        lastDates.push(String(arr[arr.length - 1].date || ""));
+      }
+    }
+    if (prevDates.length) {
+      windowEvents = await corporateActions.listBetween(
+        prevDates.sort()[0],
+        lastDates.sort()[lastDates.length - 1]
+      );
+    }
+  } catch (err) {
+    console.warn("[snapshot-asx200] corporate actions unavailable", err && err.message);
+  }
+
   for (const res of results) {
     const symbolBase = res.symbol; // as in asx200 list (likely without suffix)
     const fullUsed = res.fullCode || symbolBase;
@@ -579,18 +579,34 @@ exports.handler = async function (event) {
       last && typeof last.close === "number"
         ? last.close
         : Number(last && last.close);
-    const yesterdayPrice = prev
+    const rawYesterdayPrice = prev
       ? typeof prev.close === "number"
         ? prev.close
         : Number(prev.close)
       : null;
+
+    const base = normalizeCode(symbolBase);
+    const actions = corporateActions.indexForComparison(
+      windowEvents.filter(
+        (e) =>
+          e.code === base &&
+          prev &&
+          last &&
+          e.date > String(prev.date) &&
+          e.date <= String(last.date)
+      )
+    );
+    const { prevClose: yesterdayPrice, action } = corporateActions.adjustedPrevClose(
+      base,
+      new Map([[base, rawYesterdayPrice]]),
+      actions
+    );
     const pctChange =
       yesterdayPrice !== null && yesterdayPrice !== 0
         ? ((lastPrice - yesterdayPrice) / yesterdayPrice) *
           100
         : null;
 
-    const base = normalizeCode(symbolBase);
     const companyName = codeNameMap[base] || "";
 
     fullCodeMap[base] = fullUsed;
@@ -616,6 +632,7 @@ exports.handler = async function (event) {
         Number.isFinite(pctChange)
           ? Number(pctChange.toFixed(6))
           : null,
+      ...(action ? { corporateAction: action } : {}),
       attempts,
     });
   }
@@ -655,6 +672,12 @@ exports.handler = async function (event) {
             const fundamentals = await fetchFundamentals(full);
             if (!fundamentals || !fundamentals.General) continue;
 
+            await corporateActions
+              .recordEvents(
+                corporateActions.eventsFromFundamentals(base, fundamentals, calendar.sydneyDateString())
+              )
+              .catch((e) => console.warn("corporate actions not recorded", base, e && e.message));
+
             const g = fundamentals.General || {};
             const entry = {
               sector: g.Sector || null,
@@ -729,7 +752,7 @@ exports.handler = async function (event) {
     }
   }
 
-  // persist to Upstash using AEST date (Brisbane time)
+  // persist to Upstash using the Sydney date
   const todayDateAest = getTodayAestDateString();
   const todayKey = `asx200:daily:${todayDateAest}`;
   const latestKey = `asx200:latest`;
@@ -18,6 +18,8 @@
 // Optional:
 //   QUICK=1 or query ?quick=1 -> process fewer symbols if you want to later.
 
+const calendar = require("./lib/market-calendar");
+
 const fetch = (...args) => global.fetch(...args);
 
 exports.handler = async function (event) {
@@ -32,12 +34,9 @@ exports.handler = async function (event) {
     };
   }
 
-  // ---------- AEST helper ----------
+  // ---------- Sydney date helper ----------
   function getAestDateString(daysOffset = 0, baseDate = new Date()) {
-    const AEST_OFFSET_MINUTES = 10 * 60; // UTC+10, no DST
-    const aest = new Date(baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-    aest.setDate(aest.getDate() + daysOffset);
-    return aest.toISOString().slice(0, 10); // YYYY-MM-DD
+    return calendar.sydneyDateString(baseDate, daysOffset); // YYYY-MM-DD
   }
 
   // ---------- Helpers ----------
@@ -13,6 +13,8 @@
 // This function is intended to run on a Netlify schedule
 // (e.g. 0 20 * * *  =>  6am AEST next day for you).
 
+const calendar = require("./lib/market-calendar");
+
 const LIMIT = 100;        // screener max per docs
 const MAX_OFFSET = 900;   // <= 999 to avoid 422 error
 
@@ -25,16 +27,7 @@ const fetchWithTimeout = (url, opts = {}, timeoutMs = 12000) => {
     .finally(() => clearTimeout(id));
 };
 
-const aussieDateString = () => {
-  const now = new Date();
-  const syd = new Date(
-    now.toLocaleString("en-US", { timeZone: "Australia/Sydney" })
-  );
-  const y = syd.getFullYear();
-  const m = String(syd.getMonth() + 1).padStart(2, "0");
-  const d = String(syd.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-};
+const aussieDateString = () => calendar.sydneyDateString();
 
 // ---------- Upstash helpers ----------
 
@@ -1,6 +1,6 @@
 // netlify/functions/snapshot-metals.js
 // Snapshot multiple metals and write to Upstash:
-//   - metals:YYYY-MM-DD (AEST)
+//   - metals:YYYY-MM-DD (Australia/Sydney date)
 //   - metals:latest
 //   - history:metal:daily:<SYMBOL> (rolling history for charts) - DAILY APPEND only (no backfill)
 //
@@ -17,24 +17,15 @@
 //  - appends the raw no-unit USD number into history:metal:daily:<SYMBOL>
 
 const fetch = (...args) => global.fetch(...args);
+const calendar = require("./lib/market-calendar");
 
 exports.handler = async function (event) {
   const nowIso = new Date().toISOString();
 
-  // Return YYYY-MM-DD string using AEST (Australia/Brisbane, UTC+10, no DST)
-  function getTodayAestDateString(baseDate = new Date()) {
-    const AEST_OFFSET_MINUTES = 10 * 60; // Brisbane is UTC+10 all year
-    const aestTime = new Date(
-      baseDate.getTime() + AEST_OFFSET_MINUTES * 60 * 1000
-    );
-    return aestTime.toISOString().slice(0, 10);
-  }
-
-  function monthsAgoDateStringAest(months, baseDate = new Date()) {
-    const AEST_OFFSET_MIN = 10 * 60;
-    const aest = new Date(baseDate.getTime() + AEST_OFFSET_MIN * 60 * 1000);
-    aest.setMonth(aest.getMonth() - months);
-    return aest.toISOString().slice(0, 10);
+  function monthsAgoDateStringSydney(months, baseDate = new Date()) {
+    const d = calendar.parseYmd(calendar.sydneyDateString(baseDate));
+    d.setUTCMonth(d.getUTCMonth() - months);
+    return d.toISOString().slice(0, 10);
   }
 
   function addDays(dateStr, days) {
@@ -488,7 +479,7 @@ exports.handler = async function (event) {
 
     snapshot.metals = snapshot.symbols; // alias for convenience
 
-    const todayDateAest = getTodayAestDateString();
+    const todayDateAest = calendar.sydneyDateString();
 
     // -------------------------------
     // -------------------------------
@@ -496,7 +487,7 @@ exports.handler = async function (event) {
     // -------------------------------
     async function updateMetalHistoryWithToday(symbols, snapshot, todayDateAest) {
       const coll = snapshot.metals || snapshot.symbols || {};
-      const fromStr = monthsAgoDateStringAest(HISTORY_MONTHS);
+      const fromStr = monthsAgoDateStringSydney(HISTORY_MONTHS);
 
       function numOrNull(v) {
         return typeof v === "number" && Number.isFinite(v) ? v : null;
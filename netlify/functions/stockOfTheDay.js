@@ -3,14 +3,15 @@
 // - Prefers an explicit ticker/name passed from the frontend (query params).
 // - Otherwise picks the top 1 gainer from Upstash key `topPerformers:latest` (if present).
 // - If that key isn't available, falls back to calling morning-brief (old behaviour).
-// - Uses OpenAI to generate a short blurb (cached in Upstash per day+ticker).
+// - Uses the LLM gateway (lib/llm.js) to generate a short blurb (cached in Upstash per day+ticker).
 //
 // Notes:
 // - Requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN in env.
-// - OPENAI_API_KEY optional (if absent returns a simple fallback blurb).
+// - OPENAI_API_KEY optional (if absent or the model fails, returns a simple fallback blurb).
 // - Cache key: stockOfTheDay:{region}:{YYYY-MM-DD}:{TICKER}
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const llm = require("./lib/llm");
+
 const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
 const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
 
@@ -263,29 +264,8 @@ exports.handler = async function (event) {
       }
     }
 
-    // If no OpenAI key, build a very simple summary and stop here
-    if (!OPENAI_API_KEY) {
-      const fallbackSummary = `${baseStock.name} (${baseStock.ticker}) is ${baseStock.blurb} This profile is for general information only and is not a recommendation.`;
-
-      const payload = {
-        region,
-        ticker: baseStock.ticker,
-        name: baseStock.name,
-        exchange: baseStock.exchange,
-        summary: fallbackSummary,
-        generatedAt: new Date().toISOString(),
-        _debug: { usedFallback: true, source: debugSource }
-      };
-
-      return {
-        statusCode: 200,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload)
-      };
-    }
-
     // -------------------------------
-    // Call OpenAI for a short profile
+    // Short profile via the LLM gateway
     // -------------------------------
     const prompt = `
 You are helping everyday Australian investors understand a single ASX stock.
@@ -303,14 +283,9 @@ Guidelines:
 - No headings, no markdown, no bullet points.
 `;
 
-    const aiRes = await fetchFn("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
+    let summary = "";
+    try {
+      const completion = await llm.complete("stock-of-the-day", {
         messages: [
           {
             role: "system",
@@ -319,24 +294,28 @@ Guidelines:
           },
           { role: "user", content: prompt }
         ],
-        temperature: 0.4,
-        max_tokens: 220
-      })
-    });
-
-    const aiJson = await aiRes.json().catch(() => null);
-
-    let summary =
-      (aiJson &&
-        aiJson.choices &&
-        aiJson.choices[0] &&
-        aiJson.choices[0].message &&
-        aiJson.choices[0].message.content) ||
-      "";
-
-    if (typeof summary !== "string") summary = "";
+        transform: (text) => text.replace(/\s+/g, " ").trim()
+      });
+      summary = completion.text;
+    } catch (err) {
+      // No key / provider down: simple profile, not cached so the next request retries
+      console.warn("stockOfTheDay: LLM failed, using fallback", err && err.message);
+      const payload = {
+        region,
+        ticker: baseStock.ticker,
+        name: baseStock.name,
+        exchange: baseStock.exchange,
+        summary: `${baseStock.name} (${baseStock.ticker}) is ${baseStock.blurb} This profile is for general information only and is not a recommendation.`,
+        generatedAt: new Date().toISOString(),
+        _debug: { usedFallback: true, source: debugSource }
+      };
 
-    summary = summary.replace(/\s+/g, " ").trim();
+      return {
+        statusCode: 200,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload)
+      };
+    }
 
     if (!summary) {
       summary = `${baseStock.name} (${baseStock.ticker}) is ${baseStock.blurb} This summary is general information only.`;
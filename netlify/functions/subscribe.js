@@ -11,23 +11,56 @@
 // - Stores mappings:
 //    email:id:{email} -> MI0000001
 //    id:email:{MI0000001} -> email
+// - Writes initial email preferences for the ID (lib/email-preferences.js):
+//    email:prefs:{MI0000001}
 // - Uses Redis counter:
 //    user:id:counter (INCR) for new IDs
+//   (list + ID logic lives in lib/subscribers.js, shared with lead-capture.js)
+//
+// Referrals (lib/referrals.js):
+// - A referral code from the body ("ref"), the query string (?ref=) or the mi_ref cookie
+//   (set by /scripts/referral.js when someone lands via an invite link) is parked as a
+//   pending referral, and the signup that parks it sends a confirmation email even without
+//   double opt-in; it only counts for the referrer once the link is clicked
+//   (confirm-subscription.js). Referrals that can never count (e.g. an existing member) get
+//   no email
+// - The response includes the new member's own code as referralCode
+//
+// Suppression (lib/email-suppression.js):
+// - Addresses that hard-bounced or complained (resend-webhook.js) are refused with a 422,
+//   so they don't end up back on a list
+//
+// Optional double opt-in (EMAIL_DOUBLE_OPT_IN=1, see lib/email-optin.js):
+// - Nothing is added and no ID is minted yet; the signup is parked in email:pending
+//   and a confirmation email is sent. Response: { ok: true, pending: true }
+// - confirm-subscription.js promotes it once the link is clicked
 //
 // Usage:
 //  POST /.netlify/functions/subscribe
-//    { "email": "user@example.com", "source": "meta-social-coming-soon", "daily_updates": true }
+//    { "email": "user@example.com", "source": "meta-social-coming-soon", "daily_updates": true,
+//      "ref": "3FA1B2" }
 //
 //  OR GET for testing:
 //    /.netlify/functions/subscribe?email=user@example.com
 
-const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
+const subscribers = require("./lib/subscribers");
+const emailOptIn = require("./lib/email-optin");
+const referrals = require("./lib/referrals");
+const suppression = require("./lib/email-suppression");
+
+// ?ref= / body ref / mi_ref cookie, first one present
+function referralCode(event, parsed) {
+  const fromBody = parsed && typeof parsed.ref === "string" ? parsed.ref : null;
+  const fromQuery = event.queryStringParameters && event.queryStringParameters.ref;
+  const cookie = (event.headers && (event.headers.cookie || event.headers.Cookie)) || "";
+  const m = /(?:^|;\s*)mi_ref=([A-Za-z0-9]+)/.exec(cookie);
+  const ref = fromBody || fromQuery || (m ? m[1] : null);
+  return ref ? String(ref).trim().slice(0, 16) : null;
+}
 
 exports.handler = async function (event) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     return {
       statusCode: 500,
       body: JSON.stringify({ error: "Upstash not configured" }),
@@ -53,10 +86,12 @@ exports.handler = async function (event) {
   // Parse body (POST)
   let source = null;
   let dailyUpdates = false;
+  let parsedBody = null;
 
   if (!email && event.body && event.httpMethod === "POST") {
     try {
       const parsed = JSON.parse(event.body);
+      parsedBody = parsed;
 
       if (parsed && typeof parsed.email === "string") {
         email = parsed.email;
@@ -74,6 +109,7 @@ exports.handler = async function (event) {
     // Email came via query param, but still allow source/daily_updates in body if present
     try {
       const parsed = JSON.parse(event.body);
+      parsedBody = parsed;
       if (parsed && typeof parsed.source === "string") {
         source = parsed.source;
       }
@@ -111,174 +147,44 @@ exports.handler = async function (event) {
     };
   }
 
-  async function fetchWithTimeout(url, opts = {}, timeout = 7000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(id);
-      return res;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
-    }
-  }
-
-  // Keys
-  const dailyKey = "email:subscribers";
-  const appKey = "email:subscribers-App";
-
   // Treat these sources as "app coming soon" signups
   const isAppSignup =
     source === "meta-social-coming-soon" ||
     source === "app-early-access" ||
     source === "social-investing";
 
-  async function sadd(keyName) {
-    const url =
-      `${UPSTASH_URL}/sadd/` +
-      `${encodeURIComponent(keyName)}/` +
-      `${encodeURIComponent(email)}`;
-
-    const res = await fetchWithTimeout(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      },
-    });
-
-    return res;
-  }
-
-  function fmtId(n) {
-    return `MI${String(n).padStart(7, "0")}`;
-  }
-
-  // NEW: ensure ID exists for this email, return it.
-  // - If email already has an ID, re-use it.
-  // - Else allocate the next sequential ID using INCR (safe under concurrency).
-async function ensureMemberId() {
-  const pipelineUrl = `${UPSTASH_URL}/pipeline`;
-
-  // Step 1: GET existing id
-  const r1 = await fetchWithTimeout(pipelineUrl, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify([["GET", `email:id:${email}`]]),
-  });
-
-  if (!r1.ok) {
-    const txt = await r1.text().catch(() => "");
-    console.warn("ensureMemberId: pipeline GET failed", r1.status, txt);
-    return null;
-  }
-
-  const j1 = await r1.json().catch(() => null);
-  const existing = j1 && j1[0] && j1[0].result ? j1[0].result : null;
-  if (existing) return existing;
-
-  // Step 2: Allocate next ID number
-  const r2 = await fetchWithTimeout(pipelineUrl, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify([["INCR", "user:id:counter"]]),
-  });
-
-  if (!r2.ok) {
-    const txt = await r2.text().catch(() => "");
-    console.warn("ensureMemberId: pipeline INCR failed", r2.status, txt);
-    return null;
-  }
-
-  const j2 = await r2.json().catch(() => null);
-  const n =
-    j2 && j2[0] && typeof j2[0].result === "number" ? j2[0].result : null;
-  if (!n) return null;
-
-  const newId = fmtId(n);
+  // Backwards compatibility:
+  // - not an app signup: daily list only
+  // - app signup: always the app waitlist, daily list only if they opted in
+  const lists = isAppSignup
+    ? { app: true, daily: dailyUpdates }
+    : { app: false, daily: true };
 
-  // Step 3: Try to claim email -> id
-  const r3 = await fetchWithTimeout(pipelineUrl, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify([["SETNX", `email:id:${email}`, newId]]),
-  });
-
-  if (!r3.ok) {
-    const txt = await r3.text().catch(() => "");
-    console.warn("ensureMemberId: pipeline SETNX failed", r3.status, txt);
-    return null;
-  }
-
-  const j3 = await r3.json().catch(() => null);
-  const setnx =
-    j3 && j3[0] && typeof j3[0].result === "number" ? j3[0].result : null;
-
-  if (setnx === 1) {
-    // We won the claim; now write reverse mapping
-    const r4 = await fetchWithTimeout(pipelineUrl, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify([["SET", `id:email:${newId}`, email]]),
-    });
-
-    if (!r4.ok) {
-      // Not fatal, but good to log
-      const txt = await r4.text().catch(() => "");
-      console.warn("ensureMemberId: pipeline SET reverse failed", r4.status, txt);
-    }
-
-    return newId;
-  }
-
-  // Another request beat us; fetch canonical id and return it.
-  const r5 = await fetchWithTimeout(pipelineUrl, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify([["GET", `email:id:${email}`]]),
-  });
-
-  if (!r5.ok) return null;
-  const j5 = await r5.json().catch(() => null);
-  const canonical = j5 && j5[0] && j5[0].result ? j5[0].result : null;
-  return canonical || null;
-}
+  const ref = referralCode(event, parsedBody);
 
   try {
-    // Backwards compatibility:
-    // If not an app signup, preserve existing behaviour: add to daily list.
-    if (!isAppSignup) {
-      const r = await sadd(dailyKey);
-      if (!r.ok) {
-        const txt = await r.text().catch(() => "");
-        console.warn("subscribe sadd failed (daily default)", r.status, txt);
-        return {
-          statusCode: 500,
-          headers: {
-            "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
-          },
-          body: JSON.stringify({ error: "Failed to save subscription" }),
-        };
-      }
+    if (await suppression.isSuppressed(email)) {
+      return {
+        statusCode: 422,
+        headers: {
+          "Content-Type": "application/json",
+          "Access-Control-Allow-Origin": "*",
+        },
+        body: JSON.stringify({
+          error: "We can't send emails to this address. If that's a mistake, contact hello@matesinvest.com.",
+          suppressed: true,
+        }),
+      };
+    }
 
-      // NEW: assign ID (best-effort; never blocks)
-      const id = await ensureMemberId();
+    // Double opt-in: park the signup and email a confirmation link instead.
+    if (emailOptIn.isDoubleOptInEnabled()) {
+      const { status } = await emailOptIn.requestConfirmation(email, {
+        lists,
+        source,
+        dailyUpdates,
+        ref,
+      });
 
       return {
         statusCode: 200,
@@ -286,16 +192,17 @@ async function ensureMemberId() {
           "Content-Type": "application/json",
           "Access-Control-Allow-Origin": "*",
         },
-        body: JSON.stringify({ ok: true, ...(id ? { id } : {}) }),
+        body: JSON.stringify({ ok: true, pending: true, confirmation: status }),
       };
     }
 
-    // App signup path:
-    // 1) Always add to app waitlist
-    const r1 = await sadd(appKey);
-    if (!r1.ok) {
-      const txt = await r1.text().catch(() => "");
-      console.warn("subscribe sadd failed (app)", r1.status, txt);
+    // Adds to the lists, assigns the ID (best-effort) and writes initial preferences
+    let id;
+    let referral;
+    try {
+      ({ id, referral } = await subscribers.activateSubscriber(email, { lists, source, dailyUpdates, ref }));
+    } catch (err) {
+      console.warn("subscribe: failed to save subscription", err && err.message);
       return {
         statusCode: 500,
         headers: {
@@ -306,33 +213,16 @@ async function ensureMemberId() {
       };
     }
 
-    // 2) Only add to daily updates if they opted in
-    if (dailyUpdates) {
-      const r2 = await sadd(dailyKey);
-      if (!r2.ok) {
-        const txt = await r2.text().catch(() => "");
-        console.warn("subscribe sadd failed (daily opt-in)", r2.status, txt);
-        return {
-          statusCode: 500,
-          headers: {
-            "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
-          },
-          body: JSON.stringify({ error: "Failed to save subscription" }),
-        };
-      }
-    }
-
-    // NEW: assign ID (best-effort; never blocks)
-    const id = await ensureMemberId();
+    await emailOptIn.requestReferralConfirmation(email, referral, { lists, source, dailyUpdates, ref });
 
+    const ownCode = id ? referrals.codeFor(id) : null;
     return {
       statusCode: 200,
       headers: {
         "Content-Type": "application/json",
         "Access-Control-Allow-Origin": "*",
       },
-      body: JSON.stringify({ ok: true, ...(id ? { id } : {}) }),
+      body: JSON.stringify({ ok: true, ...(id ? { id } : {}), ...(ownCode ? { referralCode: ownCode } : {}) }),
     };
   } catch (err) {
     console.error("subscribe error", err && err.message);
@@ -0,0 +1,63 @@
+// netlify/functions/test/alerts.test.js
+// lib/alerts.js writes against the in-memory Upstash fake: member edits and the evaluator's
+// recordTriggers take turns on the member's lock instead of overwriting each other.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const alerts = require("../lib/alerts");
+
+const UID = "MI0000001";
+const DATE = "2026-10-16";
+
+const fake = createFakeUpstash();
+test.before(() => fake.install());
+test.after(() => fake.uninstall());
+test.beforeEach(() => fake.reset());
+
+function stored() {
+  return JSON.parse(fake.strings.get(`alerts:${UID}`)).alerts;
+}
+
+test("a trigger recorded during a member edit isn't lost", async () => {
+  const [first] = await alerts.createAlert(UID, { code: "BHP", type: "price-above", threshold: 50 });
+  await Promise.all([
+    alerts.recordTriggers(UID, [{ alert: first, value: 51, date: DATE }]),
+    alerts.createAlert(UID, { code: "CBA", type: "move", threshold: 5 }),
+  ]);
+  const saved = stored();
+  assert.deepEqual(saved.map((a) => a.code), ["BHP", "CBA"]);
+  assert.equal(saved[0].lastTriggeredDate, DATE);
+  assert.equal(alerts.inCooldown(saved[0], "2026-10-17"), true);
+  assert.equal(fake.strings.has(`alerts:lock:${UID}`), false, "lock released");
+});
+
+test("recording triggers doesn't undo a pause or delete", async () => {
+  const [a, b] = [
+    ...(await alerts.createAlert(UID, { code: "BHP", type: "price-above", threshold: 50 })),
+    ...(await alerts.createAlert(UID, { code: "CBA", type: "move", threshold: 5 })).slice(1),
+  ];
+  await Promise.all([
+    alerts.setStatus(UID, a.id, "paused"),
+    alerts.deleteAlert(UID, b.id),
+    alerts.recordTriggers(UID, [
+      { alert: a, value: 51, date: DATE },
+      { alert: b, value: 6, date: DATE },
+    ]),
+  ]);
+  const saved = stored();
+  assert.deepEqual(saved.map((x) => x.id), [a.id]);
+  assert.equal(saved[0].status, "paused");
+  assert.equal(saved[0].lastTriggeredDate, DATE);
+  assert.equal(fake.sets.has("alerts:members") && fake.sets.get("alerts:members").has(UID), false);
+});
+
+test("a held lock makes an edit fail with 409", { timeout: 10000 }, async () => {
+  fake.run(["SET", `alerts:lock:${UID}`, "someone-else", "NX", "EX", "15"]);
+  await assert.rejects(
+    alerts.createAlert(UID, { code: "BHP", type: "price-above", threshold: 50 }),
+    (err) => err.status === 409
+  );
+  assert.equal(fake.strings.has(`alerts:${UID}`), false);
+});
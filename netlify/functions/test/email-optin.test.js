@@ -0,0 +1,43 @@
+// netlify/functions/test/email-optin.test.js
+// lib/email-optin.js confirm() against the in-memory Upstash fake.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const emailOptIn = require("../lib/email-optin");
+const emailLists = require("../lib/email-lists");
+
+const EMAIL = "mate@example.com";
+const UID = "MI0000001";
+
+const fake = createFakeUpstash();
+test.before(() => fake.install());
+test.after(() => fake.uninstall());
+test.beforeEach(() => {
+  fake.reset();
+  fake.run(["SET", `email:id:${EMAIL}`, UID]);
+  fake.run(["SET", `id:email:${UID}`, EMAIL]);
+});
+
+test("a repeat click while subscribed is already-confirmed", async () => {
+  fake.run(["SADD", emailLists.SUBSCRIBERS_KEY, EMAIL]);
+  assert.deepEqual(await emailOptIn.confirm(EMAIL), { status: "already-confirmed", id: UID });
+});
+
+test("an old link after unsubscribing is expired, not already-confirmed", async () => {
+  fake.run(["SADD", emailLists.SUBSCRIBERS_KEY, EMAIL]);
+  await emailLists.leaveAll(EMAIL);
+  assert.deepEqual(await emailOptIn.confirm(EMAIL), { status: "expired" });
+});
+
+test("switching every newsletter off counts as unsubscribed", async () => {
+  fake.run(["SADD", emailLists.SUBSCRIBERS_KEY, EMAIL]);
+  for (const list of Object.keys(emailLists.LISTS)) await emailLists.leaveList(UID, EMAIL, list);
+  assert.deepEqual(await emailOptIn.confirm(EMAIL), { status: "expired" });
+});
+
+test("an address that never confirmed is expired", async () => {
+  fake.reset();
+  assert.deepEqual(await emailOptIn.confirm(EMAIL), { status: "expired" });
+});
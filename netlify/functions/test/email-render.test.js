@@ -0,0 +1,197 @@
+// netlify/functions/test/email-render.test.js
+// Each newsletter sender renders its email (lib/email-template.js) from fixture data
+// (fixtures/email-data.json): the data functions they call are swapped for fixture
+// payloads, Upstash is the in-memory fake and Resend sends are captured.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const fixture = require("./fixtures/email-data.json");
+const calendar = require("../lib/market-calendar");
+
+const ADMIN_TOKEN = "test-admin-token";
+const { email: EMAIL, userId: USER_ID } = fixture.subscriber;
+
+// Resend payloads sent during the current test ({ to, subject, html, text, headers })
+let sent = [];
+
+function resendResponse(body) {
+  return { ok: true, status: 200, json: async () => body, text: async () => JSON.stringify(body) };
+}
+
+const fake = createFakeUpstash({
+  external: async (url, opts) => {
+    const body = JSON.parse(opts.body);
+    if (url === "https://api.resend.com/emails") {
+      sent.push(body);
+      return resendResponse({ id: `re_${sent.length}` });
+    }
+    if (url === "https://api.resend.com/emails/batch") {
+      sent.push(...body);
+      return resendResponse({ data: body.map((_, i) => ({ id: `re_batch_${i}` })) });
+    }
+    throw new Error(`unexpected fetch ${url}`);
+  },
+});
+
+const savedEnv = {};
+function setEnv(vars) {
+  for (const [k, v] of Object.entries(vars)) {
+    savedEnv[k] = process.env[k];
+    process.env[k] = v;
+  }
+}
+
+function jsonResponse(body) {
+  return { statusCode: 200, body: JSON.stringify(body) };
+}
+
+// The data functions the senders call, answered from the fixture.
+function stubHandler(mod, body) {
+  mod.handler = async () => jsonResponse(typeof body === "function" ? body() : body);
+}
+stubHandler(require("../morning-brief"), fixture.morningBrief);
+stubHandler(require("../matesMorningNote"), { note: fixture.morningNote });
+stubHandler(require("../newsFeed"), () => ({
+  // "Your stocks" only shows recent stories
+  articles: fixture.news.map((a) => ({ ...a, publishedAt: new Date(Date.now() - 3600 * 1000).toISOString() })),
+}));
+stubHandler(require("../week-ahead"), fixture.weekAhead);
+stubHandler(require("../matesWeeklyNote"), { note: fixture.weekly.note });
+
+const adminEvent = { httpMethod: "POST", headers: { authorization: `Bearer ${ADMIN_TOKEN}` }, body: "{}" };
+
+function seed() {
+  fake.run(["SADD", "email:subscribers", EMAIL]);
+  fake.run(["SET", `email:id:${EMAIL}`, USER_ID]);
+  fake.run(["SADD", "watchlists:members", USER_ID]);
+  fake.run([
+    "SET",
+    `watchlists:${USER_ID}`,
+    JSON.stringify({ lists: [{ id: "w1", name: "Mine", codes: fixture.watchlist.codes }] }),
+  ]);
+  fake.run(["SET", "asx:universe:eod:latest", JSON.stringify(fixture.eodLatest)]);
+
+  // Weekly: one snapshot per trading day, prices drifting up through the week
+  calendar.lastNTradingDays(5).forEach((date, i) => {
+    const bump = (v) => v * (1 + i / 100);
+    fake.run(["SET", `asx200:daily:${date}`, JSON.stringify(fixture.weekly.asxRows)]);
+    fake.run([
+      "SET",
+      `metals:${date}`,
+      JSON.stringify({ ...fixture.weekly.metals, symbols: { XAU: { priceAUD: bump(fixture.weekly.metals.symbols.XAU.priceAUD) } } }),
+    ]);
+    fake.run(["SET", `crypto:${date}`, JSON.stringify({ symbols: { BTC: { todayCloseUSD: bump(fixture.weekly.crypto.symbols.BTC.todayCloseUSD) } } })]);
+  });
+}
+
+test.before(() => {
+  fake.install();
+  setEnv({
+    ADMIN_API_TOKEN: ADMIN_TOKEN,
+    RESEND_API_KEY: "re_test",
+    EMAIL_LINK_SECRET: "test-link-secret",
+    URL: "https://matesinvest.com",
+    WEEK_AHEAD_SEND_DELAY_MS: "0",
+  });
+});
+test.after(() => {
+  fake.uninstall();
+  for (const [k, v] of Object.entries(savedEnv)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+});
+test.beforeEach(() => {
+  fake.reset();
+  sent = [];
+  seed();
+});
+
+async function sendOne(fnFile) {
+  const log = console.log;
+  console.log = () => {};
+  let res;
+  try {
+    res = await require(`../${fnFile}`).handler(adminEvent);
+  } finally {
+    console.log = log;
+  }
+  assert.equal(res.statusCode, 200, res.body);
+  assert.equal(sent.length, 1, "one email per subscriber");
+  const msg = sent[0];
+  assert.deepEqual([].concat(msg.to), [EMAIL]);
+  return msg;
+}
+
+// What every rendered email must carry, whatever the sender.
+function assertEmailShell(msg, { emailType, list }) {
+  const { html, text } = msg;
+  assert.match(html, /^<!doctype html>/);
+  assert.ok(text && !/<[a-z]/i.test(text), "plain-text part without tags");
+  assert.match(html, /general information only and is not financial advice/);
+  assert.ok(html.includes(`Subscriber ID: ${USER_ID}`));
+
+  // Outbound links go through the click tracker, signed for this subscriber and issue
+  const hrefs = [...html.matchAll(/href="([^"]+)"/g)].map((m) => new URL(m[1].replace(/&amp;/g, "&")));
+  const outbound = hrefs.filter((u) => !u.pathname.includes("/unsubscribe"));
+  assert.ok(outbound.length > 0);
+  for (const u of outbound) {
+    assert.equal(u.pathname, "/.netlify/functions/track-email-click", u.href);
+    assert.equal(u.searchParams.get("uid"), USER_ID);
+    assert.equal(u.searchParams.get("type"), emailType);
+    assert.ok(u.searchParams.get("issue") && u.searchParams.get("sig"));
+  }
+  assert.match(html, /track-email-open\?/);
+
+  const unsubscribe = hrefs.find((u) => u.pathname.includes("/unsubscribe"));
+  assert.ok(unsubscribe, "unsubscribe link");
+  assert.equal(unsubscribe.searchParams.get("list"), list);
+  assert.ok(msg.headers["List-Unsubscribe"].includes(`list=${list}`));
+}
+
+// ---------------------------
+// Senders
+// ---------------------------
+
+test("daily brief renders the note and market tables", async () => {
+  const msg = await sendOne("email-daily-brief-background");
+  assertEmailShell(msg, { emailType: "daily-brief", list: "daily" });
+  assert.match(msg.subject, /^MatesMorning – ASX Briefing for /);
+  assert.ok(msg.html.includes("Wall Street finished higher overnight"));
+  assert.ok(msg.html.includes("Pilbara Minerals"));
+  assert.ok(msg.html.includes("Iron Ore 62% Fe"));
+  assert.ok(msg.html.includes("Bitcoin"));
+  assert.ok(msg.text.includes("Yesterday's Top Performers"));
+});
+
+test("daily quiz brief renders the subscriber's stocks", async () => {
+  const msg = await sendOne("email-daily-brief-quiz-background");
+  assertEmailShell(msg, { emailType: "daily-brief-quiz", list: "daily" });
+  assert.ok(msg.html.includes("Your stocks"));
+  assert.ok(msg.html.includes("44.12"));
+  assert.ok(msg.html.includes("BHP lifts copper guidance"));
+  assert.ok(msg.html.includes(encodeURIComponent("https://matesinvest.com/how-you-think")));
+});
+
+test("week ahead renders macro, sectors and charts", async () => {
+  const msg = await sendOne("email-week-ahead-background");
+  assertEmailShell(msg, { emailType: "week-ahead", list: "week-ahead" });
+  assert.ok(msg.html.includes("Week of 19 Oct 2026"));
+  assert.ok(msg.html.includes("RBA minutes"));
+  assert.ok(msg.html.includes("Materials"));
+  assert.ok(!msg.html.includes("MVR.AU"), "ticker shown without .AU");
+  assert.ok(msg.html.includes("https://charts.example.com/markets.png"));
+});
+
+test("weekly brief renders the week's sectors, commodities and crypto", async () => {
+  const msg = await sendOne("email-weekly-brief-background");
+  assertEmailShell(msg, { emailType: "weekly-brief", list: "weekly" });
+  assert.match(msg.subject, /^MatesMorning – The Week That Was \(/);
+  assert.ok(msg.html.includes("A choppy week"));
+  assert.ok(msg.html.includes("Materials"));
+  assert.ok(msg.html.includes("Financials"));
+  assert.ok(msg.html.includes("Gold"));
+  assert.ok(msg.html.includes("Bitcoin"));
+});
@@ -0,0 +1,94 @@
+// netlify/functions/test/fact-check.test.js
+// lib/fact-check.js: which quoted numbers count as grounded in the morning note.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const factCheck = require("../lib/fact-check");
+
+const check = (text, facts) => factCheck.checkSentence(text, facts);
+
+// ---------------------------
+// Direction
+// ---------------------------
+
+test("a move must be quoted in the snapshot's direction", () => {
+  const facts = factCheck.percentMoves([-1.23]);
+  assert.equal(check("The S&P 500 fell 1.2% overnight.", facts).ok, true);
+  assert.equal(check("The S&P 500 rose 1.2% overnight.", facts).ok, false);
+  assert.equal(check("Tech ended 1.2% lower.", facts).ok, true);
+  assert.equal(check("Tech ended 1.2% higher.", facts).ok, false);
+  assert.equal(check("Futures point to a 1.2% drop.", facts).ok, true);
+});
+
+test("explicit signs beat direction words", () => {
+  const facts = factCheck.percentMoves([0.8]);
+  assert.equal(check("Nasdaq: +0.8%", facts).ok, true);
+  assert.equal(check("Nasdaq: -0.8%", facts).ok, false);
+  assert.equal(check("Nasdaq: −0.8%", facts).ok, false);
+});
+
+test("the direction word is taken from the number's own clause", () => {
+  const facts = factCheck.percentMoves([-0.5, 0.9]);
+  assert.equal(check("Energy fell 0.5% while utilities rose 0.9%.", facts).ok, true);
+  assert.equal(check("Energy rose 0.5% while utilities fell 0.9%.", facts).unmatched.length, 2);
+});
+
+test("with no direction word, size alone counts", () => {
+  assert.equal(check("The index moved 1.2%.", factCheck.percentMoves([-1.2])).ok, true);
+  assert.equal(check("The S&P 500 rose 0.0%.", factCheck.percentMoves([-0.01])).ok, true);
+});
+
+test("article numbers are matched on size only", () => {
+  const facts = factCheck.factsIn("BHP shares drop 3% as iron ore slides");
+  assert.equal(check("BHP shares rose 3%.", facts).ok, true);
+});
+
+// ---------------------------
+// Percentages vs plain numbers
+// ---------------------------
+
+test("percentages only match percentage facts", () => {
+  const facts = factCheck.percentMoves([1.2]);
+  assert.equal(check("The index added 1.2 points.", facts).ok, false);
+  assert.equal(check("The index added 1.2 per cent.", facts).ok, true);
+  assert.equal(check("The index added 1.2 percent.", facts).ok, true);
+  assert.deepEqual(check("Gold hit 1.2%.", factCheck.factsIn("Gold at $1.2 trillion")).unmatched, ["1.2%"]);
+});
+
+test("quoted precision sets the tolerance", () => {
+  const facts = factCheck.percentMoves([1.234]);
+  assert.equal(check("up 1.2%", facts).ok, true);
+  assert.equal(check("up 1%", facts).ok, true);
+  assert.equal(check("up 1.3%", facts).ok, false);
+  assert.equal(check("up 1.24%", facts).ok, false);
+});
+
+// ---------------------------
+// Not figures
+// ---------------------------
+
+test("index names, dates, years, times and periods are ignored", () => {
+  const none = [];
+  const sentences = [
+    "The S&P 500 and ASX 200 were steady.",
+    "The Nasdaq 100 and S&P/ASX 200 closed on 14 March.",
+    "Results land on March 14, 2026 at 10am.",
+    "The RBA meets on the 3rd of June.",
+    "Earnings guidance for FY25 and 1H26 was reaffirmed in Q3.",
+    "Data from 2026-03-14 and 14/03/2026 was revised in March 2026.",
+    "The highest level since 2008.",
+  ];
+  for (const s of sentences) assert.deepEqual(check(s, none).numbers, [], s);
+});
+
+test("a year-like percentage is still a figure", () => {
+  assert.deepEqual(check("Shares soared 2010%.", []).unmatched, ["2010%"]);
+});
+
+test("extractNumbers reports size, precision, percent-ness and direction", () => {
+  assert.deepEqual(factCheck.extractNumbers("fell 1,234.50 points, or 1.25 per cent"), [
+    { raw: "1,234.50", value: 1234.5, decimals: 2, pct: false, direction: -1 },
+    { raw: "1.25 per cent", value: 1.25, decimals: 2, pct: true, direction: -1 },
+  ]);
+});
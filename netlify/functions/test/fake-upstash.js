@@ -0,0 +1,374 @@
+// netlify/functions/test/fake-upstash.js
+//
+// In-memory stand-in for the Upstash REST API, for the node:test suites in this folder.
+// Speaks the same two endpoints lib/upstash.js uses:
+//   POST <url>            body ["CMD", ...args]        -> { result } | { error }
+//   POST <url>/pipeline   body [["CMD", ...], ...]     -> [{ result } | { error }, ...]
+//
+// Usage:
+//   const fake = createFakeUpstash().install();   // sets the env vars and global.fetch
+//   ...
+//   fake.uninstall();
+//
+// Faults, for retry tests:
+//   fake.failNext({ status: 503 })                 -> next request gets a 503, nothing applied
+//   fake.failNext({ networkError: true })          -> next request throws, nothing applied
+//   fake.failNext({ lostResponse: true })          -> next request IS applied, then throws
+//                                                     (the connection dropped on the way back)
+//
+// Only the commands the libraries use are implemented; anything else is an { error }.
+
+const FAKE_URL = "http://upstash.fake";
+
+function createFakeUpstash({ external = null } = {}) {
+  const strings = new Map();
+  const hashes = new Map();
+  const sets = new Map();
+  const zsets = new Map();
+  const lists = new Map();
+  const ttls = new Map();
+  const requests = [];
+  const faults = [];
+  let realFetch = null;
+  let savedEnv = null;
+
+  function hashOf(key, create) {
+    if (!hashes.has(key) && create) hashes.set(key, new Map());
+    return hashes.get(key) || new Map();
+  }
+
+  function setOf(key, create) {
+    if (!sets.has(key) && create) sets.set(key, new Set());
+    return sets.get(key) || new Set();
+  }
+
+  function zsetOf(key, create) {
+    if (!zsets.has(key) && create) zsets.set(key, new Map());
+    return zsets.get(key) || new Map();
+  }
+
+  function listOf(key, create) {
+    if (!lists.has(key) && create) lists.set(key, []);
+    return lists.get(key) || [];
+  }
+
+  function exists(key) {
+    return strings.has(key) || hashes.has(key) || sets.has(key) || zsets.has(key) || lists.has(key);
+  }
+
+  function del(key) {
+    const had = exists(key);
+    for (const m of [strings, hashes, sets, zsets, lists, ttls]) m.delete(key);
+    return had;
+  }
+
+  function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`);
+  }
+
+  // Redis-style inclusive slice: start / stop may be negative.
+  function rangeSlice(arr, start, stop) {
+    const n = arr.length;
+    let s = Number(start);
+    let e = Number(stop);
+    if (s < 0) s = Math.max(0, n + s);
+    if (e < 0) e = n + e;
+    return arr.slice(s, e + 1);
+  }
+
+  function parseScoreBound(v) {
+    const s = String(v);
+    if (s === "-inf") return { n: -Infinity, open: false };
+    if (s === "+inf" || s === "inf") return { n: Infinity, open: false };
+    if (s.startsWith("(")) return { n: Number(s.slice(1)), open: true };
+    return { n: Number(s), open: false };
+  }
+
+  function inBounds(score, lo, hi) {
+    return (lo.open ? score > lo.n : score >= lo.n) && (hi.open ? score < hi.n : score <= hi.n);
+  }
+
+  function sortedMembers(key) {
+    return [...zsetOf(key).entries()].sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1));
+  }
+
+  function run(cmd) {
+    const [name, ...a] = cmd.map(String);
+    const C = name.toUpperCase();
+    switch (C) {
+      // Strings
+      case "GET":
+        return strings.has(a[0]) ? strings.get(a[0]) : null;
+      case "MGET":
+        return a.map((k) => (strings.has(k) ? strings.get(k) : null));
+      case "SET": {
+        const upper = a.map((x) => x.toUpperCase());
+        if (upper.includes("NX") && strings.has(a[0])) return null;
+        if (upper.includes("XX") && !strings.has(a[0])) return null;
+        strings.set(a[0], a[1]);
+        const ex = upper.indexOf("EX");
+        if (ex > 1) ttls.set(a[0], Number(a[ex + 1]));
+        else ttls.delete(a[0]);
+        return "OK";
+      }
+      case "SETEX":
+        strings.set(a[0], a[2]);
+        ttls.set(a[0], Number(a[1]));
+        return "OK";
+      case "SETNX":
+        if (strings.has(a[0])) return 0;
+        strings.set(a[0], a[1]);
+        return 1;
+      case "INCR":
+      case "INCRBY": {
+        const v = Number(strings.get(a[0]) || 0) + (C === "INCR" ? 1 : Number(a[1]));
+        strings.set(a[0], String(v));
+        return v;
+      }
+      case "DEL":
+        return a.filter((k) => del(k)).length;
+      case "EXISTS":
+        return a.filter((k) => exists(k)).length;
+      case "EXPIRE":
+        if (!exists(a[0])) return 0;
+        ttls.set(a[0], Number(a[1]));
+        return 1;
+      case "TTL":
+        if (!exists(a[0])) return -2;
+        return ttls.has(a[0]) ? ttls.get(a[0]) : -1;
+
+      // Hashes
+      case "HSET": {
+        const h = hashOf(a[0], true);
+        let added = 0;
+        for (let i = 1; i + 1 < a.length; i += 2) {
+          if (!h.has(a[i])) added++;
+          h.set(a[i], a[i + 1]);
+        }
+        return added;
+      }
+      case "HSETNX": {
+        const h = hashOf(a[0], true);
+        if (h.has(a[1])) return 0;
+        h.set(a[1], a[2]);
+        return 1;
+      }
+      case "HGET":
+        return hashOf(a[0]).has(a[1]) ? hashOf(a[0]).get(a[1]) : null;
+      case "HMGET":
+        return a.slice(1).map((f) => (hashOf(a[0]).has(f) ? hashOf(a[0]).get(f) : null));
+      case "HGETALL":
+        return [...hashOf(a[0]).entries()].flat();
+      case "HKEYS":
+        return [...hashOf(a[0]).keys()];
+      case "HLEN":
+        return hashOf(a[0]).size;
+      case "HDEL": {
+        const h = hashOf(a[0]);
+        const n = a.slice(1).filter((f) => h.delete(f)).length;
+        if (hashes.has(a[0]) && h.size === 0) hashes.delete(a[0]);
+        return n;
+      }
+      case "HINCRBY": {
+        const h = hashOf(a[0], true);
+        const v = Number(h.get(a[1]) || 0) + Number(a[2]);
+        h.set(a[1], String(v));
+        return v;
+      }
+
+      // Sets
+      case "SADD": {
+        const s = setOf(a[0], true);
+        return a.slice(1).filter((m) => !s.has(m) && s.add(m)).length;
+      }
+      case "SREM": {
+        const s = setOf(a[0]);
+        const n = a.slice(1).filter((m) => s.delete(m)).length;
+        if (sets.has(a[0]) && s.size === 0) sets.delete(a[0]);
+        return n;
+      }
+      case "SMEMBERS":
+        return [...setOf(a[0])];
+      case "SISMEMBER":
+        return setOf(a[0]).has(a[1]) ? 1 : 0;
+      case "SCARD":
+        return setOf(a[0]).size;
+
+      // Sorted sets
+      case "ZADD": {
+        const z = zsetOf(a[0], true);
+        let i = 1;
+        const flags = new Set();
+        while (["NX", "XX", "GT", "LT", "CH"].includes(a[i].toUpperCase())) flags.add(a[i++].toUpperCase());
+        let added = 0;
+        for (; i + 1 < a.length; i += 2) {
+          const member = a[i + 1];
+          if (flags.has("NX") && z.has(member)) continue;
+          if (flags.has("XX") && !z.has(member)) continue;
+          if (!z.has(member)) added++;
+          z.set(member, Number(a[i]));
+        }
+        return added;
+      }
+      case "ZREM": {
+        const z = zsetOf(a[0]);
+        return a.slice(1).filter((m) => z.delete(m)).length;
+      }
+      case "ZCARD":
+        return zsetOf(a[0]).size;
+      case "ZSCORE":
+        return zsetOf(a[0]).has(a[1]) ? String(zsetOf(a[0]).get(a[1])) : null;
+      case "ZRANGE": {
+        const upper = a.map((x) => x.toUpperCase());
+        const rev = upper.includes("REV");
+        const withScores = upper.includes("WITHSCORES");
+        let entries;
+        if (upper.includes("BYSCORE")) {
+          const lo = parseScoreBound(rev ? a[2] : a[1]);
+          const hi = parseScoreBound(rev ? a[1] : a[2]);
+          entries = sortedMembers(a[0]).filter(([, s]) => inBounds(s, lo, hi));
+          if (rev) entries.reverse();
+          const li = upper.indexOf("LIMIT");
+          if (li > 0) entries = entries.slice(Number(a[li + 1]), Number(a[li + 1]) + Number(a[li + 2]));
+        } else {
+          entries = sortedMembers(a[0]);
+          if (rev) entries.reverse();
+          entries = rangeSlice(entries, a[1], a[2]);
+        }
+        return withScores ? entries.flatMap(([m, s]) => [m, String(s)]) : entries.map(([m]) => m);
+      }
+      case "ZREMRANGEBYSCORE": {
+        const z = zsetOf(a[0]);
+        const lo = parseScoreBound(a[1]);
+        const hi = parseScoreBound(a[2]);
+        let n = 0;
+        for (const [m, s] of [...z.entries()]) if (inBounds(s, lo, hi) && z.delete(m)) n++;
+        return n;
+      }
+      case "ZREMRANGEBYRANK": {
+        const z = zsetOf(a[0]);
+        const doomed = rangeSlice(sortedMembers(a[0]), a[1], a[2]);
+        for (const [m] of doomed) z.delete(m);
+        return doomed.length;
+      }
+
+      // Lists
+      case "LPUSH": {
+        const l = listOf(a[0], true);
+        for (const v of a.slice(1)) l.unshift(v);
+        return l.length;
+      }
+      case "RPUSH": {
+        const l = listOf(a[0], true);
+        l.push(...a.slice(1));
+        return l.length;
+      }
+      case "LRANGE":
+        return rangeSlice(listOf(a[0]), a[1], a[2]);
+      case "LLEN":
+        return listOf(a[0]).length;
+      case "LTRIM":
+        if (lists.has(a[0])) lists.set(a[0], rangeSlice(listOf(a[0]), a[1], a[2]));
+        return "OK";
+
+      // Keys
+      case "SCAN": {
+        const mi = a.map((x) => x.toUpperCase()).indexOf("MATCH");
+        const re = globToRegExp(mi >= 0 ? a[mi + 1] : "*");
+        const keys = new Set([...strings.keys(), ...hashes.keys(), ...sets.keys(), ...zsets.keys(), ...lists.keys()]);
+        return ["0", [...keys].filter((k) => re.test(k))];
+      }
+
+      default:
+        throw new Error(`ERR unknown command '${C}' (fake-upstash)`);
+    }
+  }
+
+  function runSafe(cmd) {
+    try {
+      return { result: run(cmd) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  function response(status, json) {
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => json,
+      text: async () => JSON.stringify(json),
+    };
+  }
+
+  async function fakeFetch(url, opts = {}) {
+    const u = String(url);
+    if (!u.startsWith(FAKE_URL)) {
+      if (external) return external(url, opts);
+      throw new Error(`fake-upstash: unexpected fetch ${u}`);
+    }
+    const path = u.slice(FAKE_URL.length);
+    const body = opts.body ? JSON.parse(opts.body) : null;
+    requests.push({ path, body });
+
+    const fault = faults.shift();
+    if (fault && fault.status) return response(fault.status, { error: "injected" });
+    if (fault && fault.networkError) throw new TypeError("fetch failed (injected)");
+
+    const json = path === "/pipeline" ? body.map(runSafe) : runSafe(body);
+    if (fault && fault.lostResponse) throw new TypeError("fetch failed after write (injected)");
+    return response(200, json);
+  }
+
+  const fake = {
+    url: FAKE_URL,
+    strings,
+    hashes,
+    sets,
+    zsets,
+    lists,
+    ttls,
+    requests,
+    run,
+
+    failNext(fault) {
+      faults.push(fault);
+      return fake;
+    },
+
+    reset() {
+      for (const m of [strings, hashes, sets, zsets, lists, ttls]) m.clear();
+      requests.length = 0;
+      faults.length = 0;
+      return fake;
+    },
+
+    install() {
+      savedEnv = {
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+      };
+      process.env.UPSTASH_REDIS_REST_URL = FAKE_URL;
+      process.env.UPSTASH_REDIS_REST_TOKEN = "fake-token";
+      realFetch = global.fetch;
+      global.fetch = fakeFetch;
+      return fake;
+    },
+
+    uninstall() {
+      global.fetch = realFetch;
+      for (const [k, v] of [
+        ["UPSTASH_REDIS_REST_URL", savedEnv && savedEnv.url],
+        ["UPSTASH_REDIS_REST_TOKEN", savedEnv && savedEnv.token],
+      ]) {
+        if (v === undefined) delete process.env[k];
+        else process.env[k] = v;
+      }
+    },
+  };
+
+  return fake;
+}
+
+module.exports = { createFakeUpstash };
@@ -0,0 +1,165 @@
+// netlify/functions/test/llm.test.js
+// lib/llm.js through the fake provider (LLM_PROVIDER=fake), with the response cache and
+// usage counters on the in-memory Upstash fake.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const calendar = require("../lib/market-calendar");
+const llm = require("../lib/llm");
+
+const fake = createFakeUpstash();
+const ENV_KEYS = ["LLM_PROVIDER", "LLM_FAKE_RESPONSE", "LLM_CACHE_DISABLED", "LLM_MODEL_SPORTS_SUMMARY"];
+const savedEnv = {};
+
+const messages = [
+  { role: "system", content: "You write short market notes." },
+  { role: "user", content: "Summarise today's ASX session." },
+];
+
+// Fake provider that counts calls and can fail its first attempts.
+function countingProvider({ failures = [] } = {}) {
+  const provider = {
+    name: "counting",
+    calls: 0,
+    async complete(req) {
+      provider.calls++;
+      const status = failures.shift();
+      if (status) {
+        const err = new Error(`fake error ${status}`);
+        err.status = status;
+        throw err;
+      }
+      return llm.fakeProvider.complete(req);
+    },
+  };
+  return provider;
+}
+
+function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      console.warn = warn;
+    });
+}
+
+test.before(() => {
+  fake.install();
+  for (const k of ENV_KEYS) savedEnv[k] = process.env[k];
+});
+test.after(() => {
+  fake.uninstall();
+  for (const k of ENV_KEYS) {
+    if (savedEnv[k] === undefined) delete process.env[k];
+    else process.env[k] = savedEnv[k];
+  }
+});
+test.beforeEach(() => {
+  fake.reset();
+  for (const k of ENV_KEYS) delete process.env[k];
+  process.env.LLM_PROVIDER = "fake";
+  llm.setProvider(null);
+});
+
+// ---------------------------
+// Fake provider
+// ---------------------------
+
+test("LLM_PROVIDER=fake answers without a network call", async () => {
+  const res = await llm.complete("morning-note", { messages });
+  assert.match(res.text, /^Fake gpt-4o-mini response for a \d+-character prompt\./);
+  assert.ok(res.text.endsWith(llm.GENERAL_ADVICE_DISCLAIMER));
+  assert.equal(res.cached, false);
+  assert.ok(res.usage.promptTokens > 0);
+  // (the Upstash fake throws on any other URL, so nothing reached OpenAI)
+});
+
+test("the compliance filter runs on fake responses", async () => {
+  process.env.LLM_FAKE_RESPONSE = "Miners led the gains. You should buy BHP now. Banks were flat.";
+  const res = await quietly(() => llm.complete("instrument-summary", { messages }));
+  assert.deepEqual(res.removed, ["You should buy BHP now."]);
+  assert.equal(res.text, `Miners led the gains. Banks were flat. ${llm.GENERAL_ADVICE_DISCLAIMER}`);
+
+  const plain = await llm.complete("sports-summary", { messages });
+  assert.equal(plain.text, process.env.LLM_FAKE_RESPONSE);
+});
+
+test("completeJson parses and filters JSON-mode responses", async () => {
+  const res = await llm.completeJson("news-summary", { messages });
+  assert.deepEqual(res.json, {});
+
+  process.env.LLM_FAKE_RESPONSE = JSON.stringify({ bullets: ["Iron ore slipped.", "We recommend selling."] });
+  const filtered = await quietly(() => llm.completeJson("news-summary", { messages: [...messages, { role: "user", content: "again" }] }));
+  assert.deepEqual(filtered.json, { bullets: ["Iron ore slipped."] });
+
+  process.env.LLM_FAKE_RESPONSE = "not json";
+  const bad = await quietly(() => llm.completeJson("news-summary", { messages: [{ role: "user", content: "bad" }] }));
+  assert.equal(bad.json, null);
+});
+
+test("per-feature model overrides reach the provider", async () => {
+  process.env.LLM_MODEL_SPORTS_SUMMARY = "gpt-4.1-nano";
+  const res = await llm.complete("sports-summary", { messages });
+  assert.equal(res.model, "gpt-4.1-nano");
+});
+
+// ---------------------------
+// Cache + usage
+// ---------------------------
+
+test("identical requests are served from the cache", async () => {
+  const provider = countingProvider();
+  llm.setProvider(provider);
+
+  const first = await llm.complete("morning-note", { messages });
+  const second = await llm.complete("morning-note", { messages });
+  assert.equal(provider.calls, 1);
+  assert.equal(second.cached, true);
+  assert.equal(second.text, first.text);
+
+  const cacheKeys = [...fake.strings.keys()].filter((k) => k.startsWith("llm:cache:morning-note:"));
+  assert.equal(cacheKeys.length, 1);
+  assert.equal(fake.ttls.get(cacheKeys[0]), llm.FEATURES["morning-note"].cacheTtlSeconds);
+
+  await llm.complete("morning-note", { messages: [...messages, { role: "user", content: "Shorter." }] });
+  assert.equal(provider.calls, 2);
+
+  process.env.LLM_CACHE_DISABLED = "1";
+  await llm.complete("morning-note", { messages });
+  assert.equal(provider.calls, 3);
+});
+
+test("usage is counted per feature per Sydney day", async () => {
+  await llm.complete("morning-note", { messages });
+  await llm.complete("morning-note", { messages });
+  const today = calendar.sydneyDateString();
+  const usage = (await llm.getUsage([today]))[today]["morning-note"];
+  assert.equal(usage.calls, 1);
+  assert.equal(usage.cacheHits, 1);
+  assert.ok(usage.promptTokens > 0 && usage.completionTokens > 0);
+  assert.ok(usage.costUsd > 0);
+});
+
+// ---------------------------
+// Retries
+// ---------------------------
+
+test("retryable provider errors are retried, others are thrown", async () => {
+  const flaky = countingProvider({ failures: [503] });
+  llm.setProvider(flaky);
+  const res = await quietly(() => llm.complete("sports-summary", { messages, cache: false }));
+  assert.equal(flaky.calls, 2);
+  assert.match(res.text, /^Fake /);
+
+  const broken = countingProvider({ failures: [400] });
+  llm.setProvider(broken);
+  await quietly(() => assert.rejects(llm.complete("sports-summary", { messages, cache: false }), (err) => err.status === 400));
+  assert.equal(broken.calls, 1);
+
+  const today = calendar.sydneyDateString();
+  assert.equal((await llm.getUsage([today]))[today]["sports-summary"].errors, 1);
+});
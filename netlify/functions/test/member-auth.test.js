@@ -0,0 +1,57 @@
+// netlify/functions/test/member-auth.test.js
+// lib/member-auth.js sign-in links: where `next` may send the browser, and that it's signed.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const memberAuth = require("../lib/member-auth");
+
+const savedSecret = process.env.EMAIL_LINK_SECRET;
+test.before(() => {
+  process.env.EMAIL_LINK_SECRET = "test-link-secret";
+});
+test.after(() => {
+  if (savedSecret === undefined) delete process.env.EMAIL_LINK_SECRET;
+  else process.env.EMAIL_LINK_SECRET = savedSecret;
+});
+
+function linkParams(next) {
+  return Object.fromEntries(new URL(memberAuth.loginUrl("MI0000001", next)).searchParams);
+}
+
+test("safeNext keeps same-site paths", () => {
+  assert.equal(memberAuth.safeNext("/stocks/CBA.html"), "/stocks/CBA.html");
+  assert.equal(memberAuth.safeNext("/discover.html?tab=watch#lists"), "/discover.html?tab=watch#lists");
+  assert.equal(memberAuth.safeNext("/a/../watchlists.html"), "/watchlists.html");
+});
+
+test("safeNext refuses anything that could leave the site", () => {
+  const bad = [
+    "",
+    null,
+    "https://evil.com",
+    "//evil.com",
+    "/\\evil.com",
+    "/\t/evil.com",
+    "/\n/evil.com",
+    "/ /evil.com",
+    "javascript:alert(1)",
+    `/${"x".repeat(400)}`,
+  ];
+  for (const next of bad) assert.equal(memberAuth.safeNext(next), "/discover.html", JSON.stringify(next));
+});
+
+test("sign-in links verify with the next they were issued for", () => {
+  const params = linkParams("/stocks/CBA.html");
+  assert.deepEqual(memberAuth.verifyLoginLink(params), { ok: true, uid: "MI0000001", next: "/stocks/CBA.html" });
+  assert.deepEqual(memberAuth.verifyLoginLink(linkParams("//evil.com")), { ok: true, uid: "MI0000001", next: "/discover.html" });
+});
+
+test("changing next invalidates the link", () => {
+  const params = linkParams("/stocks/CBA.html");
+  assert.deepEqual(memberAuth.verifyLoginLink({ ...params, next: "/watchlists.html" }), { ok: false, reason: "invalid" });
+  assert.deepEqual(memberAuth.verifyLoginLink({ ...params, next: "/\t/evil.com" }), { ok: false, reason: "invalid" });
+  const { next, ...withoutNext } = params;
+  assert.equal(next, "/stocks/CBA.html");
+  assert.deepEqual(memberAuth.verifyLoginLink(withoutNext), { ok: false, reason: "invalid" });
+});
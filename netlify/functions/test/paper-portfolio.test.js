@@ -0,0 +1,65 @@
+// netlify/functions/test/paper-portfolio.test.js
+// lib/paper-portfolio.js writes against the in-memory Upstash fake: concurrent writers
+// for one member take turns on the member's lock instead of overwriting each other.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const paper = require("../lib/paper-portfolio");
+
+const UID = "MI0000001";
+const DATE = "2026-10-16";
+const prices = {
+  date: DATE,
+  byCode: new Map([
+    ["BHP", { code: "BHP", close: 40 }],
+    ["CBA", { code: "CBA", close: 150 }],
+  ]),
+};
+
+const fake = createFakeUpstash();
+test.before(() => fake.install());
+test.after(() => fake.uninstall());
+test.beforeEach(() => fake.reset());
+
+function stored() {
+  return JSON.parse(fake.strings.get(`paper:${UID}`));
+}
+
+test("concurrent trades for one member both land", async () => {
+  await Promise.all([
+    paper.trade(UID, "buy", { code: "BHP", shares: 100 }, prices),
+    paper.trade(UID, "buy", { code: "CBA", shares: 10 }, prices),
+  ]);
+  const rec = stored();
+  assert.deepEqual(Object.keys(rec.positions).sort(), ["BHP", "CBA"]);
+  assert.equal(rec.activity.length, 2);
+  assert.equal(rec.cash, paper.STARTING_CASH - (4000 + 9.5) - (1500 + 9.5));
+  assert.equal(fake.strings.has(`paper:lock:${UID}`), false, "lock released");
+});
+
+test("a trade during the mark isn't lost", async () => {
+  await paper.trade(UID, "buy", { code: "BHP", shares: 100 }, prices);
+  const marked = { ...prices, date: "2026-10-17" };
+  await Promise.all([
+    paper.markPortfolio(UID, { ...marked, events: [], dividendsFor: async () => [] }),
+    paper.trade(UID, "buy", { code: "CBA", shares: 10 }, prices),
+  ]);
+  const rec = stored();
+  assert.deepEqual(Object.keys(rec.positions).sort(), ["BHP", "CBA"]);
+  assert.equal(rec.markedDate, "2026-10-17");
+});
+
+test("a held lock makes the write fail with 409 and leaves the portfolio alone", { timeout: 10000 }, async () => {
+  await paper.trade(UID, "buy", { code: "BHP", shares: 100 }, prices);
+  fake.run(["SET", `paper:lock:${UID}`, "someone-else", "NX", "EX", "15"]);
+  await assert.rejects(paper.trade(UID, "sell", { code: "BHP", shares: 100 }, prices), (err) => err.status === 409);
+  assert.equal(stored().positions.BHP.shares, 100);
+  assert.equal(fake.strings.get(`paper:lock:${UID}`), "someone-else", "another writer's lock is kept");
+});
+
+test("a failed trade releases the lock", async () => {
+  await assert.rejects(paper.trade(UID, "sell", { code: "BHP", shares: 1 }, prices), (err) => err.status === 400);
+  assert.equal(fake.strings.has(`paper:lock:${UID}`), false);
+});
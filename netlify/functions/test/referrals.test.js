@@ -0,0 +1,167 @@
+// netlify/functions/test/referrals.test.js
+// Referral attribution (lib/referrals.js) against the in-memory Upstash fake: a signup only
+// parks a pending referral, and it counts once the referee confirms (lib/email-optin.js).
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const referrals = require("../lib/referrals");
+const subscribers = require("../lib/subscribers");
+const emailOptIn = require("../lib/email-optin");
+const subscribe = require("../subscribe");
+
+const REFERRER = "MI0000001";
+const REFERRER_EMAIL = "mate@example.com";
+
+// Confirmation emails sent during the current test ({ to, subject, text, ... })
+let sent = [];
+
+const fake = createFakeUpstash({
+  external: async (url, opts) => {
+    if (url !== "https://api.resend.com/emails") throw new Error(`unexpected fetch ${url}`);
+    sent.push(JSON.parse(opts.body));
+    return { ok: true, status: 200, json: async () => ({ id: "re_1" }), text: async () => "" };
+  },
+});
+
+const ENV = { EMAIL_LINK_SECRET: "test-link-secret", RESEND_API_KEY: "re_test", EMAIL_DOUBLE_OPT_IN: "" };
+const savedEnv = {};
+
+test.before(() => {
+  fake.install();
+  for (const [k, v] of Object.entries(ENV)) {
+    savedEnv[k] = process.env[k];
+    process.env[k] = v;
+  }
+});
+test.after(() => {
+  fake.uninstall();
+  for (const [k, v] of Object.entries(savedEnv)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+});
+test.beforeEach(() => {
+  fake.reset();
+  sent = [];
+  fake.run(["SET", "user:id:counter", "1"]);
+  fake.run(["SET", `email:id:${REFERRER_EMAIL}`, REFERRER]);
+  fake.run(["SET", `id:email:${REFERRER}`, REFERRER_EMAIL]);
+});
+
+const code = () => referrals.codeFor(REFERRER);
+
+function stats() {
+  return fake.hashes.get(`referrals:${REFERRER}`) || new Map();
+}
+
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      console.log = log;
+      console.warn = warn;
+    });
+}
+
+async function signUp(email) {
+  return quietly(() => subscribers.activateSubscriber(email, { lists: { daily: true }, source: "website", ref: code() }));
+}
+
+function post(body) {
+  return quietly(() => subscribe.handler({ httpMethod: "POST", body: JSON.stringify(body) }));
+}
+
+test("a signup parks the referral without counting it", async () => {
+  const { id, referral } = await signUp("friend@example.com");
+  assert.ok(id);
+  assert.deepEqual(referral, { status: "pending" });
+  assert.equal((await referrals.getPending(id)).referrer, REFERRER);
+  assert.equal(fake.strings.has(`referral:edge:${id}`), false);
+  assert.equal(stats().get("counted"), undefined);
+  assert.ok(fake.ttls.get(`referral:pending:${id}`) > 0, "unconfirmed referrals expire");
+});
+
+test("confirming counts the referral once", async () => {
+  const { id } = await signUp("friend@example.com");
+  assert.deepEqual(await quietly(() => referrals.confirmReferral(id)), { status: "counted" });
+  assert.equal(Number(stats().get("counted")), 1);
+  assert.equal(JSON.parse(fake.strings.get(`referral:edge:${id}`)).status, "counted");
+  assert.equal(await referrals.getPending(id), null);
+
+  assert.deepEqual(await referrals.confirmReferral(id), { status: "ignored", reason: "not-pending" });
+  const again = await signUp("friend@example.com");
+  assert.deepEqual(again.referral, { status: "ignored", reason: "already-referred" });
+  assert.equal(await referrals.getPending(id), null, "signing up again doesn't re-open it");
+  assert.equal(Number(stats().get("counted")), 1);
+});
+
+test("a single opt-in signup with a ref is counted only after the confirmation click", async () => {
+  const res = await post({ email: "friend@example.com", ref: code() });
+  assert.equal(res.statusCode, 200);
+  const { id } = JSON.parse(res.body);
+  assert.ok(fake.sets.get("email:subscribers").has("friend@example.com"), "subscribed straight away");
+  assert.equal(sent.length, 1, "confirmation email sent");
+  assert.deepEqual([].concat(sent[0].to), ["friend@example.com"]);
+  assert.match(sent[0].subject, /your mate gets the credit/);
+  assert.ok(!sent[0].html.includes("you won't hear from us"), "referral copy doesn't promise silence");
+  assert.equal(stats().get("counted"), undefined);
+
+  assert.deepEqual(await quietly(() => emailOptIn.confirm("friend@example.com")), { status: "confirmed", id, referral: true });
+  assert.equal(Number(stats().get("counted")), 1);
+});
+
+test("confirming a referral doesn't resubscribe an address that has left", async () => {
+  await post({ email: "friend@example.com", ref: code() });
+  fake.run(["SREM", "email:subscribers", "friend@example.com"]);
+  await quietly(() => emailOptIn.confirm("friend@example.com"));
+  assert.equal(Number(stats().get("counted")), 1);
+  assert.equal((fake.sets.get("email:subscribers") || new Set()).has("friend@example.com"), false);
+});
+
+test("repeat signups with a ref send no further confirmation emails", async () => {
+  await post({ email: "friend@example.com", ref: code() });
+  fake.run(["DEL", "email:pending:friend@example.com"]);
+  await post({ email: "friend@example.com", ref: code() });
+  await post({ email: "friend@example.com", ref: referrals.codeFor("MI0000005") });
+  assert.equal(sent.length, 1);
+});
+
+test("a signup without a ref gets no confirmation email", async () => {
+  const res = await post({ email: "friend@example.com" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(sent.length, 0);
+});
+
+test("a suppressed address gets no id and no referral", async () => {
+  fake.run(["SADD", "email:suppressed", "friend@example.com"]);
+  assert.deepEqual(await signUp("friend@example.com"), { id: null, referral: null });
+  assert.equal(fake.strings.has("email:id:friend@example.com"), false);
+  assert.equal([...fake.strings.keys()].some((k) => k.startsWith("referral:")), false);
+});
+
+test("members who already had an id are rejected at signup, with no email", async () => {
+  fake.run(["SET", "email:id:old@example.com", "MI0000009"]);
+  const { id, referral } = await signUp("old@example.com");
+  assert.deepEqual(referral, { status: "rejected", reason: "existing-member" });
+  assert.equal(await referrals.getPending(id), null);
+  assert.equal(Number(stats().get("rejected")), 1);
+
+  await post({ email: "old@example.com", ref: code() });
+  assert.equal(sent.length, 0);
+});
+
+test("the daily cap applies on the day of confirmation", async () => {
+  const ids = [];
+  for (let i = 0; i <= referrals.DAILY_CAP; i++) ids.push((await signUp(`friend${i}@example.com`)).id);
+  assert.equal(stats().get("counted"), undefined, "signups alone never hit the cap");
+
+  const results = [];
+  for (const id of ids) results.push(await quietly(() => referrals.confirmReferral(id)));
+  assert.equal(results.filter((r) => r.status === "counted").length, referrals.DAILY_CAP);
+  assert.deepEqual(results[results.length - 1], { status: "rejected", reason: "daily-cap" });
+});
@@ -0,0 +1,170 @@
+// netlify/functions/test/upstash.test.js
+// lib/upstash.js against the in-memory fake (test/fake-upstash.js).
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const upstash = require("../lib/upstash");
+
+const fake = createFakeUpstash();
+test.before(() => fake.install());
+test.after(() => fake.uninstall());
+test.beforeEach(() => fake.reset());
+
+// ---------------------------
+// Commands
+// ---------------------------
+
+test("strings: set / get / setex / incr / del", async () => {
+  assert.equal(await upstash.set("k", "v", { ex: 60 }), "OK");
+  assert.equal(await upstash.get("k"), "v");
+  assert.equal(fake.ttls.get("k"), 60);
+  await upstash.setex("s", 30, "x");
+  assert.equal(fake.ttls.get("s"), 30);
+  assert.equal(await upstash.incr("n"), 1);
+  assert.equal(await upstash.incr("n"), 2);
+  assert.equal(await upstash.del("k", "s", "missing"), 2);
+  assert.equal(await upstash.get("k"), null);
+});
+
+test("commands are sent as a JSON body, not in the URL", async () => {
+  const big = "x".repeat(20000);
+  await upstash.set("big", big);
+  const req = fake.requests[0];
+  assert.equal(req.path, "");
+  assert.deepEqual(req.body, ["SET", "big", big]);
+  assert.equal(await upstash.get("big"), big);
+});
+
+test("command errors are thrown", async () => {
+  await assert.rejects(upstash.command(["NOPE"]), /Upstash NOPE failed/);
+});
+
+test("pipeline returns results in command order", async () => {
+  const res = await upstash.pipeline([
+    ["SET", "a", 1],
+    ["INCR", "a"],
+    ["GET", "a"],
+    ["NOPE"],
+  ]);
+  assert.deepEqual(res.slice(0, 3), [{ result: "OK" }, { result: 2 }, { result: "2" }]);
+  assert.ok(res[3].error);
+  assert.deepEqual(await upstash.pipeline([]), []);
+});
+
+test("sets and hashes", async () => {
+  assert.equal(await upstash.sadd("s", "a", "b", "a"), 2);
+  assert.equal(await upstash.sismember("s", "a"), true);
+  assert.equal(await upstash.sismember("s", "z"), false);
+  assert.equal(await upstash.scard("s"), 2);
+  assert.equal(await upstash.srem("s", "a"), 1);
+  assert.deepEqual(await upstash.smembers("s"), ["b"]);
+  assert.deepEqual(await upstash.smembers("none"), []);
+
+  await upstash.hset("h", { a: 1, b: "two" });
+  assert.equal(await upstash.hincrby("h", "a", 4), 5);
+  assert.equal(await upstash.hget("h", "b"), "two");
+  assert.deepEqual(await upstash.hgetall("h"), { a: "5", b: "two" });
+  assert.deepEqual(await upstash.hgetall("none"), {});
+  assert.equal(await upstash.hset("h", {}), 0);
+});
+
+test("scanAll returns matching keys", async () => {
+  await upstash.set("email:id:a@x.com", "MI1");
+  await upstash.set("email:id:b@x.com", "MI2");
+  await upstash.set("other", "1");
+  assert.deepEqual((await upstash.scanAll("email:id:*")).sort(), ["email:id:a@x.com", "email:id:b@x.com"]);
+});
+
+// ---------------------------
+// JSON codec
+// ---------------------------
+
+test("getJson reads plain and double-encoded values", async () => {
+  await upstash.setJson("j", { a: 1 });
+  assert.deepEqual(await upstash.getJson("j"), { a: 1 });
+  await upstash.set("double", JSON.stringify(JSON.stringify({ b: [1, 2] })));
+  assert.deepEqual(await upstash.getJson("double"), { b: [1, 2] });
+  await upstash.set("text", "not json");
+  assert.equal(await upstash.getJson("text"), null);
+  assert.equal(await upstash.getJson("missing"), null);
+});
+
+// ---------------------------
+// Manifest + parts
+// ---------------------------
+
+test("setLargeJson / getLargeJson round trip through parts", async () => {
+  const items = Array.from({ length: 1203 }, (_, i) => ({ code: `C${i}` }));
+  const manifest = await upstash.setLargeJson("universe", { generatedAt: "2026-01-01T00:00:00Z", items }, { chunkSize: 500 });
+  assert.equal(manifest.partCount, 3);
+  assert.deepEqual(manifest.parts, ["universe:part:0", "universe:part:500", "universe:part:1000"]);
+  assert.equal(upstash.isPartsManifest(await upstash.getJson("universe")), true);
+
+  const back = await upstash.getLargeJson("universe");
+  assert.equal(back.count, 1203);
+  assert.deepEqual(back.items, items);
+});
+
+test("getLargeJson passes a whole object through and skips missing parts", async () => {
+  await upstash.setJson("whole", { items: [1, 2] });
+  assert.deepEqual(await upstash.getLargeJson("whole"), { items: [1, 2] });
+
+  await upstash.setLargeJson("u", { items: [1, 2, 3, 4] }, { chunkSize: 2 });
+  await upstash.del("u:part:0");
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.deepEqual((await upstash.getLargeJson("u")).items, [3, 4]);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+// ---------------------------
+// Retries
+// ---------------------------
+
+test("reads are not retried unless asked", async () => {
+  await upstash.set("k", "v");
+  fake.failNext({ status: 503 });
+  await assert.rejects(upstash.get("k"), (err) => err.status === 503);
+
+  fake.failNext({ status: 503 }).failNext({ networkError: true });
+  assert.equal(await upstash.get("k", { retries: 2 }), "v");
+});
+
+test("read-only pipelines may retry", async () => {
+  await upstash.set("a", "1");
+  fake.failNext({ status: 429 });
+  assert.deepEqual(await upstash.pipeline([["GET", "a"], ["HGETALL", "h"]], { retries: 1 }), [{ result: "1" }, { result: [] }]);
+});
+
+test("4xx other than 429 is never retried", async () => {
+  fake.failNext({ status: 400 });
+  await assert.rejects(upstash.get("k", { retries: 3 }), (err) => err.status === 400);
+  assert.equal(fake.requests.length, 1);
+});
+
+test("writes are sent once even when retries are asked for", async () => {
+  fake.failNext({ lostResponse: true });
+  await assert.rejects(upstash.incr("counter", { retries: 2 }));
+  assert.equal(await upstash.get("counter"), "1");
+
+  fake.failNext({ lostResponse: true });
+  await assert.rejects(
+    upstash.pipeline([["HINCRBY", "day", "visits", 1], ["GET", "x"]], { retries: 2 })
+  );
+  assert.equal(await upstash.hget("day", "visits"), "1");
+
+  fake.failNext({ lostResponse: true });
+  await assert.rejects(upstash.command(["SETNX", "first_seen", "1"], { retries: 2 }));
+  assert.equal(fake.requests.filter((r) => r.body[0] === "SETNX").length, 1);
+});
+
+test("idempotent writes can opt in to retries", async () => {
+  fake.failNext({ status: 502 });
+  assert.equal(await upstash.set("k", "v", { retries: 1, idempotent: true }), "OK");
+  assert.equal(await upstash.get("k"), "v");
+});
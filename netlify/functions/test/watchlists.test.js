@@ -0,0 +1,36 @@
+// netlify/functions/test/watchlists.test.js
+// lib/watchlists.js edits against the in-memory Upstash fake: two edits at once (two tabs or
+// devices) take turns on the member's lock instead of overwriting each other.
+// Run: node --test netlify/functions/test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeUpstash } = require("./fake-upstash");
+const watchlists = require("../lib/watchlists");
+
+const UID = "MI0000001";
+
+const fake = createFakeUpstash();
+test.before(() => fake.install());
+test.after(() => fake.uninstall());
+test.beforeEach(() => fake.reset());
+
+test("concurrent edits both land", async () => {
+  const [list] = await watchlists.addCodes(UID, null, ["BHP"]);
+  await Promise.all([
+    watchlists.addCodes(UID, list.id, ["CBA"]),
+    watchlists.addCodes(UID, list.id, ["RIO"]),
+    watchlists.createList(UID, "Miners"),
+  ]);
+  const lists = await watchlists.getWatchlists(UID);
+  assert.deepEqual(lists.map((l) => l.name), ["My watchlist", "Miners"]);
+  assert.deepEqual([...lists[0].codes].sort(), ["BHP", "CBA", "RIO"]);
+  assert.equal(fake.strings.has(`watchlists:lock:${UID}`), false, "lock released");
+});
+
+test("a rejected edit releases the lock and changes nothing", async () => {
+  await watchlists.addCodes(UID, null, ["BHP"]);
+  await assert.rejects(watchlists.renameList(UID, "nope", "Banks"), (err) => err.status === 404);
+  assert.equal(fake.strings.has(`watchlists:lock:${UID}`), false);
+  assert.deepEqual((await watchlists.getWatchlists(UID))[0].codes, ["BHP"]);
+});
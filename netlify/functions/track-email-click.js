@@ -1,79 +1,30 @@
 // netlify/functions/track-email-click.js
-// Tracks clicks from email links for the referral program.
-// Filters out known email scanners for accurate metrics.
-// Records: userId, email type, link/path, timestamp to Upstash.
-
-const fetch = (...args) => global.fetch(...args);
-
-const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-
-// Known email scanner User-Agents to filter out
-const EMAIL_SCANNERS = [
-  'GoogleImageProxy',
-  'Gmail Image Proxy',
-  'Apple Mail Link Preview',
-  'Outlook-iOS-Android',
-  'Microsoft Office Existence Discovery',
-  'SafariWebView',
-  'Mail.RuSputnik',
-  'Yahoo! Slurp',
-  'SkypeUriPreview',
-  'Slack-ImgProxy',
-  'LinkedInBot',
-  'facebookexternalhit',
-  'WhatsApp',
-  'TelegramBot',
-  'ia_archiver',
-];
-
-function getAESTDateString(ts = Date.now()) {
-  // AEST = UTC+10 (no DST handling).
-  const d = new Date(ts + 10 * 60 * 60 * 1000);
-  return d.toISOString().slice(0, 10); // YYYY-MM-DD
-}
-
-function isEmailScanner(userAgent) {
-  if (!userAgent) return false;
-  const ua = userAgent.toLowerCase();
-  return EMAIL_SCANNERS.some(scanner => ua.includes(scanner.toLowerCase()));
-}
-
-async function redisPipeline(commands) {
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
-    throw new Error("Upstash not configured");
-  }
-
-  const res = await fetch(`${UPSTASH_URL}/pipeline`, {
-    method: "POST",
+// Click tracker for every link in the newsletters (lib/email-template.js makeTrackingLink).
+// Links are signed per recipient, email type and target (lib/email-tracking.js); only a
+// valid signature is recorded and followed. Unsigned or tampered links go to the homepage,
+// so this can't be used as an open redirect from our domain.
+// Filters out known email scanners and prefetches for accurate metrics.
+// Records: userId, email type, link/path, timestamp to Upstash, plus per-issue clicks by
+// link when the link carries an issue id (lib/email-engagement.js).
+//
+// Usage:
+//   /.netlify/functions/track-email-click?uid=MI0000282&type=daily-brief&url=https%3A%2F%2F...[&issue=daily:2026-03-10]&sig=...
+// The old /.netlify/functions/click endpoint redirects here (netlify.toml).
+
+const upstash = require("./lib/upstash");
+const emailTracking = require("./lib/email-tracking");
+const engagement = require("./lib/email-engagement");
+const { sydneyDateString } = require("./lib/market-calendar");
+
+function redirect(location) {
+  return {
+    statusCode: 302,
     headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
+      Location: location,
+      "Cache-Control": "no-store",
     },
-    body: JSON.stringify(commands),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Upstash error ${res.status}: ${text}`);
-  }
-
-  return res.json();
-}
-
-async function redisGet(key) {
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
-    throw new Error("Upstash not configured");
-  }
-
-  const url = `${UPSTASH_URL}/get/${encodeURIComponent(key)}`;
-  const res = await fetch(url, {
-    headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-  });
-
-  if (!res.ok) return null;
-  const j = await res.json();
-  return j?.result || null;
+    body: "",
+  };
 }
 
 exports.handler = async function (event) {
@@ -90,65 +41,38 @@ exports.handler = async function (event) {
     };
   }
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
-    console.error("Upstash not configured");
-    return {
-      statusCode: 500,
-      body: "Configuration error",
-    };
+  // Nothing is followed until the signature checks out
+  const link = emailTracking.verifyClick(event.queryStringParameters || {});
+  if (!link.ok) {
+    console.warn("Unverified click link, sending to homepage:", link.reason);
+    return redirect(link.url);
   }
 
-  // Get parameters from query string
-  const params = event.queryStringParameters || {};
-  const userId = (params.uid || "").trim();
-  const emailType = (params.type || "unknown").trim(); // daily-brief, daily-quiz, week-ahead, weekly-brief
-  const targetUrl = (params.url || "https://matesinvest.com").trim();
-
-  // Check User-Agent to filter email scanners
-  const userAgent = event.headers["user-agent"] || event.headers["User-Agent"] || "";
-  
-  if (isEmailScanner(userAgent)) {
-    console.log("Email scanner detected, not recording click:", userAgent);
-    // Still redirect but don't record
-    return {
-      statusCode: 302,
-      headers: {
-        Location: targetUrl,
-      },
-      body: "",
-    };
+  const { uid: userId, type: emailType, url: targetUrl, issue } = link;
+
+  if (!upstash.isConfigured()) {
+    console.error("Upstash not configured");
+    return redirect(targetUrl);
   }
 
-  // Validate userId
-  if (!userId || userId.length < 8 || !userId.startsWith("MI")) {
-    console.warn("Invalid or missing userId:", userId);
+  // Check User-Agent / prefetch headers to filter email scanners
+  if (emailTracking.isAutomatedFetch(event.headers)) {
+    console.log("Email scanner / prefetch detected, not recording click");
     // Still redirect but don't record
-    return {
-      statusCode: 302,
-      headers: {
-        Location: targetUrl,
-      },
-      body: "",
-    };
+    return redirect(targetUrl);
   }
 
   try {
     const ts = Date.now();
-    const day = getAESTDateString(ts);
-    
+    const day = sydneyDateString(ts);
+
     // Verify userId exists (get email from id)
-    const email = await redisGet(`id:email:${userId}`);
-    
+    const email = await upstash.get(`id:email:${userId}`).catch(() => null);
+
     if (!email) {
       console.warn("UserId not found in database:", userId);
       // Still redirect but don't record
-      return {
-        statusCode: 302,
-        headers: {
-          Location: targetUrl,
-        },
-        body: "",
-      };
+      return redirect(targetUrl);
     }
 
     // Parse the target URL to get the path
@@ -170,21 +94,21 @@ exports.handler = async function (event) {
     const commands = [
       // Overall daily click count
       ["HINCRBY", dayKey, "total_clicks", 1],
-      
+
       // Clicks by email type for this day
       ["HINCRBY", dayKey, `${emailType}_clicks`, 1],
-      
+
       // User-specific click count
       ["HINCRBY", userKey, "total_clicks", 1],
       ["HSET", userKey, "last_click", ts],
       ["HSET", userKey, "last_email_type", emailType],
-      
+
       // Email type specific tracking
       ["HINCRBY", emailTypeKey, "clicks", 1],
-      
+
       // Path/link tracking
       ["HINCRBY", pathKey, path, 1],
-      
+
       // Store detailed click record in a list (limited to last 1000 per user)
       ["LPUSH", `${userKey}:history`, JSON.stringify({
         ts,
@@ -195,27 +119,15 @@ exports.handler = async function (event) {
       ["LTRIM", `${userKey}:history`, 0, 999],
     ];
 
-    await redisPipeline(commands);
+    await upstash.pipeline(commands);
+    if (issue) await engagement.recordClick({ uid: userId, issue, url: targetUrl });
 
     console.log(`Recorded click: userId=${userId}, type=${emailType}, path=${path}`);
 
-    // Redirect to target URL
-    return {
-      statusCode: 302,
-      headers: {
-        Location: targetUrl,
-      },
-      body: "",
-    };
+    return redirect(targetUrl);
   } catch (err) {
     console.error("track-email-click error:", err);
-    // On error, still redirect to target
-    return {
-      statusCode: 302,
-      headers: {
-        Location: targetUrl,
-      },
-      body: "",
-    };
+    // On error, still redirect to the (verified) target
+    return redirect(targetUrl);
   }
 };
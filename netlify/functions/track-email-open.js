@@ -0,0 +1,58 @@
+// netlify/functions/track-email-open.js
+// Open-tracking pixel for the newsletters (lib/email-template.js openPixel).
+// The pixel is signed per recipient, email type and issue (lib/email-tracking.js); only a
+// valid signature is recorded (lib/email-engagement.js). Email scanners and prefetches are
+// filtered out as for clicks, but image proxies (Gmail's GoogleImageProxy) fetch the pixel
+// when the reader opens the email, so those count.
+//
+// Usage:
+//   <img src="/.netlify/functions/track-email-open?uid=MI0000282&type=daily-brief&issue=daily:2026-03-10&sig=...">
+// Always answers with a transparent 1x1 gif, whatever happens.
+
+const upstash = require("./lib/upstash");
+const emailTracking = require("./lib/email-tracking");
+const engagement = require("./lib/email-engagement");
+
+const PIXEL = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64");
+
+function pixel() {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "image/gif",
+      "Cache-Control": "no-store, no-cache, must-revalidate, max-age=0",
+    },
+    body: PIXEL.toString("base64"),
+    isBase64Encoded: true,
+  };
+}
+
+exports.handler = async function (event) {
+  const open = emailTracking.verifyOpen(event.queryStringParameters || {});
+  if (!open.ok) {
+    console.warn("Unverified open pixel, not recording:", open.reason);
+    return pixel();
+  }
+
+  if (!upstash.isConfigured()) {
+    console.error("Upstash not configured");
+    return pixel();
+  }
+
+  if (emailTracking.isAutomatedOpen(event.headers)) {
+    console.log("Email scanner / prefetch detected, not recording open");
+    return pixel();
+  }
+
+  try {
+    const email = await upstash.get(`id:email:${open.uid}`).catch(() => null);
+    if (!email) {
+      console.warn("UserId not found in database:", open.uid);
+      return pixel();
+    }
+    await engagement.recordOpen(open);
+  } catch (err) {
+    console.error("track-email-open error:", err && err.message);
+  }
+  return pixel();
+};
@@ -1,35 +1,8 @@
 // netlify/functions/track-session.js
 // Tracks session analytics: session_count, session_seconds_total, engaged_sessions into Upstash Redis.
 
-const fetch = (...args) => global.fetch(...args);
-
-function getAESTDateString(ts = Date.now()) {
-  // AEST = UTC+10 (no DST handling).
-  const d = new Date(ts + 10 * 60 * 60 * 1000);
-  return d.toISOString().slice(0, 10); // YYYY-MM-DD
-}
-
-async function redisPipeline(commands) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) throw new Error("Upstash not configured");
-
-  const res = await fetch(`${UPSTASH_URL}/pipeline`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(commands),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Upstash error ${res.status}: ${text}`);
-  }
-
-  return res.json();
-}
+const upstash = require("./lib/upstash");
+const { sydneyDateString } = require("./lib/market-calendar");
 
 function ok(bodyObj) {
   return {
@@ -96,7 +69,7 @@ exports.handler = async (event) => {
     return bad(400, "Invalid sessionSeconds (must be 0-86400)");
   }
 
-  const day = getAESTDateString(ts);
+  const day = sydneyDateString(ts);
 
   // Keys for session tracking
   const dayHash = `mates:analytics:day:${day}`;
@@ -120,7 +93,7 @@ exports.handler = async (event) => {
       ["HINCRBY", dayPathStats, `${path || "/"}|session_seconds_total`, Math.floor(sessionSeconds)],
     ];
 
-    const pipelineRes = await redisPipeline(commands);
+    const pipelineRes = await upstash.pipeline(commands);
     
     const isNewSession = pipelineRes?.[0]?.result === 1; // SADD returns 1 if new
     const isNewPathSession = pipelineRes?.[1]?.result === 1;
@@ -147,7 +120,7 @@ exports.handler = async (event) => {
       }
     }
 
-    if (counterCmds.length) await redisPipeline(counterCmds);
+    if (counterCmds.length) await upstash.pipeline(counterCmds);
 
     return ok({
       day,
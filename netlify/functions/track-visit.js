@@ -1,58 +1,8 @@
 // netlify/functions/track-visit.js
 // Tracks new vs returning users + daily uniques + per-page repeat stats into Upstash Redis.
 
-const fetch = (...args) => global.fetch(...args);
-
-function getAESTDateString(ts = Date.now()) {
-  // AEST = UTC+10 (no DST handling).
-  const d = new Date(ts + 10 * 60 * 60 * 1000);
-  return d.toISOString().slice(0, 10); // YYYY-MM-DD
-}
-
-async function redisCmd(cmdArray) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) throw new Error("Upstash not configured");
-
-  const res = await fetch(`${UPSTASH_URL}/pipeline`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify([cmdArray]),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Upstash error ${res.status}: ${text}`);
-  }
-
-  const json = await res.json();
-  return json?.[0]?.result;
-}
-
-async function redisPipeline(commands) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) throw new Error("Upstash not configured");
-
-  const res = await fetch(`${UPSTASH_URL}/pipeline`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(commands),
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Upstash error ${res.status}: ${text}`);
-  }
-
-  return res.json();
-}
+const upstash = require("./lib/upstash");
+const { sydneyDateString } = require("./lib/market-calendar");
 
 function ok(bodyObj) {
   return {
@@ -108,7 +58,7 @@ exports.handler = async (event) => {
     return bad(400, "Missing/invalid uid");
   }
 
-  const day = getAESTDateString(ts);
+  const day = sydneyDateString(ts);
 
   // Global user keys
   const firstSeenKey = `mates:analytics:user:first_seen:${uid}`;
@@ -125,7 +75,7 @@ exports.handler = async (event) => {
 
   try {
     // 1) Determine if user is new globally (SETNX)
-    const setnx = await redisCmd(["SETNX", firstSeenKey, String(ts)]);
+    const setnx = await upstash.command(["SETNX", firstSeenKey, String(ts)]);
     const isNewUser = setnx === 1;
 
     // 2) Main pipeline: record visit + sets
@@ -150,7 +100,7 @@ exports.handler = async (event) => {
       ["SET", lastSeenKey, String(ts)],
     ];
 
-    const pipelineRes = await redisPipeline(commands);
+    const pipelineRes = await upstash.pipeline(commands);
 
     const firstTimeToday = pipelineRes?.[0]?.result === 1;      // SADD dayUids
     const firstTimeOnThisPathToday = pipelineRes?.[4]?.result === 1; // SADD dayPathUids
@@ -174,7 +124,7 @@ exports.handler = async (event) => {
       counterCmds.push(["HINCRBY", dayPathStats, `${path || "/"}|unique_users`, 1]);
     }
 
-    if (counterCmds.length) await redisPipeline(counterCmds);
+    if (counterCmds.length) await upstash.pipeline(counterCmds);
 
     return ok({
       day,
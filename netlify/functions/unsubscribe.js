@@ -1,11 +1,24 @@
 // netlify/functions/unsubscribe.js
-// Unsubscribe endpoint - removes email from subscriber lists
+// Unsubscribe + list preferences, driven by signed per-subscriber links.
+//
+// Links are generated by the email senders (see lib/email-lists.js):
+//   /.netlify/functions/unsubscribe?uid=MI0000001&token=<hmac>&list=daily[&issue=daily:2026-03-10]
+// `issue` (unsigned, only used for reporting) credits the unsubscribe to that issue
+// (lib/email-engagement.js).
 //
 // Usage:
-//  GET /.netlify/functions/unsubscribe?email=user@example.com
-//  Returns HTML confirmation page
+//  GET  ...?uid&token[&list]   -> preferences page (never changes anything,
+//                                 so link scanners can't unsubscribe people)
+//  POST ...?uid&token[&list]   with body "List-Unsubscribe=One-Click"
+//                              -> RFC 8058 one-click: leaves `list` (or everything), 200 text
+//  POST ...?uid&token          with form field list=<daily|weekly|week-ahead|app|all>
+//                              -> leaves that list, re-renders the preferences page
+//
+// Old ?email= links are no longer honoured (anyone could unsubscribe anyone).
 
-const REDIS_REQUEST_TIMEOUT_MS = 7000;
+const upstash = require("./lib/upstash");
+const emailLists = require("./lib/email-lists");
+const engagement = require("./lib/email-engagement");
 
 function escapeHtml(text) {
   const map = {
@@ -15,28 +28,146 @@ function escapeHtml(text) {
     '"': '&quot;',
     "'": '&#039;'
   };
-  return text.replace(/[&<>"']/g, m => map[m]);
+  return String(text).replace(/[&<>"']/g, m => map[m]);
 }
 
-exports.handler = async function (event) {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
+function renderPage(statusCode, title, inner) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "text/html", "Cache-Control": "no-store" },
+    body: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <meta name="robots" content="noindex">
+        <title>${escapeHtml(title)} - MatesInvest</title>
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 600px;
+            margin: 50px auto;
+            padding: 20px;
+            background-color: #f5f7fb;
+          }
+          .container {
+            background: white;
+            padding: 40px;
+            border-radius: 12px;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+          }
+          h1 { color: #002040; margin-top: 0; font-size: 26px; }
+          p { color: #64748b; line-height: 1.6; }
+          .error { color: #dc2626; }
+          .notice { color: #16a34a; font-weight: 600; }
+          .email {
+            background: #f5f7fb;
+            padding: 4px 10px;
+            border-radius: 6px;
+            font-family: monospace;
+            color: #002040;
+          }
+          .list-row {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 12px 0;
+            border-bottom: 1px solid #e2e8f0;
+          }
+          .list-row.highlight { background: #f0f9ff; margin: 0 -12px; padding: 12px; border-radius: 8px; }
+          .list-name { color: #002040; font-weight: 600; }
+          .list-state { color: #94a3b8; font-size: 13px; }
+          button {
+            background: #002040;
+            color: white;
+            border: 0;
+            border-radius: 6px;
+            padding: 8px 14px;
+            font-size: 14px;
+            cursor: pointer;
+          }
+          button.secondary { background: #dc2626; margin-top: 24px; }
+          a { color: #3b82f6; text-decoration: none; }
+          a:hover { text-decoration: underline; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          ${inner}
+        </div>
+      </body>
+      </html>
+    `,
+  };
+}
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
-    return {
-      statusCode: 500,
-      headers: { "Content-Type": "text/html" },
-      body: `
-        <!DOCTYPE html>
-        <html>
-        <head><title>Unsubscribe Error</title></head>
-        <body style="font-family: -apple-system, sans-serif; max-width: 600px; margin: 50px auto; padding: 20px;">
-          <h1>Configuration Error</h1>
-          <p>Unable to process unsubscribe request. Please contact support.</p>
-        </body>
-        </html>
-      `,
-    };
+function errorPage(statusCode, title, message) {
+  return renderPage(
+    statusCode,
+    title,
+    `<h1>${escapeHtml(title)}</h1><p class="error">${message}</p>`
+  );
+}
+
+function preferencesPage({ uid, token, issue, email, status, highlight, notice }) {
+  const action = `?${new URLSearchParams(issue ? { uid, token, issue } : { uid, token }).toString()}`;
+
+  const rows = Object.entries(emailLists.LISTS)
+    .map(([name, def]) => {
+      const subscribed = !!status[name];
+      const control = subscribed
+        ? `<form method="POST" action="${escapeHtml(action)}" style="margin:0;">
+             <input type="hidden" name="list" value="${escapeHtml(name)}">
+             <button type="submit">Unsubscribe</button>
+           </form>`
+        : `<span class="list-state">Not subscribed</span>`;
+      return `
+        <div class="list-row${highlight === name ? " highlight" : ""}">
+          <span class="list-name">${escapeHtml(def.label)}</span>
+          ${control}
+        </div>`;
+    })
+    .join("");
+
+  const anySubscribed = Object.values(status).some(Boolean);
+
+  return renderPage(
+    200,
+    "Email preferences",
+    `
+      <h1>Email preferences</h1>
+      <p><span class="email">${escapeHtml(email)}</span></p>
+      ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ""}
+      ${rows}
+      ${anySubscribed ? `
+      <form method="POST" action="${escapeHtml(action)}" style="margin:0;">
+        <input type="hidden" name="list" value="all">
+        <button type="submit" class="secondary">Unsubscribe from everything</button>
+      </form>` : `<p>You won't receive any more emails from MatesInvest.</p>`}
+      <p style="margin-top: 30px; font-size: 14px;">
+        Changed your mind? <a href="https://matesinvest.com/mates-summaries.html#subscribe">Resubscribe here</a>
+      </p>
+    `
+  );
+}
+
+// Form / one-click bodies arrive urlencoded (possibly base64 on Netlify).
+function parseFormBody(event) {
+  if (!event.body) return new URLSearchParams();
+  const raw = event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf8")
+    : event.body;
+  return new URLSearchParams(raw);
+}
+
+exports.handler = async function (event) {
+  if (!upstash.isConfigured()) {
+    return errorPage(
+      500,
+      "Configuration Error",
+      "Unable to process unsubscribe request. Please contact support."
+    );
   }
 
   // CORS / preflight
@@ -45,297 +176,90 @@ exports.handler = async function (event) {
       statusCode: 204,
       headers: {
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
         "Access-Control-Allow-Headers": "Content-Type",
       },
       body: "",
     };
   }
 
-  let email =
-    (event.queryStringParameters && event.queryStringParameters.email) || null;
+  const qs = event.queryStringParameters || {};
+  const uid = String(qs.uid || "").trim();
+  const token = String(qs.token || "").trim();
+  const linkList = emailLists.isList(qs.list) ? qs.list : null;
+  const issue = String(qs.issue || "").trim() || null;
 
-  if (!email || typeof email !== "string") {
-    return {
-      statusCode: 400,
-      headers: { "Content-Type": "text/html" },
-      body: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <title>Unsubscribe - MatesInvest</title>
-          <style>
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-              max-width: 600px; 
-              margin: 50px auto; 
-              padding: 20px;
-              background-color: #f5f7fb;
-            }
-            .container {
-              background: white;
-              padding: 40px;
-              border-radius: 12px;
-              box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-            }
-            h1 { color: #002040; margin-top: 0; }
-            p { color: #64748b; line-height: 1.6; }
-            .error { color: #dc2626; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>Invalid Request</h1>
-            <p class="error">No email address provided. Please use the unsubscribe link from your email.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
+  if (!uid || !token) {
+    return errorPage(
+      400,
+      "Invalid Request",
+      qs.email
+        ? `This unsubscribe link is no longer supported. Please use the link in your most recent email, or email <a href="mailto:hello@matesinvest.com?subject=unsubscribe">hello@matesinvest.com</a> and we'll remove you.`
+        : "Missing unsubscribe details. Please use the unsubscribe link from your email."
+    );
   }
 
-  email = email.trim().toLowerCase();
-
-  // Light email validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return {
-      statusCode: 400,
-      headers: { "Content-Type": "text/html" },
-      body: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <title>Unsubscribe - MatesInvest</title>
-          <style>
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-              max-width: 600px; 
-              margin: 50px auto; 
-              padding: 20px;
-              background-color: #f5f7fb;
-            }
-            .container {
-              background: white;
-              padding: 40px;
-              border-radius: 12px;
-              box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-            }
-            h1 { color: #002040; margin-top: 0; }
-            p { color: #64748b; line-height: 1.6; }
-            .error { color: #dc2626; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>Invalid Email</h1>
-            <p class="error">The email address format is invalid.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
+  if (!emailLists.verifyUnsubscribeToken(uid, token)) {
+    console.warn("unsubscribe: bad token for", uid);
+    return errorPage(
+      403,
+      "Invalid Link",
+      "This unsubscribe link is invalid. Please use the link from your email."
+    );
   }
 
-  async function fetchWithTimeout(url, opts = {}, timeout = REDIS_REQUEST_TIMEOUT_MS) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    try {
-      const res = await fetch(url, { ...opts, signal: controller.signal });
-      clearTimeout(id);
-      return res;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
+  try {
+    const email = await upstash.get(`id:email:${uid}`);
+    if (!email) {
+      return errorPage(
+        404,
+        "Not Found",
+        "We couldn't find this subscription. You may already be unsubscribed."
+      );
     }
-  }
 
-  // Keys for subscriber lists
-  const dailyKey = "email:subscribers";
-  const appKey = "email:subscribers-App";
+    if (event.httpMethod === "POST") {
+      const form = parseFormBody(event);
 
-  async function srem(keyName) {
-    const url =
-      `${UPSTASH_URL}/srem/` +
-      `${encodeURIComponent(keyName)}/` +
-      `${encodeURIComponent(email)}`;
+      // RFC 8058 one-click from the mail client: no page, just do it.
+      if (form.get("List-Unsubscribe") === "One-Click") {
+        if (linkList) await emailLists.leaveList(uid, email, linkList);
+        else await emailLists.leaveAll(email);
+        await engagement.recordUnsubscribe({ uid, issue }).catch(() => {});
+        console.log("unsubscribe: one-click", uid, linkList || "all");
+        return {
+          statusCode: 200,
+          headers: { "Content-Type": "text/plain" },
+          body: "Unsubscribed",
+        };
+      }
 
-    const res = await fetchWithTimeout(url, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${UPSTASH_TOKEN}`,
-      },
-    });
+      const list = String(form.get("list") || "").trim();
+      let notice;
+      if (list === "all") {
+        await emailLists.leaveAll(email);
+        notice = "You've been unsubscribed from all MatesInvest emails.";
+      } else if (emailLists.isList(list)) {
+        await emailLists.leaveList(uid, email, list);
+        notice = `You've been unsubscribed from the ${emailLists.LISTS[list].label}.`;
+      } else {
+        return errorPage(400, "Invalid Request", "Unknown list.");
+      }
+      console.log("unsubscribe:", uid, list);
+      await engagement.recordUnsubscribe({ uid, issue }).catch(() => {});
 
-    return res;
-  }
-
-  try {
-    // Remove from both subscriber lists
-    const [r1, r2] = await Promise.all([
-      srem(dailyKey),
-      srem(appKey),
-    ]);
-
-    if (!r1.ok || !r2.ok) {
-      const txt1 = await r1.text().catch(() => "");
-      const txt2 = await r2.text().catch(() => "");
-      console.warn("unsubscribe srem failed", r1.status, txt1, r2.status, txt2);
-      
-      return {
-        statusCode: 500,
-        headers: { "Content-Type": "text/html" },
-        body: `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="utf-8">
-            <title>Unsubscribe Error - MatesInvest</title>
-            <style>
-              body { 
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-                max-width: 600px; 
-                margin: 50px auto; 
-                padding: 20px;
-                background-color: #f5f7fb;
-              }
-              .container {
-                background: white;
-                padding: 40px;
-                border-radius: 12px;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-              }
-              h1 { color: #002040; margin-top: 0; }
-              p { color: #64748b; line-height: 1.6; }
-              .error { color: #dc2626; }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <h1>Error</h1>
-              <p class="error">Unable to process unsubscribe request. Please try again later or contact support.</p>
-            </div>
-          </body>
-          </html>
-        `,
-      };
+      const status = await emailLists.getListStatus(uid, email);
+      return preferencesPage({ uid, token, issue, email, status, notice });
     }
 
-    // Success
-    return {
-      statusCode: 200,
-      headers: { "Content-Type": "text/html" },
-      body: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1">
-          <title>Unsubscribed - MatesInvest</title>
-          <style>
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-              max-width: 600px; 
-              margin: 50px auto; 
-              padding: 20px;
-              background-color: #f5f7fb;
-            }
-            .container {
-              background: white;
-              padding: 40px;
-              border-radius: 12px;
-              box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-              text-align: center;
-            }
-            h1 { 
-              color: #002040; 
-              margin-top: 0;
-              font-size: 28px;
-            }
-            p { 
-              color: #64748b; 
-              line-height: 1.6;
-              font-size: 16px;
-            }
-            .success { 
-              color: #16a34a; 
-              font-size: 48px;
-              margin-bottom: 20px;
-            }
-            .email {
-              background: #f5f7fb;
-              padding: 8px 16px;
-              border-radius: 6px;
-              font-family: monospace;
-              color: #002040;
-              display: inline-block;
-              margin: 10px 0;
-            }
-            a {
-              color: #3b82f6;
-              text-decoration: none;
-            }
-            a:hover {
-              text-decoration: underline;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="success">✓</div>
-            <h1>You've been unsubscribed</h1>
-            <p>
-              <span class="email">${escapeHtml(email)}</span>
-            </p>
-            <p>You will no longer receive emails from MatesInvest.</p>
-            <p style="margin-top: 30px; font-size: 14px;">
-              Changed your mind? <a href="https://matesinvest.com/mates-summaries.html#subscribe">Resubscribe here</a>
-            </p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
+    const status = await emailLists.getListStatus(uid, email);
+    return preferencesPage({ uid, token, issue, email, status, highlight: linkList });
   } catch (err) {
     console.error("unsubscribe error", err && err.message);
-    return {
-      statusCode: 500,
-      headers: { "Content-Type": "text/html" },
-      body: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <title>Unsubscribe Error - MatesInvest</title>
-          <style>
-            body { 
-              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-              max-width: 600px; 
-              margin: 50px auto; 
-              padding: 20px;
-              background-color: #f5f7fb;
-            }
-            .container {
-              background: white;
-              padding: 40px;
-              border-radius: 12px;
-              box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-            }
-            h1 { color: #002040; margin-top: 0; }
-            p { color: #64748b; line-height: 1.6; }
-            .error { color: #dc2626; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>Error</h1>
-            <p class="error">An unexpected error occurred. Please try again later.</p>
-          </div>
-        </body>
-        </html>
-      `,
-    };
+    return errorPage(
+      500,
+      "Error",
+      "An unexpected error occurred. Please try again later."
+    );
   }
 };
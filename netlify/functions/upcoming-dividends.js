@@ -0,0 +1,74 @@
+// netlify/functions/upcoming-dividends.js
+//
+// Ex-dividend calendar across the ASX universe, read from the dividend store
+// (lib/dividends.js, kept current by refresh-dividends.js). Only dividends EODHD has
+// already been told about (declared) appear.
+//
+// Usage:
+//   GET /.netlify/functions/upcoming-dividends?weeks=4
+//     weeks: 1-26 (default 4), counted from today (Sydney)
+//
+// Response:
+//   { from, to, count, items: [{ code, exDate, payDate, recordDate, amount, currency,
+//                                frankingPct, lastPrice, yieldPct }] } soonest first
+//   yieldPct = this payment as a % of the last close.
+
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
+const dividends = require("./lib/dividends");
+
+const DEFAULT_WEEKS = 4;
+const MAX_WEEKS = 26;
+
+function json(statusCode, body, cacheControl = "no-store") {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json", "Cache-Control": cacheControl },
+    body: JSON.stringify(body),
+  };
+}
+
+async function lastPrices() {
+  const latest = await upstash.getJson("asx:universe:eod:latest");
+  const rows = Array.isArray(latest) ? latest : (latest && latest.rows) || [];
+  const out = new Map();
+  for (const r of rows) {
+    if (r && r.code && typeof r.close === "number") out.set(String(r.code).toUpperCase(), r.close);
+  }
+  return out;
+}
+
+exports.handler = async function (event) {
+  const qs = (event && event.queryStringParameters) || {};
+  const weeks = Math.min(MAX_WEEKS, Math.max(1, parseInt(qs.weeks, 10) || DEFAULT_WEEKS));
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  try {
+    const from = calendar.sydneyDateString();
+    const to = calendar.addDays(from, weeks * 7);
+    const [upcoming, prices] = await Promise.all([dividends.listUpcoming(from, to), lastPrices()]);
+
+    const items = upcoming.map((d) => {
+      const lastPrice = prices.has(d.code) ? prices.get(d.code) : null;
+      return {
+        code: d.code,
+        exDate: d.exDate,
+        payDate: d.payDate,
+        recordDate: d.recordDate,
+        amount: d.amount,
+        currency: d.currency,
+        frankingPct: d.frankingPct,
+        lastPrice,
+        yieldPct: lastPrice ? Number(((d.amount / lastPrice) * 100).toFixed(2)) : null,
+      };
+    });
+
+    return json(200, { from, to, count: items.length, items }, "public, max-age=1800");
+  } catch (err) {
+    console.error("upcoming-dividends error", err && err.message);
+    return json(500, { error: err.message });
+  }
+};
@@ -0,0 +1,108 @@
+// netlify/functions/watchlists.js
+// A member's saved watchlists (lib/watchlists.js), each enriched with the latest close and
+// % change from asx:universe:eod:latest.
+//
+// Auth: "Authorization: Bearer <session>" from the emailed sign-in link (member-login.js).
+//
+// Usage:
+//  GET  /.netlify/functions/watchlists
+//    -> { uid, asOf, watchlists: [{ id, name, codes, createdAt, updatedAt,
+//                                   items: [{ code, price, pctChange, date, corporateAction }] }] }
+//
+//  POST /.netlify/functions/watchlists   (same response, after the change)
+//    { "action": "create",  "name": "Miners" }
+//    { "action": "rename",  "listId": "a1b2c3d4", "name": "Big miners" }
+//    { "action": "delete",  "listId": "a1b2c3d4" }
+//    { "action": "add",     "listId": "a1b2c3d4", "codes": ["BHP", "RIO"] }   listId optional:
+//                                                  first list, created if there's none
+//    { "action": "remove",  "listId": "a1b2c3d4", "codes": ["RIO"] }         listId optional:
+//                                                  removed from every list
+//    { "action": "reorder", "listId": "a1b2c3d4", "codes": ["RIO", "BHP"] }  codes in a list
+//    { "action": "reorder", "listIds": ["e5f6a7b8", "a1b2c3d4"] }           the lists themselves
+//    "code": "BHP" works in place of "codes" for add / remove.
+
+const upstash = require("./lib/upstash");
+const memberAuth = require("./lib/member-auth");
+const watchlists = require("./lib/watchlists");
+
+const JSON_HEADERS = {
+  "Content-Type": "application/json",
+  "Cache-Control": "no-store",
+  "Access-Control-Allow-Origin": "*",
+};
+
+function json(statusCode, body) {
+  return { statusCode, headers: JSON_HEADERS, body: JSON.stringify(body) };
+}
+
+async function applyAction(uid, body) {
+  const listId = body.listId ? String(body.listId) : null;
+  const codes = body.codes !== undefined ? body.codes : body.code;
+
+  switch (body.action) {
+    case "create":
+      return watchlists.createList(uid, body.name);
+    case "rename":
+      return watchlists.renameList(uid, listId, body.name);
+    case "delete":
+      return watchlists.deleteList(uid, listId);
+    case "add":
+      return watchlists.addCodes(uid, listId, codes);
+    case "remove":
+      return watchlists.removeCodes(uid, listId, codes);
+    case "reorder":
+      return listId ? watchlists.reorderCodes(uid, listId, codes) : watchlists.reorderLists(uid, body.listIds);
+    default: {
+      const err = new Error("action must be one of create, rename, delete, add, remove, reorder");
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
+exports.handler = async function (event) {
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "GET" && event.httpMethod !== "POST") {
+    return json(405, { error: "Method Not Allowed" });
+  }
+
+  if (!upstash.isConfigured()) {
+    return json(500, { error: "Upstash not configured" });
+  }
+
+  const uid = memberAuth.memberFromEvent(event);
+  if (!uid) return json(401, { error: "Sign in to use watchlists" });
+
+  try {
+    let lists;
+    if (event.httpMethod === "POST") {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return json(400, { error: "Invalid JSON" });
+      }
+      lists = await applyAction(uid, body || {});
+    } else {
+      lists = await watchlists.getWatchlists(uid);
+    }
+
+    const { asOf, watchlists: enriched } = await watchlists.withPrices(lists);
+    return json(200, { uid, asOf, watchlists: enriched });
+  } catch (err) {
+    if (err.status && err.status < 500) return json(err.status, { error: err.message });
+    console.error("watchlists error", err && err.message);
+    return json(500, { error: "Couldn't load watchlists right now" });
+  }
+};
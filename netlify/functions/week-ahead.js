@@ -2,15 +2,15 @@
 // Week Ahead generator (Monday email)
 
 const fetch = (...args) => global.fetch(...args);
+const upstash = require("./lib/upstash");
+const calendar = require("./lib/market-calendar");
 const fs = require("fs");
 const path = require("path");
 
 exports.handler = async function () {
-  const UPSTASH_URL = process.env.UPSTASH_REDIS_REST_URL;
-  const UPSTASH_TOKEN = process.env.UPSTASH_REDIS_REST_TOKEN;
   const EODHD_API_TOKEN = process.env.EODHD_API_TOKEN;
 
-  if (!UPSTASH_URL || !UPSTASH_TOKEN) {
+  if (!upstash.isConfigured()) {
     return { statusCode: 500, body: "Upstash not configured" };
   }
   if (!EODHD_API_TOKEN) {
@@ -18,18 +18,11 @@ exports.handler = async function () {
   }
 
   // ---------------------------------
-  // AEST helpers (Brisbane UTC+10)
+  // Sydney date helpers (AEST/AEDT)
+  // Week days are carried as UTC-midnight Dates of the Sydney calendar day.
   // ---------------------------------
-  const AEST_OFFSET_MINUTES = 10 * 60;
-
-  function getAestDate(base = new Date()) {
-    return new Date(base.getTime() + AEST_OFFSET_MINUTES * 60 * 1000);
-  }
-
   function startOfAestDay(base = new Date()) {
-    const d = getAestDate(base);
-    d.setUTCHours(0, 0, 0, 0);
-    return d;
+    return calendar.parseYmd(calendar.sydneyDateString(base));
   }
 
   function toYmdFromAestDate(aestDate) {
@@ -63,7 +56,7 @@ exports.handler = async function () {
         day: "2-digit",
         month: "short",
       });
-    return `${fmt(monAest)} → ${fmt(friAest)} (AEST)`;
+    return `${fmt(monAest)} → ${fmt(friAest)} (${calendar.sydneyZoneLabel()})`;
   }
 
   // ---------------------------------
@@ -83,44 +76,11 @@ exports.handler = async function () {
   }
 
   async function redisGet(key) {
-    const url = `${UPSTASH_URL}/get/` + encodeURIComponent(key);
-    const res = await fetchWithTimeout(
-      url,
-      { headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` } },
-      8000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      throw new Error(`redisGet failed ${res.status}: ${txt}`);
-    }
-
-    const j = await res.json().catch(() => null);
-    return j ? j.result : null; // string or null
+    return upstash.get(key); // string or null
   }
 
   async function redisSet(key, value, ttlSeconds) {
-    let url =
-      `${UPSTASH_URL}/set/` +
-      encodeURIComponent(key) +
-      "/" +
-      encodeURIComponent(value);
-
-    if (ttlSeconds && Number.isFinite(ttlSeconds)) url += `?EX=${ttlSeconds}`;
-
-    const res = await fetchWithTimeout(
-      url,
-      {
-        method: "POST",
-        headers: { Authorization: `Bearer ${UPSTASH_TOKEN}` },
-      },
-      8000
-    );
-
-    if (!res.ok) {
-      const txt = await res.text().catch(() => "");
-      throw new Error(`redisSet failed ${res.status}: ${txt}`);
-    }
+    await upstash.set(key, value, { ex: ttlSeconds });
   }
 
   // ---------------------------------
@@ -210,13 +170,13 @@ exports.handler = async function () {
 
     const dow = dt.toLocaleDateString("en-AU", {
       weekday: "short",
-      timeZone: "Australia/Brisbane",
+      timeZone: calendar.TIMEZONE,
     });
 
     const dayMonth = dt.toLocaleDateString("en-AU", {
       day: "numeric",
       month: "short",
-      timeZone: "Australia/Brisbane",
+      timeZone: calendar.TIMEZONE,
     });
 
     return `${dow}: ${title} (${dayMonth})`;
@@ -847,8 +807,8 @@ const cfg = {
     meta: {
       id: "week_ahead_v1",
       region: "au",
-      timezone: "Australia/Brisbane",
-      generatedAtAEST: getAestDate(new Date()).toISOString().replace("Z", "+10:00"),
+      timezone: calendar.TIMEZONE,
+      generatedAtAEST: calendar.sydneyIsoString(new Date()),
     },
     week: { weekStartAEST: weekStart, weekEndAEST: weekEnd, label: weekLabel },
     macro,
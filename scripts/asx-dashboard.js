@@ -53,6 +53,18 @@
     s.style.width = clamped.toFixed(0) + "%";
   }
 
+  // Split / consolidation / code change the % move was measured across (adjusted server-side)
+  function corpActionFlag(a) {
+    if (!a || !a.type) return "";
+    const label = a.type === "code-change" ? "new code" : a.type === "split" ? "split" : "consol.";
+    const detail =
+      a.type === "code-change"
+        ? `Code changed from ${a.fromCode || "?"} on ${a.date}`
+        : `${a.type === "split" ? "Split" : "Consolidation"} on ${a.date}` +
+          (a.ratio ? ` (${a.ratio >= 1 ? a.ratio + "-for-1" : "1-for-" + Math.round(1 / a.ratio)})` : "");
+    return ` <span class="mover-flag" title="${escapeHtml(detail + "; % change adjusted")}">${label}</span>`;
+  }
+
   function renderList(listId, rows) {
     const ul = el(listId);
     if (!ul) return;
@@ -77,7 +89,7 @@ for (const r of rows) {
     `
     <li class="mover-row">
       <div class="mover-left">
-        <div class="mover-code">${escapeHtml(code)}</div>
+        <div class="mover-code">${escapeHtml(code)}${corpActionFlag(r?.corporateAction)}</div>
         <div class="mover-name" title="${escapeHtml(name)}">
           ${escapeHtml(name)}
         </div>
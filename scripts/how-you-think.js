@@ -5,7 +5,7 @@
    - Scoring into 5 buckets
    - Randomised answer order (per question render)
    - Stores to localStorage
-   - Shareable result URL (?r=technical&s=value)
+   - Shareable result URL (?r=technical&s=value), plus the sharer's ?ref= code when known
    - "See examples" routes to thinking-style education pages
 */
 
@@ -416,10 +416,14 @@
     if (secondary) shareUrl.searchParams.set("s", secondary);
     else shareUrl.searchParams.delete("s");
 
+    // Subscribers' shares carry their referral code (/scripts/referral.js), read at click
+    // time since they may only have subscribed after seeing their result
+    const shareLink = () => (window.MIReferral ? window.MIReferral.withRef(shareUrl.toString()) : shareUrl.toString());
+
     const shareText = buildShareText(primary, secondary);
-    shareBtn.onclick = async () => shareSmart(shareText, shareUrl.toString());
+    shareBtn.onclick = async () => shareSmart(shareText, shareLink());
     if (copyResultBtn) {
-      copyResultBtn.onclick = async () => copyToClipboard(shareText + " " + shareUrl.toString());
+      copyResultBtn.onclick = async () => copyToClipboard(shareText + " " + shareLink());
     }
   }
 
@@ -523,7 +527,7 @@
   function init() {
     shareLinkBtn.addEventListener("click", async () => {
       const u = new URL(window.location.href);
-      await copyToClipboard(u.toString());
+      await copyToClipboard(window.MIReferral ? window.MIReferral.withRef(u.toString()) : u.toString());
     });
 
     doYourOwnBtn?.addEventListener("click", () => {
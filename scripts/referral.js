@@ -0,0 +1,80 @@
+/* /scripts/referral.js
+   - Invite links land with ?ref=CODE (lib/referrals.js). The code is kept for 30 days in a
+     first-party mi_ref cookie, which the subscribe function reads, so every signup form on
+     the site credits the referrer without passing it along itself
+   - Visitors who subscribed here (subscribe returns referralCode) or who are signed in as a
+     member have their own code remembered, so share links can carry it
+   - window.MIReferral: get() -> code they arrived with, myCode() -> their own code,
+     setMyCode(code), withRef(url) -> url with ?ref= added when they have a code
+*/
+
+(() => {
+  const COOKIE = "mi_ref";
+  const MY_CODE_KEY = "mates_my_ref_v1";
+  const SESSION_KEY = "mates_member_session_v1";
+  const STATS_URL = "/.netlify/functions/referrals";
+  const MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+  const CODE_RE = /^[0-9A-Za-z]{5,12}$/;
+
+  function readCookie() {
+    const m = document.cookie.match(/(?:^|;\s*)mi_ref=([^;]+)/);
+    return m ? decodeURIComponent(m[1]) : null;
+  }
+
+  function capture() {
+    const ref = new URL(window.location.href).searchParams.get("ref");
+    if (!ref || !CODE_RE.test(ref)) return;
+    // Someone clicking their own invite link shouldn't overwrite a mate's code
+    if (ref.toUpperCase() === (myCode() || "")) return;
+    document.cookie = `${COOKIE}=${encodeURIComponent(ref.toUpperCase())}; Max-Age=${MAX_AGE_SECONDS}; Path=/; SameSite=Lax; Secure`;
+  }
+
+  function myCode() {
+    try {
+      return localStorage.getItem(MY_CODE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function setMyCode(code) {
+    if (!code || !CODE_RE.test(code)) return;
+    try {
+      localStorage.setItem(MY_CODE_KEY, String(code).toUpperCase());
+    } catch (e) {}
+  }
+
+  function withRef(url) {
+    const code = myCode();
+    if (!code) return url;
+    const u = new URL(url, window.location.href);
+    u.searchParams.set("ref", code);
+    return u.toString();
+  }
+
+  // Signed-in members: look their code up once
+  async function loadMyCode() {
+    if (myCode()) return;
+    let session = null;
+    try {
+      session = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    } catch (e) {}
+    if (!session || !session.token || !(Date.parse(session.expiresAt) > Date.now())) return;
+    try {
+      const res = await fetch(STATS_URL, { headers: { Authorization: `Bearer ${session.token}` } });
+      if (!res.ok) return;
+      const data = await res.json();
+      setMyCode(data.code);
+    } catch (e) {}
+  }
+
+  capture();
+  loadMyCode();
+
+  window.MIReferral = {
+    get: readCookie,
+    myCode,
+    setMyCode,
+    withRef,
+  };
+})();
@@ -0,0 +1,197 @@
+/* /scripts/watchlist.js
+   - "Add to watchlist" buttons: any element with data-watchlist-code="CBA"
+     (optional data-label-on / data-label-off for text buttons; otherwise ★ / ☆)
+   - Signed-in members (session from the emailed link, see member-login function) toggle the
+     code on their watchlists via /.netlify/functions/watchlists
+   - Signed-out clicks open a small "email me a sign-in link" dialog; the code is remembered
+     and added once they come back signed in
+   - Pages that re-render their buttons call window.MIWatchlist.refreshButtons()
+*/
+
+(() => {
+  const SESSION_KEY = "mates_member_session_v1";
+  const PENDING_KEY = "mates_watchlist_pending_v1";
+  const API_URL = "/.netlify/functions/watchlists";
+  const LOGIN_URL = "/.netlify/functions/member-login";
+
+  let watched = new Set();
+  let lists = [];
+  let busy = false;
+
+  function getSession() {
+    try {
+      const s = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+      if (s && s.token && Date.parse(s.expiresAt) > Date.now()) return s;
+    } catch (e) {}
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+
+  async function api(method, body) {
+    const session = getSession();
+    if (!session) return null;
+    const res = await fetch(API_URL, {
+      method,
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${session.token}` },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (res.status === 401) {
+      localStorage.removeItem(SESSION_KEY);
+      return null;
+    }
+    if (!res.ok) throw new Error("watchlists failed: " + res.status);
+    return res.json();
+  }
+
+  function setLists(data) {
+    lists = (data && data.watchlists) || [];
+    watched = new Set(lists.flatMap((l) => l.codes || []));
+    refreshButtons();
+    document.dispatchEvent(new CustomEvent("mi:watchlist-change", { detail: { lists } }));
+  }
+
+  function refreshButtons(root = document) {
+    root.querySelectorAll("[data-watchlist-code]").forEach((btn) => {
+      const on = watched.has(String(btn.getAttribute("data-watchlist-code")).toUpperCase());
+      btn.classList.toggle("is-watched", on);
+      btn.setAttribute("aria-pressed", on ? "true" : "false");
+      btn.title = on ? "Remove from watchlist" : "Add to watchlist";
+      btn.textContent = on ? btn.dataset.labelOn || "★" : btn.dataset.labelOff || "☆";
+    });
+  }
+
+  async function toggle(code) {
+    code = String(code || "").toUpperCase();
+    if (!code || busy) return;
+    if (!getSession()) {
+      localStorage.setItem(PENDING_KEY, code);
+      openSignIn();
+      return;
+    }
+
+    busy = true;
+    try {
+      const action = watched.has(code) ? "remove" : "add";
+      const data = await api("POST", { action, code });
+      if (data) setLists(data);
+      else {
+        localStorage.setItem(PENDING_KEY, code);
+        openSignIn();
+      }
+    } catch (err) {
+      console.error("Watchlist update failed", err);
+      alert("Sorry, we couldn't update your watchlist just now.");
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function load() {
+    if (!getSession()) return;
+    try {
+      const pending = localStorage.getItem(PENDING_KEY);
+      localStorage.removeItem(PENDING_KEY);
+      const data = pending ? await api("POST", { action: "add", code: pending }) : await api("GET");
+      if (data) setLists(data);
+    } catch (err) {
+      console.error("Watchlist load failed", err);
+    }
+  }
+
+  // ---------- sign-in dialog ----------
+
+  let dialog = null;
+
+  function openSignIn() {
+    if (!dialog) {
+      dialog = document.createElement("div");
+      dialog.setAttribute("role", "dialog");
+      dialog.setAttribute("aria-modal", "true");
+      dialog.style.cssText =
+        "position:fixed;inset:0;background:rgba(15,23,42,0.45);display:flex;align-items:center;justify-content:center;z-index:10000;padding:16px;";
+      dialog.innerHTML = `
+        <form style="background:#fff;border-radius:14px;max-width:380px;width:100%;padding:22px;font-family:inherit;box-shadow:0 12px 32px rgba(0,0,0,0.2);">
+          <div style="font-size:17px;font-weight:700;color:#002040;margin-bottom:6px;">Save to your watchlist</div>
+          <p style="margin:0 0 14px;font-size:13px;color:#64748b;line-height:1.5;">
+            Enter the email you get MatesInvest emails at and we'll send you a sign-in link. No password needed.
+          </p>
+          <input type="email" required placeholder="you@example.com" autocomplete="email"
+            style="width:100%;box-sizing:border-box;padding:10px 12px;border:1px solid #cbd5e1;border-radius:10px;font-size:14px;" />
+          <div data-wl-msg style="min-height:18px;margin:10px 0;font-size:12px;color:#64748b;"></div>
+          <div style="display:flex;gap:8px;justify-content:flex-end;align-items:center;">
+            <a href="/join.html" style="margin-right:auto;font-size:12px;color:#3b82f6;">Not subscribed yet?</a>
+            <button type="button" data-wl-cancel style="padding:8px 14px;border-radius:999px;border:1px solid #cbd5e1;background:#fff;cursor:pointer;">Close</button>
+            <button type="submit" style="padding:8px 14px;border-radius:999px;border:0;background:#00BFFF;color:#fff;font-weight:600;cursor:pointer;">Email me a link</button>
+          </div>
+        </form>
+      `;
+      dialog.addEventListener("click", (e) => {
+        if (e.target === dialog || e.target.closest("[data-wl-cancel]")) dialog.remove();
+      });
+      dialog.querySelector("form").addEventListener("submit", sendLink);
+    }
+    dialog.querySelector("[data-wl-msg]").textContent = "";
+    document.body.appendChild(dialog);
+    dialog.querySelector("input").focus();
+  }
+
+  async function sendLink(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const msg = form.querySelector("[data-wl-msg]");
+    const submit = form.querySelector("button[type=submit]");
+    submit.disabled = true;
+    msg.style.color = "#64748b";
+    msg.textContent = "Sending…";
+    try {
+      const res = await fetch(LOGIN_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          email: form.querySelector("input").value,
+          next: window.location.pathname + window.location.search,
+        }),
+      });
+      if (!res.ok) throw new Error("member-login failed: " + res.status);
+      msg.textContent = "If that email is subscribed, a sign-in link is on its way. Check your inbox.";
+    } catch (err) {
+      console.error(err);
+      msg.style.color = "#dc2626";
+      msg.textContent = "Couldn't send a link just now. Please try again.";
+    } finally {
+      submit.disabled = false;
+    }
+  }
+
+  // Capture phase, so a button inside a clickable row doesn't also trigger the row.
+  document.addEventListener(
+    "click",
+    (e) => {
+      const btn = e.target.closest && e.target.closest("[data-watchlist-code]");
+      if (!btn) return;
+      e.preventDefault();
+      e.stopPropagation();
+      toggle(btn.getAttribute("data-watchlist-code"));
+    },
+    true
+  );
+
+  window.MIWatchlist = {
+    refreshButtons,
+    toggle,
+    load,
+    has: (code) => watched.has(String(code || "").toUpperCase()),
+    getLists: () => lists,
+    isSignedIn: () => !!getSession(),
+  };
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => {
+      refreshButtons();
+      load();
+    });
+  } else {
+    refreshButtons();
+    load();
+  }
+})();